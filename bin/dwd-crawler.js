@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const { runCli } = require('../lib/cli')
+
+runCli(process.argv.slice(2)).then((exitCode) => {
+  // exit explicitly once the summary is flushed, as e.g. open connections of
+  // notifier backends must not keep a cron job running
+  if (!_.isNil(exitCode)) {
+    process.stdout.write('', () => process.exit(exitCode))
+  }
+})
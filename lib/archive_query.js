@@ -0,0 +1,380 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const path = require('path')
+const moment = require('moment-timezone')
+const dwdCsv = require('./dwd_csv')
+const dwdGrib = require('./dwd_grib')
+const { readMosmixFile } = require('./dwd_mosmix')
+const { renderPathTemplate } = require('./crawl_engine')
+const { PRODUCT_DEFINITIONS } = require('./products')
+const { getVersionedFileName } = require('./report_quality')
+
+// Upper limit of the time range of a single report query
+const MAX_REPORT_QUERY_DAYS = 366
+
+// The products whose files are organized as `.../{run}/{variable}/`
+const NWP_MODELS = _.keys(_.pickBy(PRODUCT_DEFINITIONS, (definition) => _.includes(definition.pathTemplate, '{variable}')))
+
+/**
+ * createQueryError creates an error to be answered with the given status code
+ * @param  {Number} statusCode the HTTP status code, e.g. 400 or 404
+ * @param  {String} message    the message
+ * @return {Error}             the error
+ */
+function createQueryError (statusCode, message) {
+  const error = new Error(message)
+  error.name = 'QueryError'
+  error.statusCode = statusCode
+  return error
+}
+
+/**
+ * checkPathSegment ensures a value taken from a request can safely be used as
+ * part of a path in the archive
+ * @param  {String} name  the name of the parameter
+ * @param  {String} value the value
+ * @return {String}       the value
+ */
+function checkPathSegment (name, value) {
+  if (!_.isString(value) || !/^[A-Za-z0-9_-]+$/.test(value)) {
+    throw createQueryError(400, 'invalid ' + name + ': ' + value)
+  }
+
+  return value
+}
+
+/**
+ * getRunsDirectory returns the directory holding the run directories of a
+ * product, i.e. the part of its path template preceding `{run}`
+ * @param  {String} basePath the base path of the archive
+ * @param  {Object} product  the product definition
+ * @return {String}          the path
+ */
+function getRunsDirectory (basePath, product) {
+  return path.join(basePath, product.pathTemplate.slice(0, product.pathTemplate.indexOf('{run}')))
+}
+
+/**
+ * findRun resolves the run to be queried
+ * @param  {String} basePath the base path of the archive
+ * @param  {Object} product  the product definition
+ * @param  {String} run      the run as `YYYYMMDDHH` or 'latest' (default)
+ * @param  {Function} hasData async function `(run)` checking whether the run
+ *                            holds the data queried
+ * @return {String}          the run
+ */
+async function findRun (basePath, product, run, hasData) {
+  if (!_.isNil(run) && run !== 'latest') {
+    if (!/^\d{10}$/.test(run)) {
+      throw createQueryError(400, 'invalid run: ' + run)
+    }
+
+    if (!(await hasData(run))) {
+      throw createQueryError(404, 'no data of run ' + run)
+    }
+
+    return run
+  }
+
+  let runs = []
+  try {
+    runs = await fs.readdir(getRunsDirectory(basePath, product))
+  } catch (error) {
+    runs = []
+  }
+
+  runs = _.reverse(_.sortBy(_.filter(runs, (run) => /^\d{10}$/.test(run))))
+  for (const candidate of runs) {
+    if (await hasData(candidate)) {
+      return candidate
+    }
+  }
+
+  throw createQueryError(404, 'no data found')
+}
+
+/**
+ * addToTimeSeries adds values to time series, replacing values of the same
+ * time stamp
+ * @param  {Object} timeSeries maps labels to objects mapping time stamps
+ *                             (milliseconds) to values
+ * @param  {String} label      the label
+ * @param  {Date} timestamp    the time stamp
+ * @param  {*} value           the value
+ */
+function addToTimeSeries (timeSeries, label, timestamp, value) {
+  timeSeries[label] = timeSeries[label] || {}
+  timeSeries[label][timestamp.getTime()] = value
+}
+
+/**
+ * sortTimeSeries converts time series built by addToTimeSeries to arrays of
+ * `{ timestamp, value }` sorted by time
+ * @param  {Object} timeSeries the time series
+ * @return {Object}            maps labels to arrays
+ */
+function sortTimeSeries (timeSeries) {
+  return _.mapValues(timeSeries, (values) => {
+    const timestamps = _.sortBy(_.map(_.keys(values), Number))
+    return _.map(timestamps, (timestamp) => {
+      return { timestamp: new Date(timestamp), value: values[timestamp] }
+    })
+  })
+}
+
+/**
+ * parseTimeParameter parses a point in time given as query parameter
+ * @param  {String} name          the name of the parameter
+ * @param  {String} value         an ISO 8601 date or date and time
+ * @param  {moment} defaultValue  the value used if none is given
+ * @return {moment}               the point in time (UTC)
+ */
+function parseTimeParameter (name, value, defaultValue) {
+  if (_.isNil(value) || value === '') {
+    return defaultValue
+  }
+
+  const m = moment.utc(value, moment.ISO_8601, true)
+  if (!m.isValid()) {
+    throw createQueryError(400, 'invalid ' + name + ': ' + value)
+  }
+
+  return m
+}
+
+/**
+ * queryReports assembles the time series of the reports of a station from
+ * the files stored per day
+ *
+ * malformed rows (and files whose header cannot be parsed) do not fail the
+ * query; they are left out and listed in `skipped` as `{ date, fileName,
+ * row, error }` (`row` is missing for files skipped as a whole)
+ * @param  {String} basePath the base path of the archive
+ * @param  {String} station  the station ID, e.g. `10704`
+ * @param  {Object} options  optional; `from` and `to` as ISO 8601 strings,
+ *                           by default the last 24 hours
+ * @return {Object}          `{ station, from, to, timeSeries, skipped }`
+ */
+async function queryReports (basePath, station, options) {
+  checkPathSegment('station', station)
+  const to = parseTimeParameter('to', _.get(options, 'to'), moment.utc())
+  const from = parseTimeParameter('from', _.get(options, 'from'), to.clone().subtract(24, 'hours'))
+
+  if (from.isAfter(to)) {
+    throw createQueryError(400, 'from must not be after to')
+  }
+
+  if (to.diff(from, 'days') > MAX_REPORT_QUERY_DAYS) {
+    throw createQueryError(400, 'time range must not exceed ' + MAX_REPORT_QUERY_DAYS + ' days')
+  }
+
+  const product = PRODUCT_DEFINITIONS.reports
+  const timeSeries = {}
+  const skipped = []
+  let filesFound = 0
+
+  // once the columns of the reports changed during a day, the rows of that
+  // day are split into several versions of the file (see ./report_quality.js)
+  for (const day = from.clone().startOf('day'); !day.isAfter(to); day.add(1, 'day')) {
+    for (let version = 1; ; version++) {
+      const date = day.format('YYYYMMDD')
+      const fileName = getVersionedFileName(station + '-BEOB.csv', version)
+      const filePath = path.join(basePath, renderPathTemplate(product.pathTemplate, { date: date, fileName: fileName }))
+
+      let content = null
+      try {
+        content = await fs.readFile(filePath, { encoding: 'utf8' })
+      } catch (error) {
+        break
+      }
+      filesFound++
+
+      let report = null
+      try {
+        report = dwdCsv.parseReport(content, { station: station, lenient: true })
+      } catch (error) {
+        skipped.push({ date: date, fileName: fileName, error: error.message })
+        continue
+      }
+
+      _.forEach(report.skippedRows, (row) => {
+        skipped.push({ date: date, fileName: fileName, row: row.row, error: row.error })
+      })
+      _.forEach(report.rows, (row) => {
+        if (row.timestamp < from.toDate() || row.timestamp > to.toDate()) {
+          return
+        }
+
+        _.forEach(report.parameters, (parameter) => {
+          addToTimeSeries(timeSeries, parameter.code, row.timestamp, row.values[parameter.code])
+        })
+      })
+    }
+  }
+
+  if (filesFound === 0) {
+    throw createQueryError(404, 'no reports of station ' + station + ' found')
+  }
+
+  return {
+    station: station,
+    from: from.toDate(),
+    to: to.toDate(),
+    timeSeries: sortTimeSeries(timeSeries),
+    skipped: skipped
+  }
+}
+
+/**
+ * queryMosmix reads the MOSMIX forecast of a station
+ * @param  {String} basePath the base path of the archive
+ * @param  {String} station  the station ID, e.g. `10704`
+ * @param  {Object} options  optional; `run` as `YYYYMMDDHH` or 'latest'
+ *                           (default)
+ * @return {Object}          `{ station, run, issueTime, timeSeries }`
+ */
+async function queryMosmix (basePath, station, options) {
+  checkPathSegment('station', station)
+
+  const product = PRODUCT_DEFINITIONS.mosmix
+  const getFilePath = (run) => path.join(basePath, renderPathTemplate(product.pathTemplate, {
+    run: run,
+    station: station,
+    extension: 'kmz'
+  }))
+
+  const run = await findRun(basePath, product, _.get(options, 'run'), (run) => fs.pathExists(getFilePath(run)))
+  const forecast = await readMosmixFile(getFilePath(run))
+  const placemark = _.find(forecast.stations, { id: station }) || forecast.stations[0]
+
+  return {
+    station: station,
+    run: run,
+    issueTime: forecast.issueTime,
+    timeSeries: _.isNil(placemark) ? {} : placemark.forecasts
+  }
+}
+
+/**
+ * queryNwp extracts the time series of a variable at a location from the
+ * GRIB2 files of a run of a numerical weather prediction model
+ * @param  {String} basePath  the base path of the archive
+ * @param  {String} model     the name of the product, e.g. `cosmo-d2`
+ * @param  {String} variable  the variable, e.g. `t_2m`
+ * @param  {Object} options   `latitude` and `longitude` in degrees, optionally
+ *                            `run` as `YYYYMMDDHH` or 'latest' (default) and
+ *                            `method` ('nearest' or 'bilinear')
+ * @return {Object}           `{ model, variable, run, latitude, longitude,
+ *                            timeSeries }`
+ */
+async function queryNwp (basePath, model, variable, options) {
+  if (!_.includes(NWP_MODELS, model)) {
+    throw createQueryError(404, 'unknown model: ' + model)
+  }
+  checkPathSegment('variable', variable)
+
+  const latitude = Number(_.get(options, 'latitude'))
+  const longitude = Number(_.get(options, 'longitude'))
+  if (_.isNaN(latitude) || _.isNil(_.get(options, 'latitude')) || latitude < -90 || latitude > 90) {
+    throw createQueryError(400, 'invalid lat: ' + _.get(options, 'latitude'))
+  }
+  if (_.isNaN(longitude) || _.isNil(_.get(options, 'longitude')) || longitude < -180 || longitude > 360) {
+    throw createQueryError(400, 'invalid lon: ' + _.get(options, 'longitude'))
+  }
+
+  const method = _.get(options, 'method') || 'nearest'
+  if (!_.includes(['nearest', 'bilinear'], method)) {
+    throw createQueryError(400, 'invalid method: ' + method)
+  }
+
+  const mappings = await dwdGrib.loadQuantityMappings()
+  try {
+    dwdGrib.findQuantityMapping(mappings, variable)
+  } catch (error) {
+    throw createQueryError(404, error.message)
+  }
+
+  const product = PRODUCT_DEFINITIONS[model]
+  const getDirectory = (run) => path.dirname(path.join(basePath, renderPathTemplate(product.pathTemplate, {
+    run: run,
+    variable: variable,
+    baseName: '_'
+  })))
+
+  const run = await findRun(basePath, product, _.get(options, 'run'), (run) => fs.pathExists(getDirectory(run)))
+  const directory = getDirectory(run)
+  const fileNames = _.filter(await fs.readdir(directory), (fileName) => /\.grib2(\.lz4)?$/.test(fileName))
+
+  const timeSeries = {}
+  for (const fileName of _.sortBy(fileNames)) {
+    const results = await dwdGrib.getDataForLocation(path.join(directory, fileName), latitude, longitude, {
+      variable: variable,
+      method: method,
+      mappings: mappings
+    })
+
+    _.forEach(results, (result) => {
+      addToTimeSeries(timeSeries, result.label, result.validTime, result.value)
+    })
+  }
+
+  return {
+    model: model,
+    variable: variable,
+    run: run,
+    latitude: latitude,
+    longitude: longitude,
+    timeSeries: sortTimeSeries(timeSeries)
+  }
+}
+
+/**
+ * formatCsv renders time series as CSV, one row per time stamp and one column
+ * per label; missing values are empty
+ * @param  {Object} timeSeries maps labels to arrays of `{ timestamp, value }`
+ * @return {String}            the CSV
+ */
+function formatCsv (timeSeries) {
+  const labels = _.keys(timeSeries)
+  const rows = {}
+
+  _.forEach(labels, (label, column) => {
+    _.forEach(timeSeries[label], (item) => {
+      const timestamp = item.timestamp.getTime()
+      rows[timestamp] = rows[timestamp] || _.fill(Array(labels.length), '')
+      rows[timestamp][column] = _.isNil(item.value) ? '' : String(item.value)
+    })
+  })
+
+  const lines = [_.concat(['timestamp'], labels).join(',')]
+  _.forEach(_.sortBy(_.map(_.keys(rows), Number)), (timestamp) => {
+    lines.push(_.concat([new Date(timestamp).toISOString()], rows[timestamp]).join(','))
+  })
+
+  return lines.join('\r\n') + '\r\n'
+}
+
+exports.NWP_MODELS = NWP_MODELS
+exports.createQueryError = createQueryError
+exports.formatCsv = formatCsv
+exports.queryMosmix = queryMosmix
+exports.queryNwp = queryNwp
+exports.queryReports = queryReports
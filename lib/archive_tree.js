@@ -0,0 +1,167 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const moment = require('moment-timezone')
+const path = require('path')
+const { isTemporaryPath } = require('./atomic_fs')
+
+// The name of the manifest written per run or day, see ./manifest.js
+const MANIFEST_FILE_NAME = 'manifest.json'
+
+// The placeholders of path templates denoting the point in time of a file
+const DATE_PLACEHOLDERS = {
+  run: { pattern: '\\d{10}', format: 'YYYYMMDDHH' },
+  date: { pattern: '\\d{8}', format: 'YYYYMMDD' }
+}
+
+/**
+ * compilePathTemplate converts a path template (see ./products.js) into one
+ * regular expression per path segment
+ *
+ * the segment holding the `{run}` or `{date}` placeholder is the unit rules
+ * are applied to, e.g. the directory of a COSMO-D2 run or the directory of
+ * the reports of a day
+ * @param  {String} template the path template
+ * @return {Object}          `{ patterns, dateIndex, dateFormat, parseTime }`,
+ *                           where parseTime(name) parses the point in time of
+ *                           a unit
+ */
+function compilePathTemplate (template) {
+  const segments = template.split('/')
+  const dateIndex = _.findIndex(segments, (segment) => _.some(_.keys(DATE_PLACEHOLDERS), (key) => _.includes(segment, '{' + key + '}')))
+  if (dateIndex < 0) {
+    throw new Error('path template ' + template + ' contains neither {run} nor {date}')
+  }
+
+  let dateFormat = null
+  const patterns = _.map(segments, (segment, index) => {
+    const source = _.map(segment.split(/(\{\w+\})/), (part) => {
+      const match = /^\{(\w+)\}$/.exec(part)
+      if (_.isNil(match)) {
+        return _.escapeRegExp(part)
+      }
+
+      const placeholder = DATE_PLACEHOLDERS[match[1]]
+      if (index === dateIndex && !_.isNil(placeholder) && _.isNil(dateFormat)) {
+        dateFormat = placeholder.format
+        return '(' + placeholder.pattern + ')'
+      }
+
+      return '[^/]+?'
+    }).join('')
+
+    return new RegExp('^' + source + '$')
+  })
+
+  return {
+    patterns: patterns,
+    dateIndex: dateIndex,
+    dateFormat: dateFormat,
+    parseTime: (name) => moment.tz(patterns[dateIndex].exec(name)[1], dateFormat, true, 'UTC')
+  }
+}
+
+/**
+ * readDirectory lists the entries of a directory; a missing directory is
+ * treated as empty
+ * @param  {String} directoryPath the path of the directory
+ * @return {Array}                the entries as `fs.Dirent`
+ */
+async function readDirectory (directoryPath) {
+  try {
+    return await fs.readdir(directoryPath, { withFileTypes: true })
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return []
+    }
+    throw error
+  }
+}
+
+/**
+ * expandSegment lists the entries of the given directories matching the
+ * pattern of a path segment
+ * @param  {String} basePath      the base path
+ * @param  {Array} relativePaths  the directories relative to the base path
+ * @param  {RegExp} pattern       the pattern of the segment
+ * @param  {Boolean} filesOnly    true to list files, otherwise directories
+ * @return {Array}                the matching paths relative to the base path
+ */
+async function expandSegment (basePath, relativePaths, pattern, filesOnly) {
+  const result = []
+  for (const relativePath of relativePaths) {
+    for (const entry of await readDirectory(path.join(basePath, relativePath))) {
+      const isMatching = pattern.test(entry.name) && !isTemporaryPath(entry.name)
+      if (isMatching && (filesOnly ? entry.isFile() : entry.isDirectory())) {
+        result.push(path.join(relativePath, entry.name))
+      }
+    }
+  }
+
+  return result
+}
+
+/**
+ * findUnits lists the units (see compilePathTemplate) stored for a product
+ * @param  {String} basePath the base path of the archive
+ * @param  {Object} compiled the template as returned by compilePathTemplate
+ * @return {Array}           `{ path, time }` per unit, with `path` relative to
+ *                           the base path and `time` as moment
+ */
+async function findUnits (basePath, compiled) {
+  let relativePaths = ['']
+  for (let index = 0; index <= compiled.dateIndex; index++) {
+    const isLast = index === compiled.patterns.length - 1
+    relativePaths = await expandSegment(basePath, relativePaths, compiled.patterns[index], isLast)
+  }
+
+  return _.filter(_.map(relativePaths, (relativePath) => {
+    return { path: relativePath, time: compiled.parseTime(path.basename(relativePath)) }
+  }), (unit) => unit.time.isValid())
+}
+
+/**
+ * listUnitFiles lists the files of a unit matching the path template and its
+ * manifest (see ./manifest.js), if any
+ * @param  {String} basePath the base path of the archive
+ * @param  {Object} compiled the template as returned by compilePathTemplate
+ * @param  {Object} unit     the unit as returned by findUnits
+ * @return {Array}           the paths of the files relative to the base path
+ */
+async function listUnitFiles (basePath, compiled, unit) {
+  let relativePaths = [unit.path]
+  for (let index = compiled.dateIndex + 1; index < compiled.patterns.length; index++) {
+    const isLast = index === compiled.patterns.length - 1
+    relativePaths = await expandSegment(basePath, relativePaths, compiled.patterns[index], isLast)
+  }
+
+  const manifestPath = path.join(unit.path, MANIFEST_FILE_NAME)
+  if (await fs.pathExists(path.join(basePath, manifestPath))) {
+    relativePaths = _.union(relativePaths, [manifestPath])
+  }
+
+  return relativePaths
+}
+
+exports.MANIFEST_FILE_NAME = MANIFEST_FILE_NAME
+exports.compilePathTemplate = compilePathTemplate
+exports.findUnits = findUnits
+exports.listUnitFiles = listUnitFiles
+exports.readDirectory = readDirectory
@@ -0,0 +1,217 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const _ = require('lodash')
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+const moment = require('moment')
+
+// Temporary files are hidden siblings of their target, e.g.
+// `.10004-BEOB.csv.0123456789ab.tmp` for `10004-BEOB.csv`
+const TEMPORARY_FILE_REGEX = /^\..+\.[0-9a-f]{12}\.tmp$/
+
+/**
+ * getTemporaryPath creates a unique path for a temporary file in the same
+ * directory as the target file, so that it can be renamed atomically
+ * @param  {String} targetPath the path of the file to be written
+ * @return {String}            the path of the temporary file
+ */
+function getTemporaryPath (targetPath) {
+  return path.join(
+    path.dirname(targetPath),
+    '.' + path.basename(targetPath) + '.' + crypto.randomBytes(6).toString('hex') + '.tmp'
+  )
+}
+
+/**
+ * isTemporaryPath checks whether a path has been created by getTemporaryPath
+ * @param  {String} filePath the path to check
+ * @return {Boolean}         true if the path denotes a temporary file
+ */
+function isTemporaryPath (filePath) {
+  return TEMPORARY_FILE_REGEX.test(path.basename(filePath))
+}
+
+/**
+ * fsyncDirectory flushes a directory entry (e.g. after a rename) to disk
+ *
+ * not all platforms support this; failures are ignored
+ * @param  {String} directoryPath the path of the directory
+ */
+async function fsyncDirectory (directoryPath) {
+  let fd = null
+  try {
+    fd = await fs.open(directoryPath, 'r')
+    await fs.fsync(fd)
+  } catch (error) {
+    // e.g. EISDIR or EPERM on Windows
+  } finally {
+    if (!_.isNil(fd)) {
+      await fs.close(fd)
+    }
+  }
+}
+
+/**
+ * commitTemporaryFile flushes a completely written temporary file to disk and
+ * renames it to the target path
+ * @param  {String} temporaryPath the path of the temporary file
+ * @param  {String} targetPath    the path the file shall have finally
+ */
+async function commitTemporaryFile (temporaryPath, targetPath) {
+  const fd = await fs.open(temporaryPath, 'r+')
+  try {
+    await fs.fsync(fd)
+  } finally {
+    await fs.close(fd)
+  }
+
+  await fs.rename(temporaryPath, targetPath)
+  await fsyncDirectory(path.dirname(targetPath))
+}
+
+/**
+ * writeFileAtomic writes data to a file such that the file either holds the
+ * old or the new content, but never anything in between -- even if the
+ * process is killed while writing
+ *
+ * the data is written to a temporary file which is flushed to disk (fsync) and
+ * renamed to the target path afterwards
+ * @param  {String} filePath the path of the file to write
+ * @param  {*} data          the content, as accepted by fs.writeFile
+ * @param  {Object} options  the options, as accepted by fs.writeFile
+ */
+async function writeFileAtomic (filePath, data, options) {
+  const temporaryPath = getTemporaryPath(filePath)
+
+  try {
+    await fs.writeFile(temporaryPath, data, options)
+    await commitTemporaryFile(temporaryPath, filePath)
+  } catch (error) {
+    await fs.remove(temporaryPath)
+    throw error
+  }
+}
+
+/**
+ * writeJsonAtomic serializes an object as JSON and writes it atomically
+ * @param  {String} filePath the path of the file to write
+ * @param  {Object} object   the object to serialize
+ */
+async function writeJsonAtomic (filePath, object) {
+  await writeFileAtomic(filePath, JSON.stringify(object), { encoding: 'utf8' })
+}
+
+/**
+ * findPartialFiles decides whether a file is a leftover of an interrupted write
+ * - temporary files as created by getTemporaryPath
+ * - `.bz2` files, which are only ever stored while being recompressed
+ * - uncompressed `.grib2` files, which are only ever stored while being
+ *   recompressed; an existing `.lz4` sibling may be incomplete as well, but
+ *   may also be the result of an earlier recompression (see
+ *   sweepPartialFiles)
+ * @param  {String} fileName  the name of the file
+ * @param  {Array} fileNames  the names of all files in the same directory
+ * @return {Array}            the names of the files to quarantine
+ */
+function findPartialFiles (fileName, fileNames) {
+  if (isTemporaryPath(fileName) || _.endsWith(fileName, '.bz2')) {
+    return [fileName]
+  }
+
+  if (_.endsWith(fileName, '.grib2')) {
+    const sibling = fileName + '.lz4'
+    return _.includes(fileNames, sibling) ? [fileName, sibling] : [fileName]
+  }
+
+  return []
+}
+
+/**
+ * sweepPartialFiles moves all leftovers of interrupted writes below basePath
+ * to the quarantine directory, keeping their relative paths
+ *
+ * quarantined files are moved instead of deleted so that they can be
+ * inspected; a subdirectory per sweep prevents name clashes
+ *
+ * the `.lz4` sibling of a leftover `.grib2` file is kept if it passes
+ * `options.checkFile` (e.g. fsck.checkFile), which rejects for incomplete
+ * files; without it, the sibling is quarantined as well
+ * @param  {String} basePath       the path of the directory tree to sweep
+ * @param  {String} quarantinePath the path of the quarantine directory
+ * @param  {Object} options        optional; `checkFile(filePath)`
+ * @return {Array}                 the paths (relative to basePath) of all
+ *                                 quarantined files
+ */
+async function sweepPartialFiles (basePath, quarantinePath, options) {
+  const checkFile = _.get(options, 'checkFile')
+  const sweepPath = path.join(quarantinePath, moment.utc().format('YYYYMMDDTHHmmss'))
+  const quarantined = []
+
+  async function sweepDirectory (directoryPath) {
+    if (path.resolve(directoryPath) === path.resolve(quarantinePath)) {
+      return
+    }
+
+    const entries = await fs.readdir(directoryPath)
+    const fileNames = []
+
+    for (const entry of entries) {
+      const entryPath = path.join(directoryPath, entry)
+      const stats = await fs.lstat(entryPath)
+      if (stats.isDirectory()) {
+        await sweepDirectory(entryPath)
+      } else if (stats.isFile()) {
+        fileNames.push(entry)
+      }
+    }
+
+    const partialFiles = _.uniq(_.flatMap(fileNames, (fileName) => findPartialFiles(fileName, fileNames)))
+    for (const fileName of partialFiles) {
+      if (_.endsWith(fileName, '.grib2.lz4') && !_.isNil(checkFile) && await isCompleteFile(path.join(directoryPath, fileName))) {
+        continue
+      }
+
+      const relativePath = path.relative(basePath, path.join(directoryPath, fileName))
+      await fs.move(path.join(basePath, relativePath), path.join(sweepPath, relativePath))
+      quarantined.push(relativePath)
+    }
+  }
+
+  async function isCompleteFile (filePath) {
+    try {
+      await checkFile(filePath)
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+
+  if (await fs.pathExists(basePath)) {
+    await sweepDirectory(basePath)
+  }
+
+  return quarantined
+}
+
+exports.commitTemporaryFile = commitTemporaryFile
+exports.getTemporaryPath = getTemporaryPath
+exports.isTemporaryPath = isTemporaryPath
+exports.sweepPartialFiles = sweepPartialFiles
+exports.writeFileAtomic = writeFileAtomic
+exports.writeJsonAtomic = writeJsonAtomic
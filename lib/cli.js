@@ -0,0 +1,339 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const path = require('path')
+const {
+  EXIT_CODES,
+  createExitError,
+  createLog,
+  createService,
+  readConfiguration,
+  scheduleForcedExit,
+  startService
+} = require('./service')
+const { isArchiveClean } = require('./fsck')
+
+const USAGE = `Usage: dwd-crawler <command> [options]
+
+Commands:
+  crawl     crawl the products in endless loops or, with --once, run a
+            single cycle of each product and exit
+  backfill  run a single cycle of the products restricted to the given
+            stations and/or variables, e.g. for newly added stations
+  status    print the state of the last cycles and the next planned cycles
+            and exit with code 0 if all products completed a cycle recently
+  retention apply the retention rules of RETENTION_RULES_FILE once
+  fsck      verify the stored files and report gaps in runs, stations and
+            forecast hours; with --repair, corrupt and missing items DWD
+            still provides are downloaded again
+
+Options:
+  --product <name>      product to be processed, e.g. reports, mosmix or
+                        cosmo-d2; may be repeated or comma separated (default:
+                        the products enabled by ENABLE_*_DOWNLOAD)
+  --once                run a single cycle (crawl only)
+  --stations <ids>      comma separated station IDs (backfill only)
+  --variables <names>   comma separated COSMO-D2 variables (backfill only)
+  --dry-run             only report what would be done (retention only)
+  --repair              requeue corrupt and missing items (fsck only)
+  --help                print this help
+
+All other settings are read from the environment variables described in the
+README. The summary is printed to stdout as JSON, the log to stderr.
+`
+
+// The options taking a value; all other options are flags
+const VALUE_OPTIONS = ['product', 'stations', 'variables']
+const FLAG_OPTIONS = ['once', 'dry-run', 'repair', 'help']
+
+/**
+ * parseArguments parses the command line arguments
+ * @param  {Array} argv the arguments without node and script, e.g.
+ *                      `['crawl', '--product', 'reports', '--once']`
+ * @return {Object}     `{ command, products, once, stations, variables, dryRun,
+ *                      repair, help }`
+ */
+function parseArguments (argv) {
+  const result = { command: null, products: [], once: false, stations: null, variables: null, dryRun: false, repair: false, help: false }
+
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i]
+
+    if (argument === '-h') {
+      result.help = true
+      continue
+    }
+
+    if (!_.startsWith(argument, '--')) {
+      if (!_.isNil(result.command)) {
+        throw createExitError(EXIT_CODES.USAGE_ERROR, 'unexpected argument ' + argument)
+      }
+      result.command = argument
+      continue
+    }
+
+    let name = argument.slice(2)
+    let value = null
+    if (_.includes(name, '=')) {
+      value = name.slice(name.indexOf('=') + 1)
+      name = name.slice(0, name.indexOf('='))
+    }
+
+    if (_.includes(FLAG_OPTIONS, name) && _.isNil(value)) {
+      result[_.camelCase(name)] = true
+      continue
+    }
+
+    if (!_.includes(VALUE_OPTIONS, name)) {
+      throw createExitError(EXIT_CODES.USAGE_ERROR, 'unknown option ' + argument)
+    }
+
+    if (_.isNil(value)) {
+      i++
+      value = argv[i]
+      if (_.isNil(value) || _.startsWith(value, '--')) {
+        throw createExitError(EXIT_CODES.USAGE_ERROR, 'option --' + name + ' requires a value')
+      }
+    }
+
+    if (name === 'product') {
+      result.products = _.concat(result.products, _.compact(_.map(value.split(','), _.trim)))
+    } else {
+      result[name] = value
+    }
+  }
+
+  return result
+}
+
+/**
+ * checkArguments ensures the options given fit the command
+ * @param  {Object} args the arguments as returned by parseArguments
+ */
+function checkArguments (args) {
+  if (!_.includes(['crawl', 'backfill', 'status', 'retention', 'fsck'], args.command)) {
+    throw createExitError(EXIT_CODES.USAGE_ERROR, _.isNil(args.command) ? 'no command given' : 'unknown command ' + args.command)
+  }
+
+  if (args.once && args.command !== 'crawl') {
+    throw createExitError(EXIT_CODES.USAGE_ERROR, '--once is only supported by crawl')
+  }
+
+  if (args.dryRun && args.command !== 'retention') {
+    throw createExitError(EXIT_CODES.USAGE_ERROR, '--dry-run is only supported by retention')
+  }
+
+  if (args.repair && args.command !== 'fsck') {
+    throw createExitError(EXIT_CODES.USAGE_ERROR, '--repair is only supported by fsck')
+  }
+
+  if (args.command === 'retention' && !_.isEmpty(args.products)) {
+    throw createExitError(EXIT_CODES.USAGE_ERROR, 'retention does not support --product, the rules name the products')
+  }
+
+  if ((!_.isNil(args.stations) || !_.isNil(args.variables)) && args.command !== 'backfill') {
+    throw createExitError(EXIT_CODES.USAGE_ERROR, '--stations and --variables are only supported by backfill')
+  }
+
+  if (args.command === 'backfill') {
+    if (_.isEmpty(args.products)) {
+      throw createExitError(EXIT_CODES.USAGE_ERROR, 'backfill requires --product')
+    }
+
+    if (_.isNil(args.stations) && _.isNil(args.variables)) {
+      throw createExitError(EXIT_CODES.USAGE_ERROR, 'backfill requires --stations and/or --variables')
+    }
+  }
+}
+
+/**
+ * getCycleExitCode derives the exit code of single cycles
+ * @param  {Array} results the results as returned by the service's runOnce
+ * @return {Number}        0 if all cycles succeeded without failed files
+ */
+function getCycleExitCode (results) {
+  const failed = _.some(results, (result) => !_.isNil(result.error) || result.counts.failed > 0)
+  return failed ? EXIT_CODES.CRAWL_CYCLE_ERROR : 0
+}
+
+/**
+ * runSingleCycles runs a single cycle of each product and summarizes it
+ *
+ * on SIGTERM or SIGINT, the cycles are stopped like the loops of the service
+ * (see createService#stop) and the exit code is INTERRUPTED; the next run
+ * resumes them. If stopping takes too long, the process exits with
+ * SHUTDOWN_TIMEOUT_ERROR
+ * @param  {Object} configuration the configuration
+ * @param  {Object} args          the arguments
+ * @param  {Object} options       the options of the service (`log`,
+ *                                `products`, `crawlStateDirectoryPath`)
+ * @return {Object}               `{ exitCode, summary }`
+ */
+async function runSingleCycles (configuration, args, options) {
+  const service = createService(configuration, options)
+
+  let stopping = null
+  let forcedExit = null
+  const stop = (signal) => {
+    if (!_.isNil(stopping)) {
+      return
+    }
+
+    service.log.info('stopping the single cycles (' + signal + ')')
+    forcedExit = scheduleForcedExit(configuration, service.log)
+    stopping = service.stop(signal)
+  }
+  process.once('SIGTERM', stop)
+  process.once('SIGINT', stop)
+
+  try {
+    await service.initialize()
+    const results = await service.runOnce()
+
+    return {
+      exitCode: _.isNil(stopping) ? getCycleExitCode(results) : EXIT_CODES.INTERRUPTED,
+      summary: { command: args.command, products: results }
+    }
+  } finally {
+    process.removeListener('SIGTERM', stop)
+    process.removeListener('SIGINT', stop)
+    await stopping
+    clearTimeout(forcedExit)
+    await service.close()
+  }
+}
+
+/**
+ * runArchiveCheck verifies the archive and, with --repair, runs a single cycle
+ * of the products with requeued items; the cycles use a separate crawl state
+ * like backfills
+ * @param  {Object} configuration the configuration
+ * @param  {Object} args          the arguments
+ * @param  {Object} options       the options of the service
+ * @return {Object}               `{ exitCode, summary }`
+ */
+async function runArchiveCheck (configuration, args, options) {
+  const { report, requeuedProducts } = await createService(configuration, options).checkStoredFiles(args.repair)
+  const summary = { command: 'fsck', products: report.products }
+
+  if (!_.isEmpty(requeuedProducts)) {
+    const cycles = await runSingleCycles(configuration, args, _.assign({}, options, {
+      products: requeuedProducts,
+      crawlStateDirectoryPath: path.join(configuration.crawlStateDirectoryPath, 'fsck')
+    }))
+    summary.cycles = cycles.summary.products
+    if (cycles.exitCode === EXIT_CODES.INTERRUPTED) {
+      return { exitCode: cycles.exitCode, summary: summary }
+    }
+  }
+
+  return {
+    exitCode: isArchiveClean(report) ? 0 : EXIT_CODES.ARCHIVE_CHECK_ERROR,
+    summary: summary
+  }
+}
+
+/**
+ * runCli runs the command line interface
+ *
+ * crawling in endless loops does not return; all other commands resolve to
+ * the exit code after the summary has been written
+ * @param  {Array} argv    the arguments without node and script
+ * @param  {Object} options optional; `configuration` (by default read from
+ *                          the environment), `stdout` for the summary and
+ *                          `stderr` for the log and usage
+ * @return {Number}         the exit code, or null if the process shall keep
+ *                          running
+ */
+async function runCli (argv, options) {
+  const stdout = _.get(options, 'stdout') || process.stdout
+  const stderr = _.get(options, 'stderr') || process.stderr
+
+  let args = null
+  try {
+    args = parseArguments(argv)
+    if (args.help) {
+      stdout.write(USAGE)
+      return 0
+    }
+    checkArguments(args)
+  } catch (error) {
+    stderr.write(error.message + '\n\n' + USAGE)
+    return error.exitCode || EXIT_CODES.USAGE_ERROR
+  }
+
+  let configuration = _.get(options, 'configuration') || readConfiguration()
+  const log = createLog(configuration, stderr)
+  const serviceOptions = { log: log, products: args.products }
+
+  if (args.command === 'crawl' && !args.once) {
+    await startService(configuration, serviceOptions)
+    return null
+  }
+
+  let result = null
+  try {
+    if (args.command === 'status') {
+      const status = await createService(configuration, serviceOptions).getStatus()
+      result = {
+        exitCode: _.every(status, 'ready') ? 0 : EXIT_CODES.NOT_READY,
+        summary: { command: 'status', products: status }
+      }
+    } else if (args.command === 'retention') {
+      if (_.isNil(configuration.retention.rulesFile)) {
+        throw createExitError(EXIT_CODES.RETENTION_ERROR, 'no retention rules given (RETENTION_RULES_FILE missing)')
+      }
+
+      const reports = await createService(configuration, serviceOptions).runRetention(args.dryRun || null)
+      result = {
+        exitCode: _.every(reports, (report) => _.isEmpty(report.errors)) ? 0 : EXIT_CODES.RETENTION_ERROR,
+        summary: { command: 'retention', rules: reports }
+      }
+    } else if (args.command === 'fsck') {
+      result = await runArchiveCheck(configuration, args, serviceOptions)
+    } else if (args.command === 'crawl') {
+      result = await runSingleCycles(configuration, args, serviceOptions)
+    } else {
+      // the given stations replace all other station sources; a separate
+      // crawl state keeps the cycles of the service from being disturbed
+      const filters = _.clone(configuration.filters)
+      if (!_.isNil(args.stations)) {
+        _.assign(filters, { stationIds: args.stations, stationIdsFile: null, boundingBox: null })
+      }
+      if (!_.isNil(args.variables)) {
+        filters.variables = args.variables
+      }
+      configuration = _.assign({}, configuration, { filters: filters })
+
+      result = await runSingleCycles(configuration, args, _.assign(serviceOptions, {
+        crawlStateDirectoryPath: path.join(configuration.crawlStateDirectoryPath, 'backfill')
+      }))
+    }
+  } catch (error) {
+    log.fatal(error.cause || error, error.message)
+    return error.exitCode || 1
+  }
+
+  stdout.write(JSON.stringify(result.summary, null, 2) + '\n')
+  return result.exitCode
+}
+
+exports.USAGE = USAGE
+exports.parseArguments = parseArguments
+exports.runCli = runCli
@@ -0,0 +1,441 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const path = require('path')
+const { promisify } = require('util')
+const lookup = promisify(require('dns').lookup)
+const { URL } = require('url')
+const { createCrawlState } = require('./crawl_state')
+const { createLifecycle, sleep } = require('./lifecycle')
+const { updateManifests } = require('./manifest')
+const { createSchedule } = require('./scheduler')
+const { createLocalStorage } = require('./storage')
+const { mapConcurrent } = require('./worker_pool')
+
+/**
+ * convertDomainUrlToIPUrl asynchronously queries the IPv4 address for a given
+ * host using the lookup method of the node.js dns package
+ * @param  {String} domainUrlString the url to query the IP address for
+ * @return {String}                 the ip address for the url
+ */
+async function convertDomainUrlToIPUrl (domainUrlString) {
+  const domainUrl = new URL(domainUrlString)
+  let ip = await lookup(domainUrl.hostname)
+  ip = ip.address
+  domainUrl.hostname = ip
+  return domainUrl.toString()
+}
+
+/**
+ * renderPathTemplate replaces the placeholders of a path template, e.g.
+ * `weather/cosmo-d2/grib/{run}/{variable}/{name}.lz4`, by the given values
+ * @param  {String} template the template
+ * @param  {Object} values   the values of the placeholders
+ * @return {String}          the path
+ */
+function renderPathTemplate (template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (_.isNil(values[key])) {
+      throw new Error('no value for placeholder ' + placeholder + ' of path template ' + template)
+    }
+
+    return String(values[key])
+  })
+}
+
+/**
+ * createCrawlEngine creates the engine running the crawl cycles of the
+ * products defined in ./products.js
+ *
+ * each cycle resolves the IP address of the product's base url, resumes an
+ * interrupted cycle or lists the available files (retrying the listing until
+ * it succeeds), processes all allowed files using the product's processor,
+ * updates the manifests of the runs or days (see ./manifest.js) and finally
+ * publishes a cycle event
+ *
+ * once the lifecycle stops, no further files are started and the cycles end
+ * as interrupted ones, which are resumed after a restart; files cancelled by
+ * the lifecycle stay pending. An error flagged as `fatal` (e.g. a full disk)
+ * ends the cycle the same way and stops the loop of the product
+ * @param  {Object} options `httpClient`, `notifier`, `metrics` (see ./service.js),
+ *                          `filters` (see ./filters.js), `log`,
+ *                          `downloadDirectoryBasePath`, `crawlStateDirectoryPath`
+ *                          and optionally `storage` (see ./storage.js; by
+ *                          default the download directory), `lifecycle` (see
+ *                          ./lifecycle.js), `resolveUrl` (replacing
+ *                          convertDomainUrlToIPUrl) and `onFatalError`, which
+ *                          is called once a loop stopped due to a fatal error
+ * @return {Object}         the engine
+ */
+function createCrawlEngine (options) {
+  const log = options.log
+  const metrics = options.metrics
+  const notifier = options.notifier
+  const resolveUrl = options.resolveUrl || convertDomainUrlToIPUrl
+  const onFatalError = options.onFatalError || _.noop
+  const lifecycle = options.lifecycle || createLifecycle()
+  const crawlStates = {}
+  const nextRuns = {}
+  const productContexts = {}
+
+  const context = {
+    httpClient: options.httpClient,
+    filters: options.filters,
+    log: log,
+    storage: options.storage || createLocalStorage(options.downloadDirectoryBasePath),
+    resolveKey: renderPathTemplate,
+    signal: lifecycle.abortSignal
+  }
+
+  /**
+   * getContext returns the context passed to the product's list function and
+   * processor; its HTTP client reports retries labelled by the product
+   * @param  {Object} product the product
+   * @return {Object}         the context
+   */
+  function getContext (product) {
+    if (_.isNil(productContexts[product.name])) {
+      const httpClient = _.isNil(context.httpClient) ? context.httpClient : context.httpClient.withLabels({ product: product.name })
+      productContexts[product.name] = _.assign({}, context, { httpClient: httpClient })
+    }
+
+    return productContexts[product.name]
+  }
+
+  /**
+   * persistCrawlState runs an action persisting the crawl state; as the state
+   * only serves resuming cycles, failures are logged but do not stop crawling
+   * @param  {Function} action the action, e.g. `() => crawlState.endCycle()`
+   */
+  async function persistCrawlState (action) {
+    try {
+      await action()
+    } catch (error) {
+      log.error(error, 'persisting the crawl state failed')
+    }
+  }
+
+  /**
+   * writeManifests updates the manifests of the runs or days of a cycle; as
+   * the manifests only serve consumers, failures are logged but do not stop
+   * crawling
+   * @param  {Object} product the product
+   * @param  {Array} listed   the urls listed or null if the cycle was resumed
+   * @param  {Object} cycle   the counts and stored files of the cycle
+   */
+  async function writeManifests (product, listed, cycle) {
+    try {
+      await updateManifests(getContext(product), product, { listed: listed, stored: cycle.stored })
+    } catch (error) {
+      log.error(error, 'updating the manifests of ' + product.name + ' failed')
+    }
+  }
+
+  /**
+   * loadCrawlState returns the crawl state of a product, loading it if necessary
+   * @param  {String} name the name of the product
+   * @return {Object}      the state (see ./crawl_state.js)
+   */
+  async function loadCrawlState (name) {
+    if (_.isNil(crawlStates[name])) {
+      const crawlState = createCrawlState(path.join(options.crawlStateDirectoryPath, name + '.json'))
+      await crawlState.load()
+      crawlStates[name] = crawlState
+    }
+
+    return crawlStates[name]
+  }
+
+  /**
+   * isAllowed checks whether a listed url passes the filters
+   * @param  {Object} product the product
+   * @param  {String} url     the url
+   * @return {Boolean}        true if the file shall be processed
+   */
+  function isAllowed (product, url) {
+    try {
+      return product.isAllowed(product.parseUrl(url), context.filters)
+    } catch (error) {
+      // files with unexpected names are processed and fail there
+      return true
+    }
+  }
+
+  /**
+   * listFiles lists the files of a product, retrying until the listing succeeds
+   * @param  {Object} product      the product
+   * @param  {String} ipBaseUrl    the base url using the IP address of the host
+   * @param  {Boolean} retryListing if false, a failed listing is not retried
+   *                               but thrown
+   * @return {Array}               the urls of the allowed files
+   */
+  async function listFiles (product, ipBaseUrl, retryListing) {
+    for (;;) {
+      log.info('crawling list of available ' + product.name + ' files at ' + ipBaseUrl + ' ...')
+
+      try {
+        const listOfFiles = await product.list(ipBaseUrl, getContext(product), product)
+        return _.filter(listOfFiles, (url) => isAllowed(product, url))
+      } catch (error) {
+        log.error(error, 'crawling list of ' + product.name + ' files failed')
+        if (retryListing === false) {
+          throw error
+        }
+      }
+
+      log.info('waiting ' + product.schedule.retryWaitMinutes + ' minutes before starting next retry for ' + product.name)
+      await sleep(product.schedule.retryWaitMinutes * 60 * 1000, lifecycle.stopSignal)
+    }
+  }
+
+  /**
+   * processFile processes a single file and records the result
+   * @param  {Object} product    the product
+   * @param  {Object} crawlState the crawl state of the product
+   * @param  {String} url        the url of the file
+   * @param  {Object} cycle      the counts and stored files of the cycle and
+   *                              the `controller` aborting it
+   */
+  async function processFile (product, crawlState, url, cycle) {
+    const labels = { product: product.name }
+
+    let result = null
+    try {
+      const file = _.assign(product.parseUrl(url), { url: url })
+      result = await product.processor.process(file, getContext(product), product)
+    } catch (error) {
+      // the file has been rolled back and is processed again by the resumed
+      // cycle
+      if (lifecycle.abortSignal.aborted) {
+        log.info({ url: url }, 'processing ' + product.name + ' file ' + url + ' cancelled')
+        return
+      }
+
+      log.error({ error: error, url: url }, 'processing ' + product.name + ' file ' + url + ' failed')
+      cycle.counts.failed = cycle.counts.failed + 1
+      metrics.filesFailed.inc(labels)
+      crawlState.markFailed(url, error)
+
+      if (error.fatal === true) {
+        cycle.controller.abort(error)
+      }
+      return
+    }
+
+    cycle.counts[result.status] = cycle.counts[result.status] + 1
+    crawlState.markDone(url)
+
+    if (result.status === 'unchanged') {
+      metrics.filesSkipped.inc(labels)
+      return
+    }
+
+    metrics.filesDownloaded.inc(labels)
+    metrics.bytesWritten.inc(labels, result.bytesWritten || 0)
+
+    const downloadedAt = new Date()
+    for (const storedFile of result.files || []) {
+      const file = _.assign({ url: url }, storedFile)
+      cycle.files.push(file)
+      cycle.stored.push(_.assign({ downloadedAt: downloadedAt }, file))
+      notifier.notifyFile(product.name, file)
+    }
+  }
+
+  /**
+   * runCycle runs a single crawl cycle of a product; it fails if the
+   * lifecycle stops or a fatal error occurs before all files are processed
+   * @param  {Object} product the product
+   * @param  {Object} options optional; `retryListing` (default true), see
+   *                          listFiles
+   * @return {Object}         the counts of files per status
+   */
+  async function runCycle (product, options) {
+    if (lifecycle.isStopping()) {
+      throw lifecycle.stopSignal.reason
+    }
+
+    const crawlState = await loadCrawlState(product.name)
+    const labels = { product: product.name }
+
+    // Using the IP address instead of domain is necessary as with each https
+    // request for data based on the url a DNS resolve is performed. After
+    // several thousand requests within a short time the DNS server rejects
+    // resvolving domain names to IP addresses
+    // --> work around: query IP once per cyclce and perform http requests based
+    // on the IP instead of the domain name
+    const ipBaseUrl = await resolveUrl(product.baseUrl)
+
+    const cycle = {
+      startTime: Date.now(),
+      counts: { unchanged: 0, updated: 0, new: 0, failed: 0 },
+      files: [],
+      stored: [],
+      controller: new AbortController()
+    }
+
+    // step 1: resume the interrupted cycle or crawl list of available files
+    let listOfFiles = null
+    const isResumed = crawlState.hasInterruptedCycle()
+    if (isResumed) {
+      listOfFiles = _.filter(crawlState.getUnfinishedUrls(ipBaseUrl), (url) => isAllowed(product, url))
+      log.info('resuming interrupted ' + product.name + ' cycle with ' + listOfFiles.length + ' unfinished files')
+    } else {
+      listOfFiles = await listFiles(product, ipBaseUrl, _.get(options, 'retryListing'))
+      log.info('crawling for ' + product.name + ' revealed ' + listOfFiles.length + ' files')
+      await persistCrawlState(() => crawlState.startCycle(listOfFiles))
+    }
+    metrics.filesListed.set(labels, listOfFiles.length)
+
+    // step 2: process the files using `concurrency` parallel workers; if the
+    // cycle is aborted, it stays interrupted and is resumed by the next one
+    const stopCycle = () => cycle.controller.abort(lifecycle.stopSignal.reason)
+    lifecycle.stopSignal.addEventListener('abort', stopCycle, { once: true })
+    try {
+      await mapConcurrent(listOfFiles, product.concurrency, (url) => processFile(product, crawlState, url, cycle), cycle.controller.signal)
+
+      // the cycle also ends if it was aborted after the last file was started
+      if (cycle.controller.signal.aborted) {
+        throw cycle.controller.signal.reason
+      }
+    } catch (error) {
+      await persistCrawlState(() => crawlState.save())
+      throw error
+    } finally {
+      lifecycle.stopSignal.removeEventListener('abort', stopCycle)
+    }
+    log.info(cycle.counts, 'downloaded ' + (cycle.counts.new + cycle.counts.updated) + ' new ' + product.name + ' files')
+
+    if (_.isFunction(product.processor.finishCycle)) {
+      await product.processor.finishCycle(getContext(product), product)
+    }
+
+    await writeManifests(product, isResumed ? null : listOfFiles, cycle)
+
+    // step 3: record the end of the cycle and notify downstream services
+    await persistCrawlState(() => crawlState.endCycle())
+
+    const now = Date.now()
+    metrics.cycleDuration.set(labels, (now - cycle.startTime) / 1000)
+    metrics.lastSuccess.set(labels, Math.round(now / 1000))
+
+    await notifier.notifyCycle(product.name, {
+      startedAt: new Date(cycle.startTime),
+      endedAt: new Date(now),
+      counts: cycle.counts
+    }, cycle.files)
+
+    return cycle.counts
+  }
+
+  /**
+   * prepareProduct runs the preparation of the product's processor, if any
+   * @param  {Object} product the product
+   */
+  async function prepareProduct (product) {
+    if (_.isFunction(product.processor.prepare)) {
+      await product.processor.prepare(getContext(product), product)
+    }
+  }
+
+  /**
+   * runOnce runs a single cycle of a product, e.g. for cron jobs; unlike in
+   * runProduct, a failed listing is not retried
+   * @param  {Object} product the product
+   * @return {Object}         `{ product, startedAt, endedAt, counts }`
+   */
+  async function runOnce (product) {
+    const startedAt = new Date()
+    await prepareProduct(product)
+    const counts = await runCycle(product, { retryListing: false })
+
+    return {
+      product: product.name,
+      startedAt: startedAt,
+      endedAt: new Date(),
+      counts: counts
+    }
+  }
+
+  /**
+   * waitUnlessStopped waits for the given time unless the lifecycle stops
+   * @param  {Number} milliseconds the time to wait
+   * @return {Boolean}             false if the lifecycle stopped
+   */
+  async function waitUnlessStopped (milliseconds) {
+    try {
+      await sleep(milliseconds, lifecycle.stopSignal)
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * runProduct runs the crawl cycles of a product in a loop until the
+   * lifecycle stops or a fatal error occurs; the first cycle starts
+   * immediately, all further ones as planned by the product's schedule (see
+   * ./scheduler.js)
+   * @param  {Object} product the product
+   */
+  async function runProduct (product) {
+    const schedule = createSchedule(product)
+    log.info('start crawling ' + product.name + ', scheduled ' + schedule.description)
+    await prepareProduct(product)
+
+    while (!lifecycle.isStopping()) {
+      try {
+        await runCycle(product)
+      } catch (error) {
+        if (lifecycle.isStopping()) {
+          break
+        }
+
+        if (error.fatal === true) {
+          log.error(error, 'stopped crawling ' + product.name + ' due to a fatal error')
+          await onFatalError(error, product)
+          return
+        }
+
+        log.error(error, 'running a cycle of ' + product.name + ' failed')
+        await waitUnlessStopped(product.schedule.retryWaitMinutes * 60 * 1000)
+        continue
+      }
+
+      const nextRun = schedule.getNextRun(new Date())
+      nextRuns[product.name] = nextRun
+      log.info({ nextRun: nextRun.toISOString() }, 'next ' + product.name + ' cycle planned at ' + nextRun.toISOString())
+      await waitUnlessStopped(Math.max(0, nextRun.getTime() - Date.now()))
+    }
+
+    log.info('stopped crawling ' + product.name)
+  }
+
+  return {
+    getCrawlState: (name) => crawlStates[name],
+    getNextRun: (name) => nextRuns[name] || null,
+    runCycle: runCycle,
+    runOnce: runOnce,
+    runProduct: runProduct
+  }
+}
+
+exports.convertDomainUrlToIPUrl = convertDomainUrlToIPUrl
+exports.createCrawlEngine = createCrawlEngine
+exports.renderPathTemplate = renderPathTemplate
@@ -0,0 +1,235 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const _ = require('lodash')
+const fs = require('fs-extra')
+const path = require('path')
+const { URL } = require('url')
+const { writeJsonAtomic } = require('./atomic_fs')
+
+const ITEM_STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  FAILED: 'failed'
+}
+
+/**
+ * getItemKey derives the key of a listed url; as the crawler replaces the host
+ * name by the IP address of opendata.dwd.de, only the path of the url is used
+ * @param  {String} url the url
+ * @return {String}     the key
+ */
+function getItemKey (url) {
+  return new URL(url).pathname
+}
+
+/**
+ * createCrawlState creates the persisted state of the crawl cycles of one
+ * product, which allows resuming an interrupted cycle after a restart
+ *
+ * the state holds the listing of the current cycle, the status of each listed
+ * file (pending, done or failed including the last error and the number of
+ * attempts) and the start/end time of the current and the last complete cycle;
+ * it is persisted as JSON file at most every `saveIntervalMilliseconds`
+ * @param  {String} filePath the path of the file the state is persisted in
+ * @param  {Object} options  optional; `saveIntervalMilliseconds` (default 5s)
+ * @return {Object}          the state
+ */
+function createCrawlState (filePath, options) {
+  const saveIntervalMilliseconds = _.get(options, 'saveIntervalMilliseconds', 5000)
+
+  let state = {
+    cycle: null,
+    lastCompleteCycle: null,
+    items: {}
+  }
+  let saveTimer = null
+  let saving = Promise.resolve()
+
+  /**
+   * load reads the persisted state; a missing or unreadable file results in
+   * an empty state
+   */
+  async function load () {
+    try {
+      state = _.defaults(await fs.readJson(filePath), { cycle: null, lastCompleteCycle: null, items: {} })
+    } catch (error) {
+      state = { cycle: null, lastCompleteCycle: null, items: {} }
+    }
+  }
+
+  /**
+   * save persists the state immediately; saves never overlap
+   */
+  async function save () {
+    if (!_.isNil(saveTimer)) {
+      clearTimeout(saveTimer)
+      saveTimer = null
+    }
+
+    const snapshot = JSON.parse(JSON.stringify(state))
+    saving = saving.catch(_.noop).then(async () => {
+      await fs.ensureDir(path.dirname(filePath))
+      await writeJsonAtomic(filePath, snapshot)
+    })
+    return saving
+  }
+
+  /**
+   * scheduleSave persists the state after `saveIntervalMilliseconds` unless a
+   * save has already been scheduled
+   */
+  function scheduleSave () {
+    if (!_.isNil(saveTimer)) {
+      return
+    }
+
+    saveTimer = setTimeout(() => {
+      saveTimer = null
+      save().catch(_.noop)
+    }, saveIntervalMilliseconds)
+    saveTimer.unref()
+  }
+
+  /**
+   * hasInterruptedCycle checks whether a cycle has been started but not ended
+   * @return {Boolean} true if the current cycle can be resumed
+   */
+  function hasInterruptedCycle () {
+    return !_.isNil(state.cycle) && _.isNil(state.cycle.endedAt)
+  }
+
+  /**
+   * startCycle records the start of a new cycle and its listing; all listed
+   * files are pending
+   * @param  {Array} listOfUrls the listing of the new cycle
+   */
+  async function startCycle (listOfUrls) {
+    state.cycle = {
+      startedAt: new Date().toISOString(),
+      endedAt: null
+    }
+    state.items = {}
+    _.forEach(listOfUrls, (url) => {
+      state.items[getItemKey(url)] = { status: ITEM_STATUS.PENDING, attempts: 0 }
+    })
+
+    await save()
+  }
+
+  /**
+   * getUnfinishedUrls returns the urls of all files which are pending or failed
+   * in the current cycle
+   * @param  {String} baseUrl the url whose protocol, host and port are used
+   *                          (e.g. the base url using the current IP address)
+   * @return {Array}          the urls
+   */
+  function getUnfinishedUrls (baseUrl) {
+    const keys = _.filter(_.keys(state.items), (key) => state.items[key].status !== ITEM_STATUS.DONE)
+    return _.map(keys, (key) => new URL(key, baseUrl).toString())
+  }
+
+  /**
+   * isDone checks whether a file has been processed in the current cycle
+   * @param  {String} url the url of the file
+   * @return {Boolean}    true if the file is done
+   */
+  function isDone (url) {
+    return _.get(state.items[getItemKey(url)], 'status') === ITEM_STATUS.DONE
+  }
+
+  /**
+   * markDone records that a file has been processed successfully
+   * @param  {String} url the url of the file
+   */
+  function markDone (url) {
+    const item = state.items[getItemKey(url)] || { attempts: 0 }
+    state.items[getItemKey(url)] = {
+      status: ITEM_STATUS.DONE,
+      attempts: item.attempts + 1
+    }
+    scheduleSave()
+  }
+
+  /**
+   * markFailed records that processing a file failed
+   * @param  {String} url   the url of the file
+   * @param  {Error} error  the reason
+   */
+  function markFailed (url, error) {
+    const item = state.items[getItemKey(url)] || { attempts: 0 }
+    state.items[getItemKey(url)] = {
+      status: ITEM_STATUS.FAILED,
+      attempts: item.attempts + 1,
+      error: String(error)
+    }
+    scheduleSave()
+  }
+
+  /**
+   * endCycle records the end of the current cycle and persists the state
+   */
+  async function endCycle () {
+    if (_.isNil(state.cycle)) {
+      return
+    }
+
+    state.cycle.endedAt = new Date().toISOString()
+    state.lastCompleteCycle = _.assign({}, state.cycle, getCounts())
+    await save()
+  }
+
+  /**
+   * getCounts counts the files of the current cycle per status
+   * @return {Object} `{ pending, done, failed }`
+   */
+  function getCounts () {
+    const counts = _.countBy(_.values(state.items), 'status')
+    return {
+      pending: counts[ITEM_STATUS.PENDING] || 0,
+      done: counts[ITEM_STATUS.DONE] || 0,
+      failed: counts[ITEM_STATUS.FAILED] || 0
+    }
+  }
+
+  /**
+   * getSummary returns the current and the last complete cycle
+   * @return {Object} `{ cycle, lastCompleteCycle }`
+   */
+  function getSummary () {
+    return {
+      cycle: _.isNil(state.cycle) ? null : _.assign({}, state.cycle, getCounts()),
+      lastCompleteCycle: state.lastCompleteCycle
+    }
+  }
+
+  return {
+    load: load,
+    save: save,
+    hasInterruptedCycle: hasInterruptedCycle,
+    startCycle: startCycle,
+    getUnfinishedUrls: getUnfinishedUrls,
+    isDone: isDone,
+    markDone: markDone,
+    markFailed: markFailed,
+    endCycle: endCycle,
+    getSummary: getSummary
+  }
+}
+
+exports.ITEM_STATUS = ITEM_STATUS
+exports.createCrawlState = createCrawlState
@@ -19,6 +19,19 @@
 const _ = require('lodash')
 const assert = require('assert')
 const moment = require('moment')
+
+// the header rows of a report hold the parameter codes, their descriptions
+// and their units; the first two columns hold the date and the time
+const HEADER_ROW_COUNT = 3
+const VALUE_COLUMN_OFFSET = 2
+const MISSING_VALUE = '---'
+const MERGE_POLICIES = ['latest-wins', 'first-wins', 'keep-history']
+const DEFAULT_HEADER_LABELS = [
+  ['surface observations', 'parameter'],
+  ['Parameterbeschreibung', 'Datum'],
+  ['Einheit', 'Uhrzeit']
+]
+
 function parseCSV (fileContent) {
   assert(_.isString(fileContent))
   fileContent = fileContent.replace(/\r\n/g, '\n')
@@ -38,7 +51,103 @@ function generateCSV (table) {
   return lines.join('\r\n')
 }
 
-function mergeCSVContents (fileContent1, fileContent2, dateString) {
+/**
+ * parseRowTime parses the date and time of a value row of a report
+ * @param  {Array} row the row as returned by parseCSV
+ * @return {Moment}    the point in time (UTC) or null if the row has no valid
+ *                     date and time
+ */
+function parseRowTime (row) {
+  if (row.length < VALUE_COLUMN_OFFSET) {
+    return null
+  }
+
+  const m = moment.utc(row[0] + ' ' + row[1], 'DD.MM.YY HH:mm', true)
+  return m.isValid() ? m : null
+}
+
+/**
+ * getRowTimestamp parses the date and time of a value row of a report
+ * @param  {Array} row the row as returned by parseCSV
+ * @return {Number}    the point in time in milliseconds since epoch (UTC) or
+ *                     null if the row has no valid date and time
+ */
+function getRowTimestamp (row) {
+  const m = parseRowTime(row)
+  return _.isNil(m) ? null : m.valueOf()
+}
+
+/**
+ * mergeRows merges the value rows of two reports keyed by the point in time
+ * of the observation (UTC)
+ *
+ * rows without a valid date and time and, if `dateString` is given, rows of
+ * other days are dropped; the result is sorted by time, newest first. If both
+ * reports hold different rows for the same point in time, the `policy`
+ * decides which one is kept:
+ * - `latest-wins` (default) keeps the row of `newRows`, e.g. values corrected
+ *   by DWD
+ * - `first-wins` keeps the row of `storedRows`
+ * - `keep-history` keeps the row of `newRows` like `latest-wins`; the caller
+ *   is expected to preserve the replaced rows listed in the conflicts
+ * @param  {Array} storedRows the rows stored so far
+ * @param  {Array} newRows    the rows to be merged
+ * @param  {Object} options   optional; `policy` and `dateString` (`DD.MM.YY`)
+ * @return {Object}           `{ rows, conflicts }` where each conflict is
+ *                            `{ timestamp, storedRow, newRow, kept }`
+ */
+function mergeRows (storedRows, newRows, options) {
+  const policy = _.get(options, 'policy') || 'latest-wins'
+  const dateString = _.get(options, 'dateString')
+  if (!_.includes(MERGE_POLICIES, policy)) {
+    throw new Error('unknown merge policy ' + policy + ' (known policies: ' + MERGE_POLICIES.join(', ') + ')')
+  }
+
+  const rows = new Map()
+  const conflicts = []
+  const addRow = (row) => {
+    const timestamp = getRowTimestamp(row)
+    if (_.isNil(timestamp) || (!_.isNil(dateString) && row[0] !== dateString)) {
+      return
+    }
+
+    const storedRow = rows.get(timestamp)
+    if (_.isNil(storedRow)) {
+      rows.set(timestamp, row)
+      return
+    }
+
+    if (_.isEqual(storedRow, row)) {
+      return
+    }
+
+    const kept = policy === 'first-wins' ? 'stored' : 'new'
+    conflicts.push({ timestamp: new Date(timestamp), storedRow: storedRow, newRow: row, kept: kept })
+    if (kept === 'new') {
+      rows.set(timestamp, row)
+    }
+  }
+
+  _.forEach(storedRows, addRow)
+  _.forEach(newRows, addRow)
+
+  const timestamps = Array.from(rows.keys()).sort((a, b) => b - a)
+  return {
+    rows: _.map(timestamps, (timestamp) => rows.get(timestamp)),
+    conflicts: conflicts
+  }
+}
+
+/**
+ * mergeCSVContents merges two reports holding the same parameters and keeps
+ * the rows of a single day (see mergeRows)
+ * @param  {String} fileContent1 the content stored so far
+ * @param  {String} fileContent2 the content to be merged
+ * @param  {String} dateString   the day to be kept as `DD.MM.YY`
+ * @param  {Object} options      optional; `policy` (see mergeRows)
+ * @return {String}              the merged content
+ */
+function mergeCSVContents (fileContent1, fileContent2, dateString, options) {
   assert(_.isString(fileContent1))
   assert(_.isString(fileContent2))
   assert(_.isString(dateString))
@@ -46,74 +155,269 @@ function mergeCSVContents (fileContent1, fileContent2, dateString) {
   const table1 = parseCSV(fileContent1)
   const table2 = parseCSV(fileContent2)
 
-  if (table1.length < 3) {
+  if (table1.length < HEADER_ROW_COUNT) {
     throw new Error('table1.length < 3')
   }
 
-  if (table2.length < 3) {
+  if (table2.length < HEADER_ROW_COUNT) {
     throw new Error('table2.length < 3')
   }
 
-  for (let i = 0; i < 3; i++) {
+  for (let i = 0; i < HEADER_ROW_COUNT; i++) {
     if (!_.isEqual(table1[i], table2[i])) {
       throw new Error('different table headings')
     }
   }
 
-  for (let i = 3; i < table2.length; i++) {
-    const table2Row = table2[i]
-    const table1Row = _.find(table1, (table1Row) => {
-      return _.isEqual(table1Row, table2Row)
-    })
+  const merged = mergeRows(table1.slice(HEADER_ROW_COUNT), table2.slice(HEADER_ROW_COUNT), {
+    policy: _.get(options, 'policy'),
+    dateString: dateString
+  })
+
+  return generateCSV(_.concat(table1.slice(0, HEADER_ROW_COUNT), merged.rows))
+}
+
+/**
+ * parseValue converts a value of a report, which uses decimal commas and
+ * `---` for missing values
+ * @param  {String} text the value as stored in the report
+ * @return {Number}      the number or null if it is missing or not a number
+ */
+function parseValue (text) {
+  if (_.isNil(text) || !/^[-+]?\d+(,\d+)?$/.test(text)) {
+    return null
+  }
+
+  return Number(text.replace(',', '.'))
+}
+
+/**
+ * formatValue converts a number to the notation used in reports
+ * @param  {Number} value    the number or null
+ * @param  {Number} decimals the number of decimal places or null to use as
+ *                           many as necessary
+ * @return {String}          the value as stored in a report
+ */
+function formatValue (value, decimals) {
+  if (_.isNil(value)) {
+    return MISSING_VALUE
+  }
 
-    if (_.isNil(table1Row)) {
-      table1.push(table2Row)
+  const text = _.isNil(decimals) ? String(value) : value.toFixed(decimals)
+  return text.replace('.', ',')
+}
+
+/**
+ * countDecimals determines the number of decimal places used most often for
+ * the values of a column
+ * @param  {Array} texts the values of the column as stored in the report
+ * @return {Number}      the number of decimal places or null if the column
+ *                       holds no numbers at all
+ */
+function countDecimals (texts) {
+  const counts = _.countBy(_.filter(texts, (text) => !_.isNil(parseValue(text))), (text) => {
+    const index = text.indexOf(',')
+    return index < 0 ? 0 : text.length - index - 1
+  })
+
+  if (_.isEmpty(counts)) {
+    return null
+  }
+
+  return Number(_.maxBy(_.keys(counts), (decimals) => counts[decimals]))
+}
+
+/**
+ * parseReport parses a report (`*-BEOB.csv`) into its parameters and typed
+ * rows
+ *
+ * besides the parameters and rows, the result holds the `format` of the file
+ * (line separator and the labels of the date and time columns) as well as the
+ * original `text` of each value which would not be reproduced by formatting
+ * the typed value; thus serializeReport reproduces the file byte by byte
+ *
+ * value rows with a wrong number of columns or an invalid date fail parsing
+ * unless `lenient` is set; then they are skipped and listed in `skippedRows`
+ * as `{ row, error }` (row numbers start at 1)
+ * @param  {String} content the content of the report
+ * @param  {Object} options optional; `station`, the station ID, and `lenient`
+ * @return {Object}         `{ station, parameters, rows, format }` where each
+ *                          parameter is `{ code, description, unit, decimals }`
+ *                          and each row is `{ timestamp, values }` (plus
+ *                          `text` for values that cannot be reproduced)
+ */
+function parseReport (content, options) {
+  assert(_.isString(content))
+
+  const lineSeparator = content.indexOf('\r\n') >= 0 ? '\r\n' : '\n'
+  const trailingLineSeparator = _.endsWith(content, lineSeparator)
+  const lines = (trailingLineSeparator ? content.slice(0, -lineSeparator.length) : content).split(lineSeparator)
+  const table = _.map(lines, (line) => line.split(';'))
+
+  if (table.length < HEADER_ROW_COUNT) {
+    throw new Error('report has less than ' + HEADER_ROW_COUNT + ' header rows')
+  }
+
+  const codes = table[0].slice(VALUE_COLUMN_OFFSET)
+  const checkRow = (row, index) => {
+    if (row.length !== codes.length + VALUE_COLUMN_OFFSET) {
+      return 'row ' + (index + 1) + ' of the report has ' + row.length + ' instead of ' + (codes.length + VALUE_COLUMN_OFFSET) + ' columns'
     }
+
+    if (index >= HEADER_ROW_COUNT && _.isNil(parseRowTime(row))) {
+      return 'row ' + (index + 1) + ' of the report has an invalid date'
+    }
+
+    return null
   }
 
-  // get rid of all lines which are too short
-  _.remove(table1, (line) => {
-    return line.length < 2
+  const lenient = _.get(options, 'lenient') === true
+  const valueRows = []
+  const skippedRows = []
+  _.forEach(table, (row, index) => {
+    const error = checkRow(row, index)
+    if (!_.isNil(error) && (!lenient || index < HEADER_ROW_COUNT)) {
+      throw new Error(error)
+    }
+
+    if (!_.isNil(error)) {
+      skippedRows.push({ row: index + 1, error: error })
+    } else if (index >= HEADER_ROW_COUNT) {
+      valueRows.push(row)
+    }
   })
 
-  // get of all lines which do not have a valid date
-  _.remove(table1, (line, index) => {
-    if (index < 3) {
-      return false
+  const parameters = _.map(codes, (code, i) => {
+    const column = i + VALUE_COLUMN_OFFSET
+    return {
+      code: code,
+      description: table[1][column],
+      unit: table[2][column],
+      decimals: countDecimals(_.map(valueRows, column))
     }
+  })
 
-    const dateString = line[0]
-    const timeString = line[1]
+  const rows = _.map(valueRows, (row) => {
+    const m = parseRowTime(row)
+    const values = {}
+    const text = {}
+    _.forEach(parameters, (parameter, i) => {
+      const cell = row[i + VALUE_COLUMN_OFFSET]
+      values[parameter.code] = parseValue(cell)
+      if (formatValue(values[parameter.code], parameter.decimals) !== cell) {
+        text[parameter.code] = cell
+      }
+    })
 
-    const m = moment(dateString + ' ' + timeString, 'DD.MM.YY HH:mm')
-    return !m.isValid()
+    return _.isEmpty(text)
+      ? { timestamp: m.toDate(), values: values }
+      : { timestamp: m.toDate(), values: values, text: text }
   })
 
-  // get rid of all lines which have a wrong date string
-  _.remove(table1, (line, index) => {
-    if (index < 3) {
-      return false
+  const report = {
+    station: _.get(options, 'station', null),
+    parameters: parameters,
+    rows: rows,
+    format: {
+      lineSeparator: lineSeparator,
+      trailingLineSeparator: trailingLineSeparator,
+      headerLabels: _.map(table.slice(0, HEADER_ROW_COUNT), (row) => row.slice(0, VALUE_COLUMN_OFFSET))
     }
-    // console.log('%s vs. %s', line[0], dateString)
-    return line[0] !== dateString
+  }
+
+  return lenient ? _.assign(report, { skippedRows: skippedRows }) : report
+}
+
+/**
+ * serializeReport converts a report as returned by parseReport back to the
+ * format of DWD
+ *
+ * the original text of a value is only used as long as it still represents
+ * the typed value; changed values are formatted using the decimal places of
+ * the parameter
+ * @param  {Object} report the report; `format` and `text` are optional
+ * @return {String}        the content of the report
+ */
+function serializeReport (report) {
+  const format = _.defaults({}, report.format, {
+    lineSeparator: '\r\n',
+    trailingLineSeparator: false,
+    headerLabels: DEFAULT_HEADER_LABELS
   })
 
-  var valueLines = table1.slice(3)
-  valueLines = _.sortBy(valueLines, (line) => {
-    const dateString = line[0]
-    const timeString = line[1]
+  const table = [
+    _.concat(format.headerLabels[0], _.map(report.parameters, 'code')),
+    _.concat(format.headerLabels[1], _.map(report.parameters, 'description')),
+    _.concat(format.headerLabels[2], _.map(report.parameters, 'unit'))
+  ]
 
-    const m = moment(dateString + ' ' + timeString, 'DD.MM.YY HH:mm')
+  _.forEach(report.rows, (row) => {
+    const m = moment.utc(row.timestamp)
+    const cells = _.map(report.parameters, (parameter) => {
+      const value = _.get(row.values, parameter.code, null)
+      const text = _.get(row.text, parameter.code)
+      if (!_.isNil(text) && parseValue(text) === value) {
+        return text
+      }
 
-    return m.valueOf()
+      return formatValue(value, _.get(parameter, 'decimals', null))
+    })
+
+    table.push(_.concat([m.format('DD.MM.YY'), m.format('HH:mm')], cells))
   })
 
-  _.reverse(valueLines)
+  const content = _.map(table, (row) => row.join(';')).join(format.lineSeparator)
+  return format.trailingLineSeparator ? content + format.lineSeparator : content
+}
+
+/**
+ * reportToJsonLines exports a report as JSON Lines, one object
+ * `{ station, timestamp, values }` per row with the timestamp in ISO 8601
+ * @param  {Object} report the report as returned by parseReport
+ * @return {String}        the JSON Lines
+ */
+function reportToJsonLines (report) {
+  return _.map(report.rows, (row) => {
+    return JSON.stringify({
+      station: report.station,
+      timestamp: row.timestamp.toISOString(),
+      values: row.values
+    }) + '\n'
+  }).join('')
+}
+
+/**
+ * reportToCsv exports a report as comma separated values with a header row,
+ * ISO 8601 timestamps and decimal points; missing values are empty
+ * @param  {Object} report the report as returned by parseReport
+ * @return {String}        the CSV
+ */
+function reportToCsv (report) {
+  const quote = (text) => /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text
+  const codes = _.map(report.parameters, 'code')
+
+  const lines = [_.map(_.concat(['station', 'timestamp'], codes), quote).join(',')]
+  _.forEach(report.rows, (row) => {
+    const values = _.map(codes, (code) => _.isNil(row.values[code]) ? '' : String(row.values[code]))
+    lines.push(_.concat([quote(report.station || ''), row.timestamp.toISOString()], values).join(','))
+  })
 
-  var result = _.concat(table1.slice(0, 3), valueLines)
-  return generateCSV(result)
+  return lines.join('\r\n') + '\r\n'
 }
 
+exports.HEADER_ROW_COUNT = HEADER_ROW_COUNT
+exports.MERGE_POLICIES = MERGE_POLICIES
+exports.MISSING_VALUE = MISSING_VALUE
+exports.VALUE_COLUMN_OFFSET = VALUE_COLUMN_OFFSET
 exports.parseCSV = parseCSV
 exports.generateCSV = generateCSV
 exports.mergeCSVContents = mergeCSVContents
+exports.mergeRows = mergeRows
+exports.getRowTimestamp = getRowTimestamp
+exports.parseRowTime = parseRowTime
+exports.parseValue = parseValue
+exports.formatValue = formatValue
+exports.parseReport = parseReport
+exports.serializeReport = serializeReport
+exports.reportToJsonLines = reportToJsonLines
+exports.reportToCsv = reportToCsv
@@ -20,9 +20,29 @@
 const $ = require('jquery')(new JSDOM().window) */
 
 const cheerio = require('cheerio')
-const got = require('got')
 const _ = require('lodash')
 const assert = require('assert')
+const fs = require('fs-extra')
+const lz4 = require('lz4js')
+const path = require('path')
+const { createHttpClient } = require('./http_client')
+
+const defaultHttpClient = createHttpClient()
+
+// Mapping of the quantities of COSMO-D2 (as used in the directory names) to
+// the names and units used within dwd_data_crawler
+const QUANTITY_MAPPINGS_PATH = path.join(__dirname, '..', 'configuration', 'grib_data_quantity_mappings.json')
+
+// Units of the forecast time (code table 4.4) in milliseconds
+const TIME_UNITS = {
+  0: 60 * 1000,
+  1: 60 * 60 * 1000,
+  2: 24 * 60 * 60 * 1000,
+  10: 3 * 60 * 60 * 1000,
+  11: 6 * 60 * 60 * 1000,
+  12: 12 * 60 * 60 * 1000,
+  13: 1000
+}
 
 /**
  * convertCsv2Json converts a string in csv format to a JSON Array
@@ -50,13 +70,18 @@ function convertCsv2Json (csv, delimiter) {
  *
  * files in this context means href attributes of a tags
  * @param  {String} baseUrl the base url where to search for files
+ * @param  {Object} options optional; `httpClient` to be used for requests and
+ *                          `filter`, a function `(href)` returning false for
+ *                          files to be skipped
  * @return {Array}          the list of files (i.e. complete urls)
  */
-async function crawlListOfFilePaths (baseUrl) {
+async function crawlListOfFilePaths (baseUrl, options) {
+  const httpClient = _.get(options, 'httpClient') || defaultHttpClient
+  const filter = _.get(options, 'filter') || _.stubTrue
   const listOfFiles = []
 
   // fetch content from url and parse it as text
-  const result = await got(baseUrl, { rejectUnauthorized: false }).text()
+  const result = await httpClient.getText(baseUrl)
 
   const $ = cheerio.load(result)
   const as = $('a')
@@ -67,44 +92,49 @@ async function crawlListOfFilePaths (baseUrl) {
       continue
     }
 
+    if (!filter(href)) {
+      continue
+    }
+
     listOfFiles.push(baseUrl + href)
   }
 
   return listOfFiles
 }
 
+/**
+ * isRegularSingleLevelFile checks whether a grib2 file holds single-level data
+ * in regular coordinates
+ * @param  {String} fileName the name of the file
+ * @return {Boolean}         true if the file is of interest
+ */
+function isRegularSingleLevelFile (fileName) {
+  return fileName.indexOf('single-level') > 0 && fileName.indexOf('regular') > 0
+}
+
 /**
  * crawlListOfGrib2FilePaths asynchronously and recursivele queries a list of
  * that hold certain properties from a given base url
  *
  * files in this context means href attributes of a tags
+ *
+ * the directory tree is organized as `$RUN_HOUR/$VARIABLE/`; directories of
+ * variables for which `options.variableFilter(variable)` returns false are
+ * not crawled at all; `options.fileFilter(fileName)` selects the files listed
+ * (by default single-level files in regular coordinates)
  * @param  {String} baseUrl     the base url to start the recursive query from
+ * @param  {Object} options     optional; `httpClient` to be used for requests,
+ *                              `variableFilter` and `fileFilter`
  * @param  {Array} listOfFiles  the list of files where the results shall be stored
  * @return {Array}              the list of files
  */
-async function crawlListOfGrib2FilePaths (baseUrl, listOfFiles) {
+async function crawlListOfGrib2FilePaths (baseUrl, options, listOfFiles) {
   if (_.isNil(listOfFiles)) {
     listOfFiles = []
   }
 
-  var result
-  var attempt = 0
-  for (;;) {
-    try {
-      result = await request({
-        method: 'get',
-        url: baseUrl,
-        simple: true,
-        strictSSL: false
-      })
-      break
-    } catch (error) {
-      attempt++
-      if (attempt > 3) {
-        throw (error)
-      }
-    }
-  }
+  const httpClient = _.get(options, 'httpClient') || defaultHttpClient
+  const result = await httpClient.getText(baseUrl)
 
   const $ = cheerio.load(result)
   const as = $('a')
@@ -120,12 +150,10 @@ async function crawlListOfGrib2FilePaths (baseUrl, listOfFiles) {
       continue
     }
 
-    // currently only single-level files in regular coordinates are of interest
     if (href.endsWith('.grib2.bz2')) {
-      if (href.indexOf('single-level') > 0) {
-        if (href.indexOf('regular') > 0) {
-          listOfFiles.push(baseUrl + href)
-        }
+      const fileFilter = _.get(options, 'fileFilter') || isRegularSingleLevelFile
+      if (fileFilter(href)) {
+        listOfFiles.push(baseUrl + href)
       }
       continue
     }
@@ -134,12 +162,513 @@ async function crawlListOfGrib2FilePaths (baseUrl, listOfFiles) {
       continue
     }
 
-    await crawlListOfGrib2FilePaths(baseUrl + href, listOfFiles)
+    // any directory but the ones of the run hours is a variable directory
+    const variableFilter = _.get(options, 'variableFilter')
+    if (!_.isNil(variableFilter) && !/^\d{2}\/$/.test(href) && !variableFilter(_.trimEnd(href, '/'))) {
+      continue
+    }
+
+    await crawlListOfGrib2FilePaths(baseUrl + href, options, listOfFiles)
   }
 
   return listOfFiles
 }
 
+/**
+ * readSigned reads a signed integer as encoded in GRIB2, i.e. the most
+ * significant bit is the sign and the remaining bits hold the magnitude
+ * @param  {Buffer} buffer the buffer
+ * @param  {Number} offset the offset of the first byte
+ * @param  {Number} length the number of bytes
+ * @return {Number}        the value
+ */
+function readSigned (buffer, offset, length) {
+  const raw = buffer.readUIntBE(offset, length)
+  const signBit = Math.pow(2, 8 * length - 1)
+
+  return raw >= signBit ? -(raw - signBit) : raw
+}
+
+/**
+ * unpackBits reads a sequence of unsigned integers of a fixed bit width
+ * @param  {Buffer} buffer       the packed data
+ * @param  {Number} count        the number of values
+ * @param  {Number} bitsPerValue the bit width of each value
+ * @return {Float64Array}        the values
+ */
+function unpackBits (buffer, count, bitsPerValue) {
+  const values = new Float64Array(count)
+  if (bitsPerValue === 0) {
+    return values
+  }
+
+  if (Math.ceil(count * bitsPerValue / 8) > buffer.length) {
+    throw new Error('grib2 data section is too short')
+  }
+
+  let bitOffset = 0
+  for (let i = 0; i < count; i++) {
+    let value = 0
+    let remaining = bitsPerValue
+
+    while (remaining > 0) {
+      const available = 8 - (bitOffset & 7)
+      const take = Math.min(available, remaining)
+      const bits = (buffer[bitOffset >> 3] >> (available - take)) & ((1 << take) - 1)
+
+      value = value * (1 << take) + bits
+      remaining = remaining - take
+      bitOffset = bitOffset + take
+    }
+
+    values[i] = value
+  }
+
+  return values
+}
+
+/**
+ * parseGridDefinition parses section 3 of a GRIB2 message; only regular
+ * latitude/longitude grids (template 3.0) are supported
+ * @param  {Buffer} section the section
+ * @return {Object}         the grid, coordinates are given in degrees
+ */
+function parseGridDefinition (section) {
+  const template = section.readUInt16BE(12)
+  if (template !== 0) {
+    throw new Error('unsupported grib2 grid definition template 3.' + template)
+  }
+
+  const basicAngle = section.readUInt32BE(38)
+  const subdivisions = section.readUInt32BE(42)
+  const unit = (basicAngle === 0 || basicAngle === 0xffffffff) ? 1e-6 : basicAngle / subdivisions
+
+  const grid = {
+    template: template,
+    numberOfPoints: section.readUInt32BE(6),
+    ni: section.readUInt32BE(30),
+    nj: section.readUInt32BE(34),
+    la1: readSigned(section, 46, 4) * unit,
+    lo1: readSigned(section, 50, 4) * unit,
+    la2: readSigned(section, 55, 4) * unit,
+    lo2: readSigned(section, 59, 4) * unit,
+    di: section.readUInt32BE(63) * unit,
+    dj: section.readUInt32BE(67) * unit,
+    scanningMode: section.readUInt8(71)
+  }
+
+  if ((grid.scanningMode & 0x20) !== 0) {
+    throw new Error('unsupported grib2 scanning mode ' + grid.scanningMode)
+  }
+
+  return grid
+}
+
+/**
+ * parseProductDefinition parses section 4 of a GRIB2 message; the fields
+ * read are shared by the templates 4.0 to 4.15
+ * @param  {Buffer} section       the section
+ * @param  {Date} referenceTime   the reference time of the message
+ * @return {Object}               the product
+ */
+function parseProductDefinition (section, referenceTime) {
+  const template = section.readUInt16BE(7)
+  if (template > 15) {
+    throw new Error('unsupported grib2 product definition template 4.' + template)
+  }
+
+  const forecastTimeUnit = section.readUInt8(17)
+  const forecastTime = section.readUInt32BE(18)
+  const unitMilliseconds = TIME_UNITS[forecastTimeUnit]
+  if (_.isNil(unitMilliseconds)) {
+    throw new Error('unsupported grib2 forecast time unit ' + forecastTimeUnit)
+  }
+
+  return {
+    template: template,
+    parameterCategory: section.readUInt8(9),
+    parameterNumber: section.readUInt8(10),
+    forecastTime: forecastTime,
+    forecastTimeUnit: forecastTimeUnit,
+    validTime: new Date(referenceTime.getTime() + forecastTime * unitMilliseconds),
+    firstSurface: {
+      type: section.readUInt8(22),
+      value: readSigned(section, 24, 4) / Math.pow(10, readSigned(section, 23, 1))
+    }
+  }
+}
+
+/**
+ * parseDataRepresentation parses section 5 of a GRIB2 message; only simple
+ * packing (template 5.0) is supported
+ * @param  {Buffer} section the section
+ * @return {Object}         the packing parameters
+ */
+function parseDataRepresentation (section) {
+  const template = section.readUInt16BE(9)
+  if (template !== 0) {
+    throw new Error('unsupported grib2 data representation template 5.' + template)
+  }
+
+  return {
+    template: template,
+    numberOfValues: section.readUInt32BE(5),
+    referenceValue: section.readFloatBE(11),
+    binaryScaleFactor: readSigned(section, 15, 2),
+    decimalScaleFactor: readSigned(section, 17, 2),
+    bitsPerValue: section.readUInt8(19)
+  }
+}
+
+/**
+ * decodeValues decodes the values of a field packed by simple packing, i.e.
+ * `Y = (R + X * 2^E) / 10^D`; points missing according to the bitmap are NaN
+ * @param  {Buffer} data               the content of section 7 (without header)
+ * @param  {Object} dataRepresentation the packing parameters
+ * @param  {Buffer} bitmap             the bitmap (or null if all points are given)
+ * @param  {Number} numberOfPoints     the number of grid points
+ * @return {Float64Array}              the values of all grid points
+ */
+function decodeValues (data, dataRepresentation, bitmap, numberOfPoints) {
+  const packed = unpackBits(data, dataRepresentation.numberOfValues, dataRepresentation.bitsPerValue)
+  const binaryScale = Math.pow(2, dataRepresentation.binaryScaleFactor)
+  const decimalScale = Math.pow(10, dataRepresentation.decimalScaleFactor)
+  const referenceValue = dataRepresentation.referenceValue
+
+  const values = new Float64Array(numberOfPoints)
+  let packedIndex = 0
+  for (let i = 0; i < numberOfPoints; i++) {
+    if (!_.isNil(bitmap) && ((bitmap[i >> 3] >> (7 - (i & 7))) & 1) === 0) {
+      values[i] = NaN
+      continue
+    }
+
+    values[i] = (referenceValue + packed[packedIndex] * binaryScale) / decimalScale
+    packedIndex++
+  }
+
+  if (packedIndex !== packed.length) {
+    throw new Error('number of grib2 values does not match the grid')
+  }
+
+  return values
+}
+
+/**
+ * decodeGrib2 decodes all fields of GRIB2 data, e.g. the content of a file
+ * downloaded from opendata.dwd.de
+ *
+ * each field consists of
+ * - `discipline`, `centre` and `referenceTime` of the message
+ * - `grid`, the regular latitude/longitude grid with `ni` columns and `nj`
+ *   rows from (`la1`, `lo1`) to (`la2`, `lo2`) in steps of `di` and `dj`
+ *   degrees
+ * - `product` holding parameter, forecast time and `validTime`
+ * - `values`, the values of all grid points in scanning order; missing
+ *   values are NaN
+ * @param  {Buffer} buffer the GRIB2 data
+ * @return {Array}         the fields
+ */
+function decodeGrib2 (buffer) {
+  const fields = []
+  let offset = 0
+
+  while (offset < buffer.length) {
+    const start = buffer.indexOf('GRIB', offset, 'latin1')
+    if (start < 0) {
+      break
+    }
+
+    if (buffer.readUInt8(start + 7) !== 2) {
+      throw new Error('unsupported grib edition ' + buffer.readUInt8(start + 7))
+    }
+
+    const discipline = buffer.readUInt8(start + 6)
+    const messageLength = Number(buffer.readBigUInt64BE(start + 8))
+    const end = start + messageLength
+    if (end > buffer.length || buffer.toString('latin1', end - 4, end) !== '7777') {
+      throw new Error('grib2 message is truncated')
+    }
+
+    let message = { discipline: discipline }
+    let grid = null
+    let product = null
+    let dataRepresentation = null
+    let bitmap = null
+
+    let sectionOffset = start + 16
+    while (sectionOffset < end - 4) {
+      const sectionLength = buffer.readUInt32BE(sectionOffset)
+      const section = buffer.slice(sectionOffset, sectionOffset + sectionLength)
+      const sectionNumber = section.readUInt8(4)
+
+      if (sectionNumber === 1) {
+        message = {
+          discipline: discipline,
+          centre: section.readUInt16BE(5),
+          referenceTime: new Date(Date.UTC(
+            section.readUInt16BE(12),
+            section.readUInt8(14) - 1,
+            section.readUInt8(15),
+            section.readUInt8(16),
+            section.readUInt8(17),
+            section.readUInt8(18)
+          ))
+        }
+      } else if (sectionNumber === 3) {
+        grid = parseGridDefinition(section)
+      } else if (sectionNumber === 4) {
+        product = parseProductDefinition(section, message.referenceTime)
+      } else if (sectionNumber === 5) {
+        dataRepresentation = parseDataRepresentation(section)
+      } else if (sectionNumber === 6) {
+        const indicator = section.readUInt8(5)
+        if (indicator === 0) {
+          bitmap = section.slice(6)
+        } else if (indicator === 255) {
+          bitmap = null
+        } else if (indicator !== 254) {
+          throw new Error('unsupported grib2 bitmap indicator ' + indicator)
+        }
+      } else if (sectionNumber === 7) {
+        if (_.isNil(grid) || _.isNil(product) || _.isNil(dataRepresentation)) {
+          throw new Error('grib2 data section precedes its definitions')
+        }
+
+        fields.push(_.assign({}, message, {
+          grid: grid,
+          product: product,
+          values: decodeValues(section.slice(5), dataRepresentation, bitmap, grid.numberOfPoints)
+        }))
+      }
+
+      sectionOffset = sectionOffset + sectionLength
+    }
+
+    offset = end
+  }
+
+  if (fields.length === 0) {
+    throw new Error('data do not contain any grib2 message')
+  }
+
+  return fields
+}
+
+/**
+ * checkGrib2Framing verifies the structure of GRIB2 data without decoding the
+ * values
+ *
+ * the data must consist of consecutive messages each starting with `GRIB`,
+ * holding edition 2, ending with `7777` at the position given by the message
+ * length and made up of sections filling the message exactly
+ * @param  {Buffer} buffer the GRIB2 data
+ * @return {Number}        the number of messages
+ */
+function checkGrib2Framing (buffer) {
+  let count = 0
+  let offset = 0
+
+  while (offset < buffer.length) {
+    if (offset + 16 > buffer.length || buffer.toString('latin1', offset, offset + 4) !== 'GRIB') {
+      throw new Error('no grib2 message starts at byte ' + offset)
+    }
+
+    if (buffer.readUInt8(offset + 7) !== 2) {
+      throw new Error('unsupported grib edition ' + buffer.readUInt8(offset + 7) + ' at byte ' + offset)
+    }
+
+    const end = offset + Number(buffer.readBigUInt64BE(offset + 8))
+    if (end > buffer.length || buffer.toString('latin1', end - 4, end) !== '7777') {
+      throw new Error('grib2 message at byte ' + offset + ' is truncated')
+    }
+
+    let sectionOffset = offset + 16
+    while (sectionOffset < end - 4) {
+      const sectionLength = sectionOffset + 5 <= end - 4 ? buffer.readUInt32BE(sectionOffset) : 0
+      if (sectionLength < 5) {
+        throw new Error('invalid grib2 section at byte ' + sectionOffset)
+      }
+      sectionOffset += sectionLength
+    }
+
+    if (sectionOffset !== end - 4) {
+      throw new Error('grib2 sections of the message at byte ' + offset + ' overrun its end')
+    }
+
+    count++
+    offset = end
+  }
+
+  if (count === 0) {
+    throw new Error('data do not contain any grib2 message')
+  }
+
+  return count
+}
+
+/**
+ * readGrib2File reads and decodes a GRIB2 file as stored by the crawler, i.e.
+ * lz4 compressed if its name ends with `.lz4`
+ * @param  {String} filePath the path of the file
+ * @return {Array}           the fields as returned by decodeGrib2
+ */
+async function readGrib2File (filePath) {
+  let content = await fs.readFile(filePath)
+
+  if (_.endsWith(filePath, '.lz4')) {
+    content = Buffer.from(lz4.decompress(content))
+  }
+
+  return decodeGrib2(content)
+}
+
+/**
+ * getGridPosition computes the (fractional) row and column of a location
+ * @param  {Object} grid      the grid of a field
+ * @param  {Number} latitude  the latitude in degrees
+ * @param  {Number} longitude the longitude in degrees
+ * @return {Object}           `{ row, column }` or null if outside of the grid
+ */
+function getGridPosition (grid, latitude, longitude) {
+  const northToSouth = (grid.scanningMode & 0x40) === 0
+  const eastToWest = (grid.scanningMode & 0x80) !== 0
+
+  const row = (northToSouth ? grid.la1 - latitude : latitude - grid.la1) / grid.dj
+  const longitudeOffset = eastToWest ? grid.lo1 - longitude : longitude - grid.lo1
+  const column = (((longitudeOffset % 360) + 360) % 360) / grid.di
+
+  // tolerate rounding errors at the edges of the grid
+  const epsilon = 1e-9
+  if (row < -epsilon || row > grid.nj - 1 + epsilon || column > grid.ni - 1 + epsilon) {
+    return null
+  }
+
+  return {
+    row: _.clamp(row, 0, grid.nj - 1),
+    column: _.clamp(column, 0, grid.ni - 1)
+  }
+}
+
+/**
+ * extractValueAtLocation reads the value of a field at a location
+ * @param  {Object} field     a field as returned by decodeGrib2
+ * @param  {Number} latitude  the latitude in degrees
+ * @param  {Number} longitude the longitude in degrees
+ * @param  {String} method    optional; 'nearest' (default) for the value of
+ *                            the nearest grid point or 'bilinear' for the
+ *                            value interpolated from the surrounding ones
+ * @return {Number}           the value or null if the location is outside
+ *                            of the grid or the value is missing
+ */
+function extractValueAtLocation (field, latitude, longitude, method) {
+  const grid = field.grid
+  const position = getGridPosition(grid, latitude, longitude)
+  if (_.isNil(position)) {
+    return null
+  }
+
+  const getValue = (row, column) => field.values[row * grid.ni + column]
+
+  let value = null
+  if (_.isNil(method) || method === 'nearest') {
+    value = getValue(Math.round(position.row), Math.round(position.column))
+  } else if (method === 'bilinear') {
+    const row0 = Math.floor(position.row)
+    const column0 = Math.floor(position.column)
+    const row1 = Math.min(row0 + 1, grid.nj - 1)
+    const column1 = Math.min(column0 + 1, grid.ni - 1)
+    const rowWeight = position.row - row0
+    const columnWeight = position.column - column0
+
+    value = (1 - rowWeight) * ((1 - columnWeight) * getValue(row0, column0) + columnWeight * getValue(row0, column1)) +
+      rowWeight * ((1 - columnWeight) * getValue(row1, column0) + columnWeight * getValue(row1, column1))
+  } else {
+    throw new Error('unknown interpolation method: ' + method)
+  }
+
+  return _.isNaN(value) ? null : value
+}
+
+/**
+ * loadQuantityMappings reads the mapping of the COSMO-D2 quantities
+ * (`sourceLabel`) to the names and units used within dwd_data_crawler
+ * (`targetLabel`, `factor` and `offset`)
+ * @param  {String} filePath optional; the path of the mapping file
+ * @return {Array}           the mappings
+ */
+async function loadQuantityMappings (filePath) {
+  return fs.readJson(filePath || QUANTITY_MAPPINGS_PATH)
+}
+
+/**
+ * findQuantityMapping looks up the mapping of a quantity
+ * @param  {Array} mappings   the mappings as returned by loadQuantityMappings
+ * @param  {String} variable  the `sourceLabel` of the quantity, e.g. `t_2m`
+ * @return {Object}           the mapping
+ */
+function findQuantityMapping (mappings, variable) {
+  const mapping = _.find(mappings, (mapping) => _.toLower(mapping.sourceLabel) === _.toLower(variable))
+  if (_.isNil(mapping)) {
+    throw new Error('unknown COSMO-D2 variable: ' + variable)
+  }
+
+  return mapping
+}
+
+/**
+ * applyQuantityMapping scales a value as defined by a quantity mapping
+ * @param  {Number} value   the value as decoded
+ * @param  {Object} mapping the mapping
+ * @return {Number}         `value * factor + offset` or null if value is null
+ */
+function applyQuantityMapping (value, mapping) {
+  if (_.isNil(value)) {
+    return null
+  }
+
+  return value * mapping.factor + mapping.offset
+}
+
+/**
+ * getDataForLocation reads the values of a stored GRIB2 file at a location,
+ * labelled and scaled as defined by the quantity mappings
+ * @param  {String} filePath  the path of the file, e.g.
+ *                            `.../cosmo-d2/grib/2019030109/t_2m/$FILE.grib2.lz4`
+ * @param  {Number} latitude  the latitude in degrees
+ * @param  {Number} longitude the longitude in degrees
+ * @param  {Object} options   optional; `variable` (by default the name of the
+ *                            directory holding the file), `method` (see
+ *                            extractValueAtLocation) and `mappings`
+ * @return {Array}            one `{ label, sourceLabel, referenceTime,
+ *                            validTime, value }` per field of the file
+ */
+async function getDataForLocation (filePath, latitude, longitude, options) {
+  const variable = _.get(options, 'variable') || path.basename(path.dirname(filePath))
+  const mappings = _.get(options, 'mappings') || await loadQuantityMappings()
+  const mapping = findQuantityMapping(mappings, variable)
+
+  const fields = await readGrib2File(filePath)
+
+  return _.map(fields, (field) => {
+    return {
+      label: mapping.targetLabel,
+      sourceLabel: mapping.sourceLabel,
+      referenceTime: field.referenceTime,
+      validTime: field.product.validTime,
+      value: applyQuantityMapping(extractValueAtLocation(field, latitude, longitude, _.get(options, 'method')), mapping)
+    }
+  })
+}
+
+exports.applyQuantityMapping = applyQuantityMapping
+exports.checkGrib2Framing = checkGrib2Framing
 exports.convertCsv2Json = convertCsv2Json
 exports.crawlListOfGrib2FilePaths = crawlListOfGrib2FilePaths
 exports.crawlListOfFilePaths = crawlListOfFilePaths
+exports.decodeGrib2 = decodeGrib2
+exports.extractValueAtLocation = extractValueAtLocation
+exports.findQuantityMapping = findQuantityMapping
+exports.getDataForLocation = getDataForLocation
+exports.loadQuantityMappings = loadQuantityMappings
+exports.readGrib2File = readGrib2File
@@ -0,0 +1,187 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const cheerio = require('cheerio')
+const fs = require('fs-extra')
+const { openKmlStream } = require('./mosmix_bundle')
+
+// the marker used by DWD for missing values unless `dwd:DefaultUndefSign`
+// states otherwise
+const DEFAULT_UNDEF_SIGN = '-'
+
+/**
+ * parseTime converts a time stamp of a MOSMIX file to a Date
+ * @param  {String} value the time stamp, e.g. `2019-03-01T09:00:00.000Z`
+ * @return {Date}         the date or null if the value is empty
+ */
+function parseTime (value) {
+  if (_.isEmpty(_.trim(value))) {
+    return null
+  }
+
+  const date = new Date(_.trim(value))
+  if (_.isNaN(date.getTime())) {
+    throw new Error('invalid time stamp in MOSMIX file: ' + value)
+  }
+
+  return date
+}
+
+/**
+ * parseValues converts the content of a `dwd:value` element to numbers
+ * @param  {String} content   the whitespace separated values
+ * @param  {String} undefSign the marker of missing values
+ * @return {Array}            the values, missing ones as null
+ */
+function parseValues (content, undefSign) {
+  const tokens = _.split(_.trim(content), /\s+/)
+
+  return _.map(tokens, (token) => {
+    if (token === undefSign) {
+      return null
+    }
+
+    const value = Number(token)
+    if (_.isNaN(value)) {
+      throw new Error('invalid value in MOSMIX file: ' + token)
+    }
+
+    return value
+  })
+}
+
+/**
+ * parseCoordinates converts the content of a `kml:coordinates` element
+ * @param  {String} content the coordinates as `$LON,$LAT,$ELEVATION`
+ * @return {Object}         `{ longitude, latitude, elevation }` in degrees
+ *                          and meters
+ */
+function parseCoordinates (content) {
+  const values = _.map(_.split(_.trim(content), ','), Number)
+
+  return {
+    longitude: values[0],
+    latitude: values[1],
+    elevation: _.isNil(values[2]) ? null : values[2]
+  }
+}
+
+/**
+ * parseMosmixKml parses a MOSMIX KML document into a tidy structure
+ *
+ * - `issueTime` is the time the forecast was issued
+ * - `models` lists the models the forecast is based on, as
+ *   `{ name, referenceTime }`
+ * - `timeSteps` are the points in time all forecasts refer to
+ * - `stations` holds one entry per placemark (a single one for the files of
+ *   `single_stations`) with `id`, `name`, `coordinates` and `forecasts`,
+ *   which maps each element (e.g. `TTT`, `FF` or `Rad1h`) to an array of
+ *   `{ timestamp, value }`; missing values are null
+ *
+ * the whole document is loaded into memory, so it is not meant for the files
+ * holding all stations (see ./mosmix_bundle.js for splitting those)
+ * @param  {String} kml the KML document
+ * @return {Object}     the forecast
+ */
+function parseMosmixKml (kml) {
+  const $ = cheerio.load(kml, { xmlMode: true })
+
+  const productDefinition = $('dwd\\:ProductDefinition')
+  if (productDefinition.length === 0) {
+    throw new Error('MOSMIX file does not contain a product definition')
+  }
+
+  const undefSign = _.trim(productDefinition.find('dwd\\:DefaultUndefSign').text()) || DEFAULT_UNDEF_SIGN
+  const timeSteps = _.map(productDefinition.find('dwd\\:TimeStep').toArray(), (element) => parseTime($(element).text()))
+
+  const models = _.map(productDefinition.find('dwd\\:Model').toArray(), (element) => {
+    return {
+      name: $(element).attr('dwd:name'),
+      referenceTime: parseTime($(element).attr('dwd:referenceTime'))
+    }
+  })
+
+  const stations = _.map($('kml\\:Placemark').toArray(), (element) => {
+    const placemark = $(element)
+    const id = _.trim(placemark.children('kml\\:name').text())
+
+    const forecasts = {}
+    placemark.find('dwd\\:Forecast').each((index, forecastElement) => {
+      const elementName = $(forecastElement).attr('dwd:elementName')
+      const values = parseValues($(forecastElement).find('dwd\\:value').text(), undefSign)
+      if (values.length !== timeSteps.length) {
+        throw new Error('number of values of ' + elementName + ' for station ' + id + ' does not match the number of time steps')
+      }
+
+      forecasts[elementName] = _.map(timeSteps, (timestamp, i) => {
+        return { timestamp: timestamp, value: values[i] }
+      })
+    })
+
+    return {
+      id: id,
+      name: _.trim(placemark.children('kml\\:description').text()),
+      coordinates: parseCoordinates(placemark.find('kml\\:coordinates').text()),
+      forecasts: forecasts
+    }
+  })
+
+  return {
+    issuer: _.trim(productDefinition.find('dwd\\:Issuer').text()),
+    productID: _.trim(productDefinition.find('dwd\\:ProductID').text()),
+    generatingProcess: _.trim(productDefinition.find('dwd\\:GeneratingProcess').text()),
+    issueTime: parseTime(productDefinition.find('dwd\\:IssueTime').text()),
+    models: models,
+    timeSteps: timeSteps,
+    stations: stations
+  }
+}
+
+/**
+ * parseMosmixKmz unzips and parses a MOSMIX KMZ file
+ * @param  {Buffer} kmzContent the content of the KMZ file
+ * @return {Object}            the forecast as returned by parseMosmixKml
+ */
+async function parseMosmixKmz (kmzContent) {
+  const { stream } = await openKmlStream(kmzContent)
+  // MOSMIX files are encoded in ISO-8859-1
+  stream.setEncoding('latin1')
+
+  let kml = ''
+  for await (const chunk of stream) {
+    kml = kml + chunk
+  }
+
+  return parseMosmixKml(kml)
+}
+
+/**
+ * readMosmixFile reads and parses a stored MOSMIX KMZ file, e.g.
+ * `$DOWNLOAD_DIRECTORY_BASE_PATH/weather/local_forecasts/mos/2019030109/10704-MOSMIX.kmz`
+ * @param  {String} filePath the path of the file
+ * @return {Object}          the forecast as returned by parseMosmixKml
+ */
+async function readMosmixFile (filePath) {
+  return parseMosmixKmz(await fs.readFile(filePath))
+}
+
+exports.parseMosmixKml = parseMosmixKml
+exports.parseMosmixKmz = parseMosmixKmz
+exports.parseValues = parseValues
+exports.readMosmixFile = readMosmixFile
@@ -0,0 +1,231 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const { loadQuantityMappings } = require('./dwd_grib')
+
+// Location of the catalogue of MOSMIX stations provided by DWD
+const DEFAULT_STATION_CATALOGUE_URL = 'https://www.dwd.de/DE/leistungen/met_verfahren_mosmix/mosmix_stationskatalog.cfg?view=nasPublication&nn=16102'
+
+/**
+ * parseList splits a list given as string (e.g. the content of an environment
+ * variable or file) into its items
+ *
+ * items are separated by commas, whitespace or line breaks; everything
+ * following a `#` up to the end of the line is a comment
+ * @param  {String} text the list
+ * @return {Array}       the items
+ */
+function parseList (text) {
+  const lines = _.split(text, /\r?\n/)
+  const items = _.flatMap(lines, (line) => _.split(line.replace(/#.*$/, ''), /[\s,;]+/))
+  return _.uniq(_.compact(items))
+}
+
+/**
+ * convertDegreesMinutes converts a coordinate given as `degrees.minutes`
+ * (e.g. `49.12` for 49°12') to decimal degrees
+ * @param  {String} value the coordinate
+ * @return {Number}       the coordinate in decimal degrees
+ */
+function convertDegreesMinutes (value) {
+  const number = Number(value)
+  const sign = (number < 0 || _.startsWith(_.trim(value), '-')) ? -1 : 1
+  const absolute = Math.abs(number)
+  const degrees = Math.floor(absolute)
+  const minutes = Math.round((absolute - degrees) * 100)
+
+  return sign * (degrees + minutes / 60)
+}
+
+/**
+ * parseStationCatalogue parses the catalogue of MOSMIX stations
+ *
+ * the catalogue is a fixed width table with the columns ID, ICAO, NAME, LAT,
+ * LON and ELEV; coordinates are given as `degrees.minutes`
+ * @param  {String} text the content of the catalogue
+ * @return {Array}       the stations as `{ id, icao, name, latitude, longitude,
+ *                       elevation }` (coordinates in decimal degrees)
+ */
+function parseStationCatalogue (text) {
+  const stations = []
+
+  _.forEach(_.split(text, /\r?\n/), (line) => {
+    const match = /^\s*(\S+)\s+(\S+)\s+(.*?)\s+(-?\d+\.\d+)\s+(-?\d+\.\d+)\s+(-?\d+)\s*$/.exec(line)
+    if (_.isNil(match)) {
+      return
+    }
+
+    stations.push({
+      id: match[1],
+      icao: /^-+$/.test(match[2]) ? null : match[2],
+      name: match[3],
+      latitude: convertDegreesMinutes(match[4]),
+      longitude: convertDegreesMinutes(match[5]),
+      elevation: Number(match[6])
+    })
+  })
+
+  return stations
+}
+
+/**
+ * parseBoundingBox parses a bounding box given as
+ * `$MIN_LAT,$MIN_LON,$MAX_LAT,$MAX_LON` in decimal degrees
+ * @param  {String} text the bounding box
+ * @return {Object}      `{ minLatitude, minLongitude, maxLatitude, maxLongitude }`
+ */
+function parseBoundingBox (text) {
+  const values = _.map(_.split(text, ','), (value) => Number(_.trim(value)))
+  if (values.length !== 4 || _.some(values, (value) => !_.isFinite(value))) {
+    throw new Error('invalid bounding box "' + text + '", expected $MIN_LAT,$MIN_LON,$MAX_LAT,$MAX_LON')
+  }
+
+  const boundingBox = {
+    minLatitude: values[0],
+    minLongitude: values[1],
+    maxLatitude: values[2],
+    maxLongitude: values[3]
+  }
+
+  if (boundingBox.minLatitude > boundingBox.maxLatitude || boundingBox.minLongitude > boundingBox.maxLongitude) {
+    throw new Error('invalid bounding box "' + text + '", minimum exceeds maximum')
+  }
+
+  return boundingBox
+}
+
+/**
+ * selectStationsInBoundingBox selects the stations located within a bounding box
+ * @param  {Array} stations     the stations as returned by parseStationCatalogue
+ * @param  {Object} boundingBox the bounding box as returned by parseBoundingBox
+ * @return {Array}              the IDs of the selected stations
+ */
+function selectStationsInBoundingBox (stations, boundingBox) {
+  return _.map(_.filter(stations, (station) => {
+    return station.latitude >= boundingBox.minLatitude &&
+      station.latitude <= boundingBox.maxLatitude &&
+      station.longitude >= boundingBox.minLongitude &&
+      station.longitude <= boundingBox.maxLongitude
+  }), 'id')
+}
+
+/**
+ * resolveVariables maps the names of COSMO-D2 quantities to the names used by
+ * DWD (i.e. the `sourceLabel`s of the quantity mappings)
+ * @param  {Array} names    the names, either `sourceLabel`s (e.g. `t_2m`) or
+ *                          `targetLabel`s (e.g. `temperature_2m_ag`)
+ * @param  {Array} mappings the quantity mappings
+ * @return {Array}          the `sourceLabel`s
+ */
+function resolveVariables (names, mappings) {
+  return _.uniq(_.map(names, (name) => {
+    const lowerCaseName = _.toLower(name)
+    const mapping = _.find(mappings, (mapping) => {
+      return _.toLower(mapping.sourceLabel) === lowerCaseName || _.toLower(mapping.targetLabel) === lowerCaseName
+    })
+
+    if (_.isNil(mapping)) {
+      throw new Error('unknown COSMO-D2 variable: ' + name)
+    }
+
+    return mapping.sourceLabel
+  }))
+}
+
+/**
+ * createAllowList creates a predicate checking whether an item is allowed
+ * @param  {Array} items the allowed items; nil allows everything
+ * @return {Function}    the predicate
+ */
+function createAllowList (items) {
+  if (_.isNil(items)) {
+    return () => true
+  }
+
+  const allowed = new Set(_.map(items, _.toLower))
+  return (item) => allowed.has(_.toLower(item))
+}
+
+/**
+ * loadFilters resolves the filter configuration into allow lists for
+ * stations and COSMO-D2 variables
+ *
+ * the stations allowed are the union of the stations listed explicitly and
+ * the stations of the catalogue within the bounding box; without any of both
+ * all stations are allowed (same for variables)
+ * @param  {Object} options    all optional: `stationIds` (list as string),
+ *                             `stationIdsFile` (path of a file holding such a
+ *                             list), `boundingBox` (see parseBoundingBox),
+ *                             `stationCatalogue` (path or url of the station
+ *                             catalogue) and `variables` (list as string)
+ * @param  {Object} httpClient the HTTP client used to download the catalogue
+ * @return {Object}            `{ stations, variables, isStationAllowed,
+ *                             isVariableAllowed }`, where the lists are nil
+ *                             if everything is allowed
+ */
+async function loadFilters (options, httpClient) {
+  let stations = null
+  let variables = null
+
+  if (!_.isNil(options.stationIds)) {
+    stations = parseList(String(options.stationIds))
+  }
+
+  if (!_.isNil(options.stationIdsFile)) {
+    const text = await fs.readFile(options.stationIdsFile, { encoding: 'utf8' })
+    stations = _.union(stations || [], parseList(text))
+  }
+
+  if (!_.isNil(options.boundingBox)) {
+    const boundingBox = parseBoundingBox(String(options.boundingBox))
+    const location = options.stationCatalogue || DEFAULT_STATION_CATALOGUE_URL
+
+    let text = null
+    if (/^https?:\/\//.test(location)) {
+      text = await httpClient.getText(location)
+    } else {
+      text = await fs.readFile(location, { encoding: 'utf8' })
+    }
+
+    stations = _.union(stations || [], selectStationsInBoundingBox(parseStationCatalogue(text), boundingBox))
+  }
+
+  if (!_.isNil(options.variables)) {
+    const mappings = await loadQuantityMappings()
+    variables = resolveVariables(parseList(String(options.variables)), mappings)
+  }
+
+  return {
+    stations: stations,
+    variables: variables,
+    isStationAllowed: createAllowList(stations),
+    isVariableAllowed: createAllowList(variables)
+  }
+}
+
+exports.DEFAULT_STATION_CATALOGUE_URL = DEFAULT_STATION_CATALOGUE_URL
+exports.convertDegreesMinutes = convertDegreesMinutes
+exports.createAllowList = createAllowList
+exports.loadFilters = loadFilters
+exports.parseBoundingBox = parseBoundingBox
+exports.parseList = parseList
+exports.parseStationCatalogue = parseStationCatalogue
+exports.resolveVariables = resolveVariables
+exports.selectStationsInBoundingBox = selectStationsInBoundingBox
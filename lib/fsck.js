@@ -0,0 +1,364 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const moment = require('moment-timezone')
+const path = require('path')
+const { checkGrib2Framing } = require('./dwd_grib')
+const { checkKmz } = require('./mosmix_bundle')
+const { checkStoredReport } = require('./report_quality')
+const { decompressLz4Checked } = require('./recompression')
+const { PRODUCT_DEFINITIONS, getForecastHour, getValidatorCachePath } = require('./products')
+const { compilePathTemplate, findUnits, listUnitFiles } = require('./archive_tree')
+
+// DWD keeps the files on opendata.dwd.de for about a day; items of older runs
+// and days cannot be downloaded again
+const DEFAULT_AVAILABILITY_HOURS = 24
+
+// The station in the names of stored report and MOSMIX files, e.g.
+// `10704-BEOB.v2.csv` or `10704-MOSMIX.kmz`
+const STATION_FILE_NAME_REGEX = /^([^-]+)-(?:BEOB|MOSMIX)\./
+
+/**
+ * checkFile verifies a file according to the format indicated by its name:
+ * lz4 files are decompressed verifying their checksums (and the GRIB2
+ * framing of the content for `.grib2.lz4`), KMZ files must be complete zip
+ * files holding a KML document, report files must be well-formed and only
+ * hold observations of their day and JSON files must be parseable
+ * @param  {String} filePath   the path of the file
+ * @param  {String} dateString the day of the unit holding the file as
+ *                             `YYYYMMDD`
+ * @return {String}            the format checked or null if unknown
+ */
+async function checkFile (filePath, dateString) {
+  const name = _.toLower(path.basename(filePath))
+
+  if (_.endsWith(name, '.lz4')) {
+    const content = decompressLz4Checked(await fs.readFile(filePath))
+    if (_.endsWith(name, '.grib2.lz4')) {
+      checkGrib2Framing(content)
+      return 'grib2.lz4'
+    }
+    return 'lz4'
+  }
+
+  if (_.endsWith(name, '.grib2')) {
+    checkGrib2Framing(await fs.readFile(filePath))
+    return 'grib2'
+  }
+
+  if (_.endsWith(name, '.kmz')) {
+    await checkKmz(await fs.readFile(filePath))
+    return 'kmz'
+  }
+
+  if (_.endsWith(name, '.csv')) {
+    checkStoredReport(await fs.readFile(filePath, { encoding: 'utf8' }), dateString)
+    return 'csv'
+  }
+
+  if (_.endsWith(name, '.json')) {
+    JSON.parse(await fs.readFile(filePath, { encoding: 'utf8' }))
+    return 'json'
+  }
+
+  return null
+}
+
+/**
+ * getExpectedUnits lists the names of the units expected between the first
+ * and the last unit stored, i.e. each day or each run issued at one of the
+ * `runHours` of the product
+ * @param  {Array} units      the units as returned by findUnits, sorted
+ * @param  {Object} compiled  the template as returned by compilePathTemplate
+ * @param  {Object} definition the product definition
+ * @return {Array}            the names of the units, e.g. `2019030109`
+ */
+function getExpectedUnits (units, compiled, definition) {
+  if (_.isEmpty(units)) {
+    return []
+  }
+
+  const isDaily = compiled.dateFormat === 'YYYYMMDD'
+  if (!isDaily && _.isEmpty(definition.runHours)) {
+    return []
+  }
+
+  const names = []
+  const last = _.last(units).time
+  for (const time = _.head(units).time.clone(); !time.isAfter(last); time.add(1, isDaily ? 'day' : 'hour')) {
+    if (isDaily || _.includes(definition.runHours, time.hour())) {
+      names.push(time.format(compiled.dateFormat))
+    }
+  }
+
+  return names
+}
+
+/**
+ * findPresenceGaps finds the units missing a key (a station or a variable)
+ * between the first and the last unit holding it
+ * @param  {Array} unitNames the names of the units, sorted
+ * @param  {Object} present  the names of the units holding each key, by key
+ * @return {Array}           `{ key, missing }` per key with gaps
+ */
+function findPresenceGaps (unitNames, present) {
+  const gaps = []
+  _.forEach(_.sortBy(_.keys(present)), (key) => {
+    const first = _.indexOf(unitNames, _.min(present[key]))
+    const last = _.indexOf(unitNames, _.max(present[key]))
+    const missing = _.difference(unitNames.slice(first, last + 1), present[key])
+    if (!_.isEmpty(missing)) {
+      gaps.push({ key: key, missing: missing })
+    }
+  })
+
+  return gaps
+}
+
+/**
+ * findForecastHourGaps finds the forecast hours missing from a run, i.e.
+ * those stored for the same variable in another run of the same hour of the
+ * day
+ * @param  {Array} units the units as `{ name, hour, forecastHours }` where
+ *                       forecastHours holds the forecast hours per variable
+ * @return {Array}       `{ run, variable, missing }` per variable of a run
+ *                       with missing forecast hours
+ */
+function findForecastHourGaps (units) {
+  const expected = {}
+  _.forEach(units, (unit) => {
+    _.forEach(unit.forecastHours, (hours, variable) => {
+      const key = unit.hour + '/' + variable
+      expected[key] = _.union(expected[key], hours)
+    })
+  })
+
+  const gaps = []
+  _.forEach(units, (unit) => {
+    _.forEach(_.sortBy(_.keys(unit.forecastHours)), (variable) => {
+      const missing = _.difference(expected[unit.hour + '/' + variable], unit.forecastHours[variable])
+      if (!_.isEmpty(missing)) {
+        gaps.push({ run: unit.name, variable: variable, missing: _.sortBy(missing) })
+      }
+    })
+  })
+
+  return gaps
+}
+
+/**
+ * checkProduct verifies the files stored for a product and finds gaps in
+ * its runs (or days), stations and forecast hours
+ *
+ * files already contained in `checkedPaths` are skipped, as products may
+ * share directories (e.g. MOSMIX_L single stations and all stations)
+ * @param  {String} basePath     the base path of the archive
+ * @param  {Object} definition   the product definition
+ * @param  {Set} checkedPaths    the paths of the files checked so far
+ * @param  {Object} log          optional; the log
+ * @return {Object}              the result (see checkArchive)
+ */
+async function checkProduct (basePath, definition, checkedPaths, log) {
+  const compiled = compilePathTemplate(definition.pathTemplate)
+  const units = _.sortBy(await findUnits(basePath, compiled), (unit) => unit.time.valueOf())
+  const result = {
+    product: definition.name,
+    units: units.length,
+    files: 0,
+    formats: {},
+    corrupt: [],
+    gaps: { units: [], stations: [], variables: [], forecastHours: [] }
+  }
+
+  const stored = []
+  const stations = {}
+  const variables = {}
+  for (const unit of units) {
+    const name = unit.time.format(compiled.dateFormat)
+    const forecastHours = {}
+    let numberOfFiles = 0
+
+    for (const relativePath of await listUnitFiles(basePath, compiled, unit)) {
+      if (checkedPaths.has(relativePath)) {
+        continue
+      }
+      checkedPaths.add(relativePath)
+      numberOfFiles++
+
+      const format = await checkFile(path.join(basePath, relativePath), unit.time.format('YYYYMMDD')).catch((error) => {
+        result.corrupt.push({ path: relativePath, unit: name, error: error.message })
+        return 'corrupt'
+      })
+      result.formats[format || 'unknown'] = (result.formats[format || 'unknown'] || 0) + 1
+
+      const fileName = path.basename(relativePath)
+      const station = STATION_FILE_NAME_REGEX.exec(fileName)
+      if (!_.isNil(station)) {
+        stations[station[1]] = _.union(stations[station[1]], [name])
+      }
+
+      // files of NWP products are grouped by variable in sub-directories
+      const variable = path.relative(unit.path, path.dirname(relativePath))
+      const forecastHour = getForecastHour(fileName)
+      if (variable !== '' && !_.isNil(forecastHour)) {
+        variables[variable] = _.union(variables[variable], [name])
+        forecastHours[variable] = _.union(forecastHours[variable], [forecastHour])
+      }
+    }
+
+    result.files += numberOfFiles
+    if (numberOfFiles > 0) {
+      stored.push({ name: name, hour: unit.time.hour(), forecastHours: forecastHours })
+    }
+  }
+
+  // stations and variables are only looked for in units holding files, units
+  // missing as a whole are reported as such
+  const unitNames = _.map(stored, 'name')
+  result.gaps.units = _.difference(getExpectedUnits(units, compiled, definition), unitNames)
+  result.gaps.stations = _.map(findPresenceGaps(unitNames, stations), (gap) => ({ station: gap.key, missing: gap.missing }))
+  result.gaps.variables = _.map(findPresenceGaps(unitNames, variables), (gap) => ({ variable: gap.key, missing: gap.missing }))
+  result.gaps.forecastHours = findForecastHourGaps(stored)
+
+  if (!_.isNil(log)) {
+    log.info({ product: definition.name, files: result.files, corrupt: result.corrupt.length }, 'checked the ' + definition.name + ' archive')
+  }
+
+  return result
+}
+
+/**
+ * checkArchive verifies the files stored for the given products and reports
+ * gaps between the first and the last run (or day) stored
+ *
+ * the result holds per product the number of `units` (runs or days) and
+ * `files` checked, the number of files per format, the `corrupt` files as
+ * `{ path, unit, error }` and the `gaps`, i.e. the missing `units`, the
+ * `stations` and `variables` missing from single units and the missing
+ * `forecastHours` of a variable of a run
+ * @param  {String} basePath the base path of the archive
+ * @param  {Object} options  optional; `products`, the names of the products
+ *                           (by default all), and `log`
+ * @return {Object}          `{ startedAt, endedAt, products }`
+ */
+async function checkArchive (basePath, options) {
+  const names = _.get(options, 'products') || _.keys(PRODUCT_DEFINITIONS)
+  const startedAt = new Date()
+  const checkedPaths = new Set()
+
+  const products = []
+  for (const name of names) {
+    if (_.isNil(PRODUCT_DEFINITIONS[name])) {
+      throw new Error('unknown product ' + name)
+    }
+    products.push(await checkProduct(basePath, PRODUCT_DEFINITIONS[name], checkedPaths, _.get(options, 'log')))
+  }
+
+  return {
+    startedAt: startedAt,
+    endedAt: new Date(),
+    products: products
+  }
+}
+
+/**
+ * isArchiveClean checks whether a check found neither corrupt files nor gaps
+ * @param  {Object} report the report as returned by checkArchive
+ * @return {Boolean}       true if no problem was found
+ */
+function isArchiveClean (report) {
+  return _.every(report.products, (result) => {
+    return _.isEmpty(result.corrupt) && _.every(result.gaps, _.isEmpty)
+  })
+}
+
+/**
+ * requeueItems prepares the corrupt and missing items DWD still provides to
+ * be downloaded again by the next cycle
+ *
+ * - corrupt files are moved to a sub-directory of the quarantine directory
+ *   (keeping their relative paths), so that they count as missing
+ * - the validators of conditional requests of the product are dropped, as
+ *   otherwise unchanged report and MOSMIX bundle files would be skipped
+ * - items of runs or days older than `availabilityHours` are left as they
+ *   are, they are no longer available at DWD
+ * @param  {String} basePath the base path of the archive
+ * @param  {Object} report   the report as returned by checkArchive; the
+ *                           `requeued` items are added to each product as
+ *                           `{ type, unit, path }` where type is one of
+ *                           'corrupt', 'unit', 'station', 'variable' or
+ *                           'forecastHours'
+ * @param  {Object} options  `quarantinePath`, `stateDirectoryPath` and
+ *                           optionally `availabilityHours`, `now` and `log`
+ * @return {Array}           the names of the products with requeued items
+ */
+async function requeueItems (basePath, report, options) {
+  const now = moment.utc(options.now)
+  const availabilityHours = options.availabilityHours || DEFAULT_AVAILABILITY_HOURS
+  const quarantinePath = path.join(options.quarantinePath, now.format('YYYYMMDDTHHmmss'))
+  const requeuedProducts = []
+
+  for (const result of report.products) {
+    const definition = PRODUCT_DEFINITIONS[result.product]
+    const compiled = compilePathTemplate(definition.pathTemplate)
+
+    // reports of a day are available until the day ended
+    const isAvailable = (unit) => {
+      const end = moment.tz(unit, compiled.dateFormat, true, 'UTC')
+      if (compiled.dateFormat === 'YYYYMMDD') {
+        end.add(1, 'day')
+      }
+      return now.diff(end, 'hours', true) < availabilityHours
+    }
+
+    const items = _.filter(_.flatten([
+      _.map(result.corrupt, (file) => ({ type: 'corrupt', unit: file.unit, path: file.path })),
+      _.map(result.gaps.units, (unit) => ({ type: 'unit', unit: unit })),
+      _.flatMap(result.gaps.stations, (gap) => _.map(gap.missing, (unit) => ({ type: 'station', unit: unit, station: gap.station }))),
+      _.flatMap(result.gaps.variables, (gap) => _.map(gap.missing, (unit) => ({ type: 'variable', unit: unit, variable: gap.variable }))),
+      _.map(result.gaps.forecastHours, (gap) => ({ type: 'forecastHours', unit: gap.run, variable: gap.variable, forecastHours: gap.missing }))
+    ]), (item) => isAvailable(item.unit))
+
+    for (const item of _.filter(items, { type: 'corrupt' })) {
+      await fs.move(path.join(basePath, item.path), path.join(quarantinePath, item.path), { overwrite: true })
+      if (!_.isNil(options.log)) {
+        options.log.warn('moved corrupt file ' + item.path + ' to ' + quarantinePath)
+      }
+    }
+
+    const validatorCachePath = getValidatorCachePath(definition, options.stateDirectoryPath)
+    if (!_.isEmpty(items) && !_.isNil(validatorCachePath)) {
+      await fs.remove(validatorCachePath)
+    }
+
+    result.requeued = items
+    if (!_.isEmpty(items)) {
+      requeuedProducts.push(result.product)
+    }
+  }
+
+  return requeuedProducts
+}
+
+exports.DEFAULT_AVAILABILITY_HOURS = DEFAULT_AVAILABILITY_HOURS
+exports.checkArchive = checkArchive
+exports.checkFile = checkFile
+exports.isArchiveClean = isArchiveClean
+exports.requeueItems = requeueItems
@@ -0,0 +1,236 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const path = require('path')
+const { URL } = require('url')
+const { writeJsonAtomic } = require('./atomic_fs')
+
+// Entries of urls not seen for this many days are dropped when the cache is
+// saved, e.g. the ones of MOSMIX_S runs DWD no longer provides
+const DEFAULT_MAX_AGE_DAYS = 14
+
+/**
+ * getCacheKey derives the key under which the validators of a url are stored
+ *
+ * as the crawler replaces the host name by the IP address of opendata.dwd.de
+ * (which may change between cycles) only the path of the url is used
+ * @param  {String} url the url
+ * @return {String}     the cache key
+ */
+function getCacheKey (url) {
+  return new URL(url).pathname
+}
+
+/**
+ * extractValidators picks the headers relevant for conditional requests
+ * @param  {Object} headers the (lower case) response headers
+ * @return {Object}         `{ etag, lastModified, contentLength }`
+ */
+function extractValidators (headers) {
+  const validators = {
+    etag: headers.etag,
+    lastModified: headers['last-modified'],
+    contentLength: _.isNil(headers['content-length']) ? undefined : Number(headers['content-length'])
+  }
+
+  return _.omitBy(validators, _.isNil)
+}
+
+/**
+ * createValidatorCache creates a cache of the `ETag`, `Last-Modified` and
+ * `Content-Length` headers per url which is persisted as JSON file
+ *
+ * each entry records when its url was seen last (`seenAt`); entries not seen
+ * for `maxAgeDays` are dropped on save, so the cache does not grow with each
+ * new run published by DWD
+ * @param  {String} filePath the path of the file the cache is persisted in
+ * @param  {Object} options  optional; `maxAgeDays` (default 14)
+ * @return {Object}          the cache
+ */
+function createValidatorCache (filePath, options) {
+  const maxAgeDays = _.get(options, 'maxAgeDays', DEFAULT_MAX_AGE_DAYS)
+  let entries = {}
+
+  /**
+   * load reads the persisted cache; a missing or unreadable file results in
+   * an empty cache
+   */
+  async function load () {
+    try {
+      entries = await fs.readJson(filePath)
+    } catch (error) {
+      entries = {}
+    }
+
+    // entries persisted before `seenAt` was recorded count as seen now
+    const now = Date.now()
+    _.forEach(entries, (entry) => _.defaults(entry, { seenAt: now }))
+  }
+
+  /**
+   * prune drops the entries of urls not seen for `maxAgeDays`
+   * @param  {Number} now optional; the current time in ms
+   * @return {Number}     the number of dropped entries
+   */
+  function prune (now) {
+    const threshold = (_.isNil(now) ? Date.now() : now) - maxAgeDays * 24 * 60 * 60 * 1000
+    const keys = _.filter(_.keys(entries), (key) => entries[key].seenAt < threshold)
+    _.forEach(keys, (key) => delete entries[key])
+    return keys.length
+  }
+
+  /**
+   * save prunes and persists the cache
+   */
+  async function save () {
+    prune()
+    await fs.ensureDir(path.dirname(filePath))
+    await writeJsonAtomic(filePath, entries)
+  }
+
+  /**
+   * get returns the validators stored for an url
+   * @param  {String} url the url
+   * @return {Object}     the validators or undefined
+   */
+  function get (url) {
+    const entry = entries[getCacheKey(url)]
+    return _.isNil(entry) ? undefined : _.omit(entry, 'seenAt')
+  }
+
+  /**
+   * set stores the validators for an url
+   * @param  {String} url        the url
+   * @param  {Object} validators the validators as returned by extractValidators
+   */
+  function set (url, validators) {
+    validators = _.omit(validators, 'seenAt')
+    if (_.isEmpty(validators)) {
+      delete entries[getCacheKey(url)]
+      return
+    }
+
+    entries[getCacheKey(url)] = _.assign(validators, { seenAt: Date.now() })
+  }
+
+  /**
+   * touch records that an url is still provided, keeping its validators
+   * @param  {String} url the url
+   */
+  function touch (url) {
+    const entry = entries[getCacheKey(url)]
+    if (!_.isNil(entry)) {
+      entry.seenAt = Date.now()
+    }
+  }
+
+  /**
+   * getConditionalHeaders builds the headers for a conditional request
+   * @param  {String} url the url
+   * @return {Object}     the request headers (empty if nothing is known)
+   */
+  function getConditionalHeaders (url) {
+    const validators = get(url)
+    const headers = {}
+
+    if (_.isNil(validators)) {
+      return headers
+    }
+
+    if (!_.isNil(validators.etag)) {
+      headers['If-None-Match'] = validators.etag
+    }
+
+    if (!_.isNil(validators.lastModified)) {
+      headers['If-Modified-Since'] = validators.lastModified
+    }
+
+    return headers
+  }
+
+  /**
+   * isUnchanged checks whether the validators of a full response match the
+   * stored ones, which covers servers ignoring conditional request headers
+   * @param  {String} url        the url
+   * @param  {Object} validators the validators of the response
+   * @return {Boolean}           true if the content is known to be unchanged
+   */
+  function isUnchanged (url, validators) {
+    const stored = get(url)
+    if (_.isNil(stored) || _.isNil(stored.etag) || stored.etag !== validators.etag) {
+      return false
+    }
+
+    return stored.contentLength === validators.contentLength
+  }
+
+  return {
+    load: load,
+    save: save,
+    get: get,
+    set: set,
+    touch: touch,
+    prune: prune,
+    getConditionalHeaders: getConditionalHeaders,
+    isUnchanged: isUnchanged
+  }
+}
+
+/**
+ * downloadFileIfChanged downloads the content of an url unless it did not
+ * change since the validators were stored last time
+ *
+ * the validators are not updated by this function (only the time the url was
+ * seen last); call `cache.set(url, result.validators)` once the content has
+ * been processed successfully
+ * @param  {Object} httpClient the HTTP client (see ./http_client.js)
+ * @param  {Object} cache      the cache as returned by createValidatorCache
+ * @param  {String} url        the url to download the data from
+ * @return {Object}            `{ status, content, validators }` where status is
+ *                             one of 'unchanged', 'updated' or 'new'
+ */
+async function downloadFileIfChanged (httpClient, cache, url) {
+  const known = !_.isNil(cache.get(url))
+  const response = await httpClient.request(url, {
+    headers: cache.getConditionalHeaders(url)
+  })
+
+  if (response.statusCode === 304) {
+    cache.touch(url)
+    return { status: 'unchanged', content: null, validators: cache.get(url) }
+  }
+
+  const validators = extractValidators(response.headers)
+  if (cache.isUnchanged(url, validators)) {
+    cache.touch(url)
+    return { status: 'unchanged', content: null, validators: validators }
+  }
+
+  return {
+    status: known ? 'updated' : 'new',
+    content: response.body,
+    validators: validators
+  }
+}
+
+exports.createValidatorCache = createValidatorCache
+exports.downloadFileIfChanged = downloadFileIfChanged
+exports.extractValidators = extractValidators
+exports.getCacheKey = getCacheKey
@@ -0,0 +1,335 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const assert = require('assert')
+const got = require('got')
+const { PassThrough, pipeline } = require('stream')
+const { sleep } = require('./lifecycle')
+
+const DEFAULT_OPTIONS = {
+  attempts: 4,
+  baseDelayMilliseconds: 100,
+  maxDelayMilliseconds: 30 * 1000,
+  maxRetryAfterMilliseconds: 5 * 60 * 1000,
+  timeoutMilliseconds: 60 * 1000
+}
+
+// status codes for which a later attempt may succeed
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504]
+
+/**
+ * listenForAbort calls onAbort once the signal is aborted
+ * @param  {AbortSignal} signal the signal, may be nil
+ * @param  {Function} onAbort   the listener
+ * @return {Function}           removes the listener
+ */
+function listenForAbort (signal, onAbort) {
+  if (_.isNil(signal)) {
+    return _.noop
+  }
+
+  signal.addEventListener('abort', onAbort, { once: true })
+  return () => signal.removeEventListener('abort', onAbort)
+}
+
+/**
+ * gotTransport performs a single HTTP GET request using got
+ *
+ * the transport neither retries nor throws on HTTP error status codes; both is
+ * left to the client wrapping it
+ * @param  {String} url     the url to request
+ * @param  {Object} options the request options (`headers`, `timeout`,
+ *                          `stream`, if the body shall be a readable stream,
+ *                          and `signal` cancelling the request including the
+ *                          transfer of a streamed body)
+ * @return {Object}         the response as `{ statusCode, headers, body }`
+ */
+async function gotTransport (url, options) {
+  const signal = options.signal
+  if (!_.isNil(signal) && signal.aborted) {
+    throw signal.reason
+  }
+
+  const gotOptions = {
+    headers: options.headers,
+    timeout: options.timeout,
+    retry: 0,
+    throwHttpErrors: false,
+    followRedirect: true,
+    https: { rejectUnauthorized: false }
+  }
+
+  if (options.stream === true) {
+    return new Promise((resolve, reject) => {
+      const stream = got.stream(url, gotOptions)
+      stream.once('error', reject)
+      stream.once('response', (response) => {
+        // got wraps errors the stream is destroyed with, so the body is passed
+        // through a stream failing with the reason of the signal as it is
+        const body = new PassThrough()
+        pipeline(stream, body, _.noop)
+        body.once('close', listenForAbort(signal, () => body.destroy(signal.reason)))
+
+        resolve({
+          statusCode: response.statusCode,
+          headers: response.headers,
+          body: body
+        })
+      })
+      stream.once('close', listenForAbort(signal, () => {
+        stream.destroy()
+        reject(signal.reason)
+      }))
+    })
+  }
+
+  const request = got(url, _.assign(gotOptions, { responseType: 'buffer' }))
+  const removeListener = listenForAbort(signal, () => request.cancel())
+
+  let response = null
+  try {
+    response = await request
+  } catch (error) {
+    throw _.get(signal, 'aborted') ? signal.reason : error
+  } finally {
+    removeListener()
+  }
+
+  return {
+    statusCode: response.statusCode,
+    headers: response.headers,
+    body: response.body
+  }
+}
+
+/**
+ * parseRetryAfter converts the value of a Retry-After header to milliseconds
+ * @param  {String} value the header value, either seconds or an HTTP date
+ * @param  {Number} now   the current time in milliseconds since epoch
+ * @return {Number}       the time to wait in milliseconds or null if invalid
+ */
+function parseRetryAfter (value, now) {
+  if (!_.isString(value) || value.trim() === '') {
+    return null
+  }
+
+  if (/^\s*\d+\s*$/.test(value)) {
+    return Number(value) * 1000
+  }
+
+  const date = Date.parse(value)
+  if (_.isNaN(date)) {
+    return null
+  }
+
+  return Math.max(0, date - (_.isNil(now) ? Date.now() : now))
+}
+
+/**
+ * computeBackoff calculates the wait time before the next attempt using
+ * exponential backoff with jitter
+ * @param  {Number} attempt the number of the failed attempt (starting at 1)
+ * @param  {Object} options the client options
+ * @return {Number}         the time to wait in milliseconds
+ */
+function computeBackoff (attempt, options) {
+  const ceiling = Math.min(
+    options.maxDelayMilliseconds,
+    options.baseDelayMilliseconds * Math.pow(2, attempt - 1)
+  )
+
+  // "equal jitter": wait at least half of the ceiling, the rest is random
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2)
+}
+
+/**
+ * createHTTPError creates an error describing an unsuccessful response
+ * @param  {String} url      the requested url
+ * @param  {Object} response the response as returned by the transport
+ * @return {Error}           the error
+ */
+function createHTTPError (url, response) {
+  const error = new Error('request to ' + url + ' failed with status code ' + response.statusCode)
+  error.name = 'HTTPError'
+  error.statusCode = response.statusCode
+  error.url = url
+  return error
+}
+
+/**
+ * createHttpClient creates the HTTP client shared by all listing and download
+ * paths of the crawler
+ *
+ * - failed requests (network errors, timeouts and retryable status codes) are
+ *   retried using exponential backoff with jitter
+ * - for status codes 429 and 503 a given Retry-After header is honored
+ * - the transport actually performing the requests can be injected, e.g. for
+ *   testing against a local stub server
+ * - if a rate limiter is given (see ./worker_pool.js), each attempt waits for
+ *   it before the request is sent
+ * - `onRetry` is called with `{ url, attempt, error, waitTime, labels }` before
+ *   each retry, e.g. for counting retries; `labels` are the labels of the
+ *   client (see withLabels), e.g. the product requesting the url
+ * - once `signal` is aborted (see ./lifecycle.js), running requests, streamed
+ *   bodies and waits between attempts are cancelled and fail with its reason
+ * @param  {Object} options the configuration of the client, all optional:
+ *                          `attempts`, `baseDelayMilliseconds`,
+ *                          `maxDelayMilliseconds`, `maxRetryAfterMilliseconds`,
+ *                          `timeoutMilliseconds`, `transport`, `rateLimiter`,
+ *                          `onRetry`, `labels`, `signal` and `log`
+ * @return {Object}         the client
+ */
+function createHttpClient (options) {
+  options = _.defaults(_.omitBy(options, _.isNil), DEFAULT_OPTIONS)
+  assert(options.attempts >= 1)
+
+  const transport = options.transport || gotTransport
+  const rateLimiter = options.rateLimiter
+  const onRetry = options.onRetry || _.noop
+  const signal = options.signal
+  const log = options.log
+
+  /**
+   * request performs a GET request and retries it if necessary
+   *
+   * with `stream` set, the body is a readable stream; in that case only the
+   * request up to the response headers is retried
+   * @param  {String} url            the url to request
+   * @param  {Object} requestOptions optional; `headers` to be sent and `stream`
+   * @return {Object}                the response as `{ statusCode, headers, body }`
+   */
+  async function request (url, requestOptions) {
+    requestOptions = requestOptions || {}
+
+    let attempt = 0
+    for (;;) {
+      attempt++
+
+      if (!_.isNil(rateLimiter)) {
+        await rateLimiter.acquire(signal)
+      }
+
+      let response = null
+      let error = null
+      try {
+        response = await transport(url, {
+          headers: requestOptions.headers || {},
+          timeout: options.timeoutMilliseconds,
+          stream: requestOptions.stream === true,
+          signal: signal
+        })
+      } catch (transportError) {
+        error = transportError
+      }
+
+      if (!_.isNil(signal) && signal.aborted) {
+        throw signal.reason
+      }
+
+      if (!_.isNil(response)) {
+        if (response.statusCode < 400) {
+          return response
+        }
+
+        // discard the body of unsuccessful streamed responses
+        if (requestOptions.stream === true && _.isFunction(response.body.resume)) {
+          response.body.resume()
+        }
+
+        error = createHTTPError(url, response)
+        if (!_.includes(RETRYABLE_STATUS_CODES, response.statusCode)) {
+          throw error
+        }
+      }
+
+      if (attempt >= options.attempts) {
+        throw error
+      }
+
+      let waitTime = computeBackoff(attempt, options)
+      if (!_.isNil(response) && (response.statusCode === 429 || response.statusCode === 503)) {
+        const retryAfter = parseRetryAfter(response.headers['retry-after'])
+        if (!_.isNil(retryAfter)) {
+          waitTime = Math.min(retryAfter, options.maxRetryAfterMilliseconds)
+        }
+      }
+
+      if (!_.isNil(log)) {
+        log.warn({ error: error.toString(), url: url, attempt: attempt, waitTime: waitTime }, 'request failed, retrying')
+      }
+      onRetry({ url: url, attempt: attempt, error: error, waitTime: waitTime, labels: options.labels || {} })
+      await sleep(waitTime, signal)
+    }
+  }
+
+  /**
+   * getBuffer requests the given url and resolves to the body as Buffer
+   * @param  {String} url the url to request
+   * @return {Buffer}     the content
+   */
+  async function getBuffer (url) {
+    const response = await request(url)
+    return response.body
+  }
+
+  /**
+   * getText requests the given url and resolves to the body as String
+   * @param  {String} url the url to request
+   * @return {String}     the content as utf8 string
+   */
+  async function getText (url) {
+    const body = await getBuffer(url)
+    return body.toString('utf8')
+  }
+
+  /**
+   * getStream requests the given url and resolves to the body as readable
+   * stream as soon as the response headers have been received
+   * @param  {String} url the url to request
+   * @return {Stream}     the content
+   */
+  async function getStream (url) {
+    const response = await request(url, { stream: true })
+    return response.body
+  }
+
+  /**
+   * withLabels creates a client sharing the configuration, the rate limiter
+   * and the signal of this one, whose retries are reported with the given
+   * labels in addition
+   * @param  {Object} labels the labels, e.g. `{ product: 'cosmo-d2' }`
+   * @return {Object}        the client
+   */
+  function withLabels (labels) {
+    return createHttpClient(_.assign({}, options, { labels: _.assign({}, options.labels, labels) }))
+  }
+
+  return {
+    request: request,
+    getBuffer: getBuffer,
+    getText: getText,
+    getStream: getStream,
+    withLabels: withLabels
+  }
+}
+
+exports.createHttpClient = createHttpClient
+exports.gotTransport = gotTransport
+exports.parseRetryAfter = parseRetryAfter
+exports.computeBackoff = computeBackoff
@@ -0,0 +1,162 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+
+const DEFAULT_OPTIONS = {
+  shutdownTimeoutMilliseconds: 8 * 1000
+}
+
+/**
+ * createAbortError creates the error operations fail with once they are
+ * cancelled
+ * @param  {String} message optional; the message
+ * @return {Error}          the error
+ */
+function createAbortError (message) {
+  const error = new Error(message || 'the operation was aborted')
+  error.name = 'AbortError'
+  error.code = 'ABORT_ERR'
+  return error
+}
+
+/**
+ * isAbortError checks whether an error results from a cancellation, be it by
+ * the lifecycle or by node.js itself (e.g. for child processes)
+ * @param  {Error} error the error
+ * @return {Boolean}     true if the operation was cancelled
+ */
+function isAbortError (error) {
+  return _.get(error, 'name') === 'AbortError' || _.get(error, 'code') === 'ABORT_ERR'
+}
+
+/**
+ * sleep waits for the given time unless the signal is aborted before
+ * @param  {Number} milliseconds the time to wait
+ * @param  {AbortSignal} signal  optional; the signal cancelling the wait
+ * @return {Promise}             rejects with the reason of the signal (an
+ *                               AbortError) once it is aborted
+ */
+function sleep (milliseconds, signal) {
+  if (_.isNil(signal)) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds))
+  }
+
+  if (signal.aborted) {
+    return Promise.reject(signal.reason)
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, milliseconds)
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * createLifecycle creates the controller of the lifecycle of the service's
+ * long-running tasks, e.g. the crawl loops of the products
+ *
+ * stopping takes two steps:
+ * - `stopSignal` is aborted at once; tasks no longer start new work (e.g.
+ *   files to download) and waits between cycles end immediately
+ * - `abortSignal` is aborted if the tasks did not end within
+ *   `shutdownTimeoutMilliseconds`; HTTP requests, waits and child processes
+ *   still running are cancelled, so the files in progress are rolled back
+ * @param  {Object} options optional; `shutdownTimeoutMilliseconds` (default
+ *                          8 s) and `log`
+ * @return {Object}         the lifecycle
+ */
+function createLifecycle (options) {
+  options = _.defaults(_.omitBy(options, _.isNil), DEFAULT_OPTIONS)
+  const log = options.log
+
+  const stopController = new AbortController()
+  const abortController = new AbortController()
+  const tasks = new Set()
+  let stopping = null
+
+  /**
+   * run starts a long-running task and keeps track of it until it settles
+   * @param  {String} name    the name of the task used for logging
+   * @param  {Function} task  async function performing the task
+   * @return {Promise}        the promise of the task
+   */
+  function run (name, task) {
+    const promise = Promise.resolve().then(task).catch((error) => {
+      if (!isAbortError(error) && !_.isNil(log)) {
+        log.error(error, 'task ' + name + ' failed')
+      }
+    })
+
+    tasks.add(promise)
+    promise.then(() => tasks.delete(promise))
+    return promise
+  }
+
+  /**
+   * stop stops all tasks and resolves once they ended; subsequent calls
+   * resolve along with the first one
+   * @param  {String} reason the reason, e.g. the received signal
+   * @return {Object}        `{ aborted }`, true if tasks had to be cancelled
+   */
+  function stop (reason) {
+    if (!_.isNil(stopping)) {
+      return stopping
+    }
+
+    stopping = (async () => {
+      if (!_.isNil(log)) {
+        log.info({ reason: reason, tasks: tasks.size }, 'stopping, waiting at most ' + options.shutdownTimeoutMilliseconds + ' ms for the tasks to end')
+      }
+      stopController.abort(createAbortError('stopping: ' + reason))
+
+      const timer = setTimeout(() => {
+        if (!_.isNil(log)) {
+          log.warn('the tasks did not end in time, cancelling them')
+        }
+        abortController.abort(createAbortError('cancelled: ' + reason))
+      }, options.shutdownTimeoutMilliseconds)
+
+      await Promise.all(Array.from(tasks))
+      clearTimeout(timer)
+      return { aborted: abortController.signal.aborted }
+    })()
+
+    return stopping
+  }
+
+  return {
+    stopSignal: stopController.signal,
+    abortSignal: abortController.signal,
+    isStopping: () => stopController.signal.aborted,
+    run: run,
+    stop: stop
+  }
+}
+
+exports.createAbortError = createAbortError
+exports.createLifecycle = createLifecycle
+exports.isAbortError = isAbortError
+exports.sleep = sleep
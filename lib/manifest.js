@@ -0,0 +1,356 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const crypto = require('crypto')
+const moment = require('moment-timezone')
+const { URL } = require('url')
+const { MANIFEST_FILE_NAME, compilePathTemplate } = require('./archive_tree')
+const { getForecastHour } = require('./products')
+
+// Days with an incomplete manifest are looked for this many days back, as
+// reports of a day only become complete after they are no longer updated
+const LOOKBACK_DAYS = 7
+
+// Stored files missing in manifests are read to calculate their SHA-256; a
+// cycle reads at most this many bytes, further files follow in later cycles
+const MAX_LOOKUP_BYTES = 256 * 1024 * 1024
+
+// The updates of each manifest are serialized, as products may share their
+// run directories (e.g. MOSMIX_L single stations and all stations)
+const pendingUpdates = new Map()
+
+/**
+ * getSourceUrl converts the url of a file as requested by the crawler, which
+ * uses the IP address of opendata.dwd.de, back to its public url
+ * @param  {String} url     the url as requested
+ * @param  {String} baseUrl the base url of the product
+ * @return {String}         the public url
+ */
+function getSourceUrl (url, baseUrl) {
+  const source = new URL(url)
+  const base = new URL(baseUrl)
+  source.protocol = base.protocol
+  source.host = base.host
+  return source.toString()
+}
+
+/**
+ * readManifest reads the manifest of a run or day
+ * @param  {Object} storage the storage (see ./storage.js)
+ * @param  {String} unitKey the key of the directory of the run or day, e.g.
+ *                          `weather/cosmo-d2/grib/2019030100`
+ * @return {Object}         the manifest or null if there is none
+ */
+async function readManifest (storage, unitKey) {
+  try {
+    return JSON.parse((await storage.get(unitKey + '/' + MANIFEST_FILE_NAME)).toString('utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * isUnitComplete decides whether a run or day holds all files it is expected
+ * to hold, according to the `completion` of the product (see ./products.js)
+ *
+ * - days (`settleHours`) are complete once their files no longer change
+ * - runs are complete once all files listed for the run are stored and, with
+ *   `lastForecastHour`, the last forecast hour of each variable listed for
+ *   the run or, with `allStations`, a file of each station listed in the
+ *   cycle is listed for the run
+ * @param  {Object} product   the product
+ * @param  {Object} unit      `{ time, files }`, the point in time of the
+ *                            run or day and the files listed for it in the
+ *                            cycle as `{ url, fileName, variable, station }`
+ * @param  {Object} manifest  the manifest of the run or day
+ * @param  {Object} listing   `{ isComplete, files }`, whether the cycle listed
+ *                            all files (rather than resuming) and the files
+ *                            listed for all runs
+ * @param  {Object} now       the current time as moment
+ * @return {Boolean}          true if the run or day is complete
+ */
+function isUnitComplete (product, unit, manifest, listing, now) {
+  const completion = product.completion || {}
+
+  if (!_.isNil(completion.settleHours)) {
+    return !now.isBefore(unit.time.clone().add(1, 'day').add(completion.settleHours, 'hours'))
+  }
+
+  if (!listing.isComplete || _.isEmpty(unit.files)) {
+    return false
+  }
+
+  const storedUrls = _.map(manifest.files, 'url')
+  if (!_.every(unit.files, (file) => _.includes(storedUrls, file.url))) {
+    return false
+  }
+
+  if (_.isFunction(completion.lastForecastHour)) {
+    const lastForecastHour = completion.lastForecastHour(unit.time.hour())
+    return _.every(_.groupBy(unit.files, 'variable'), (files) => {
+      const forecastHours = _.map(files, (file) => getForecastHour(file.fileName))
+      return _.includes(forecastHours, lastForecastHour) || _.every(forecastHours, _.isNil)
+    })
+  }
+
+  if (completion.allStations === true) {
+    return _.isEmpty(_.difference(_.uniq(_.map(listing.files, 'station')), _.map(unit.files, 'station')))
+  }
+
+  return true
+}
+
+/**
+ * createEntry creates the entry of a stored file in the manifest of its run
+ * or day
+ * @param  {Object} unit       the run or day (see updateManifest)
+ * @param  {Object} storedFile the file as `{ url, key, size, sha256,
+ *                             downloadedAt, lastModified }`
+ * @return {Object}            the entry
+ */
+function createEntry (unit, storedFile) {
+  return {
+    path: storedFile.key.slice(unit.key.length + 1),
+    url: storedFile.url,
+    size: storedFile.size,
+    sha256: storedFile.sha256,
+    downloadedAt: _.isNil(storedFile.downloadedAt) ? null : storedFile.downloadedAt,
+    lastModified: storedFile.lastModified || null
+  }
+}
+
+/**
+ * findStoredFiles looks up the listed files of a run or day which are missing
+ * in its manifest, but already stored, e.g. as the cycle storing them ended
+ * before writing the manifests or as they were skipped by later cycles as
+ * already stored
+ *
+ * the files are read to calculate their SHA-256 until the lookup has no bytes
+ * left to read; the remaining files are looked up by later cycles
+ * @param  {Object} storage  the storage
+ * @param  {Object} unit     the run or day (see updateManifest)
+ * @param  {Object} manifest the manifest of the run or day
+ * @param  {Object} lookup   `{ remainingBytes }`, shared by the manifests of
+ *                           a cycle and reduced by the bytes read
+ * @return {Array}           the files as `{ url, key, size, sha256 }`
+ */
+async function findStoredFiles (storage, unit, manifest, lookup) {
+  const knownUrls = _.map(manifest.files, 'url').concat(_.map(unit.stored, 'url'))
+  const missing = _.filter(unit.files, (file) => !_.isNil(file.key) && !_.includes(knownUrls, file.url))
+  if (_.isEmpty(missing)) {
+    return []
+  }
+
+  const keys = new Set(await storage.list(unit.key + '/'))
+  const found = []
+  for (const file of _.uniqBy(_.filter(missing, (file) => keys.has(file.key)), 'key')) {
+    if (lookup.remainingBytes <= 0) {
+      break
+    }
+
+    const content = await storage.get(file.key)
+    lookup.remainingBytes = lookup.remainingBytes - content.length
+    found.push({
+      url: file.url,
+      key: file.key,
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex')
+    })
+  }
+
+  return found
+}
+
+/**
+ * updateManifest adds the stored files to the manifest of a run or day and
+ * marks it complete if appropriate; the manifest is only written if it changed
+ *
+ * before checking whether a run is complete, the listed files missing in its
+ * manifest are looked up in the storage (see findStoredFiles); they are
+ * listed without `downloadedAt` and `lastModified`
+ * @param  {Object} storage  the storage
+ * @param  {Object} product  the product
+ * @param  {Object} unit     `{ key, name, time, files, stored }` where
+ *                           `files` holds the files listed in the cycle
+ *                           (see isUnitComplete) together with their `key`
+ *                           and `stored` the files stored in the cycle
+ * @param  {Object} listing  see isUnitComplete
+ * @param  {Object} now      the current time as moment
+ * @param  {Object} lookup   see findStoredFiles
+ * @return {Boolean}         true if the manifest was written
+ */
+async function updateManifest (storage, product, unit, listing, now, lookup) {
+  const manifest = (await readManifest(storage, unit.key)) || {
+    product: product.name,
+    unit: unit.name,
+    complete: false,
+    completedAt: null,
+    updatedAt: null,
+    files: []
+  }
+  let changed = false
+
+  const storedFiles = manifest.complete || !listing.isComplete
+    ? unit.stored
+    : unit.stored.concat(await findStoredFiles(storage, unit, manifest, lookup))
+  for (const storedFile of storedFiles) {
+    const entry = createEntry(unit, storedFile)
+    manifest.files = _.sortBy(_.reject(manifest.files, { path: entry.path }).concat([entry]), 'path')
+    changed = true
+  }
+
+  // runs holding none of their files yet get no manifest
+  if (_.isEmpty(manifest.files) && _.isNil(manifest.updatedAt)) {
+    return false
+  }
+
+  if (!manifest.complete && isUnitComplete(product, unit, manifest, listing, now)) {
+    manifest.complete = true
+    manifest.completedAt = now.toDate()
+    changed = true
+  }
+
+  if (changed) {
+    manifest.updatedAt = now.toDate()
+    await storage.put(unit.key + '/' + MANIFEST_FILE_NAME, JSON.stringify(manifest))
+  }
+
+  return changed
+}
+
+/**
+ * updateManifests updates the manifests (`manifest.json`) of the runs or days
+ * a crawl cycle of a product listed or stored files for
+ *
+ * each manifest lists the files stored for the run or day with their public
+ * `url`, `size`, `sha256`, `downloadedAt` and upstream `lastModified`, and is
+ * marked `complete` (see isUnitComplete) once the run or day holds all files
+ * expected; products whose path template holds neither `{run}` nor `{date}`
+ * have no manifests
+ * @param  {Object} context the context of the crawl engine
+ * @param  {Object} product the product
+ * @param  {Object} cycle   `listed`, the urls listed in the cycle (or null if
+ *                          an interrupted cycle was resumed), and `stored`,
+ *                          the files stored as `{ url, key, size, sha256,
+ *                          downloadedAt, lastModified }`
+ * @param  {Object} options optional; `now` and `maxLookupBytes`, the number
+ *                          of bytes read to look up stored files missing in
+ *                          the manifests (default 256 MiB)
+ * @return {Number}         the number of manifests written
+ */
+async function updateManifests (context, product, cycle, options) {
+  if (!/\{(run|date)\}/.test(product.pathTemplate)) {
+    return 0
+  }
+
+  const storage = context.storage
+  const compiled = compilePathTemplate(product.pathTemplate)
+  const now = moment.utc(_.get(options, 'now'))
+  const lookup = { remainingBytes: _.get(options, 'maxLookupBytes', MAX_LOOKUP_BYTES) }
+  const units = {}
+
+  // the directory of the run or day holding a file, e.g.
+  // `weather/cosmo-d2/grib/2020051100`
+  const getUnit = (key) => {
+    const segments = key.split('/')
+    const unitKey = segments.slice(0, compiled.dateIndex + 1).join('/')
+    const name = segments[compiled.dateIndex]
+    if (segments.length <= compiled.dateIndex + 1 || !compiled.patterns[compiled.dateIndex].test(name)) {
+      return null
+    }
+
+    const time = compiled.parseTime(name)
+    if (!time.isValid()) {
+      return null
+    }
+
+    if (_.isNil(units[unitKey])) {
+      units[unitKey] = { key: unitKey, name: time.format(compiled.dateFormat), time: time, files: [], stored: [] }
+    }
+    return units[unitKey]
+  }
+
+  const listing = { isComplete: !_.isNil(cycle.listed), files: [] }
+  for (const url of cycle.listed || []) {
+    let file = null
+    let unit = null
+    try {
+      file = _.assign(product.parseUrl(url), { url: getSourceUrl(url, product.baseUrl) })
+      unit = getUnit(context.resolveKey(product.pathTemplate, file))
+    } catch (error) {
+      // e.g. `LATEST` files or the reports, whose files are not tied to a day
+      continue
+    }
+
+    listing.files.push(file)
+    if (!_.isNil(unit)) {
+      unit.files.push(_.assign({ key: context.resolveKey(product.pathTemplate, file) }, file))
+    }
+  }
+
+  for (const storedFile of cycle.stored) {
+    const unit = getUnit(storedFile.key)
+    if (!_.isNil(unit)) {
+      unit.stored.push(_.assign({}, storedFile, { url: getSourceUrl(storedFile.url, product.baseUrl) }))
+    }
+  }
+
+  // days only become complete after they are no longer updated, i.e. without
+  // being listed or stored; thus the days of the last week are looked at
+  if (!_.isNil(_.get(product, 'completion.settleHours'))) {
+    const unitTemplate = product.pathTemplate.split('/').slice(0, compiled.dateIndex + 1).join('/')
+    for (let days = 0; days <= LOOKBACK_DAYS; days++) {
+      const name = now.clone().subtract(days, 'days').format(compiled.dateFormat)
+      getUnit(context.resolveKey(unitTemplate, { run: name, date: name }) + '/' + MANIFEST_FILE_NAME)
+    }
+  }
+
+  let written = 0
+  for (const unit of _.sortBy(_.values(units), 'key')) {
+    // without stored or listed files, only existing manifests are updated
+    if (_.isEmpty(unit.stored) && _.isEmpty(unit.files) && _.isNil(await readManifest(storage, unit.key))) {
+      continue
+    }
+
+    const previous = pendingUpdates.get(unit.key) || Promise.resolve()
+    const update = previous.catch(_.noop).then(() => updateManifest(storage, product, unit, listing, now, lookup))
+    pendingUpdates.set(unit.key, update)
+
+    try {
+      if (await update) {
+        written++
+      }
+    } finally {
+      if (pendingUpdates.get(unit.key) === update) {
+        pendingUpdates.delete(unit.key)
+      }
+    }
+  }
+
+  return written
+}
+
+exports.MANIFEST_FILE_NAME = MANIFEST_FILE_NAME
+exports.getSourceUrl = getSourceUrl
+exports.isUnitComplete = isUnitComplete
+exports.readManifest = readManifest
+exports.updateManifests = updateManifests
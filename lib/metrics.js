@@ -0,0 +1,101 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const _ = require('lodash')
+const assert = require('assert')
+
+/**
+ * formatLabels renders a set of labels in Prometheus text format
+ * @param  {Object} labels the labels, e.g. `{ product: 'reports' }`
+ * @return {String}        the labels, e.g. `{product="reports"}`
+ */
+function formatLabels (labels) {
+  const keys = _.sortBy(_.keys(labels))
+  if (keys.length === 0) {
+    return ''
+  }
+
+  const pairs = _.map(keys, (key) => {
+    const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+    return key + '="' + value + '"'
+  })
+  return '{' + pairs.join(',') + '}'
+}
+
+/**
+ * createMetric creates a metric holding one value per set of labels
+ * @param  {String} type the Prometheus type, i.e. 'counter' or 'gauge'
+ * @param  {String} name the name of the metric
+ * @param  {String} help the description of the metric
+ * @return {Object}      the metric
+ */
+function createMetric (type, name, help) {
+  const values = {}
+
+  function update (labels, fn) {
+    const key = formatLabels(labels || {})
+    values[key] = fn(_.get(values, key, 0))
+  }
+
+  const metric = {
+    name: name,
+    get: (labels) => _.get(values, formatLabels(labels || {}), 0),
+    render: () => {
+      const lines = ['# HELP ' + name + ' ' + help, '# TYPE ' + name + ' ' + type]
+      _.forEach(_.sortBy(_.keys(values)), (key) => {
+        lines.push(name + key + ' ' + values[key])
+      })
+      return lines.join('\n')
+    }
+  }
+
+  if (type === 'counter') {
+    metric.inc = (labels, value) => {
+      value = _.isNil(value) ? 1 : value
+      assert(value >= 0, 'counters can only be increased')
+      update(labels, (current) => current + value)
+    }
+  } else {
+    metric.set = (labels, value) => update(labels, () => value)
+  }
+
+  return metric
+}
+
+/**
+ * createMetricsRegistry creates a registry of counters and gauges, which can
+ * be rendered in the Prometheus text exposition format
+ * @return {Object} the registry
+ */
+function createMetricsRegistry () {
+  const metrics = []
+
+  function register (type, name, help) {
+    assert(_.isNil(_.find(metrics, { name: name })), 'metric ' + name + ' already registered')
+    const metric = createMetric(type, name, help)
+    metrics.push(metric)
+    return metric
+  }
+
+  return {
+    counter: (name, help) => register('counter', name, help),
+    gauge: (name, help) => register('gauge', name, help),
+    render: () => _.map(metrics, (metric) => metric.render()).join('\n') + '\n'
+  }
+}
+
+exports.createMetricsRegistry = createMetricsRegistry
@@ -0,0 +1,216 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const yauzl = require('yauzl')
+const yazl = require('yazl')
+const { promisify } = require('util')
+
+const openZipBuffer = promisify(yauzl.fromBuffer)
+
+// MOSMIX files are encoded in ISO-8859-1; latin1 keeps all bytes as they are
+const ENCODING = 'latin1'
+
+// The lookup table of the CRC-32 used by zip files
+const CRC32_TABLE = _.map(_.range(256), (n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = (c & 1) !== 0 ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1)
+  }
+  return c >>> 0
+})
+
+/**
+ * openKmlStream opens the stream of the (first) KML document of a KMZ file
+ * @param  {Buffer} kmzContent the content of the KMZ file
+ * @return {Object}            `{ entryName, stream }`
+ */
+async function openKmlStream (kmzContent) {
+  const zipFile = await openZipBuffer(kmzContent, { lazyEntries: true })
+
+  return new Promise((resolve, reject) => {
+    zipFile.on('error', reject)
+    zipFile.on('end', () => reject(new Error('KMZ file does not contain a KML document')))
+    zipFile.on('entry', (entry) => {
+      if (!_.endsWith(_.toLower(entry.fileName), '.kml')) {
+        zipFile.readEntry()
+        return
+      }
+
+      zipFile.openReadStream(entry, (error, stream) => {
+        if (error) {
+          reject(error)
+          return
+        }
+
+        resolve({ entryName: entry.fileName, stream: stream })
+      })
+    })
+    zipFile.readEntry()
+  })
+}
+
+/**
+ * updateCrc32 continues the calculation of a CRC-32 with the next chunk
+ * @param  {Number} crc   the CRC-32 of the preceding chunks (0 initially)
+ * @param  {Buffer} chunk the chunk
+ * @return {Number}       the CRC-32 including the chunk
+ */
+function updateCrc32 (crc, chunk) {
+  crc = ~crc
+  for (let i = 0; i < chunk.length; i++) {
+    crc = CRC32_TABLE[(crc ^ chunk[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return ~crc >>> 0
+}
+
+/**
+ * checkKmz verifies that a KMZ file is a complete zip file holding a KML
+ * document
+ *
+ * the central directory is read and each entry is decompressed, checking its
+ * size and its CRC-32
+ * @param  {Buffer} kmzContent the content of the KMZ file
+ * @return {Number}            the number of entries
+ */
+async function checkKmz (kmzContent) {
+  const zipFile = await openZipBuffer(kmzContent, { lazyEntries: true })
+  const openReadStream = promisify(zipFile.openReadStream.bind(zipFile))
+  let numberOfEntries = 0
+  let hasKml = false
+
+  await new Promise((resolve, reject) => {
+    zipFile.on('error', reject)
+    zipFile.on('end', resolve)
+    zipFile.on('entry', (entry) => {
+      numberOfEntries++
+      hasKml = hasKml || _.endsWith(_.toLower(entry.fileName), '.kml')
+
+      openReadStream(entry).then(async (stream) => {
+        let crc = 0
+        for await (const chunk of stream) {
+          crc = updateCrc32(crc, chunk)
+        }
+
+        if (crc !== entry.crc32) {
+          throw new Error('CRC-32 mismatch of zip entry ' + entry.fileName)
+        }
+        zipFile.readEntry()
+      }).catch(reject)
+    })
+    zipFile.readEntry()
+  })
+
+  if (!hasKml) {
+    throw new Error('KMZ file does not contain a KML document')
+  }
+
+  return numberOfEntries
+}
+
+/**
+ * createKmz creates a KMZ file holding a single KML document
+ * @param  {String} entryName the name of the KML document, e.g.
+ *                            `MOSMIX_L_2019030109_10704.kml`
+ * @param  {String} kml       the KML document
+ * @return {Buffer}           the content of the KMZ file
+ */
+async function createKmz (entryName, kml) {
+  const zipFile = new yazl.ZipFile()
+  zipFile.addBuffer(Buffer.from(kml, ENCODING), entryName)
+  zipFile.end()
+
+  const chunks = []
+  for await (const chunk of zipFile.outputStream) {
+    chunks.push(chunk)
+  }
+
+  return Buffer.concat(chunks)
+}
+
+/**
+ * splitMosmixBundle splits a MOSMIX KMZ file holding the forecasts of all
+ * stations into KML documents holding the forecast of a single station, as
+ * provided by DWD for MOSMIX_L in `single_stations`
+ *
+ * the KML document is streamed, only a single placemark is kept in memory;
+ * each station document consists of the document header (including the
+ * product definition), the placemark of the station and the closing tags
+ * @param  {Buffer} kmzContent   the content of the KMZ file
+ * @param  {Function} onStation  called (and awaited) for each station with
+ *                               `(stationID, kml)`
+ * @return {Number}              the number of stations
+ */
+async function splitMosmixBundle (kmzContent, onStation) {
+  const { stream } = await openKmlStream(kmzContent)
+  stream.setEncoding(ENCODING)
+
+  let buffer = ''
+  let header = null
+  let footer = null
+  let openingTag = null
+  let closingTag = null
+  let numberOfStations = 0
+
+  for await (const chunk of stream) {
+    buffer = buffer + chunk
+
+    if (_.isNil(header)) {
+      const match = /<(\w+:)?Placemark[\s>]/.exec(buffer)
+      if (_.isNil(match)) {
+        continue
+      }
+
+      const prefix = match[1] || ''
+      header = buffer.slice(0, match.index)
+      footer = '</' + prefix + 'Document>\n</' + prefix + 'kml>\n'
+      openingTag = '<' + prefix + 'Placemark'
+      closingTag = '</' + prefix + 'Placemark>'
+      buffer = buffer.slice(match.index)
+    }
+
+    for (;;) {
+      const end = buffer.indexOf(closingTag)
+      if (end < 0) {
+        break
+      }
+
+      const placemark = buffer.slice(buffer.indexOf(openingTag), end + closingTag.length)
+      buffer = buffer.slice(end + closingTag.length)
+
+      const name = /<(?:\w+:)?name>\s*([^<\s]+)\s*<\/(?:\w+:)?name>/.exec(placemark)
+      if (_.isNil(name)) {
+        throw new Error('placemark without name in MOSMIX file')
+      }
+
+      numberOfStations++
+      await onStation(name[1], header + placemark + '\n' + footer)
+    }
+  }
+
+  if (_.isNil(header)) {
+    throw new Error('MOSMIX file does not contain any placemark')
+  }
+
+  return numberOfStations
+}
+
+exports.checkKmz = checkKmz
+exports.createKmz = createKmz
+exports.openKmlStream = openKmlStream
+exports.splitMosmixBundle = splitMosmixBundle
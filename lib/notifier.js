@@ -0,0 +1,323 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const got = require('got')
+
+// Version of the event format; increase on incompatible changes
+const EVENT_VERSION = 1
+
+// Number of file events waiting to be published; further events are dropped
+const DEFAULT_MAX_QUEUED_FILE_EVENTS = 1000
+
+// Names of the products as used in the `crawled` field of the UDP broadcasts
+// sent by former versions of dwd_data_crawler
+const LEGACY_PRODUCT_NAMES = {
+  reports: 'reports',
+  mosmix: 'mosmix-forecasts',
+  'cosmo-d2': 'cosmo-d2-forecasts'
+}
+
+/**
+ * createFileEvent creates the event announcing a single stored file
+ * @param  {String} product the name of the product, e.g. 'cosmo-d2'
+ * @param  {Object} file    the description of the file: `path` (the local
+ *                          file path or `s3://` url, see ./storage.js), `key`,
+ *                          `url`, `size`, `sha256` and, depending on the
+ *                          product, `run`, `date`, `station` and/or `variable`
+ * @return {Object}         the event
+ */
+function createFileEvent (product, file) {
+  return {
+    version: EVENT_VERSION,
+    type: 'file',
+    product: product,
+    emittedAt: new Date().toISOString(),
+    file: _.omitBy(file, _.isNil)
+  }
+}
+
+/**
+ * createCycleEvent creates the event summarizing a complete crawl cycle
+ * @param  {String} product the name of the product, e.g. 'cosmo-d2'
+ * @param  {Object} cycle   `startedAt` and `endedAt` (Date) of the cycle and
+ *                          `counts` of files per status (`new`, `updated`,
+ *                          `unchanged` and `failed`)
+ * @param  {Array} files    the files stored in this cycle, as described for
+ *                          createFileEvent
+ * @return {Object}         the event
+ */
+function createCycleEvent (product, cycle, files) {
+  const collect = (key) => _.sortBy(_.uniq(_.compact(_.map(files, key))))
+
+  return {
+    version: EVENT_VERSION,
+    type: 'cycle',
+    product: product,
+    emittedAt: new Date().toISOString(),
+    cycle: {
+      startedAt: cycle.startedAt.toISOString(),
+      endedAt: cycle.endedAt.toISOString(),
+      counts: _.defaults({}, cycle.counts, { new: 0, updated: 0, unchanged: 0, failed: 0 })
+    },
+    runs: collect('run'),
+    dates: collect('date'),
+    stations: collect('station'),
+    variables: collect('variable'),
+    paths: _.map(files, 'path')
+  }
+}
+
+/**
+ * createUdpBackend creates a backend broadcasting events via UDP
+ *
+ * cycle events keep the fields `crawled` and `count` of former versions, but
+ * omit the list of paths which quickly exceeds the size of a datagram
+ * @param  {Object} options `port` and `send`, a function `(message, port)`
+ *                          (defaults to sudpee.send)
+ * @return {Object}         the backend
+ */
+function createUdpBackend (options) {
+  const send = options.send || require('sudpee').send
+
+  return {
+    name: 'udp',
+    publish: async (event) => {
+      let message = event
+      if (event.type === 'cycle') {
+        message = _.assign({
+          crawled: LEGACY_PRODUCT_NAMES[event.product] || event.product,
+          count: event.cycle.counts.new + event.cycle.counts.updated
+        }, event.cycle.counts, _.omit(event, 'paths'))
+      }
+
+      await send(message, options.port)
+    },
+    close: async () => {}
+  }
+}
+
+/**
+ * createWebhookBackend creates a backend POSTing events as JSON to an url
+ * @param  {Object} options `url`, and optionally `timeoutMilliseconds`
+ * @return {Object}         the backend
+ */
+function createWebhookBackend (options) {
+  if (_.isNil(options.url)) {
+    throw new Error('the webhook backend requires an url (NOTIFY_WEBHOOK_URL)')
+  }
+
+  return {
+    name: 'webhook',
+    publish: async (event) => {
+      await got.post(options.url, {
+        json: event,
+        timeout: options.timeoutMilliseconds || 10000,
+        retry: { limit: 2, methods: ['POST'] },
+        https: { rejectUnauthorized: false }
+      })
+    },
+    close: async () => {}
+  }
+}
+
+/**
+ * createMqttBackend creates a backend publishing events to an MQTT broker at
+ * the topic `$topicPrefix/$product/$type`, e.g. `dwd_data_crawler/reports/cycle`
+ *
+ * publishing fails at once while the client is not connected and if the
+ * broker does not acknowledge the event within `timeoutMilliseconds`, as the
+ * client keeps unacknowledged events queued until it reconnects
+ * @param  {Object} options `url` of the broker and `topicPrefix`, and
+ *                          optionally `timeoutMilliseconds`; `connect` may
+ *                          replace mqtt.connect
+ * @return {Object}         the backend
+ */
+function createMqttBackend (options) {
+  if (_.isNil(options.url)) {
+    throw new Error('the mqtt backend requires the url of the broker (NOTIFY_MQTT_URL)')
+  }
+
+  const connect = options.connect || require('mqtt').connect
+  const client = connect(options.url)
+
+  return {
+    name: 'mqtt',
+    publish: (event) => new Promise((resolve, reject) => {
+      if (!client.connected) {
+        reject(new Error('not connected to the broker at ' + options.url))
+        return
+      }
+
+      const timeoutMilliseconds = options.timeoutMilliseconds || 10000
+      const timer = setTimeout(() => {
+        reject(new Error('the broker did not acknowledge the event within ' + timeoutMilliseconds + ' ms'))
+      }, timeoutMilliseconds)
+
+      const topic = [options.topicPrefix, event.product, event.type].join('/')
+      client.publish(topic, JSON.stringify(event), { qos: 1 }, (error) => {
+        clearTimeout(timer)
+        if (error) {
+          reject(error)
+        } else {
+          resolve()
+        }
+      })
+    }),
+    close: () => new Promise((resolve) => client.end(false, {}, () => resolve()))
+  }
+}
+
+/**
+ * createNotifier creates a notifier which publishes events to all configured
+ * backends
+ *
+ * failing backends are logged but never make the notification fail, as the
+ * crawler must not stop because a downstream service is unavailable. File
+ * events are queued and published one after another in the background, so
+ * slow backends do not hold up downloads; cycle events are published once
+ * the queue is drained
+ * @param  {Object} options `backends` (see above), `fileEvents` (whether
+ *                          per-file events are published), `log` and
+ *                          optionally `maxQueuedFileEvents` (default 1000)
+ * @return {Object}         the notifier
+ */
+function createNotifier (options) {
+  const backends = options.backends || []
+  const log = options.log
+  const maxQueuedFileEvents = options.maxQueuedFileEvents || DEFAULT_MAX_QUEUED_FILE_EVENTS
+
+  const fileEvents = []
+  let draining = null
+  let droppedFileEvents = 0
+  let closed = false
+
+  async function publish (event) {
+    await Promise.all(_.map(backends, async (backend) => {
+      try {
+        await backend.publish(event)
+      } catch (error) {
+        if (!_.isNil(log)) {
+          log.warn({ error: error.toString(), backend: backend.name, product: event.product }, 'publishing ' + event.type + ' event failed')
+        }
+      }
+    }))
+  }
+
+  /**
+   * drainFileEvents publishes the queued file events unless this is already
+   * in progress
+   * @return {Promise} resolves once the queue is empty
+   */
+  function drainFileEvents () {
+    if (_.isNil(draining) && fileEvents.length > 0) {
+      draining = (async () => {
+        while (fileEvents.length > 0) {
+          await publish(fileEvents.shift())
+        }
+
+        if (droppedFileEvents > 0 && !_.isNil(log)) {
+          log.warn({ dropped: droppedFileEvents }, 'dropped ' + droppedFileEvents + ' file events as the queue was full')
+        }
+        droppedFileEvents = 0
+        draining = null
+      })()
+    }
+
+    return draining || Promise.resolve()
+  }
+
+  return {
+    /**
+     * notifyFile queues a file event, if per-file events are enabled; the
+     * event is dropped if the queue is full
+     * @param  {String} product the name of the product
+     * @param  {Object} file    see createFileEvent
+     */
+    notifyFile: (product, file) => {
+      if (options.fileEvents !== true || closed) {
+        return
+      }
+
+      if (fileEvents.length >= maxQueuedFileEvents) {
+        droppedFileEvents = droppedFileEvents + 1
+        return
+      }
+
+      fileEvents.push(createFileEvent(product, file))
+      drainFileEvents()
+    },
+
+    /**
+     * notifyCycle publishes a cycle event after the queued file events
+     * @param  {String} product the name of the product
+     * @param  {Object} cycle   see createCycleEvent
+     * @param  {Array} files    see createCycleEvent
+     */
+    notifyCycle: async (product, cycle, files) => {
+      await drainFileEvents()
+      await publish(createCycleEvent(product, cycle, files))
+    },
+
+    /**
+     * close drops the queued file events, waits for the event being
+     * published and releases the resources (e.g. connections) of all backends
+     */
+    close: async () => {
+      closed = true
+      if (fileEvents.length > 0 && !_.isNil(log)) {
+        log.warn({ dropped: fileEvents.length }, 'dropped ' + fileEvents.length + ' file events not published before closing')
+      }
+      fileEvents.length = 0
+      await draining
+
+      await Promise.all(_.map(backends, (backend) => backend.close().catch(_.noop)))
+    }
+  }
+}
+
+/**
+ * createBackends creates the backends named in a comma separated list
+ * @param  {String} names   e.g. 'udp,webhook'
+ * @param  {Object} options the options per backend, keyed by name
+ * @return {Array}          the backends
+ */
+function createBackends (names, options) {
+  const factories = {
+    udp: createUdpBackend,
+    webhook: createWebhookBackend,
+    mqtt: createMqttBackend
+  }
+
+  names = _.compact(_.map(_.split(names, ','), _.trim))
+  const unknownNames = _.reject(names, (name) => _.has(factories, name))
+  if (unknownNames.length > 0) {
+    throw new Error('unknown notification backend: ' + unknownNames.join(', '))
+  }
+
+  return _.map(names, (name) => factories[name](options[name] || {}))
+}
+
+exports.EVENT_VERSION = EVENT_VERSION
+exports.createBackends = createBackends
+exports.createCycleEvent = createCycleEvent
+exports.createFileEvent = createFileEvent
+exports.createMqttBackend = createMqttBackend
+exports.createNotifier = createNotifier
+exports.createUdpBackend = createUdpBackend
+exports.createWebhookBackend = createWebhookBackend
@@ -0,0 +1,456 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const moment = require('moment-timezone')
+const dwdCsv = require('./dwd_csv')
+const reportQuality = require('./report_quality')
+const { createValidatorCache, downloadFileIfChanged } = require('./http_cache')
+const { hasNativeTools, pipeBz2ToLz4 } = require('./recompression')
+const { createKmz, splitMosmixBundle } = require('./mosmix_bundle')
+const { isAbortError } = require('./lifecycle')
+
+// Processors download a listed file and store it in the archive. Each
+// processor offers `process(file, context, product)` resolving to
+// `{ status, bytesWritten, files }`, where status is one of 'new', 'updated'
+// and 'unchanged' and files lists the stored files (see describeStoredFile).
+// Files are stored using `context.storage` (see ./storage.js) at the key
+// given by the path template of the product. Optionally,
+// `prepare(context, product)` is called once before the first cycle and
+// `finishCycle(context, product)` at the end of each cycle. Failing writes
+// are fatal (see storeFile).
+
+/**
+ * describeStoredFile describes a stored file as listed in the result of a
+ * processor: `path`, the location of the file (see ./storage.js), `key`,
+ * `size`, `sha256` and `lastModified`, the upstream `Last-Modified` header,
+ * plus the fields describing the content (see ./notifier.js#createFileEvent)
+ * @param  {Object} context      the cycle context
+ * @param  {String} key          the key the file is stored at
+ * @param  {Object} stored       `{ size, sha256 }` as returned by storage.put
+ * @param  {String} lastModified the `Last-Modified` header of the download
+ * @param  {Object} fields       the fields describing the content
+ * @return {Object}              the description
+ */
+function describeStoredFile (context, key, stored, lastModified, fields) {
+  return _.assign({}, fields, {
+    path: context.storage.locate(key),
+    key: key,
+    size: stored.size,
+    sha256: stored.sha256,
+    lastModified: lastModified
+  })
+}
+
+/**
+ * storeFile stores content using a storage backend (see ./storage.js)
+ *
+ * failing to write is fatal (see ./crawl_engine.js), e.g. as the disk is
+ * full; failures of streamed content itself, e.g. a broken download, and
+ * cancelled writes are not
+ * @param  {Object} storage the storage
+ * @param  {String} key     the key to store the content at
+ * @param  {Buffer} content the content, a Buffer, string or readable stream
+ * @return {Object}         `{ size, sha256 }` as returned by storage.put
+ */
+async function storeFile (storage, key, content) {
+  let contentError = null
+  if (_.isFunction(_.get(content, 'once'))) {
+    content.once('error', (error) => {
+      contentError = error
+    })
+  }
+
+  try {
+    return await storage.put(key, content)
+  } catch (error) {
+    if (_.isNil(contentError) && !isAbortError(error)) {
+      error.fatal = true
+    }
+    throw error
+  }
+}
+
+/**
+ * createStoreProcessor creates a processor storing files as they are
+ *
+ * existing files are skipped, as DWD never changes a file once its run has
+ * been issued the file on disk is as good as a validator for conditional
+ * requests; failing to write a file is fatal
+ * @return {Object} the processor
+ */
+function createStoreProcessor () {
+  async function process (file, context, product) {
+    const key = context.resolveKey(product.pathTemplate, file)
+    if (await context.storage.exists(key)) {
+      return { status: 'unchanged' }
+    }
+
+    const response = await context.httpClient.request(file.url)
+    context.log.debug('downloading new ' + product.name + ' file ' + file.fileName)
+
+    const stored = await storeFile(context.storage, key, response.body)
+
+    return {
+      status: 'new',
+      bytesWritten: stored.size,
+      files: [describeStoredFile(context, key, stored, response.headers['last-modified'], _.pick(file, ['run', 'station']))]
+    }
+  }
+
+  return {
+    process: process
+  }
+}
+
+/**
+ * createRecompressionProcessor creates a processor streaming bzip2 compressed
+ * files into lz4 compressed files; no intermediate files are written and
+ * existing files are skipped
+ * @param  {Object} options `implementation` (see ./recompression.js)
+ * @return {Object}         the processor
+ */
+function createRecompressionProcessor (options) {
+  const implementation = _.get(options, 'implementation', 'auto')
+
+  async function prepare (context, product) {
+    if (implementation === 'auto' && !(await hasNativeTools())) {
+      context.log.warn('bzip2 and/or lz4 commands not found, falling back to slower JavaScript recompression for ' + product.name)
+    }
+  }
+
+  async function process (file, context, product) {
+    const key = context.resolveKey(product.pathTemplate, file)
+    if (await context.storage.exists(key)) {
+      return { status: 'unchanged' }
+    }
+
+    context.log.debug('downloading and storing file ' + file.url)
+    const response = await context.httpClient.request(file.url, { stream: true })
+
+    let stored = null
+    await pipeBz2ToLz4(response.body, async (output) => {
+      stored = await storeFile(context.storage, key, output)
+    }, { implementation: implementation, signal: context.signal })
+
+    return {
+      status: 'new',
+      bytesWritten: stored.size,
+      files: [describeStoredFile(context, key, stored, response.headers['last-modified'], _.pick(file, ['run', 'variable']))]
+    }
+  }
+
+  return {
+    prepare: prepare,
+    process: process
+  }
+}
+
+/**
+ * extractDates extracts the days a report holds data for
+ * @param  {Array} table the parsed report
+ * @return {Array}       the days as `YYYYMMDD`
+ */
+function extractDates (table) {
+  const dates = {}
+  _.forEach(table.slice(3), (row) => {
+    const m = moment.tz(row[0], 'DD.MM.YYYY', 'UTC')
+    if (!m.isValid()) {
+      return
+    }
+
+    const dateString = m.format('YYYYMMDD')
+    dates[dateString] = dateString
+  })
+
+  return _.keys(dates)
+}
+
+/**
+ * readStoredReports reads all versions of the report file stored for a
+ * station and day
+ * @param  {Object} context  the cycle context
+ * @param  {Object} product  the product definition
+ * @param  {Object} file     the report file as listed
+ * @param  {String} date     the day as `YYYYMMDD`
+ * @return {Array}           `{ version, fileName, key, table }` per version
+ */
+async function readStoredReports (context, product, file, date) {
+  const stored = []
+  for (let version = 1; ; version++) {
+    const fileName = reportQuality.getVersionedFileName(file.fileName, version)
+    const key = context.resolveKey(product.pathTemplate, _.assign({}, file, { date: date, fileName: fileName }))
+    if (!await context.storage.exists(key)) {
+      return stored
+    }
+
+    const content = (await context.storage.get(key)).toString('utf8')
+    stored.push({ version: version, fileName: fileName, key: key, table: dwdCsv.parseCSV(content) })
+  }
+}
+
+/**
+ * getSiblingKey returns the key of a file stored next to the given one
+ * @param  {String} key      the key of the file
+ * @param  {String} fileName the name of the sibling
+ * @return {String}          the key of the sibling
+ */
+function getSiblingKey (key, fileName) {
+  return key.split('/').slice(0, -1).concat([fileName]).join('/')
+}
+
+/**
+ * readPreviousConflicts reads the conflicting duplicates listed by a stored
+ * quality report, which would otherwise be lost when it is replaced
+ * @param  {Object} storage the storage
+ * @param  {String} key     the key of the quality report
+ * @return {Array}          the conflicts
+ */
+async function readPreviousConflicts (storage, key) {
+  try {
+    const qualityReport = JSON.parse((await storage.get(key)).toString('utf8'))
+    return _.filter(qualityReport.issues, { type: 'conflicting_duplicate' })
+  } catch (error) {
+    return []
+  }
+}
+
+/**
+ * appendReportHistory adds the rows replaced while merging a report to the
+ * history file stored next to it (`keep-history` merge policy)
+ * @param  {Object} storage   the storage
+ * @param  {Object} target    the stored report as returned by readStoredReports
+ * @param  {Array} conflicts  the conflicts as returned by
+ *                            report_quality.mergeReportTables
+ * @return {Number}           the number of bytes written
+ */
+async function appendReportHistory (storage, target, conflicts) {
+  const replacedRows = _.map(_.filter(conflicts, { kept: 'new' }), (conflict) => conflict.storedRow.split(';'))
+  if (_.isEmpty(replacedRows)) {
+    return 0
+  }
+
+  const historyKey = getSiblingKey(target.key, reportQuality.getHistoryFileName(target.fileName))
+  let rows = []
+  if (await storage.exists(historyKey)) {
+    rows = dwdCsv.parseCSV((await storage.get(historyKey)).toString('utf8')).slice(3)
+  }
+
+  rows = _.sortBy(_.uniqWith(rows.concat(replacedRows), _.isEqual), (row) => -dwdCsv.getRowTimestamp(row))
+  const stored = await storeFile(storage, historyKey, dwdCsv.generateCSV(target.table.slice(0, 3).concat(rows)))
+  return stored.size
+}
+
+/**
+ * createReportProcessor creates a processor splitting report files by day and
+ * merging them into the files stored for each day
+ *
+ * - report files which did not change since the last cycle (according to the
+ *   `ETag`, `Last-Modified` and `Content-Length` headers) are skipped
+ * - if the header of a report differs from the header of the stored file
+ *   (e.g. DWD added a parameter), the report is stored as a new version of the
+ *   file (`10704-BEOB.v2.csv`) instead of being rejected
+ * - rows are merged keyed by the point in time of the observation; which row
+ *   is kept if the values differ is decided by the merge policy (see
+ *   dwd_csv.mergeRows); with `keep-history` the replaced rows are kept in
+ *   `10704-BEOB.history.csv`
+ * - for each station and day a quality report (`10704-BEOB.quality.json`,
+ *   see ./report_quality.js) is stored next to the report files
+ * @param  {Object} options `validatorCachePath`, the path of the file the
+ *                          validators are persisted in; optional,
+ *                          `parametersPath`, the catalogue of known
+ *                          parameters, and `mergePolicy`
+ * @return {Object}         the processor
+ */
+function createReportProcessor (options) {
+  const mergePolicy = options.mergePolicy || 'latest-wins'
+  if (!_.includes(dwdCsv.MERGE_POLICIES, mergePolicy)) {
+    throw new Error('unknown merge policy ' + mergePolicy + ' (known policies: ' + dwdCsv.MERGE_POLICIES.join(', ') + ')')
+  }
+
+  const validatorCache = createValidatorCache(options.validatorCachePath)
+  let parameters = []
+
+  async function prepare () {
+    await validatorCache.load()
+    parameters = await reportQuality.loadReportParameters(options.parametersPath)
+  }
+
+  async function process (file, context, product) {
+    const download = await downloadFileIfChanged(context.httpClient, validatorCache, file.url)
+    if (download.status === 'unchanged') {
+      return { status: 'unchanged' }
+    }
+
+    const textContent = download.content.toString('utf8')
+    const table = dwdCsv.parseCSV(textContent)
+
+    // the validators are only stored once the content has been written for
+    // all dates; otherwise a failed write would never be retried
+    const files = []
+    let bytesWritten = 0
+    for (const dateString of extractDates(table)) {
+      const dayString = moment.tz(dateString, 'YYYYMMDD', 'UTC').format('DD.MM.YY')
+      const storedReports = await readStoredReports(context, product, file, dateString)
+
+      let target = _.find(storedReports, (stored) => reportQuality.hasSameHeader(stored.table, table))
+      if (_.isNil(target)) {
+        const version = storedReports.length + 1
+        const fileName = reportQuality.getVersionedFileName(file.fileName, version)
+        target = {
+          version: version,
+          fileName: fileName,
+          key: context.resolveKey(product.pathTemplate, _.assign({}, file, { date: dateString, fileName: fileName })),
+          table: table.slice(0, 3)
+        }
+        storedReports.push(target)
+
+        if (version > 1) {
+          context.log.warn({ station: file.station, date: dateString, version: version }, 'the columns of the report changed, storing a new version')
+        }
+      }
+
+      const merged = reportQuality.mergeReportTables(target.table, table, dayString, mergePolicy)
+      target.table = merged.table
+      if (mergePolicy === 'keep-history') {
+        bytesWritten = bytesWritten + await appendReportHistory(context.storage, target, merged.conflicts)
+      }
+
+      const stored = await storeFile(context.storage, target.key, dwdCsv.generateCSV(merged.table))
+      bytesWritten = bytesWritten + stored.size
+      files.push(describeStoredFile(context, target.key, stored, download.validators.lastModified, { date: dateString, station: file.station }))
+
+      const qualityReportKey = getSiblingKey(target.key, reportQuality.getQualityReportFileName(file.fileName))
+      const qualityReport = reportQuality.createQualityReport({
+        station: file.station,
+        date: dateString,
+        files: storedReports,
+        parameters: parameters,
+        issues: (await readPreviousConflicts(context.storage, qualityReportKey)).concat(merged.conflicts)
+      })
+      await storeFile(context.storage, qualityReportKey, JSON.stringify(qualityReport))
+
+      if (!_.isEmpty(merged.conflicts)) {
+        context.log.warn({ station: file.station, date: dateString, conflicts: merged.conflicts.length }, 'the report contains values differing from the stored ones')
+      }
+    }
+
+    validatorCache.set(file.url, download.validators)
+
+    return {
+      status: download.status,
+      bytesWritten: bytesWritten,
+      files: files
+    }
+  }
+
+  async function finishCycle (context) {
+    try {
+      await validatorCache.save()
+    } catch (error) {
+      context.log.error(error, 'persisting the validators of the report files failed')
+    }
+  }
+
+  return {
+    prepare: prepare,
+    process: process,
+    finishCycle: finishCycle
+  }
+}
+
+/**
+ * createMosmixBundleProcessor creates a processor for the MOSMIX files holding
+ * the forecasts of all stations (`all_stations`)
+ *
+ * with `split` set, each bundle is split into one KMZ file per (allowed)
+ * station, stored at `product.stationPathTemplate` just like the files of
+ * `single_stations`; otherwise the bundle is stored as it is at
+ * `product.pathTemplate`. Bundles which did not change since they were
+ * processed (according to their `ETag`, `Last-Modified` and `Content-Length`
+ * headers) are skipped
+ * @param  {Object} options `validatorCachePath`, the path of the file the
+ *                          validators are persisted in, and `split`
+ * @return {Object}         the processor
+ */
+function createMosmixBundleProcessor (options) {
+  const validatorCache = createValidatorCache(options.validatorCachePath)
+
+  async function prepare () {
+    await validatorCache.load()
+  }
+
+  async function process (file, context, product) {
+    const download = await downloadFileIfChanged(context.httpClient, validatorCache, file.url)
+    if (download.status === 'unchanged') {
+      return { status: 'unchanged' }
+    }
+
+    const files = []
+    let bytesWritten = 0
+
+    if (options.split === true) {
+      await splitMosmixBundle(download.content, async (stationID, kml) => {
+        if (!context.filters.isStationAllowed(stationID)) {
+          return
+        }
+
+        const key = context.resolveKey(product.stationPathTemplate, _.assign({}, file, { station: stationID }))
+        const content = await createKmz(_.join([file.prefix, file.run, stationID], '_') + '.kml', kml)
+
+        const stored = await storeFile(context.storage, key, content)
+        bytesWritten = bytesWritten + stored.size
+        files.push(describeStoredFile(context, key, stored, download.validators.lastModified, { run: file.run, station: stationID }))
+      })
+    } else {
+      const key = context.resolveKey(product.pathTemplate, file)
+      const stored = await storeFile(context.storage, key, download.content)
+      bytesWritten = stored.size
+      files.push(describeStoredFile(context, key, stored, download.validators.lastModified, { run: file.run }))
+    }
+
+    validatorCache.set(file.url, download.validators)
+    context.log.debug('processing MOSMIX file ' + file.fileName + ' resulted in ' + files.length + ' stored files')
+
+    return {
+      status: download.status,
+      bytesWritten: bytesWritten,
+      files: files
+    }
+  }
+
+  async function finishCycle (context, product) {
+    try {
+      await validatorCache.save()
+    } catch (error) {
+      context.log.error(error, 'persisting the validators of the ' + product.name + ' files failed')
+    }
+  }
+
+  return {
+    prepare: prepare,
+    process: process,
+    finishCycle: finishCycle
+  }
+}
+
+exports.createMosmixBundleProcessor = createMosmixBundleProcessor
+exports.createRecompressionProcessor = createRecompressionProcessor
+exports.createReportProcessor = createReportProcessor
+exports.createStoreProcessor = createStoreProcessor
+exports.extractDates = extractDates
@@ -0,0 +1,510 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const path = require('path')
+const dwdGrib = require('./dwd_grib')
+const { mapConcurrent } = require('./worker_pool')
+const {
+  createMosmixBundleProcessor,
+  createRecompressionProcessor,
+  createReportProcessor,
+  createStoreProcessor
+} = require('./processors')
+
+/**
+ * getFileName returns the last segment of an url
+ * @param  {String} url the url
+ * @return {String}     the file name
+ */
+function getFileName (url) {
+  return _.last(_.split(url, '/'))
+}
+
+// The forecast hour in the names of NWP files, e.g.
+// `cosmo-d2_germany_regular-lat-lon_single-level_2020051100_003_T_2M.grib2.bz2`
+const FORECAST_HOUR_REGEX = /_\d{10}_(\d{3})_/
+
+/**
+ * getForecastHour extracts the forecast hour from the name of an NWP file
+ * @param  {String} fileName the file name
+ * @return {Number}          the forecast hour or null for time-invariant files
+ */
+function getForecastHour (fileName) {
+  const match = FORECAST_HOUR_REGEX.exec(fileName)
+  return _.isNil(match) ? null : Number(match[1])
+}
+
+/**
+ * listFlat lists the files of a single directory
+ * @param  {String} baseUrl the url of the directory
+ * @param  {Object} context the context of the crawl engine
+ * @return {Array}          the urls of the files
+ */
+async function listFlat (baseUrl, context) {
+  return dwdGrib.crawlListOfFilePaths(baseUrl, { httpClient: context.httpClient })
+}
+
+/**
+ * listStationDirectories lists the files in the `kml/` directories of all
+ * allowed stations, e.g. `$BASE_URL/10704/kml/`; failing to list a single
+ * station is logged but does not fail the listing
+ * @param  {String} baseUrl the url of the directory holding the stations
+ * @param  {Object} context the context of the crawl engine
+ * @param  {Object} product the product
+ * @return {Array}          the urls of the files
+ */
+async function listStationDirectories (baseUrl, context, product) {
+  const listOfStations = await dwdGrib.crawlListOfFilePaths(baseUrl, {
+    httpClient: context.httpClient,
+    filter: (href) => context.filters.isStationAllowed(_.trimEnd(href, '/'))
+  })
+  context.log.info('crawling for ' + product.name + ' revealed ' + listOfStations.length + ' stations')
+
+  const filesPerStation = await mapConcurrent(listOfStations, product.concurrency, async (stationUrl) => {
+    try {
+      return await dwdGrib.crawlListOfFilePaths(stationUrl + 'kml/', { httpClient: context.httpClient })
+    } catch (error) {
+      context.log.error(error, 'crawling list of files for station ' + stationUrl + ' failed')
+      return []
+    }
+  })
+
+  return _.flatten(filesPerStation)
+}
+
+/**
+ * listGrib2Tree recursively lists the single-level grib2 files in regular
+ * coordinates of all allowed variables
+ * @param  {String} baseUrl the url of the directory holding the runs
+ * @param  {Object} context the context of the crawl engine
+ * @return {Array}          the urls of the files
+ */
+async function listGrib2Tree (baseUrl, context) {
+  return dwdGrib.crawlListOfGrib2FilePaths(baseUrl, {
+    httpClient: context.httpClient,
+    variableFilter: context.filters.isVariableAllowed
+  })
+}
+
+/**
+ * listIconGrib2Tree recursively lists the grib2 files of all allowed variables
+ * on the grids and level types selected for an ICON product
+ * @param  {String} baseUrl the url of the directory holding the runs
+ * @param  {Object} context the context of the crawl engine
+ * @param  {Object} product the product
+ * @return {Array}          the urls of the files
+ */
+async function listIconGrib2Tree (baseUrl, context, product) {
+  return dwdGrib.crawlListOfGrib2FilePaths(baseUrl, {
+    httpClient: context.httpClient,
+    variableFilter: context.filters.isVariableAllowed,
+    fileFilter: (fileName) => {
+      const file = parseIconFileName(fileName)
+      return !_.isNil(file) &&
+        _.includes(product.selection.grids, file.grid) &&
+        _.includes(product.selection.levelTypes, file.levelType)
+    }
+  })
+}
+
+/**
+ * parseReportUrl parses the url of a report file, e.g. `.../10704-BEOB.csv`
+ * @param  {String} url the url
+ * @return {Object}     `{ fileName, station }`
+ */
+function parseReportUrl (url) {
+  const fileName = getFileName(url)
+  return {
+    fileName: fileName,
+    station: _.split(fileName, '-')[0]
+  }
+}
+
+/**
+ * parseMosmixUrl parses the url of a MOSMIX file, e.g.
+ * `.../10704/kml/MOSMIX_L_2019030109_10704.kmz`
+ * @param  {String} url the url
+ * @return {Object}     `{ fileName, run, station, extension }`
+ */
+function parseMosmixUrl (url) {
+  const fileName = getFileName(url)
+  const tokens = _.split(fileName, '_')
+  if (tokens.length !== 4) {
+    throw new Error('file name is invalid: ' + fileName)
+  }
+
+  return {
+    fileName: fileName,
+    run: tokens[2],
+    station: _.split(tokens[3], '.')[0],
+    extension: _.split(fileName, '.')[1]
+  }
+}
+
+/**
+ * parseMosmixBundleUrl parses the url of a MOSMIX file holding the forecasts
+ * of all stations, e.g. `.../all_stations/kml/MOSMIX_S_2019030109_240.kmz` or
+ * `.../all_stations/kml/MOSMIX_L_2019030109.kmz`
+ * @param  {String} url the url
+ * @return {Object}     `{ fileName, prefix, run }`, where prefix is e.g.
+ *                      `MOSMIX_S`
+ */
+function parseMosmixBundleUrl (url) {
+  const fileName = getFileName(url)
+  const match = /^(MOSMIX_[A-Z])_(\d{10})(?:_\d+)?\.kmz$/.exec(fileName)
+  if (_.isNil(match)) {
+    throw new Error('file name is invalid: ' + fileName)
+  }
+
+  return {
+    fileName: fileName,
+    prefix: match[1],
+    run: match[2]
+  }
+}
+
+/**
+ * parseCosmoD2Url parses the url of a COSMO-D2 file, e.g.
+ * `.../00/t_2m/cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_T_2M.grib2.bz2`
+ * @param  {String} url the url
+ * @return {Object}     `{ fileName, baseName, run, variable }`, where baseName
+ *                      is the file name without `.bz2`
+ */
+function parseCosmoD2Url (url) {
+  const urlTokens = _.split(url, '/')
+  const fileName = urlTokens[urlTokens.length - 1]
+  const fileNameTokens = _.split(fileName, '_')
+
+  let run = null
+  if (fileNameTokens.length === 8) {
+    run = fileNameTokens[fileNameTokens.length - 4]
+  } else if (fileNameTokens.length === 7) {
+    run = fileNameTokens[fileNameTokens.length - 3]
+  } else if (fileNameTokens.length === 6) {
+    run = fileNameTokens[fileNameTokens.length - 2]
+  } else {
+    throw new Error('file name is invalid: ' + fileName)
+  }
+
+  return {
+    fileName: fileName,
+    baseName: fileName.replace(/\.bz2$/, ''),
+    run: run,
+    variable: urlTokens[urlTokens.length - 2]
+  }
+}
+
+// Pattern of ICON file names, e.g.
+// - `icon-d2_germany_regular-lat-lon_single-level_2021010100_000_2d_t_2m.grib2.bz2`
+// - `icon-d2_germany_icosahedral_pressure-level_2021010100_000_500_t.grib2.bz2`
+// - `icon-eu_europe_regular-lat-lon_model-level_2021010100_000_10_T.grib2.bz2`
+// - `icon-eu_europe_regular-lat-lon_time-invariant_2021010100_HSURF.grib2.bz2`
+// i.e. model, domain, grid, level type, run, step (optional), level (optional;
+// `2d` for single-level files of ICON-D2) and variable
+const ICON_FILE_NAME_REGEX = /^(icon(?:-d2|-eu)?)_([a-z]+)_(regular-lat-lon|rotated-lat-lon|icosahedral)_([a-z]+-[a-z]+)_(\d{10})(?:_(\d{3}))?(?:_(2d|\d+))?_(.+)\.grib2\.bz2$/
+
+/**
+ * parseIconFileName parses the name of an ICON file
+ * @param  {String} fileName the file name
+ * @return {Object}          `{ model, domain, grid, levelType, run, step,
+ *                           level, fileVariable }` or null if the name does
+ *                           not match the pattern
+ */
+function parseIconFileName (fileName) {
+  const match = ICON_FILE_NAME_REGEX.exec(fileName)
+  if (_.isNil(match)) {
+    return null
+  }
+
+  return {
+    model: match[1],
+    domain: match[2],
+    grid: match[3],
+    levelType: match[4],
+    run: match[5],
+    step: _.isNil(match[6]) ? null : match[6],
+    level: _.isNil(match[7]) ? null : match[7],
+    fileVariable: match[8]
+  }
+}
+
+/**
+ * parseIconUrl parses the url of an ICON file, e.g.
+ * `.../00/t_2m/icon-d2_germany_regular-lat-lon_single-level_2021010100_000_2d_t_2m.grib2.bz2`
+ * @param  {String} url the url
+ * @return {Object}     the fields returned by parseIconFileName plus
+ *                      `fileName`, `baseName` (the file name without `.bz2`)
+ *                      and `variable` (the name of the directory)
+ */
+function parseIconUrl (url) {
+  const urlTokens = _.split(url, '/')
+  const fileName = urlTokens[urlTokens.length - 1]
+  const file = parseIconFileName(fileName)
+  if (_.isNil(file)) {
+    throw new Error('file name is invalid: ' + fileName)
+  }
+
+  return _.assign(file, {
+    fileName: fileName,
+    baseName: fileName.replace(/\.bz2$/, ''),
+    variable: urlTokens[urlTokens.length - 2]
+  })
+}
+
+// The registry of the products crawled. Each product declares
+// - `name`, the name used for the crawl state, metrics and events
+// - `baseUrl`, the url the listing starts at
+// - `environmentPrefix` and `enableVariable`, the names of the environment
+//   variables configuring the product (see README.md), and `enabledByDefault`
+// - `schedule`, the default `cycleWaitMinutes` between two cycles and
+//   `retryWaitMinutes` after a failed listing, and the default `concurrency`
+// - optionally `publication`, the default rule of polling for new runs
+//   around the time DWD publishes them, starting `latencyMinutes` after the
+//   `runHours` (see ./scheduler.js)
+// - `list(baseUrl, context, product)`, the listing strategy
+// - `parseUrl(url)`, parsing the file name into the fields describing it
+// - `isAllowed(file, filters)`, checking the file against the allow lists
+// - `pathTemplate`, the path of the stored files relative to
+//   DOWNLOAD_DIRECTORY_BASE_PATH (see ./crawl_engine.js#renderPathTemplate)
+// - `createProcessor(settings)`, creating the processor downloading and
+//   storing the files (see ./processors.js)
+// - optionally `selection`, the default `grids` and `levelTypes` listed
+//   (ICON products only), `stationPathTemplate`, the path of the files
+//   split from MOSMIX bundles, `validatorCacheFileName`, the file in the
+//   state directory holding the validators of conditional requests, and
+//   `runHours`, the hours (UTC) at which DWD issues runs (see ./fsck.js)
+// - optionally `completion`, deciding when the manifest of a run or day is
+//   marked complete (see ./manifest.js): `lastForecastHour(runHour)`, the
+//   last forecast hour DWD issues for each variable of a run,
+//   `allStations`, requiring a file of each listed station, or
+//   `settleHours`, the hours after the end of a day its files no longer change
+const PRODUCT_DEFINITIONS = {
+  reports: {
+    name: 'reports',
+    baseUrl: 'https://opendata.dwd.de/weather/weather_reports/poi/',
+    environmentPrefix: 'REPORT',
+    enabledByDefault: true,
+    enableVariable: 'ENABLE_REPORT_DOWNLOAD',
+    schedule: { cycleWaitMinutes: 30, retryWaitMinutes: 1 },
+    concurrency: 4,
+    list: listFlat,
+    parseUrl: parseReportUrl,
+    isAllowed: (file, filters) => filters.isStationAllowed(file.station),
+    pathTemplate: 'weather/weather_reports/poi/{date}/{fileName}',
+    completion: { settleHours: 24 },
+    validatorCacheFileName: 'report_validators.json',
+    createProcessor: (settings) => createReportProcessor({
+      validatorCachePath: settings.validatorCachePath,
+      mergePolicy: settings.mergePolicy
+    })
+  },
+  mosmix: {
+    name: 'mosmix',
+    baseUrl: 'https://opendata.dwd.de/weather/local_forecasts/mos/MOSMIX_L/single_stations/',
+    environmentPrefix: 'FORECAST',
+    enabledByDefault: true,
+    enableVariable: 'ENABLE_FORECAST_DOWNLOAD',
+    schedule: { cycleWaitMinutes: 120, retryWaitMinutes: 1 },
+    concurrency: 4,
+    list: listStationDirectories,
+    parseUrl: parseMosmixUrl,
+    isAllowed: (file, filters) => filters.isStationAllowed(file.station),
+    pathTemplate: 'weather/local_forecasts/mos/{run}/{station}-MOSMIX.{extension}',
+    runHours: [3, 9, 15, 21],
+    publication: { latencyMinutes: 60, windowMinutes: 120, pollMinutes: 30 },
+    completion: { allStations: true },
+    createProcessor: () => createStoreProcessor()
+  },
+  'mosmix-l-all-stations': {
+    name: 'mosmix-l-all-stations',
+    baseUrl: 'https://opendata.dwd.de/weather/local_forecasts/mos/MOSMIX_L/all_stations/kml/',
+    environmentPrefix: 'MOSMIX_L_ALL_STATIONS',
+    enabledByDefault: false,
+    enableVariable: 'ENABLE_MOSMIX_L_ALL_STATIONS_DOWNLOAD',
+    schedule: { cycleWaitMinutes: 120, retryWaitMinutes: 1 },
+    concurrency: 1,
+    list: listFlat,
+    parseUrl: parseMosmixBundleUrl,
+    isAllowed: () => true,
+    pathTemplate: 'weather/local_forecasts/mos/{run}/{fileName}',
+    runHours: [3, 9, 15, 21],
+    publication: { latencyMinutes: 60, windowMinutes: 120, pollMinutes: 10 },
+    stationPathTemplate: 'weather/local_forecasts/mos/{run}/{station}-MOSMIX.kmz',
+    validatorCacheFileName: 'mosmix-l-all-stations_validators.json',
+    createProcessor: (settings) => createMosmixBundleProcessor({
+      validatorCachePath: settings.validatorCachePath,
+      split: settings.split !== false
+    })
+  },
+  'mosmix-s': {
+    name: 'mosmix-s',
+    baseUrl: 'https://opendata.dwd.de/weather/local_forecasts/mos/MOSMIX_S/all_stations/kml/',
+    environmentPrefix: 'MOSMIX_S',
+    enabledByDefault: false,
+    enableVariable: 'ENABLE_MOSMIX_S_DOWNLOAD',
+    schedule: { cycleWaitMinutes: 30, retryWaitMinutes: 1 },
+    concurrency: 1,
+    list: listFlat,
+    parseUrl: parseMosmixBundleUrl,
+    isAllowed: () => true,
+    pathTemplate: 'weather/local_forecasts/mos_s/{run}/{fileName}',
+    runHours: _.range(24),
+    publication: { latencyMinutes: 30, windowMinutes: 30, pollMinutes: 5 },
+    stationPathTemplate: 'weather/local_forecasts/mos_s/{run}/{station}-MOSMIX.kmz',
+    validatorCacheFileName: 'mosmix-s_validators.json',
+    createProcessor: (settings) => createMosmixBundleProcessor({
+      validatorCachePath: settings.validatorCachePath,
+      split: settings.split !== false
+    })
+  },
+  'cosmo-d2': {
+    name: 'cosmo-d2',
+    baseUrl: 'https://opendata.dwd.de/weather/nwp/cosmo-d2/grib/',
+    environmentPrefix: 'COSMO_D2',
+    enabledByDefault: true,
+    enableVariable: 'ENABLE_COSMO_DOWNLOAD',
+    schedule: { cycleWaitMinutes: 10, retryWaitMinutes: 1 },
+    concurrency: 4,
+    list: listGrib2Tree,
+    parseUrl: parseCosmoD2Url,
+    isAllowed: (file, filters) => filters.isVariableAllowed(file.variable),
+    pathTemplate: 'weather/cosmo-d2/grib/{run}/{variable}/{baseName}.lz4',
+    runHours: _.range(0, 24, 3),
+    publication: { latencyMinutes: 90, windowMinutes: 60, pollMinutes: 5, idleMinutes: 60 },
+    completion: { lastForecastHour: (runHour) => runHour === 3 ? 45 : 27 },
+    createProcessor: (settings) => createRecompressionProcessor({
+      implementation: settings.recompressionImplementation
+    })
+  },
+  'icon-d2': {
+    name: 'icon-d2',
+    baseUrl: 'https://opendata.dwd.de/weather/nwp/icon-d2/grib/',
+    environmentPrefix: 'ICON_D2',
+    enabledByDefault: false,
+    enableVariable: 'ENABLE_ICON_D2_DOWNLOAD',
+    schedule: { cycleWaitMinutes: 10, retryWaitMinutes: 1 },
+    concurrency: 4,
+    selection: { grids: ['regular-lat-lon'], levelTypes: ['single-level'] },
+    list: listIconGrib2Tree,
+    parseUrl: parseIconUrl,
+    isAllowed: (file, filters) => filters.isVariableAllowed(file.variable),
+    pathTemplate: 'weather/icon-d2/grib/{run}/{variable}/{baseName}.lz4',
+    runHours: _.range(0, 24, 3),
+    publication: { latencyMinutes: 90, windowMinutes: 60, pollMinutes: 5, idleMinutes: 60 },
+    completion: { lastForecastHour: () => 48 },
+    createProcessor: (settings) => createRecompressionProcessor({
+      implementation: settings.recompressionImplementation
+    })
+  },
+  'icon-eu': {
+    name: 'icon-eu',
+    baseUrl: 'https://opendata.dwd.de/weather/nwp/icon-eu/grib/',
+    environmentPrefix: 'ICON_EU',
+    enabledByDefault: false,
+    enableVariable: 'ENABLE_ICON_EU_DOWNLOAD',
+    schedule: { cycleWaitMinutes: 30, retryWaitMinutes: 1 },
+    concurrency: 4,
+    selection: { grids: ['regular-lat-lon'], levelTypes: ['single-level'] },
+    list: listIconGrib2Tree,
+    parseUrl: parseIconUrl,
+    isAllowed: (file, filters) => filters.isVariableAllowed(file.variable),
+    pathTemplate: 'weather/icon-eu/grib/{run}/{variable}/{baseName}.lz4',
+    runHours: _.range(0, 24, 3),
+    publication: { latencyMinutes: 150, windowMinutes: 90, pollMinutes: 10, idleMinutes: 60 },
+    completion: { lastForecastHour: (runHour) => runHour % 6 === 0 ? 120 : 30 },
+    createProcessor: (settings) => createRecompressionProcessor({
+      implementation: settings.recompressionImplementation
+    })
+  }
+}
+
+/**
+ * getValidatorCachePath returns the path of the file holding the validators
+ * of the conditional requests of a product
+ * @param  {Object} definition         the definition (see PRODUCT_DEFINITIONS)
+ * @param  {String} stateDirectoryPath the state directory of the crawler
+ * @return {String}                    the path or null if the product does not
+ *                                     use conditional requests
+ */
+function getValidatorCachePath (definition, stateDirectoryPath) {
+  if (_.isNil(definition.validatorCacheFileName)) {
+    return null
+  }
+
+  return path.join(stateDirectoryPath, definition.validatorCacheFileName)
+}
+
+/**
+ * createProduct creates a product to be run by the crawl engine from its
+ * definition and settings
+ * @param  {Object} definition the definition (see PRODUCT_DEFINITIONS)
+ * @param  {Object} settings   all optional: `cycleWaitMinutes`,
+ *                             `retryWaitMinutes`, the `schedule` rule (see
+ *                             ./scheduler.js), `latencyMinutes`,
+ *                             `windowMinutes`, `pollMinutes` and `idleMinutes`
+ *                             of the publication rule, `concurrency`, `grids`
+ *                             and `levelTypes` (comma separated lists)
+ *                             overriding the defaults and the settings of the
+ *                             processor, i.e. `stateDirectoryPath`,
+ *                             `recompressionImplementation` and `split`
+ * @return {Object}            the product
+ */
+function createProduct (definition, settings) {
+  settings = _.omitBy(settings, _.isNil)
+
+  if (!_.isNil(definition.validatorCacheFileName)) {
+    settings.validatorCachePath = getValidatorCachePath(definition, settings.stateDirectoryPath)
+  }
+
+  const product = _.assign({}, definition, {
+    schedule: _.defaults(_.pick(settings, ['cycleWaitMinutes', 'retryWaitMinutes']), definition.schedule),
+    concurrency: _.get(settings, 'concurrency', definition.concurrency),
+    processor: definition.createProcessor(settings)
+  })
+
+  if (!_.isNil(settings.schedule)) {
+    product.schedule.rule = settings.schedule
+  }
+
+  if (!_.isNil(definition.publication)) {
+    product.publication = _.defaults(_.pick(settings, ['latencyMinutes', 'windowMinutes', 'pollMinutes', 'idleMinutes']), definition.publication)
+  }
+
+  if (!_.isNil(definition.selection)) {
+    const selection = _.mapValues(_.pick(settings, ['grids', 'levelTypes']), (list) => _.compact(_.map(_.split(list, ','), _.trim)))
+    product.selection = _.defaults(selection, definition.selection)
+  }
+
+  return product
+}
+
+exports.PRODUCT_DEFINITIONS = PRODUCT_DEFINITIONS
+exports.createProduct = createProduct
+exports.getForecastHour = getForecastHour
+exports.getValidatorCachePath = getValidatorCachePath
+exports.listFlat = listFlat
+exports.listGrib2Tree = listGrib2Tree
+exports.listIconGrib2Tree = listIconGrib2Tree
+exports.listStationDirectories = listStationDirectories
+exports.parseCosmoD2Url = parseCosmoD2Url
+exports.parseIconFileName = parseIconFileName
+exports.parseIconUrl = parseIconUrl
+exports.parseMosmixBundleUrl = parseMosmixBundleUrl
+exports.parseMosmixUrl = parseMosmixUrl
+exports.parseReportUrl = parseReportUrl
@@ -0,0 +1,136 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const http = require('http')
+const path = require('path')
+const { URL } = require('url')
+const archiveQuery = require('./archive_query')
+
+const OPENAPI_PATH = path.join(__dirname, '..', 'docs', 'openapi.json')
+
+/**
+ * sendResponse writes a complete response
+ * @param  {ServerResponse} res   the response
+ * @param  {Number} statusCode    the status code
+ * @param  {String} contentType   the content type
+ * @param  {String} body          the body
+ */
+function sendResponse (res, statusCode, contentType, body) {
+  res.writeHead(statusCode, { 'Content-Type': contentType })
+  res.end(body)
+}
+
+/**
+ * sendTimeSeries answers a query as JSON or, if requested by the `format`
+ * parameter, as CSV
+ * @param  {ServerResponse} res      the response
+ * @param  {URLSearchParams} params  the query parameters
+ * @param  {Object} result           the result of the query
+ */
+function sendTimeSeries (res, params, result) {
+  const format = params.get('format') || 'json'
+
+  if (format === 'csv') {
+    return sendResponse(res, 200, 'text/csv; charset=utf-8', archiveQuery.formatCsv(result.timeSeries))
+  }
+
+  sendResponse(res, 200, 'application/json', JSON.stringify(result))
+}
+
+/**
+ * createQueryServer creates (but does not start) an HTTP server answering
+ * queries of the time series stored in the archive
+ * - `GET /reports/:station?from&to`
+ * - `GET /mosmix/:station?run`
+ * - `GET /nwp/:model/:variable?lat&lon&run&method`
+ * - `GET /openapi.json`, the OpenAPI documentation of the above
+ *
+ * all queries answer JSON by default and CSV if `format=csv` is given
+ * @param  {Object} options `basePath`, the base path of the archive, and
+ *                          optionally `log`
+ * @return {http.Server}    the server
+ */
+function createQueryServer (options) {
+  const basePath = options.basePath
+  const log = options.log
+
+  async function handle (req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    const params = url.searchParams
+    const segments = _.map(_.compact(url.pathname.split('/')), (segment) => {
+      try {
+        return decodeURIComponent(segment)
+      } catch (error) {
+        throw archiveQuery.createQueryError(400, 'invalid path segment: ' + segment)
+      }
+    })
+
+    if (url.pathname === '/openapi.json') {
+      return sendResponse(res, 200, 'application/json', await fs.readFile(OPENAPI_PATH))
+    }
+
+    if (params.has('format') && !_.includes(['json', 'csv'], params.get('format'))) {
+      throw archiveQuery.createQueryError(400, 'invalid format: ' + params.get('format'))
+    }
+
+    if (segments[0] === 'reports' && segments.length === 2) {
+      return sendTimeSeries(res, params, await archiveQuery.queryReports(basePath, segments[1], {
+        from: params.get('from'),
+        to: params.get('to')
+      }))
+    }
+
+    if (segments[0] === 'mosmix' && segments.length === 2) {
+      return sendTimeSeries(res, params, await archiveQuery.queryMosmix(basePath, segments[1], {
+        run: params.get('run')
+      }))
+    }
+
+    if (segments[0] === 'nwp' && segments.length === 3) {
+      return sendTimeSeries(res, params, await archiveQuery.queryNwp(basePath, segments[1], segments[2], {
+        latitude: params.get('lat'),
+        longitude: params.get('lon'),
+        run: params.get('run'),
+        method: params.get('method')
+      }))
+    }
+
+    throw archiveQuery.createQueryError(404, 'not found')
+  }
+
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return sendResponse(res, 405, 'application/json', JSON.stringify({ error: 'method not allowed' }))
+    }
+
+    handle(req, res).catch((error) => {
+      const statusCode = error.statusCode || 500
+      if (statusCode === 500 && !_.isNil(log)) {
+        log.error(error, 'answering query ' + req.url + ' failed')
+      }
+
+      sendResponse(res, statusCode, 'application/json', JSON.stringify({
+        error: statusCode === 500 ? 'internal server error' : error.message
+      }))
+    })
+  })
+}
+
+exports.createQueryServer = createQueryServer
@@ -0,0 +1,375 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const _ = require('lodash')
+const fs = require('fs-extra')
+const path = require('path')
+const lz4 = require('lz4js')
+const xxh32 = require('lz4js/xxh32')
+const unbzip2Stream = require('unbzip2-stream')
+const { promisify } = require('util')
+const { spawn } = require('child_process')
+const { PassThrough, Transform, Writable } = require('stream')
+const pipeline = promisify(require('stream').pipeline)
+const { commitTemporaryFile, getTemporaryPath } = require('./atomic_fs')
+
+let nativeToolsAvailable = null
+
+const LZ4_FRAME_MAGIC = 0x184D2204
+const LZ4_SKIPPABLE_FRAME_MAGIC = 0x184D2A50
+
+// The maximum block sizes by the block size ID of an lz4 frame descriptor
+const LZ4_BLOCK_MAX_SIZES = { 4: 64 * 1024, 5: 256 * 1024, 6: 1024 * 1024, 7: 4 * 1024 * 1024 }
+
+// The content size given by a frame descriptor is not trusted for allocating
+// the buffer of the decompressed data beyond this multiple of the compressed
+// size; the buffer grows as needed while the blocks are decompressed
+const LZ4_INITIAL_RATIO = 8
+
+/**
+ * findExecutable checks whether an executable of the given name is found in
+ * one of the directories listed in the PATH environment variable
+ * @param  {String} name the name of the executable
+ * @return {Boolean}     true if the executable exists
+ */
+async function findExecutable (name) {
+  const directories = _.compact(_.split(process.env.PATH || '', path.delimiter))
+
+  for (const directory of directories) {
+    try {
+      await fs.access(path.join(directory, name), fs.constants.X_OK)
+      return true
+    } catch (error) {
+      continue
+    }
+  }
+
+  return false
+}
+
+/**
+ * hasNativeTools checks (once) whether the `bzip2` and `lz4` commands exist
+ * @return {Boolean} true if both commands are available
+ */
+async function hasNativeTools () {
+  if (_.isNil(nativeToolsAvailable)) {
+    nativeToolsAvailable = (await findExecutable('bzip2')) && (await findExecutable('lz4'))
+  }
+
+  return nativeToolsAvailable
+}
+
+/**
+ * waitForExit resolves once the child process exited successfully
+ * @param  {ChildProcess} child the child process
+ * @param  {String} name        the name of the command used in error messages
+ * @return {Promise}
+ */
+function waitForExit (child, name) {
+  let stderr = ''
+  child.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-1000)
+  })
+
+  return new Promise((resolve, reject) => {
+    child.once('error', reject)
+    child.once('close', (code, signal) => {
+      if (code === 0) {
+        resolve()
+      } else {
+        reject(new Error(name + ' exited with ' + (signal || code) + ': ' + stderr.trim()))
+      }
+    })
+  })
+}
+
+/**
+ * recompressNative pipes the bzip2 compressed source through the `bzip2` and
+ * `lz4` commands and hands the output of `lz4` to consume
+ *
+ * the output only ends once both commands exited successfully; otherwise it
+ * fails, so that consumers never take a truncated output for a complete one
+ * @param  {Stream} source      the bzip2 compressed content
+ * @param  {Function} consume   called with the lz4 compressed content as
+ *                              readable stream, resolving once it is stored
+ * @param  {AbortSignal} signal optional; kills both commands once aborted
+ * @return {Promise}
+ */
+async function recompressNative (source, consume, signal) {
+  const bzip2 = spawn('bzip2', ['-d', '-c'], { signal: signal })
+  const lz4Process = spawn('lz4', ['-z', '-9', '-c'], { signal: signal })
+
+  const checks = Promise.all([
+    waitForExit(bzip2, 'bzip2'),
+    waitForExit(lz4Process, 'lz4'),
+    pipeline(source, bzip2.stdin),
+    pipeline(bzip2.stdout, lz4Process.stdin)
+  ])
+  const output = new Transform({
+    transform (chunk, encoding, callback) {
+      callback(null, chunk)
+    },
+    flush (callback) {
+      checks.then(() => callback(), callback)
+    }
+  })
+  checks.catch((error) => output.destroy(error))
+
+  try {
+    await Promise.all([checks, pipeline(lz4Process.stdout, output).catch(_.noop), consume(output)])
+  } catch (error) {
+    bzip2.kill()
+    lz4Process.kill()
+    throw error
+  }
+}
+
+/**
+ * recompressJavaScript decodes the bzip2 compressed source in plain
+ * JavaScript, compresses the result as lz4 frame and hands it to consume
+ *
+ * as lz4js cannot encode streams, the decompressed content is kept in memory
+ * @param  {Stream} source    the bzip2 compressed content
+ * @param  {Function} consume called with the lz4 compressed content as
+ *                            readable stream, resolving once it is stored
+ * @return {Promise}
+ */
+async function recompressJavaScript (source, consume) {
+  const chunks = []
+  const collector = new Writable({
+    write (chunk, encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    }
+  })
+
+  await pipeline(source, unbzip2Stream(), collector)
+  const compressed = lz4.compress(Buffer.concat(chunks))
+  const output = new PassThrough()
+  output.end(Buffer.from(compressed.buffer, compressed.byteOffset, compressed.length))
+  await consume(output)
+}
+
+/**
+ * pipeBz2ToLz4 converts a stream of bzip2 compressed data into a stream of
+ * lz4 compressed data which is handed to consume, e.g. to store it using a
+ * storage backend (see ./storage.js)
+ *
+ * by default the `bzip2` and `lz4` commands are used if available, otherwise
+ * the implementation falls back to plain JavaScript; the stream handed to
+ * consume fails if the source cannot be recompressed
+ * @param  {Stream} source    the bzip2 compressed content, e.g. an HTTP response
+ * @param  {Function} consume called with the lz4 compressed content as
+ *                            readable stream, resolving once it is stored
+ * @param  {Object} options   optional; `implementation` is one of 'auto'
+ *                            (default), 'native' or 'javascript', and
+ *                            `signal` killing the native commands once aborted
+ * @return {String}           the implementation used
+ */
+async function pipeBz2ToLz4 (source, consume, options) {
+  let implementation = _.get(options, 'implementation') || 'auto'
+  if (implementation === 'auto') {
+    implementation = (await hasNativeTools()) ? 'native' : 'javascript'
+  }
+
+  if (implementation === 'native') {
+    await recompressNative(source, consume, _.get(options, 'signal'))
+  } else if (implementation === 'javascript') {
+    await recompressJavaScript(source, consume)
+  } else {
+    throw new Error('unknown recompression implementation: ' + implementation)
+  }
+
+  return implementation
+}
+
+/**
+ * recompressBz2ToLz4 converts a stream of bzip2 compressed data into an lz4
+ * compressed file without storing intermediate files
+ *
+ * the result is written to a temporary file next to the target path which is
+ * flushed to disk and renamed once the content is complete; thus, the target
+ * path either holds a complete file or none at all
+ * @param  {Stream} source      the bzip2 compressed content, e.g. an HTTP response
+ * @param  {String} targetPath  the path of the lz4 file to create
+ * @param  {Object} options     optional; see pipeBz2ToLz4
+ * @return {String}             the implementation used
+ */
+async function recompressBz2ToLz4 (source, targetPath, options) {
+  const temporaryPath = getTemporaryPath(targetPath)
+
+  try {
+    const implementation = await pipeBz2ToLz4(source, (output) => pipeline(output, fs.createWriteStream(temporaryPath)), options)
+    await commitTemporaryFile(temporaryPath, targetPath)
+    return implementation
+  } catch (error) {
+    await fs.remove(temporaryPath)
+    throw error
+  }
+}
+
+/**
+ * ensureAvailable throws if the content ends before the given number of bytes
+ * following the offset
+ * @param  {Buffer} content the lz4 compressed content
+ * @param  {Number} offset  the offset
+ * @param  {Number} length  the number of bytes required
+ * @param  {String} what    the name of the structure read, for the message
+ */
+function ensureAvailable (content, offset, length, what) {
+  if (offset + length > content.length) {
+    throw new Error('lz4 file is truncated within ' + what + ' at byte ' + offset)
+  }
+}
+
+/**
+ * decompressLz4Frame decompresses a single lz4 frame and verifies all
+ * checksums it holds
+ * @param  {Buffer} content the lz4 compressed content
+ * @param  {Number} offset  the offset of the frame descriptor, i.e. following
+ *                          the magic number
+ * @return {Object}         `{ data, end }`, the decompressed data and the
+ *                          offset following the frame
+ */
+function decompressLz4Frame (content, offset) {
+  ensureAvailable(content, offset, 2, 'the frame descriptor')
+  const flags = content[offset]
+  const blockMaxSize = LZ4_BLOCK_MAX_SIZES[(content[offset + 1] >> 4) & 0x07]
+  if ((flags >> 6) !== 1) {
+    throw new Error('unsupported lz4 frame version ' + (flags >> 6))
+  }
+  if (_.isNil(blockMaxSize)) {
+    throw new Error('invalid lz4 block maximum size')
+  }
+
+  const hasBlockChecksums = (flags & 0x10) !== 0
+  const hasContentSize = (flags & 0x08) !== 0
+  const hasContentChecksum = (flags & 0x04) !== 0
+  const descriptorLength = 2 + (hasContentSize ? 8 : 0) + ((flags & 0x01) !== 0 ? 4 : 0)
+
+  ensureAvailable(content, offset, descriptorLength + 1, 'the frame descriptor')
+  if (((xxh32.hash(0, content, offset, descriptorLength) >>> 8) & 0xFF) !== content[offset + descriptorLength]) {
+    throw new Error('lz4 frame descriptor checksum mismatch')
+  }
+
+  const contentSize = hasContentSize ? content.readUInt32LE(offset + 2) + content.readUInt32LE(offset + 6) * 0x100000000 : null
+  offset += descriptorLength + 1
+
+  // blocks may refer to the data of preceding blocks, thus all blocks of a
+  // frame are decompressed into a single buffer; a corrupt content size must
+  // not lead to allocating gigabytes up front
+  const initialSize = Math.min(_.isNil(contentSize) ? 0 : contentSize, (content.length - offset) * LZ4_INITIAL_RATIO)
+  let data = Buffer.alloc(initialSize + blockMaxSize)
+  let length = 0
+  for (;;) {
+    ensureAvailable(content, offset, 4, 'a block header')
+    const blockHeader = content.readUInt32LE(offset)
+    offset += 4
+    if (blockHeader === 0) {
+      break
+    }
+
+    const blockSize = blockHeader & 0x7FFFFFFF
+    if (blockSize > blockMaxSize) {
+      throw new Error('lz4 block at byte ' + (offset - 4) + ' exceeds the maximum block size')
+    }
+
+    ensureAvailable(content, offset, blockSize + (hasBlockChecksums ? 4 : 0), 'a block')
+    if (hasBlockChecksums && xxh32.hash(0, content, offset, blockSize) !== content.readUInt32LE(offset + blockSize)) {
+      throw new Error('lz4 block checksum mismatch at byte ' + (offset - 4))
+    }
+
+    if (length + blockMaxSize > data.length) {
+      data = Buffer.concat([data, Buffer.alloc(Math.max(data.length, blockMaxSize))])
+    }
+
+    if ((blockHeader & 0x80000000) !== 0) {
+      content.copy(data, length, offset, offset + blockSize)
+      length += blockSize
+    } else {
+      const end = lz4.decompressBlock(content, data, offset, blockSize, length)
+      if (end - length > blockMaxSize) {
+        throw new Error('lz4 block at byte ' + (offset - 4) + ' decompresses beyond the maximum block size')
+      }
+      length = end
+    }
+
+    offset += blockSize + (hasBlockChecksums ? 4 : 0)
+  }
+
+  data = data.slice(0, length)
+  if (!_.isNil(contentSize) && contentSize !== length) {
+    throw new Error('lz4 frame holds ' + length + ' bytes instead of ' + contentSize)
+  }
+
+  if (hasContentChecksum) {
+    ensureAvailable(content, offset, 4, 'the content checksum')
+    if (xxh32.hash(0, data, 0, length) !== content.readUInt32LE(offset)) {
+      throw new Error('lz4 content checksum mismatch')
+    }
+    offset += 4
+  }
+
+  return { data: data, end: offset }
+}
+
+/**
+ * decompressLz4Checked decompresses lz4 compressed content while verifying
+ * its structure
+ *
+ * unlike lz4js, which is used for reading files otherwise, the frame
+ * descriptor, block and content checksums are verified and truncated frames
+ * or trailing garbage are reported; concatenated and skippable frames (as
+ * written by the `lz4` command) are supported
+ * @param  {Buffer} content the lz4 compressed content
+ * @return {Buffer}         the decompressed content
+ */
+function decompressLz4Checked (content) {
+  if (content.length === 0) {
+    throw new Error('lz4 file is empty')
+  }
+
+  const chunks = []
+  let offset = 0
+  while (offset < content.length) {
+    ensureAvailable(content, offset, 4, 'a magic number')
+    const magic = content.readUInt32LE(offset)
+
+    if (((magic & 0xFFFFFFF0) >>> 0) === LZ4_SKIPPABLE_FRAME_MAGIC) {
+      ensureAvailable(content, offset + 4, 4, 'a skippable frame')
+      const frameSize = content.readUInt32LE(offset + 4)
+      ensureAvailable(content, offset + 8, frameSize, 'a skippable frame')
+      offset += 8 + frameSize
+      continue
+    }
+
+    if (magic !== LZ4_FRAME_MAGIC) {
+      throw new Error('invalid lz4 magic number at byte ' + offset)
+    }
+
+    const frame = decompressLz4Frame(content, offset + 4)
+    chunks.push(frame.data)
+    offset = frame.end
+  }
+
+  return Buffer.concat(chunks)
+}
+
+exports.decompressLz4Checked = decompressLz4Checked
+exports.hasNativeTools = hasNativeTools
+exports.pipeBz2ToLz4 = pipeBz2ToLz4
+exports.recompressBz2ToLz4 = recompressBz2ToLz4
@@ -0,0 +1,318 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const moment = require('moment-timezone')
+const path = require('path')
+const dwdCsv = require('./dwd_csv')
+const { HEADER_ROW_COUNT, MISSING_VALUE, VALUE_COLUMN_OFFSET, parseRowTime } = dwdCsv
+
+const REPORT_PARAMETERS_PATH = path.join(__dirname, '..', 'configuration', 'report_parameters.json')
+
+const VALUE_PATTERNS = {
+  number: /^[-+]?\d+([.,]\d+)?$/,
+  code: /^\d+$/
+}
+
+/**
+ * loadReportParameters reads the catalogue of the parameters known to be
+ * contained in reports (`name`, `unit` and `type`, which is either `number`
+ * or `code`)
+ * @param  {String} filePath optional; the path of the catalogue
+ * @return {Array}           the parameters
+ */
+async function loadReportParameters (filePath) {
+  return fs.readJson(filePath || REPORT_PARAMETERS_PATH)
+}
+
+/**
+ * getVersionedFileName derives the name of the file a report is stored in
+ * once its columns changed, e.g. `10704-BEOB.v2.csv` for version 2 of
+ * `10704-BEOB.csv`; version 1 is the file name itself
+ * @param  {String} fileName the name of the report file
+ * @param  {Number} version  the version (starting at 1)
+ * @return {String}          the file name
+ */
+function getVersionedFileName (fileName, version) {
+  if (version === 1) {
+    return fileName
+  }
+
+  const extension = path.extname(fileName)
+  return path.basename(fileName, extension) + '.v' + version + extension
+}
+
+/**
+ * getQualityReportFileName derives the name of the file the quality report of
+ * a report file is stored in, e.g. `10704-BEOB.quality.json`
+ * @param  {String} fileName the name of the report file
+ * @return {String}          the file name
+ */
+function getQualityReportFileName (fileName) {
+  return path.basename(fileName, path.extname(fileName)) + '.quality.json'
+}
+
+/**
+ * getHistoryFileName derives the name of the file the rows replaced by
+ * corrected values are kept in with the `keep-history` merge policy, e.g.
+ * `10704-BEOB.history.csv`
+ * @param  {String} fileName the name of the (versioned) report file
+ * @return {String}          the file name
+ */
+function getHistoryFileName (fileName) {
+  return path.basename(fileName, path.extname(fileName)) + '.history' + path.extname(fileName)
+}
+
+/**
+ * hasSameHeader checks whether two reports share the same header rows, i.e.
+ * contain the same parameters in the same order with the same units
+ * @param  {Array} table1 the first report as returned by dwd_csv.parseCSV
+ * @param  {Array} table2 the second report
+ * @return {Boolean}      true if the headers are equal
+ */
+function hasSameHeader (table1, table2) {
+  return _.isEqual(table1.slice(0, HEADER_ROW_COUNT), table2.slice(0, HEADER_ROW_COUNT))
+}
+
+/**
+ * parseReportHeader parses the header rows of a report into its parameters
+ * and compares them with the catalogue of known parameters
+ * @param  {Array} table      the report as returned by dwd_csv.parseCSV
+ * @param  {Array} parameters the catalogue as returned by loadReportParameters
+ * @return {Object}           `{ columns, issues }` where each column is
+ *                            `{ name, description, unit, known, type }`
+ */
+function parseReportHeader (table, parameters) {
+  if (table.length < HEADER_ROW_COUNT) {
+    throw new Error('report has less than ' + HEADER_ROW_COUNT + ' header rows')
+  }
+
+  const issues = []
+  const columns = _.map(table[0].slice(VALUE_COLUMN_OFFSET), (name, i) => {
+    const parameter = _.find(parameters, { name: name })
+    const column = {
+      name: name,
+      description: _.get(table[1], i + VALUE_COLUMN_OFFSET, null),
+      unit: _.get(table[2], i + VALUE_COLUMN_OFFSET, null),
+      known: !_.isNil(parameter),
+      type: _.isNil(parameter) ? null : parameter.type
+    }
+
+    if (_.isNil(parameter)) {
+      issues.push({ type: 'unknown_parameter', column: name })
+    } else if (parameter.unit !== column.unit) {
+      issues.push({ type: 'unexpected_unit', column: name, unit: column.unit, expectedUnit: parameter.unit })
+    }
+
+    return column
+  })
+
+  return {
+    columns: columns,
+    issues: issues
+  }
+}
+
+/**
+ * validateReportRows checks the rows of a report for invalid dates, missing
+ * columns and values which do not match the type of a known parameter
+ * @param  {Array} table   the report as returned by dwd_csv.parseCSV
+ * @param  {Array} columns the columns as returned by parseReportHeader
+ * @return {Array}         the issues found
+ */
+function validateReportRows (table, columns) {
+  const issues = []
+
+  _.forEach(table.slice(HEADER_ROW_COUNT), (row) => {
+    const m = parseRowTime(row)
+    if (_.isNil(m)) {
+      issues.push({ type: 'invalid_date', row: row.join(';') })
+      return
+    }
+
+    const timestamp = m.toISOString()
+    if (row.length !== columns.length + VALUE_COLUMN_OFFSET) {
+      issues.push({ type: 'incomplete_row', timestamp: timestamp, columns: row.length - VALUE_COLUMN_OFFSET })
+    }
+
+    _.forEach(columns, (column, i) => {
+      const value = row[i + VALUE_COLUMN_OFFSET]
+      if (_.isNil(value) || value === MISSING_VALUE || _.isNil(VALUE_PATTERNS[column.type])) {
+        return
+      }
+
+      if (!VALUE_PATTERNS[column.type].test(value)) {
+        issues.push({ type: 'invalid_value', timestamp: timestamp, column: column.name, value: value })
+      }
+    })
+  })
+
+  return issues
+}
+
+/**
+ * mergeReportTables merges the rows of a report into the rows stored for a day
+ * (see dwd_csv.mergeRows) and describes rows with differing values for the
+ * same point in time as issues
+ * @param  {Array} storedTable the stored report (header rows at least)
+ * @param  {Array} newTable    the report to be merged, with the same header
+ * @param  {String} dayString  the day to be kept as `DD.MM.YY`
+ * @param  {String} policy     optional; the merge policy, `latest-wins` by
+ *                             default
+ * @return {Object}            `{ table, conflicts }` where each conflict is
+ *                             `{ type, timestamp, storedRow, newRow, kept }`
+ */
+function mergeReportTables (storedTable, newTable, dayString, policy) {
+  if (!hasSameHeader(storedTable, newTable)) {
+    throw new Error('different table headings')
+  }
+
+  const merged = dwdCsv.mergeRows(storedTable.slice(HEADER_ROW_COUNT), newTable.slice(HEADER_ROW_COUNT), {
+    policy: policy,
+    dateString: dayString
+  })
+
+  return {
+    table: _.concat(storedTable.slice(0, HEADER_ROW_COUNT), merged.rows),
+    conflicts: _.map(merged.conflicts, (conflict) => {
+      return {
+        type: 'conflicting_duplicate',
+        timestamp: conflict.timestamp.toISOString(),
+        storedRow: conflict.storedRow.join(';'),
+        newRow: conflict.newRow.join(';'),
+        kept: conflict.kept
+      }
+    })
+  }
+}
+
+/**
+ * findMissingHours determines the full hours between two points in time for
+ * which no observation exists, grouped into gaps of consecutive hours
+ * @param  {Array} timestamps the points in time of the observations (Date)
+ * @param  {Date} from        the first hour expected
+ * @param  {Date} to          the last hour expected
+ * @return {Array}            the gaps as `{ from, to, hours }`
+ */
+function findMissingHours (timestamps, from, to) {
+  const observed = new Set(_.map(timestamps, (timestamp) => moment.utc(timestamp).startOf('hour').valueOf()))
+  const gaps = []
+  let gap = null
+
+  for (const hour = moment.utc(from).startOf('hour'); !hour.isAfter(to); hour.add(1, 'hour')) {
+    if (observed.has(hour.valueOf())) {
+      gap = null
+      continue
+    }
+
+    if (_.isNil(gap)) {
+      gap = { from: hour.toDate(), to: hour.toDate(), hours: 0 }
+      gaps.push(gap)
+    }
+    gap.to = hour.toDate()
+    gap.hours++
+  }
+
+  return gaps
+}
+
+/**
+ * createQualityReport describes the quality of the reports stored for a
+ * station and day, which may be split into several versions if the columns
+ * of the reports changed during the day
+ *
+ * missing hours are determined from the beginning of the day up to its end
+ * or the current hour, whichever is earlier
+ * @param  {Object} options `station`, `date` (`YYYYMMDD`), `files` (`{ fileName,
+ *                          version, table }` per version), `parameters` (see
+ *                          loadReportParameters), `issues` (additional issues,
+ *                          e.g. conflicts found while merging) and `now`
+ *                          (optional)
+ * @return {Object}         the quality report
+ */
+function createQualityReport (options) {
+  const now = moment.utc(options.now)
+  const dayStart = moment.tz(options.date, 'YYYYMMDD', 'UTC')
+  const lastHour = moment.min(dayStart.clone().endOf('day'), now).startOf('hour')
+
+  let issues = _.clone(options.issues || [])
+  const timestamps = []
+  const files = _.map(_.sortBy(options.files, 'version'), (file) => {
+    const header = parseReportHeader(file.table, options.parameters)
+    const fileIssues = header.issues.concat(validateReportRows(file.table, header.columns))
+    issues = issues.concat(_.map(fileIssues, (issue) => _.assign({ fileName: file.fileName }, issue)))
+
+    const fileTimestamps = _.compact(_.map(file.table.slice(HEADER_ROW_COUNT), parseRowTime))
+    timestamps.push(...fileTimestamps)
+
+    return {
+      fileName: file.fileName,
+      version: file.version,
+      parameters: _.map(header.columns, (column) => _.pick(column, ['name', 'unit', 'known'])),
+      observations: fileTimestamps.length
+    }
+  })
+
+  const expectedObservations = Math.max(0, lastHour.diff(dayStart, 'hours') + 1)
+  return {
+    station: options.station,
+    date: options.date,
+    generatedAt: now.toDate(),
+    files: files,
+    expectedObservations: expectedObservations,
+    observations: _.uniqBy(timestamps, (m) => m.valueOf()).length,
+    missingHours: expectedObservations === 0 ? [] : findMissingHours(timestamps, dayStart, lastHour),
+    issues: _.uniqWith(issues, _.isEqual)
+  }
+}
+
+/**
+ * checkStoredReport verifies the structure of a report file as stored for a
+ * day, i.e. the header rows, the number of columns and the date of each row
+ * as well as that all observations belong to the day of the file
+ * @param  {String} content    the content of the file
+ * @param  {String} dateString the day the file is stored for as `YYYYMMDD`
+ * @return {Number}            the number of observations
+ */
+function checkStoredReport (content, dateString) {
+  const report = dwdCsv.parseReport(content)
+  if (_.isEmpty(report.rows)) {
+    throw new Error('report does not contain any observation')
+  }
+
+  const foreignRows = _.filter(report.rows, (row) => moment.utc(row.timestamp).format('YYYYMMDD') !== dateString)
+  if (!_.isEmpty(foreignRows)) {
+    throw new Error(foreignRows.length + ' observation(s) do not belong to ' + dateString + ', e.g. ' + foreignRows[0].timestamp.toISOString())
+  }
+
+  return report.rows.length
+}
+
+exports.REPORT_PARAMETERS_PATH = REPORT_PARAMETERS_PATH
+exports.checkStoredReport = checkStoredReport
+exports.createQualityReport = createQualityReport
+exports.findMissingHours = findMissingHours
+exports.getHistoryFileName = getHistoryFileName
+exports.getQualityReportFileName = getQualityReportFileName
+exports.getVersionedFileName = getVersionedFileName
+exports.hasSameHeader = hasSameHeader
+exports.loadReportParameters = loadReportParameters
+exports.mergeReportTables = mergeReportTables
+exports.parseReportHeader = parseReportHeader
+exports.validateReportRows = validateReportRows
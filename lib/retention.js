@@ -0,0 +1,260 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const moment = require('moment-timezone')
+const path = require('path')
+const tar = require('tar')
+const { commitTemporaryFile, getTemporaryPath } = require('./atomic_fs')
+const { compilePathTemplate, findUnits, listUnitFiles, readDirectory } = require('./archive_tree')
+const { PRODUCT_DEFINITIONS } = require('./products')
+
+const ACTIONS = ['move', 'delete', 'archive']
+
+/**
+ * removeEmptyDirectories removes a directory and its sub-directories as far
+ * as they are empty
+ * @param  {String} directoryPath the path of the directory
+ */
+async function removeEmptyDirectories (directoryPath) {
+  for (const entry of await readDirectory(directoryPath)) {
+    if (entry.isDirectory()) {
+      await removeEmptyDirectories(path.join(directoryPath, entry.name))
+    }
+  }
+
+  if (_.isEmpty(await readDirectory(directoryPath))) {
+    await fs.remove(directoryPath)
+  }
+}
+
+/**
+ * validateRule checks a retention rule and fills in its defaults
+ * @param  {Object} rule the rule as configured
+ * @return {Object}      the rule
+ */
+function validateRule (rule) {
+  if (!_.isPlainObject(rule)) {
+    throw new Error('retention rules must be objects')
+  }
+
+  if (_.isNil(PRODUCT_DEFINITIONS[rule.product])) {
+    throw new Error('unknown product ' + rule.product + ' in retention rule')
+  }
+
+  if (!_.includes(ACTIONS, rule.action)) {
+    throw new Error('unknown action ' + rule.action + ' in retention rule (known actions: ' + ACTIONS.join(', ') + ')')
+  }
+
+  if (!_.isFinite(rule.olderThanDays) || rule.olderThanDays < 0) {
+    throw new Error('olderThanDays of retention rule must be a number >= 0')
+  }
+
+  if (rule.action === 'move' && !_.isString(rule.targetBasePath)) {
+    throw new Error('retention rules moving files require targetBasePath')
+  }
+
+  return _.defaults({}, rule, {
+    name: rule.product + '-' + rule.action + '-' + rule.olderThanDays + 'd',
+    basePath: null,
+    targetBasePath: null
+  })
+}
+
+/**
+ * loadRetentionRules reads and validates the retention rules
+ * @param  {String} filePath the path of the JSON file holding the rules
+ * @return {Array}           the rules
+ */
+async function loadRetentionRules (filePath) {
+  const rules = await fs.readJson(filePath)
+  if (!_.isArray(rules)) {
+    throw new Error('the retention rules must be an array')
+  }
+
+  return _.map(rules, validateRule)
+}
+
+/**
+ * getArchivePath finds an unused path for the archive of a month, e.g.
+ * `201903.tar.gz` or `201903.2.tar.gz` if the former exists already
+ * @param  {String} directoryPath the directory of the archive
+ * @param  {String} month         the month as `YYYYMM`
+ * @return {String}               the path
+ */
+async function getArchivePath (directoryPath, month) {
+  for (let counter = 1; ; counter++) {
+    const fileName = month + (counter === 1 ? '' : '.' + counter) + '.tar.gz'
+    if (!await fs.pathExists(path.join(directoryPath, fileName))) {
+      return path.join(directoryPath, fileName)
+    }
+  }
+}
+
+/**
+ * applyRetentionRule applies a retention rule to the files of its product
+ * which are older than `olderThanDays` days
+ *
+ * - `move` moves the files to `targetBasePath`, keeping their relative paths
+ * - `delete` deletes the files
+ * - `archive` packs the files of each complete month into a single
+ *   `YYYYMM.tar.gz` stored in the directory of the units below
+ *   `targetBasePath` (by default the base path) and deletes the files
+ *
+ * rules act on the download base path unless they configure a `basePath`,
+ * e.g. to delete files moved there by another rule
+ * @param  {Object} rule    the rule as returned by validateRule
+ * @param  {Object} options `basePath`, the download base path; optional,
+ *                          `dryRun`, `now` and `log`
+ * @return {Object}         the report `{ rule, product, action, dryRun,
+ *                          cutoff, startedAt, endedAt, units, files, bytes,
+ *                          archives, errors }`
+ */
+async function applyRetentionRule (rule, options) {
+  const basePath = rule.basePath || options.basePath
+  const targetBasePath = rule.targetBasePath || basePath
+  const dryRun = _.get(options, 'dryRun', false)
+  const log = _.get(options, 'log')
+  const now = moment.utc(_.get(options, 'now'))
+  const cutoff = now.clone().subtract(rule.olderThanDays, 'days')
+  const compiled = compilePathTemplate(PRODUCT_DEFINITIONS[rule.product].pathTemplate)
+
+  const report = {
+    rule: rule.name,
+    product: rule.product,
+    action: rule.action,
+    dryRun: dryRun,
+    cutoff: cutoff.toDate(),
+    startedAt: new Date(),
+    endedAt: null,
+    units: [],
+    files: 0,
+    bytes: 0,
+    archives: [],
+    errors: []
+  }
+
+  const addError = (relativePath, error) => {
+    report.errors.push({ path: relativePath, error: error.message })
+    if (!_.isNil(log)) {
+      log.warn({ rule: rule.name, path: relativePath, error: error.message }, 'applying retention rule failed for a file')
+    }
+  }
+
+  // group the files of the expired units: by month when archiving, otherwise
+  // by unit
+  const groups = {}
+  for (const unit of await findUnits(basePath, compiled)) {
+    const isExpired = rule.action === 'archive'
+      ? !unit.time.clone().add(1, 'month').startOf('month').isAfter(cutoff)
+      : unit.time.isBefore(cutoff)
+    if (!isExpired) {
+      continue
+    }
+
+    const key = rule.action === 'archive' ? unit.time.format('YYYYMM') : unit.path
+    groups[key] = groups[key] || { directory: path.dirname(unit.path), units: [], files: [] }
+    groups[key].units.push(unit.path)
+    for (const relativePath of await listUnitFiles(basePath, compiled, unit)) {
+      try {
+        const stats = await fs.stat(path.join(basePath, relativePath))
+        groups[key].files.push(relativePath)
+        report.bytes += stats.size
+      } catch (error) {
+        addError(relativePath, error)
+      }
+    }
+  }
+
+  for (const key of _.sortBy(_.keys(groups))) {
+    const group = groups[key]
+    report.units.push(key)
+    report.files += group.files.length
+    if (dryRun) {
+      continue
+    }
+
+    let removableFiles = group.files
+    if (rule.action === 'archive') {
+      const archiveDirectory = path.join(targetBasePath, group.directory)
+      try {
+        await fs.ensureDir(archiveDirectory)
+        const archivePath = await getArchivePath(archiveDirectory, key)
+        const temporaryPath = getTemporaryPath(archivePath)
+        try {
+          await tar.c({ gzip: true, file: temporaryPath, cwd: path.join(basePath, group.directory), portable: true }, _.map(group.files, (relativePath) => path.relative(group.directory, relativePath)))
+          await commitTemporaryFile(temporaryPath, archivePath)
+        } catch (error) {
+          await fs.remove(temporaryPath)
+          throw error
+        }
+        report.archives.push(archivePath)
+      } catch (error) {
+        addError(group.directory, error)
+        removableFiles = []
+      }
+    }
+
+    for (const relativePath of removableFiles) {
+      try {
+        if (rule.action === 'move') {
+          await fs.move(path.join(basePath, relativePath), path.join(targetBasePath, relativePath))
+        } else {
+          await fs.remove(path.join(basePath, relativePath))
+        }
+      } catch (error) {
+        addError(relativePath, error)
+      }
+    }
+
+    for (const unitPath of group.units) {
+      await removeEmptyDirectories(path.join(basePath, unitPath))
+    }
+  }
+
+  report.endedAt = new Date()
+  if (!_.isNil(log)) {
+    log.info(_.omit(report, ['units', 'archives', 'errors']), 'applied retention rule ' + rule.name + (dryRun ? ' (dry run)' : ''))
+  }
+
+  return report
+}
+
+/**
+ * applyRetentionRules applies the rules one after the other, in the order
+ * given, so that e.g. files are moved before they are deleted at the
+ * target base path
+ * @param  {Array} rules    the rules as returned by loadRetentionRules
+ * @param  {Object} options the options (see applyRetentionRule)
+ * @return {Array}          the report of each rule
+ */
+async function applyRetentionRules (rules, options) {
+  const reports = []
+  for (const rule of rules) {
+    reports.push(await applyRetentionRule(rule, options))
+  }
+
+  return reports
+}
+
+exports.ACTIONS = ACTIONS
+exports.applyRetentionRule = applyRetentionRule
+exports.applyRetentionRules = applyRetentionRules
+exports.loadRetentionRules = loadRetentionRules
+exports.validateRule = validateRule
@@ -0,0 +1,412 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const cheerio = require('cheerio')
+const crypto = require('crypto')
+const delay = require('delay')
+const got = require('got')
+const { URL } = require('url')
+const { computeBackoff } = require('./http_client')
+
+const DEFAULT_OPTIONS = {
+  region: 'us-east-1',
+  prefix: '',
+  forcePathStyle: true,
+  partSizeMegabytes: 8,
+  attempts: 3,
+  baseDelayMilliseconds: 200,
+  maxDelayMilliseconds: 5 * 1000
+}
+
+// S3 refuses parts smaller than 5 MiB (except for the last one)
+const MIN_PART_SIZE = 5 * 1024 * 1024
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex')
+
+/**
+ * encodeRfc3986 percent-encodes a string as required by AWS signature
+ * version 4, i.e. all characters but `A-Z`, `a-z`, `0-9`, `-`, `_`, `.` and `~`
+ * @param  {String} value the string
+ * @return {String}       the encoded string
+ */
+function encodeRfc3986 (value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (character) => '%' + character.charCodeAt(0).toString(16).toUpperCase())
+}
+
+/**
+ * hmac calculates the HMAC-SHA256 of a string
+ * @param  {Buffer} key   the key
+ * @param  {String} value the string
+ * @return {Buffer}       the digest
+ */
+function hmac (key, value) {
+  return crypto.createHmac('sha256', key).update(value, 'utf8').digest()
+}
+
+/**
+ * signRequest signs a request using AWS signature version 4 by adding the
+ * `x-amz-date`, `x-amz-content-sha256` and `authorization` headers
+ * @param  {Object} request     `{ method, url, headers, payloadHash }` where
+ *                              `url` holds the canonical query string
+ * @param  {Object} credentials `{ accessKeyId, secretAccessKey, region }`
+ * @param  {Date} now           the time of the request
+ * @return {Object}             the headers to be sent
+ */
+function signRequest (request, credentials, now) {
+  const url = new URL(request.url)
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '')
+  const dateStamp = amzDate.slice(0, 8)
+  const scope = [dateStamp, credentials.region, 's3', 'aws4_request'].join('/')
+
+  const headers = _.assign({}, _.mapKeys(request.headers, (value, name) => name.toLowerCase()), {
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': request.payloadHash
+  })
+  const signedHeaders = _.sortBy(_.keys(headers))
+
+  const canonicalRequest = [
+    request.method,
+    url.pathname,
+    url.search.slice(1),
+    _.map(signedHeaders, (name) => name + ':' + String(headers[name]).trim().replace(/\s+/g, ' ') + '\n').join(''),
+    signedHeaders.join(';'),
+    request.payloadHash
+  ].join('\n')
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest, 'utf8').digest('hex')
+  ].join('\n')
+
+  const signingKey = _.reduce([credentials.region, 's3', 'aws4_request'], hmac, hmac('AWS4' + credentials.secretAccessKey, dateStamp))
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex')
+
+  headers.authorization = 'AWS4-HMAC-SHA256 Credential=' + credentials.accessKeyId + '/' + scope +
+    ', SignedHeaders=' + signedHeaders.join(';') + ', Signature=' + signature
+  return headers
+}
+
+/**
+ * gotTransport sends a single S3 request using got
+ * @param  {Object} request `{ method, url, headers, body }`
+ * @return {Object}         the response as `{ statusCode, headers, body }`
+ */
+async function gotTransport (request) {
+  const response = await got(request.url, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    responseType: 'buffer',
+    retry: 0,
+    throwHttpErrors: false,
+    followRedirect: false
+  })
+
+  return {
+    statusCode: response.statusCode,
+    headers: response.headers,
+    body: response.body
+  }
+}
+
+/**
+ * readXml reads the text of the elements of the given name from an S3
+ * response
+ * @param  {Buffer} body the response body
+ * @param  {String} name the name of the elements, e.g. `Key`
+ * @return {Array}       the text of each element
+ */
+function readXml (body, name) {
+  const $ = cheerio.load(body.toString('utf8'), { xmlMode: true })
+  return $(name).map((index, element) => $(element).text()).get()
+}
+
+/**
+ * createS3Error creates an error describing an unsuccessful S3 response
+ * @param  {Object} request  the request
+ * @param  {Object} response the response
+ * @return {Error}           the error; `code` is 'ENOENT' for missing keys
+ */
+function createS3Error (request, response) {
+  const code = _.first(readXml(response.body || Buffer.alloc(0), 'Error > Code'))
+  const error = new Error('S3 request ' + request.method + ' ' + request.url + ' failed with status code ' +
+    response.statusCode + (_.isNil(code) ? '' : ' (' + code + ')'))
+  error.name = 'S3Error'
+  error.statusCode = response.statusCode
+  error.code = response.statusCode === 404 ? 'ENOENT' : code
+  return error
+}
+
+/**
+ * createS3Storage creates the storage backend writing to a bucket of an
+ * S3-compatible object store, e.g. MinIO (see ./storage.js)
+ *
+ * - requests are signed using AWS signature version 4; failed requests
+ *   (network errors and status codes 500 and above) are retried using
+ *   exponential backoff with jitter
+ * - content is uploaded in a single request unless it exceeds the part size,
+ *   in which case it is uploaded in parts (multipart upload); an object only
+ *   becomes visible once the upload completed
+ * - `move` copies the object and deletes the original
+ * @param  {Object} options `endpoint` (e.g. `http://localhost:9000`), `bucket`,
+ *                          `accessKeyId` and `secretAccessKey`; optionally
+ *                          `region`, `prefix` of the keys, `forcePathStyle`
+ *                          (false for virtual-hosted style urls),
+ *                          `partSizeMegabytes`, `attempts` and `transport`
+ * @return {Object}         the storage
+ */
+function createS3Storage (options) {
+  options = _.defaults(_.omitBy(options, _.isNil), DEFAULT_OPTIONS)
+  _.forEach(['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey'], (name) => {
+    if (_.isEmpty(options[name])) {
+      throw new Error('the S3 storage requires ' + name)
+    }
+  })
+
+  const partSize = Math.max(MIN_PART_SIZE, Math.round(options.partSizeMegabytes * 1024 * 1024))
+  const prefix = _.isEmpty(options.prefix) ? '' : _.trimEnd(options.prefix, '/') + '/'
+  const endpoint = new URL(options.endpoint)
+  const transport = options.transport || gotTransport
+
+  /**
+   * getUrl builds the url of an object (or of the bucket, given no key)
+   * @param  {String} key   the key of the object including the prefix
+   * @param  {Object} query optional; the query parameters
+   * @return {String}       the url
+   */
+  function getUrl (key, query) {
+    const url = new URL(endpoint.toString())
+    const encodedKey = _.map(key.split('/'), encodeRfc3986).join('/')
+    if (options.forcePathStyle) {
+      url.pathname = '/' + options.bucket + '/' + encodedKey
+    } else {
+      url.host = options.bucket + '.' + endpoint.host
+      url.pathname = '/' + encodedKey
+    }
+
+    // the query is built by hand as signature version 4 requires the
+    // parameters to be sorted and encoded according to RFC 3986
+    url.search = _.map(_.sortBy(_.toPairs(query || {}), 0), ([name, value]) => encodeRfc3986(name) + '=' + encodeRfc3986(value)).join('&')
+    return url.toString()
+  }
+
+  /**
+   * request sends a signed request and retries it if necessary
+   * @param  {String} method   the HTTP method
+   * @param  {String} key      the key of the object including the prefix
+   * @param  {Object} settings optional; `query`, `headers`, `body` and
+   *                           `expectedStatusCodes` (default 200 and 204)
+   * @return {Object}          the response
+   */
+  async function request (method, key, settings) {
+    settings = settings || {}
+    const body = _.isNil(settings.body) ? null : Buffer.from(settings.body)
+    const url = getUrl(key, settings.query)
+    const expectedStatusCodes = settings.expectedStatusCodes || [200, 204]
+
+    let attempt = 0
+    for (;;) {
+      attempt++
+
+      const signed = {
+        method: method,
+        url: url,
+        headers: _.assign({}, settings.headers, _.isNil(body) ? {} : { 'content-length': body.length }),
+        payloadHash: _.isNil(body) ? EMPTY_PAYLOAD_HASH : crypto.createHash('sha256').update(body).digest('hex')
+      }
+      const headers = signRequest(signed, options, new Date())
+
+      let response = null
+      let error = null
+      try {
+        response = await transport({ method: method, url: url, headers: headers, body: _.isNil(body) ? undefined : body })
+      } catch (transportError) {
+        error = transportError
+      }
+
+      if (!_.isNil(response)) {
+        if (_.includes(expectedStatusCodes, response.statusCode)) {
+          return response
+        }
+
+        error = createS3Error(signed, response)
+        if (response.statusCode < 500) {
+          throw error
+        }
+      }
+
+      if (attempt >= options.attempts) {
+        throw error
+      }
+      await delay(computeBackoff(attempt, options))
+    }
+  }
+
+  /**
+   * uploadParts uploads the content of a stream using a multipart upload,
+   * starting with the content read so far
+   * @param  {String} objectKey the key of the object including the prefix
+   * @param  {Array} chunks     the chunks read so far
+   * @param  {Object} iterator  the async iterator of the remaining chunks
+   */
+  async function uploadParts (objectKey, chunks, iterator) {
+    const created = await request('POST', objectKey, { query: { uploads: '' } })
+    const uploadId = _.first(readXml(created.body, 'UploadId'))
+    const parts = []
+
+    const uploadPart = async (content) => {
+      const partNumber = parts.length + 1
+      const response = await request('PUT', objectKey, { query: { partNumber: String(partNumber), uploadId: uploadId }, body: content })
+      parts.push({ partNumber: partNumber, etag: response.headers.etag })
+    }
+
+    try {
+      let buffer = Buffer.concat(chunks)
+      for (;;) {
+        while (buffer.length >= partSize) {
+          await uploadPart(buffer.slice(0, partSize))
+          buffer = buffer.slice(partSize)
+        }
+
+        const next = await iterator.next()
+        if (next.done) {
+          break
+        }
+        buffer = Buffer.concat([buffer, next.value])
+      }
+      if (buffer.length > 0 || _.isEmpty(parts)) {
+        await uploadPart(buffer)
+      }
+
+      const completion = '<CompleteMultipartUpload>' + _.map(parts, (part) => {
+        return '<Part><PartNumber>' + part.partNumber + '</PartNumber><ETag>' + _.escape(part.etag) + '</ETag></Part>'
+      }).join('') + '</CompleteMultipartUpload>'
+      const completed = await request('POST', objectKey, { query: { uploadId: uploadId }, body: completion })
+
+      // completing an upload may fail after the status code has been sent
+      if (!_.isEmpty(readXml(completed.body, 'Error'))) {
+        throw createS3Error({ method: 'POST', url: getUrl(objectKey) }, { statusCode: 500, body: completed.body })
+      }
+    } catch (error) {
+      await request('DELETE', objectKey, { query: { uploadId: uploadId } }).catch(_.noop)
+      throw error
+    }
+  }
+
+  async function exists (key) {
+    const response = await request('HEAD', prefix + key, { expectedStatusCodes: [200, 404] })
+    return response.statusCode === 200
+  }
+
+  async function put (key, content) {
+    const hash = crypto.createHash('sha256')
+    let size = 0
+
+    if (!_.isFunction(_.get(content, 'pipe'))) {
+      const body = Buffer.from(content)
+      await request('PUT', prefix + key, { body: body })
+      return { size: body.length, sha256: hash.update(body).digest('hex') }
+    }
+
+    // content fitting into a single part is uploaded in a single request
+    const iterator = (async function * () {
+      for await (const chunk of content) {
+        const buffer = Buffer.from(chunk)
+        size = size + buffer.length
+        hash.update(buffer)
+        yield buffer
+      }
+    })()
+
+    const chunks = []
+    let length = 0
+    for (;;) {
+      const next = await iterator.next()
+      if (next.done) {
+        await request('PUT', prefix + key, { body: Buffer.concat(chunks) })
+        break
+      }
+
+      chunks.push(next.value)
+      length = length + next.value.length
+      if (length >= partSize) {
+        await uploadParts(prefix + key, chunks, iterator)
+        break
+      }
+    }
+
+    return { size: size, sha256: hash.digest('hex') }
+  }
+
+  async function get (key) {
+    return (await request('GET', prefix + key)).body
+  }
+
+  async function list (keyPrefix) {
+    const keys = []
+    let continuationToken = null
+    do {
+      const query = { 'list-type': '2', prefix: prefix + keyPrefix }
+      if (!_.isNil(continuationToken)) {
+        query['continuation-token'] = continuationToken
+      }
+
+      const response = await request('GET', '', { query: query })
+      _.forEach(readXml(response.body, 'Contents > Key'), (key) => keys.push(key.slice(prefix.length)))
+      continuationToken = _.first(readXml(response.body, 'IsTruncated')) === 'true'
+        ? _.first(readXml(response.body, 'NextContinuationToken'))
+        : null
+    } while (!_.isNil(continuationToken))
+
+    return keys.sort()
+  }
+
+  async function move (key, targetKey) {
+    const source = '/' + options.bucket + '/' + _.map((prefix + key).split('/'), encodeRfc3986).join('/')
+    const response = await request('PUT', prefix + targetKey, { headers: { 'x-amz-copy-source': source } })
+
+    // copying may fail after the status code has been sent
+    if (!_.isEmpty(readXml(response.body, 'Error'))) {
+      throw createS3Error({ method: 'PUT', url: getUrl(prefix + targetKey) }, { statusCode: 500, body: response.body })
+    }
+    await remove(key)
+  }
+
+  async function remove (key) {
+    await request('DELETE', prefix + key)
+  }
+
+  return {
+    backend: 's3',
+    exists: exists,
+    put: put,
+    get: get,
+    list: list,
+    move: move,
+    delete: remove,
+    locate: (key) => 's3://' + options.bucket + '/' + prefix + key
+  }
+}
+
+exports.createS3Storage = createS3Storage
+exports.encodeRfc3986 = encodeRfc3986
+exports.signRequest = signRequest
@@ -0,0 +1,256 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const moment = require('moment-timezone')
+
+// The fields of a cron expression in order and their valid values
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+]
+
+// Searching the next time matching a cron expression gives up after this many
+// steps, e.g. for `0 0 30 2 *` which never matches
+const MAX_CRON_STEPS = 100000
+
+/**
+ * parseCronField parses a single field of a cron expression, i.e. a comma
+ * separated list of `*`, values and ranges (`1-5`), each optionally followed by
+ * a step (`*\/15`, `0-12/3`)
+ * @param  {String} text  the field
+ * @param  {Object} field the definition of the field (see CRON_FIELDS)
+ * @return {Array}        the sorted values matched by the field
+ */
+function parseCronField (text, field) {
+  const values = _.flatMap(_.split(text, ','), (item) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item)
+    if (_.isNil(match)) {
+      throw new Error('invalid ' + field.name + ' ' + item)
+    }
+
+    let from = field.min
+    let to = field.max
+    if (match[1] !== '*') {
+      from = Number(match[2])
+      to = _.isNil(match[3]) ? (_.isNil(match[4]) ? from : field.max) : Number(match[3])
+    }
+    const step = _.isNil(match[4]) ? 1 : Number(match[4])
+
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new Error('invalid ' + field.name + ' ' + item + ' (valid values are ' + field.min + '-' + field.max + ')')
+    }
+
+    return _.range(from, to + 1, step)
+  })
+
+  return _.sortBy(_.uniq(values))
+}
+
+/**
+ * parseCronExpression parses a cron expression with the five fields minute,
+ * hour, day of month, month and day of week (0 or 7 is Sunday); all times are
+ * UTC
+ * @param  {String} expression the expression, e.g. `45 1-22/3 * * *`
+ * @return {Object}            the values matched per field and whether the day
+ *                             of month and the day of week are restricted
+ */
+function parseCronExpression (expression) {
+  const texts = _.split(_.trim(expression), /\s+/)
+  if (texts.length !== CRON_FIELDS.length) {
+    throw new Error('invalid cron expression ' + expression + ': expected ' + CRON_FIELDS.length + ' fields')
+  }
+
+  const cron = { expression: texts.join(' ') }
+  _.forEach(CRON_FIELDS, (field, index) => {
+    try {
+      cron[field.name] = parseCronField(texts[index], field)
+    } catch (error) {
+      throw new Error('invalid cron expression ' + expression + ': ' + error.message)
+    }
+  })
+
+  cron.dayOfWeek = _.sortBy(_.uniq(_.map(cron.dayOfWeek, (day) => day % 7)))
+  cron.dayOfMonthRestricted = texts[2] !== '*'
+  cron.dayOfWeekRestricted = texts[4] !== '*'
+  return cron
+}
+
+/**
+ * isCronDay checks whether a day matches the day of month and day of week of a
+ * cron expression; as usual for cron, a day matches either if both are
+ * restricted
+ * @param  {Object} cron the expression as returned by parseCronExpression
+ * @param  {Moment} m    the day (UTC)
+ * @return {Boolean}     true if the day matches
+ */
+function isCronDay (cron, m) {
+  const dayOfMonth = _.includes(cron.dayOfMonth, m.date())
+  const dayOfWeek = _.includes(cron.dayOfWeek, m.day())
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek
+  }
+
+  return dayOfMonth && dayOfWeek
+}
+
+/**
+ * getNextCronTime determines the first minute after the given time matched by
+ * a cron expression
+ * @param  {Object} cron  the expression as returned by parseCronExpression
+ * @param  {Date} after   the time
+ * @return {Date}         the next matching time
+ */
+function getNextCronTime (cron, after) {
+  const m = moment.utc(after).startOf('minute').add(1, 'minute')
+
+  for (let step = 0; step < MAX_CRON_STEPS; step++) {
+    if (!_.includes(cron.month, m.month() + 1)) {
+      m.add(1, 'month').startOf('month')
+    } else if (!isCronDay(cron, m)) {
+      m.add(1, 'day').startOf('day')
+    } else if (!_.includes(cron.hour, m.hour())) {
+      m.add(1, 'hour').startOf('hour')
+    } else if (!_.includes(cron.minute, m.minute())) {
+      m.add(1, 'minute')
+    } else {
+      return m.toDate()
+    }
+  }
+
+  throw new Error('cron expression ' + cron.expression + ' never matches')
+}
+
+/**
+ * getPublicationWindows lists the polling windows of the runs around the
+ * given time; each window starts `latencyMinutes` after the run hour and lasts
+ * `windowMinutes`
+ * @param  {Object} rule     the publication rule (see createSchedule)
+ * @param  {Array} runHours  the hours (UTC) at which runs are issued
+ * @param  {Date} time       the time
+ * @return {Array}           `{ run, start, end }` (Moment) sorted by start
+ */
+function getPublicationWindows (rule, runHours, time) {
+  const day = moment.utc(time).startOf('day')
+  const windows = []
+
+  // latencies of up to a day are covered by looking at the neighbouring days
+  for (let offset = -2; offset <= 2; offset++) {
+    for (const runHour of runHours) {
+      const run = day.clone().add(offset, 'days').add(runHour, 'hours')
+      const start = run.clone().add(rule.latencyMinutes, 'minutes')
+      windows.push({ run: run, start: start, end: start.clone().add(rule.windowMinutes, 'minutes') })
+    }
+  }
+
+  return _.sortBy(windows, (window) => window.start.valueOf())
+}
+
+/**
+ * getNextPublicationPoll determines the next poll according to a publication
+ * rule: within the window of a run, files are polled every `pollMinutes`;
+ * outside, the next poll is at the start of the next window, but not later
+ * than `idleMinutes` (if given) from now
+ * @param  {Object} rule     the publication rule (see createSchedule)
+ * @param  {Array} runHours  the hours (UTC) at which runs are issued
+ * @param  {Date} after      the time of the last poll
+ * @return {Date}            the time of the next poll
+ */
+function getNextPublicationPoll (rule, runHours, after) {
+  const time = moment.utc(after)
+  const windows = getPublicationWindows(rule, runHours, after)
+
+  if (_.some(windows, (window) => !time.isBefore(window.start) && time.isBefore(window.end))) {
+    return time.add(rule.pollMinutes, 'minutes').toDate()
+  }
+
+  const next = _.find(windows, (window) => window.start.isAfter(time)).start
+  if (!_.isNil(rule.idleMinutes) && next.diff(time, 'minutes', true) > rule.idleMinutes) {
+    return time.add(rule.idleMinutes, 'minutes').toDate()
+  }
+
+  return next.toDate()
+}
+
+/**
+ * createSchedule creates the schedule of the cycles of a product from its
+ * `schedule.rule`:
+ * - `interval` starts the next cycle `schedule.cycleWaitMinutes` after the
+ *   last one ended
+ * - `publication` follows the publication times of DWD as given by the
+ *   product's `runHours` and its `publication` rule, i.e. `latencyMinutes`
+ *   after a run hour the first files are expected, `windowMinutes` the
+ *   duration files are polled every `pollMinutes` from then on and,
+ *   optionally, `idleMinutes` the longest wait outside these windows
+ * - any other rule is taken as cron expression (see parseCronExpression)
+ *
+ * by default, products having a publication rule follow it and all others use
+ * the interval
+ * @param  {Object} product the product (see ./products.js)
+ * @return {Object}         `{ rule, description, getNextRun(after) }`
+ */
+function createSchedule (product) {
+  const rule = _.get(product, ['schedule', 'rule']) || (_.isNil(product.publication) ? 'interval' : 'publication')
+
+  if (rule === 'interval') {
+    const cycleWaitMinutes = product.schedule.cycleWaitMinutes
+    return {
+      rule: rule,
+      description: 'every ' + cycleWaitMinutes + ' minutes after the last cycle',
+      getNextRun: (after) => moment.utc(after).add(cycleWaitMinutes, 'minutes').toDate()
+    }
+  }
+
+  if (rule === 'publication') {
+    const publication = product.publication
+    if (_.isNil(publication) || _.isEmpty(product.runHours)) {
+      throw new Error('product ' + product.name + ' has no publication rule')
+    }
+    _.forEach(['latencyMinutes', 'windowMinutes', 'pollMinutes'], (key) => {
+      if (!(publication[key] >= 0) || (key === 'pollMinutes' && publication[key] === 0)) {
+        throw new Error('invalid publication rule of product ' + product.name + ': ' + key + ' is ' + publication[key])
+      }
+    })
+
+    return {
+      rule: rule,
+      description: 'every ' + publication.pollMinutes + ' minutes from ' + publication.latencyMinutes +
+        ' to ' + (publication.latencyMinutes + publication.windowMinutes) + ' minutes after the runs at ' +
+        _.map(product.runHours, (hour) => _.padStart(hour, 2, '0')).join(', ') + ' UTC',
+      getNextRun: (after) => getNextPublicationPoll(publication, product.runHours, after)
+    }
+  }
+
+  const cron = parseCronExpression(rule)
+  getNextCronTime(cron, new Date())
+
+  return {
+    rule: cron.expression,
+    description: 'at ' + cron.expression + ' (UTC)',
+    getNextRun: (after) => getNextCronTime(cron, after)
+  }
+}
+
+exports.createSchedule = createSchedule
+exports.getNextCronTime = getNextCronTime
+exports.getNextPublicationPoll = getNextPublicationPoll
+exports.parseCronExpression = parseCronExpression
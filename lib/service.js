@@ -0,0 +1,823 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const path = require('path')
+const moment = require('moment-timezone')
+const bunyan = require('bunyan')
+const processenv = require('processenv')
+const { createHttpClient } = require('./http_client')
+const { createRateLimiter } = require('./worker_pool')
+const { sweepPartialFiles, writeJsonAtomic } = require('./atomic_fs')
+const { createMetricsRegistry } = require('./metrics')
+const { createStatusServer } = require('./status_server')
+const { createQueryServer } = require('./query_server')
+const { createBackends, createNotifier } = require('./notifier')
+const { loadFilters } = require('./filters')
+const { createCrawlEngine } = require('./crawl_engine')
+const { createCrawlState } = require('./crawl_state')
+const { createLifecycle, isAbortError, sleep } = require('./lifecycle')
+const { PRODUCT_DEFINITIONS, createProduct } = require('./products')
+const { applyRetentionRules, loadRetentionRules } = require('./retention')
+const { checkArchive, checkFile, requeueItems } = require('./fsck')
+const { createSchedule } = require('./scheduler')
+const { createStorage } = require('./storage')
+
+const EXIT_CODES = {
+  DOWNLOAD_DIRECTORY_BASE_PATH_NIL_ERROR: 1,
+  STORE_DOWNLOAD_FILE_ERROR: 2,
+  NOTIFIER_CONFIGURATION_ERROR: 3,
+  FILTER_CONFIGURATION_ERROR: 4,
+  CRAWL_CYCLE_ERROR: 5,
+  NOT_READY: 6,
+  USAGE_ERROR: 7,
+  RETENTION_ERROR: 8,
+  ARCHIVE_CHECK_ERROR: 9,
+  STORAGE_CONFIGURATION_ERROR: 10,
+  SCHEDULE_CONFIGURATION_ERROR: 11,
+  SHUTDOWN_TIMEOUT_ERROR: 12,
+  INTERRUPTED: 13
+}
+
+// Time granted after SHUTDOWN_TIMEOUT_SECONDS for rolling back cancelled files
+// and flushing the state before the process exits anyway
+const FORCED_EXIT_DELAY_MILLISECONDS = 5 * 1000
+
+/**
+ * createExitError creates an error carrying the exit code the process shall
+ * terminate with
+ * @param  {Number} exitCode one of EXIT_CODES
+ * @param  {String} message  the message
+ * @param  {Error} cause     optional; the error causing this one
+ * @return {Error}           the error
+ */
+function createExitError (exitCode, message, cause) {
+  const error = new Error(_.isNil(cause) ? message : message + ': ' + cause.message)
+  error.name = 'ExitError'
+  error.exitCode = exitCode
+  error.cause = cause
+  return error
+}
+
+/**
+ * readFlag reads a boolean environment variable
+ *
+ * processenv is not used here, as it converts `false` to a boolean which
+ * would be replaced by the default value
+ * @param  {String} name         the name of the environment variable
+ * @param  {Boolean} defaultValue the value if the variable is not set
+ * @return {Boolean}             the value
+ */
+function readFlag (name, defaultValue) {
+  return String(_.defaultTo(process.env[name], defaultValue)).toLowerCase() === 'true'
+}
+
+/**
+ * readConfiguration reads the configuration of the service from the
+ * environment variables described in the README
+ *
+ * each product is configured by the environment variables `$PREFIX_SCHEDULE`,
+ * `$PREFIX_COMPLETE_CYCLE_WAIT_MINUTES`, `$PREFIX_CRAWL_RETRY_WAIT_MINUTES`,
+ * `$PREFIX_PUBLICATION_*_MINUTES`, `$PREFIX_DOWNLOAD_CONCURRENCY` (plus `$PREFIX_GRIDS` and `$PREFIX_LEVEL_TYPES`
+ * for ICON products, `$PREFIX_SPLIT` for MOSMIX bundles and `$PREFIX_MERGE_POLICY`
+ * for reports) and enabled by its `enableVariable`
+ * @return {Object} the configuration
+ */
+function readConfiguration () {
+  const downloadDirectoryBasePath = processenv('DOWNLOAD_DIRECTORY_BASE_PATH')
+
+  // Directory for files the crawler needs to keep track of its own work
+  const stateDirectoryPath = path.join(downloadDirectoryBasePath || '', '.dwd_data_crawler')
+  const recompressionImplementation = String(processenv('RECOMPRESSION_IMPLEMENTATION') || 'auto')
+
+  return {
+    downloadDirectoryBasePath: _.isNil(downloadDirectoryBasePath) ? null : String(downloadDirectoryBasePath),
+    stateDirectoryPath: stateDirectoryPath,
+    quarantineDirectoryPath: path.join(stateDirectoryPath, 'quarantine'),
+    crawlStateDirectoryPath: path.join(stateDirectoryPath, 'crawl_state'),
+    logLevel: String(processenv('LOG_LEVEL') || 'info'),
+    http: {
+      maxAttempts: processenv('HTTP_MAX_ATTEMPTS') || 4,
+      backoffBaseMilliseconds: processenv('HTTP_BACKOFF_BASE_MILLISECONDS') || 100,
+      backoffMaxSeconds: processenv('HTTP_BACKOFF_MAX_SECONDS') || 30,
+      timeoutSeconds: processenv('HTTP_TIMEOUT_SECONDS') || 60,
+      maxRequestsPerSecond: processenv('HTTP_MAX_REQUESTS_PER_SECOND') || 10
+    },
+    storage: {
+      backend: String(processenv('STORAGE_BACKEND') || 'local'),
+      s3: {
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        bucket: process.env.S3_BUCKET,
+        prefix: process.env.S3_PREFIX,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: readFlag('S3_FORCE_PATH_STYLE', true),
+        partSizeMegabytes: processenv('S3_PART_SIZE_MEGABYTES')
+      }
+    },
+    enableStartupSweep: readFlag('ENABLE_STARTUP_SWEEP', true),
+    statusServerPort: processenv('STATUS_SERVER_PORT'),
+    queryApiPort: processenv('QUERY_API_PORT'),
+    readinessCycleGraceMinutes: processenv('READINESS_CYCLE_GRACE_MINUTES') || 120,
+    shutdownTimeoutSeconds: processenv('SHUTDOWN_TIMEOUT_SECONDS') || 8,
+    retention: {
+      rulesFile: processenv('RETENTION_RULES_FILE'),
+      intervalMinutes: processenv('RETENTION_INTERVAL_MINUTES') || 24 * 60,
+      dryRun: readFlag('RETENTION_DRY_RUN', false)
+    },
+    notify: {
+      backends: String(processenv('NOTIFY_BACKENDS') || 'udp'),
+      fileEvents: readFlag('NOTIFY_FILE_EVENTS', false),
+      udpBroadcastPort: Number(process.env.UDP_BROADCAST_PORT) || 4000,
+      webhookUrl: processenv('NOTIFY_WEBHOOK_URL'),
+      mqttUrl: processenv('NOTIFY_MQTT_URL'),
+      mqttTopicPrefix: String(processenv('NOTIFY_MQTT_TOPIC_PREFIX') || 'dwd_data_crawler')
+    },
+    filters: {
+      stationIds: processenv('STATION_IDS'),
+      stationIdsFile: processenv('STATION_IDS_FILE'),
+      boundingBox: processenv('STATION_BOUNDING_BOX'),
+      stationCatalogue: processenv('STATION_CATALOGUE'),
+      variables: processenv('COSMO_D2_VARIABLES')
+    },
+    products: _.mapValues(PRODUCT_DEFINITIONS, (definition) => {
+      const prefix = definition.environmentPrefix
+      return {
+        enabled: readFlag(definition.enableVariable, definition.enabledByDefault),
+        settings: {
+          schedule: process.env[prefix + '_SCHEDULE'],
+          cycleWaitMinutes: processenv(prefix + '_COMPLETE_CYCLE_WAIT_MINUTES'),
+          retryWaitMinutes: processenv(prefix + '_CRAWL_RETRY_WAIT_MINUTES'),
+          latencyMinutes: processenv(prefix + '_PUBLICATION_LATENCY_MINUTES'),
+          windowMinutes: processenv(prefix + '_PUBLICATION_WINDOW_MINUTES'),
+          pollMinutes: processenv(prefix + '_PUBLICATION_POLL_MINUTES'),
+          idleMinutes: processenv(prefix + '_PUBLICATION_IDLE_MINUTES'),
+          concurrency: processenv(prefix + '_DOWNLOAD_CONCURRENCY'),
+          grids: process.env[prefix + '_GRIDS'],
+          levelTypes: process.env[prefix + '_LEVEL_TYPES'],
+          split: readFlag(prefix + '_SPLIT', true),
+          mergePolicy: process.env[prefix + '_MERGE_POLICY'],
+          stateDirectoryPath: stateDirectoryPath,
+          recompressionImplementation: recompressionImplementation
+        }
+      }
+    })
+  }
+}
+
+/**
+ * createProducts creates the products to be crawled
+ * @param  {Object} configuration the configuration as returned by
+ *                                readConfiguration
+ * @param  {Array} names          optional; the names of the products, e.g.
+ *                                `['reports']`; by default all enabled products
+ * @return {Array}                the products
+ */
+function createProducts (configuration, names) {
+  if (_.isEmpty(names)) {
+    names = _.keys(_.pickBy(configuration.products, 'enabled'))
+  }
+
+  return _.map(names, (name) => {
+    if (_.isNil(PRODUCT_DEFINITIONS[name])) {
+      throw createExitError(EXIT_CODES.USAGE_ERROR, 'unknown product ' + name + ' (known products: ' + _.keys(PRODUCT_DEFINITIONS).join(', ') + ')')
+    }
+
+    const product = createProduct(PRODUCT_DEFINITIONS[name], configuration.products[name].settings)
+    try {
+      createSchedule(product)
+    } catch (error) {
+      throw createExitError(EXIT_CODES.SCHEDULE_CONFIGURATION_ERROR, 'the schedule of ' + name + ' (' + PRODUCT_DEFINITIONS[name].environmentPrefix + '_SCHEDULE) is invalid', error)
+    }
+
+    return product
+  })
+}
+
+/**
+ * createLog creates the logger of the service
+ * @param  {Object} configuration the configuration as returned by
+ *                                readConfiguration
+ * @param  {Stream} stream        optional; the stream to log to (default stdout)
+ * @return {Logger}               the bunyan logger
+ */
+function createLog (configuration, stream) {
+  return bunyan.createLogger({
+    name: 'dwd_data_crawler',
+    serializers: bunyan.stdSerializers,
+    level: configuration.logLevel,
+    stream: stream || process.stdout
+  })
+}
+
+/**
+ * createService creates the crawler service; nothing is started before the
+ * functions of the service are called
+ *
+ * errors preventing the service from working (e.g. an invalid configuration)
+ * are thrown as errors carrying an `exitCode` (see EXIT_CODES)
+ * @param  {Object} configuration the configuration as returned by
+ *                                readConfiguration
+ * @param  {Object} options       optional; `products` (see createProducts),
+ *                                `log` (see createLog) and
+ *                                `crawlStateDirectoryPath` overriding the
+ *                                one of the configuration
+ * @return {Object}               the service
+ */
+function createService (configuration, options) {
+  const basePath = configuration.downloadDirectoryBasePath
+  const crawlStateDirectoryPath = _.get(options, 'crawlStateDirectoryPath') || configuration.crawlStateDirectoryPath
+
+  const log = _.get(options, 'log') || createLog(configuration)
+
+  // check if necessery DOWNLOAD_DIRECTORY_BASE_PATH env var is given
+  if (_.isNil(basePath)) {
+    throw createExitError(EXIT_CODES.DOWNLOAD_DIRECTORY_BASE_PATH_NIL_ERROR, 'no download directory base path given (DOWNLOAD_DIRECTORY_BASE_PATH missing)')
+  }
+
+  const products = createProducts(configuration, _.get(options, 'products'))
+  const schedules = _.fromPairs(_.map(products, (product) => [product.name, createSchedule(product)]))
+
+  // The storage the archive is written to (see ./storage.js); the state of
+  // the crawler is kept below DOWNLOAD_DIRECTORY_BASE_PATH in any case
+  let storage = null
+  try {
+    storage = createStorage(configuration.storage, basePath)
+  } catch (error) {
+    throw createExitError(EXIT_CODES.STORAGE_CONFIGURATION_ERROR, 'configuration of the storage (STORAGE_BACKEND) is invalid', error)
+  }
+
+  // retention, integrity checks and queries read the archive from the file
+  // system
+  if (storage.backend !== 'local' && (!_.isNil(configuration.retention.rulesFile) || !_.isNil(configuration.queryApiPort))) {
+    throw createExitError(EXIT_CODES.STORAGE_CONFIGURATION_ERROR, 'RETENTION_RULES_FILE and QUERY_API_PORT require the local storage backend')
+  }
+
+  // The lifecycle of the loops; stopping it cancels HTTP requests, waits and
+  // recompression commands still running after SHUTDOWN_TIMEOUT_SECONDS
+  const lifecycle = createLifecycle({
+    shutdownTimeoutMilliseconds: configuration.shutdownTimeoutSeconds * 1000,
+    log: log
+  })
+
+  // Metrics exposed at /metrics of the status server, labelled by product
+  const metrics = createMetricsRegistry()
+  const METRICS = {
+    filesListed: metrics.gauge('dwd_crawler_files_listed', 'Number of files listed in the current cycle'),
+    filesDownloaded: metrics.counter('dwd_crawler_files_downloaded_total', 'Number of files downloaded and stored'),
+    filesSkipped: metrics.counter('dwd_crawler_files_skipped_total', 'Number of files skipped as they are unchanged or already stored'),
+    filesFailed: metrics.counter('dwd_crawler_files_failed_total', 'Number of files which could not be downloaded or stored'),
+    bytesWritten: metrics.counter('dwd_crawler_bytes_written_total', 'Number of bytes written to the archive'),
+    cycleDuration: metrics.gauge('dwd_crawler_cycle_duration_seconds', 'Duration of the last complete cycle'),
+    lastSuccess: metrics.gauge('dwd_crawler_last_success_timestamp_seconds', 'Unix time the last cycle was completed'),
+    httpRetries: metrics.counter('dwd_crawler_http_retries_total', 'Number of retried HTTP requests')
+  }
+
+  // The HTTP client shared by all listing and download paths; temporary errors
+  // are retried using exponential backoff (see ./http_client.js). As all
+  // products share the client, HTTP_MAX_REQUESTS_PER_SECOND is a global limit
+  const httpClient = createHttpClient({
+    rateLimiter: createRateLimiter(configuration.http.maxRequestsPerSecond),
+    attempts: configuration.http.maxAttempts,
+    baseDelayMilliseconds: configuration.http.backoffBaseMilliseconds,
+    maxDelayMilliseconds: configuration.http.backoffMaxSeconds * 1000,
+    timeoutMilliseconds: configuration.http.timeoutSeconds * 1000,
+    onRetry: (retry) => METRICS.httpRetries.inc(retry.labels),
+    signal: lifecycle.abortSignal,
+    log: log
+  })
+
+  // The notifier and the crawl engine, created in initialize()
+  let notifier = null
+  let engine = null
+
+  // The HTTP servers started and the fatal errors which stopped the loop of a
+  // product, by product name
+  const servers = []
+  const fatalErrors = {}
+
+  /**
+   * initialize creates the notifier informing downstream services about new
+   * data, resolves the station and variable filters and creates the engine
+   * @param  {Function} onFatalError optional; called as `onFatalError(error,
+   *                                 product)` once the loop of a product
+   *                                 stopped due to a fatal error, e.g. as
+   *                                 storing a file failed
+   */
+  async function initialize (onFatalError) {
+    try {
+      notifier = createNotifier({
+        backends: createBackends(configuration.notify.backends, {
+          udp: { port: configuration.notify.udpBroadcastPort },
+          webhook: { url: configuration.notify.webhookUrl },
+          mqtt: { url: configuration.notify.mqttUrl, topicPrefix: configuration.notify.mqttTopicPrefix }
+        }),
+        fileEvents: configuration.notify.fileEvents,
+        log: log
+      })
+    } catch (error) {
+      throw createExitError(EXIT_CODES.NOTIFIER_CONFIGURATION_ERROR, 'configuration of notifications (NOTIFY_BACKENDS) is invalid', error)
+    }
+
+    let filters = null
+    try {
+      filters = await loadFilters(configuration.filters, httpClient)
+    } catch (error) {
+      throw createExitError(EXIT_CODES.FILTER_CONFIGURATION_ERROR, 'resolving the station and variable filters failed', error)
+    }
+    log.info({ stations: filters.stations, variables: filters.variables }, 'allowed stations and COSMO-D2 variables resolved (null means all)')
+
+    engine = createCrawlEngine({
+      httpClient: httpClient,
+      notifier: notifier,
+      metrics: METRICS,
+      filters: filters,
+      log: log,
+      downloadDirectoryBasePath: basePath,
+      storage: storage,
+      crawlStateDirectoryPath: crawlStateDirectoryPath,
+      lifecycle: lifecycle,
+      onFatalError: async (error, product) => {
+        fatalErrors[product.name] = error
+        if (_.isFunction(onFatalError)) {
+          await onFatalError(error, product)
+        }
+      }
+    })
+  }
+
+  /**
+   * sweepArchive moves leftovers of interrupted writes (temporary files, `.bz2`
+   * files and uncompressed `.grib2` files along with their `.lz4` sibling
+   * unless it is complete) to the quarantine directory
+   */
+  async function sweepArchive () {
+    const quarantinePath = configuration.quarantineDirectoryPath
+    log.info('sweeping ' + basePath + ' for leftovers of interrupted writes')
+
+    try {
+      const quarantined = await sweepPartialFiles(basePath, quarantinePath, { checkFile: (filePath) => checkFile(filePath) })
+      _.forEach(quarantined, (filePath) => {
+        log.warn('moved partial file ' + filePath + ' to ' + quarantinePath)
+      })
+      log.info('sweeping revealed ' + quarantined.length + ' partial files')
+    } catch (error) {
+      log.error(error, 'sweeping for partial files failed')
+    }
+  }
+
+  /**
+   * getCrawlState returns the crawl state of a product; the persisted state
+   * is read unless the engine of this service runs the product
+   * @param  {Object} product the product
+   * @return {Object}         the crawl state (see ./crawl_state.js)
+   */
+  async function getCrawlState (product) {
+    const crawlState = _.isNil(engine) ? null : engine.getCrawlState(product.name)
+    if (!_.isNil(crawlState)) {
+      return crawlState
+    }
+
+    const persistedState = createCrawlState(path.join(crawlStateDirectoryPath, product.name + '.json'))
+    await persistedState.load()
+    return persistedState
+  }
+
+  /**
+   * getNextCycleTime returns the time the next cycle of a product is planned
+   * at; unless the engine of this service runs the product, it is derived
+   * from the end of the last complete cycle
+   * @param  {Object} product           the product
+   * @param  {Object} lastCompleteCycle the last complete cycle, if any
+   * @return {Date}                     the time or null if no cycle completed
+   */
+  function getNextCycleTime (product, lastCompleteCycle) {
+    const nextRun = _.isNil(engine) ? null : engine.getNextRun(product.name)
+    if (!_.isNil(nextRun)) {
+      return nextRun
+    }
+
+    if (_.isNil(lastCompleteCycle)) {
+      return null
+    }
+
+    return schedules[product.name].getNextRun(new Date(lastCompleteCycle.endedAt))
+  }
+
+  /**
+   * checkCycleIsRecent throws unless a product completed a cycle and the next
+   * cycle planned by its schedule is overdue by at most
+   * READINESS_CYCLE_GRACE_MINUTES
+   * @param  {Object} product the product
+   */
+  async function checkCycleIsRecent (product) {
+    if (!_.isNil(fatalErrors[product.name])) {
+      throw new Error('crawling ' + product.name + ' stopped: ' + fatalErrors[product.name].message)
+    }
+
+    const lastCompleteCycle = (await getCrawlState(product)).getSummary().lastCompleteCycle
+    if (_.isNil(lastCompleteCycle)) {
+      throw new Error('no ' + product.name + ' cycle completed yet')
+    }
+
+    const plannedAt = schedules[product.name].getNextRun(new Date(lastCompleteCycle.endedAt))
+    const deadline = moment.utc(plannedAt).add(configuration.readinessCycleGraceMinutes, 'minutes')
+    if (moment.utc().isAfter(deadline)) {
+      throw new Error('last ' + product.name + ' cycle completed at ' + lastCompleteCycle.endedAt)
+    }
+  }
+
+  /**
+   * getStatus summarizes the crawl state of each product
+   * @return {Array} `{ product, ready, error, cycle, lastCompleteCycle,
+   *                 schedule, nextCycleAt }` per product, where `cycle` is the
+   *                 current (or interrupted) cycle and `schedule` describes
+   *                 when cycles are run (see ./scheduler.js)
+   */
+  async function getStatus () {
+    const status = []
+    for (const product of products) {
+      const summary = (await getCrawlState(product)).getSummary()
+
+      let error = null
+      try {
+        await checkCycleIsRecent(product)
+      } catch (checkError) {
+        error = checkError.message
+      }
+
+      const nextCycleAt = getNextCycleTime(product, summary.lastCompleteCycle)
+      status.push({
+        product: product.name,
+        ready: _.isNil(error),
+        error: error,
+        cycle: _.get(summary.cycle, 'endedAt') ? null : summary.cycle,
+        lastCompleteCycle: summary.lastCompleteCycle,
+        schedule: schedules[product.name].description,
+        nextCycleAt: _.isNil(nextCycleAt) ? null : nextCycleAt.toISOString()
+      })
+    }
+
+    return status
+  }
+
+  /**
+   * startStatusServer starts the HTTP server exposing /healthz, /readyz and
+   * /metrics at STATUS_SERVER_PORT
+   */
+  function startStatusServer () {
+    const readinessChecks = {
+      downloadDirectoryWritable: () => fs.access(basePath, fs.constants.W_OK)
+    }
+    _.forEach(products, (product) => {
+      readinessChecks[_.camelCase(product.name) + 'Cycle'] = () => checkCycleIsRecent(product)
+    })
+
+    const server = createStatusServer({ metrics: metrics, readinessChecks: readinessChecks })
+    servers.push(server)
+    server.on('error', (error) => {
+      log.error(error, 'status server failed')
+    })
+    server.listen(configuration.statusServerPort, () => {
+      log.info('status server listening on port ' + configuration.statusServerPort)
+    })
+  }
+
+  /**
+   * startQueryServer starts the HTTP API answering queries of the archive at
+   * QUERY_API_PORT
+   */
+  function startQueryServer () {
+    const server = createQueryServer({ basePath: basePath, log: log })
+    servers.push(server)
+    server.on('error', (error) => {
+      log.error(error, 'query server failed')
+    })
+    server.listen(configuration.queryApiPort, () => {
+      log.info('query server listening on port ' + configuration.queryApiPort)
+    })
+  }
+
+  /**
+   * runLoops starts a concurrent loop for each product (see
+   * ./crawl_engine.js), which runs until the service is shut down;
+   * initialize() must have been called before
+   */
+  function runLoops () {
+    _.forEach(products, (product) => {
+      lifecycle.run(product.name, () => engine.runProduct(product))
+    })
+  }
+
+  /**
+   * runOnce runs a single cycle of each product concurrently; initialize()
+   * must have been called before. Like the loops, the cycles end early once
+   * the service is stopped (see stop)
+   * @return {Array} `{ product, startedAt, endedAt, counts, error }` per
+   *                 product; `counts` is null if the cycle failed
+   */
+  async function runOnce () {
+    const cycles = Promise.all(_.map(products, async (product) => {
+      try {
+        return _.assign(await engine.runOnce(product), { error: null })
+      } catch (error) {
+        if (isAbortError(error) && lifecycle.isStopping()) {
+          log.info('the cycle of ' + product.name + ' was interrupted, it is resumed by the next run')
+          return { product: product.name, counts: null, error: error.message }
+        }
+
+        log.error(error, 'running a cycle of ' + product.name + ' failed')
+        if (error.fatal === true) {
+          throw createExitError(EXIT_CODES.STORE_DOWNLOAD_FILE_ERROR, 'storing a ' + product.name + ' file failed', error)
+        }
+        if (!_.isNil(error.exitCode)) {
+          throw error
+        }
+
+        return { product: product.name, counts: null, error: error.message }
+      }
+    }))
+
+    // stopping waits for the cycles before cancelling the files in progress
+    lifecycle.run('single cycles', () => cycles.catch(_.noop))
+    return cycles
+  }
+
+  /**
+   * loadRetention reads the retention rules from RETENTION_RULES_FILE
+   * @return {Array} the rules (see ./retention.js)
+   */
+  async function loadRetention () {
+    try {
+      return await loadRetentionRules(configuration.retention.rulesFile)
+    } catch (error) {
+      throw createExitError(EXIT_CODES.RETENTION_ERROR, 'the retention rules (RETENTION_RULES_FILE) are invalid', error)
+    }
+  }
+
+  /**
+   * runRetention applies the retention rules once and persists the report of
+   * each rule in `retention_report.json` of the state directory
+   * @param  {Boolean} dryRun optional; by default RETENTION_DRY_RUN
+   * @return {Array}          the report of each rule
+   */
+  async function runRetention (dryRun) {
+    const rules = await loadRetention()
+    const reports = await applyRetentionRules(rules, {
+      basePath: basePath,
+      dryRun: _.isNil(dryRun) ? configuration.retention.dryRun : dryRun,
+      log: log
+    })
+
+    await fs.ensureDir(configuration.stateDirectoryPath)
+    await writeJsonAtomic(path.join(configuration.stateDirectoryPath, 'retention_report.json'), reports)
+    return reports
+  }
+
+  /**
+   * runRetentionLoop applies the retention rules every
+   * RETENTION_INTERVAL_MINUTES minutes until the service is shut down
+   */
+  function runRetentionLoop () {
+    lifecycle.run('retention', async () => {
+      while (!lifecycle.isStopping()) {
+        try {
+          await runRetention()
+        } catch (error) {
+          log.error(error.cause || error, 'applying the retention rules failed')
+        }
+
+        await sleep(configuration.retention.intervalMinutes * 60 * 1000, lifecycle.stopSignal)
+      }
+    })
+  }
+
+  /**
+   * checkStoredFiles verifies the files stored for the products and finds gaps
+   * (see ./fsck.js); the report is persisted in `fsck_report.json` of the
+   * state directory
+   *
+   * with `repair`, corrupt and missing items DWD still provides are requeued,
+   * i.e. corrupt files are quarantined and the validators of conditional
+   * requests are dropped; a subsequent cycle downloads them again
+   * @param  {Boolean} repair true to requeue corrupt and missing items
+   * @return {Object}         `{ report, requeuedProducts }`
+   */
+  async function checkStoredFiles (repair) {
+    if (storage.backend !== 'local') {
+      throw createExitError(EXIT_CODES.USAGE_ERROR, 'fsck requires the local storage backend')
+    }
+
+    const report = await checkArchive(basePath, { products: _.map(products, 'name'), log: log })
+
+    let requeuedProducts = []
+    if (repair) {
+      requeuedProducts = await requeueItems(basePath, report, {
+        quarantinePath: configuration.quarantineDirectoryPath,
+        stateDirectoryPath: configuration.stateDirectoryPath,
+        log: log
+      })
+    }
+
+    await fs.ensureDir(configuration.stateDirectoryPath)
+    await writeJsonAtomic(path.join(configuration.stateDirectoryPath, 'fsck_report.json'), report)
+    return { report: report, requeuedProducts: requeuedProducts }
+  }
+
+  /**
+   * close releases the resources held by the notifier backends
+   */
+  async function close () {
+    if (!_.isNil(notifier)) {
+      await notifier.close()
+    }
+  }
+
+  /**
+   * stop stops the loops and single cycles (see ./lifecycle.js): no further
+   * files are started, the files in progress are finished or, after
+   * SHUTDOWN_TIMEOUT_SECONDS, cancelled and rolled back
+   * @param  {String} reason the reason, e.g. the signal received
+   * @return {Object}        `{ aborted }`, true if files had to be cancelled
+   */
+  async function stop (reason) {
+    const result = await lifecycle.stop(reason)
+    if (result.aborted) {
+      log.warn('files still in progress after ' + configuration.shutdownTimeoutSeconds + ' seconds were cancelled')
+    }
+
+    return result
+  }
+
+  /**
+   * shutdown stops the service (see stop); afterwards the HTTP servers and
+   * the notifier backends are closed
+   * @param  {String} reason the reason, e.g. the signal received
+   * @return {Number}        the exit code, i.e. 0 unless the loop of a
+   *                         product stopped due to a fatal error
+   */
+  async function shutdown (reason) {
+    await stop(reason)
+    await Promise.all(_.map(servers, (server) => new Promise((resolve) => server.close(() => resolve()))))
+    await close()
+
+    return _.isEmpty(fatalErrors) ? 0 : EXIT_CODES.STORE_DOWNLOAD_FILE_ERROR
+  }
+
+  return {
+    log: log,
+    products: products,
+    initialize: initialize,
+    sweepArchive: sweepArchive,
+    getStatus: getStatus,
+    startStatusServer: startStatusServer,
+    startQueryServer: startQueryServer,
+    runLoops: runLoops,
+    runOnce: runOnce,
+    loadRetention: loadRetention,
+    runRetention: runRetention,
+    runRetentionLoop: runRetentionLoop,
+    checkStoredFiles: checkStoredFiles,
+    getStoppedProducts: () => _.keys(fatalErrors),
+    close: close,
+    stop: stop,
+    shutdown: shutdown
+  }
+}
+
+/**
+ * scheduleForcedExit exits the process with SHUTDOWN_TIMEOUT_ERROR if
+ * shutting down takes longer than SHUTDOWN_TIMEOUT_SECONDS and
+ * FORCED_EXIT_DELAY_MILLISECONDS; the timer does not keep the process alive
+ * @param  {Object} configuration the configuration as returned by
+ *                                readConfiguration
+ * @param  {Logger} log           the logger
+ * @return {Timeout}              the timer, to be cleared once shut down
+ */
+function scheduleForcedExit (configuration, log) {
+  return setTimeout(() => {
+    log.fatal('shutting down took too long, exiting')
+    process.exit(EXIT_CODES.SHUTDOWN_TIMEOUT_ERROR)
+  }, configuration.shutdownTimeoutSeconds * 1000 + FORCED_EXIT_DELAY_MILLISECONDS).unref()
+}
+
+/**
+ * startService runs the crawler as long-running service: it sweeps the
+ * archive, starts the optional HTTP servers, a concurrent loop for each
+ * product and, if RETENTION_RULES_FILE is set, the retention loop; errors
+ * preventing the start terminate the process with the corresponding exit code
+ *
+ * on SIGTERM or SIGINT, the service is shut down (see createService#shutdown)
+ * and the process exits; the same applies once the loops of all products
+ * stopped due to fatal errors
+ * @param  {Object} configuration the configuration as returned by
+ *                                readConfiguration
+ * @param  {Object} options       optional; `products` and `log` (see
+ *                                createService)
+ * @return {Object}               the running service
+ */
+async function startService (configuration, options) {
+  const log = _.get(options, 'log') || createLog(configuration)
+  log.info('instantiation of service initiated')
+
+  let service = null
+  let terminating = false
+
+  /**
+   * terminate shuts the service down and exits the process; if shutting down
+   * takes too long, the process exits with SHUTDOWN_TIMEOUT_ERROR
+   * @param  {String} reason the reason, e.g. the signal received
+   */
+  async function terminate (reason) {
+    if (terminating) {
+      return
+    }
+    terminating = true
+
+    log.info('shutting down (' + reason + ')')
+    scheduleForcedExit(configuration, log)
+
+    let exitCode = 1
+    try {
+      exitCode = await service.shutdown(reason)
+    } catch (error) {
+      log.fatal(error, 'shutting down failed')
+    }
+
+    log.info({ exitCode: exitCode }, 'shut down')
+    process.exit(exitCode)
+  }
+
+  try {
+    service = createService(configuration, { log: log, products: _.get(options, 'products') })
+    log.info('DOWNLOAD_DIRECTORY_BASE_PATH is set to ', configuration.downloadDirectoryBasePath)
+    if (configuration.storage.backend !== 'local') {
+      log.info(_.pick(configuration.storage.s3, ['endpoint', 'bucket', 'prefix']), 'storing the archive using the ' + configuration.storage.backend + ' storage backend')
+    }
+
+    // only the loop of the affected product stops, e.g. as the disk is full
+    await service.initialize((error, product) => {
+      log.fatal(error, 'storing a ' + product.name + ' file failed, stopped crawling ' + product.name)
+      if (service.getStoppedProducts().length === service.products.length) {
+        terminate('the loops of all products stopped')
+      }
+    })
+
+    // fail early on invalid rules instead of at the first scheduled run
+    if (!_.isNil(configuration.retention.rulesFile)) {
+      await service.loadRetention()
+    }
+  } catch (error) {
+    log.fatal(error.cause || error, error.message)
+    process.exit(error.exitCode || 1)
+  }
+
+  if (!_.isNil(configuration.statusServerPort)) {
+    service.startStatusServer()
+  }
+
+  if (!_.isNil(configuration.queryApiPort)) {
+    service.startQueryServer()
+  }
+
+  if (configuration.enableStartupSweep) {
+    await service.sweepArchive()
+  }
+
+  process.once('SIGTERM', () => terminate('SIGTERM'))
+  process.once('SIGINT', () => terminate('SIGINT'))
+
+  service.runLoops()
+  if (!_.isNil(configuration.retention.rulesFile)) {
+    service.runRetentionLoop()
+  }
+
+  return service
+}
+
+exports.EXIT_CODES = EXIT_CODES
+exports.createExitError = createExitError
+exports.createLog = createLog
+exports.createProducts = createProducts
+exports.createService = createService
+exports.readConfiguration = readConfiguration
+exports.readFlag = readFlag
+exports.scheduleForcedExit = scheduleForcedExit
+exports.startService = startService
@@ -0,0 +1,88 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const _ = require('lodash')
+const http = require('http')
+const { URL } = require('url')
+
+/**
+ * sendResponse writes a complete response
+ * @param  {ServerResponse} res   the response
+ * @param  {Number} statusCode    the status code
+ * @param  {String} contentType   the content type
+ * @param  {String} body          the body
+ */
+function sendResponse (res, statusCode, contentType, body) {
+  res.writeHead(statusCode, { 'Content-Type': contentType })
+  res.end(body)
+}
+
+/**
+ * createStatusServer creates (but does not start) an HTTP server exposing
+ * - `/healthz`: always 200 as long as the process is able to respond
+ * - `/readyz`: 200 if all readiness checks pass, 503 otherwise; the body lists
+ *   the result of each check as JSON
+ * - `/metrics`: the metrics in Prometheus text format
+ * @param  {Object} options `metrics` is the registry (see ./metrics.js),
+ *                          `readinessChecks` maps names to async functions
+ *                          which throw if the check fails
+ * @return {http.Server}    the server
+ */
+function createStatusServer (options) {
+  const metrics = options.metrics
+  const readinessChecks = options.readinessChecks || {}
+
+  async function checkReadiness () {
+    const results = {}
+    let ready = true
+
+    for (const name of _.keys(readinessChecks)) {
+      try {
+        await readinessChecks[name]()
+        results[name] = { ok: true }
+      } catch (error) {
+        ready = false
+        results[name] = { ok: false, error: error.message }
+      }
+    }
+
+    return { ready: ready, checks: results }
+  }
+
+  return http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return sendResponse(res, 405, 'text/plain', 'method not allowed\n')
+    }
+
+    switch (pathname) {
+      case '/healthz':
+        return sendResponse(res, 200, 'text/plain', 'ok\n')
+      case '/readyz':
+        return checkReadiness().then((result) => {
+          sendResponse(res, result.ready ? 200 : 503, 'application/json', JSON.stringify(result))
+        })
+      case '/metrics':
+        return sendResponse(res, 200, 'text/plain; version=0.0.4', metrics.render())
+      default:
+        return sendResponse(res, 404, 'text/plain', 'not found\n')
+    }
+  })
+}
+
+exports.createStatusServer = createStatusServer
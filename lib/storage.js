@@ -0,0 +1,201 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const path = require('path')
+const { promisify } = require('util')
+const { Transform } = require('stream')
+const pipeline = promisify(require('stream').pipeline)
+const { commitTemporaryFile, getTemporaryPath, isTemporaryPath } = require('./atomic_fs')
+const { createS3Storage } = require('./s3_storage')
+
+// Storage backends hold the archive below a root, i.e. a directory or the
+// prefix of a bucket. Files are addressed by keys, their `/` separated path
+// relative to the root (e.g. `weather/cosmo-d2/grib/2019030109/t_2m/...`), so
+// the layout is the same for all backends. Each backend offers
+// - `exists(key)`, resolving to true if a file is stored at the key
+// - `put(key, content)`, storing a Buffer, String or readable stream such
+//   that the key either holds the old or the new content; resolves to
+//   `{ size, sha256 }` of the content stored
+// - `get(key)`, resolving to the content as Buffer; fails with `code`
+//   'ENOENT' if nothing is stored at the key
+// - `list(prefix)`, resolving to the sorted keys starting with the prefix
+// - `move(key, targetKey)`, replacing a file stored at the target key
+// - `delete(key)`, deleting the file if it exists
+// - `locate(key)`, returning the location of a file for logs and file events,
+//   i.e. its local path or an `s3://` url
+const BACKENDS = ['local', 's3']
+
+/**
+ * createHashStream creates a stream passing the content through while
+ * counting its size and calculating its SHA-256
+ * @return {Stream} the stream; `result()` returns `{ size, sha256 }` once the
+ *                  stream has ended
+ */
+function createHashStream () {
+  const hash = crypto.createHash('sha256')
+  let size = 0
+
+  const stream = new Transform({
+    transform (chunk, encoding, callback) {
+      size = size + chunk.length
+      hash.update(chunk)
+      callback(null, chunk)
+    }
+  })
+  stream.result = () => ({ size: size, sha256: hash.digest('hex') })
+  return stream
+}
+
+/**
+ * createLocalStorage creates the storage backend writing to the local file
+ * system, e.g. below DOWNLOAD_DIRECTORY_BASE_PATH
+ *
+ * files are written atomically (see ./atomic_fs.js), temporary files are
+ * never listed
+ * @param  {String} basePath the path of the root directory
+ * @return {Object}          the storage
+ */
+function createLocalStorage (basePath) {
+  const locate = (key) => path.join(basePath, ...key.split('/'))
+
+  async function exists (key) {
+    return fs.pathExists(locate(key))
+  }
+
+  async function put (key, content) {
+    const filePath = locate(key)
+    const temporaryPath = getTemporaryPath(filePath)
+    const hashStream = createHashStream()
+
+    await fs.ensureDir(path.dirname(filePath))
+    try {
+      if (_.isFunction(_.get(content, 'pipe'))) {
+        await pipeline(content, hashStream, fs.createWriteStream(temporaryPath))
+      } else {
+        hashStream.end(content)
+        await pipeline(hashStream, fs.createWriteStream(temporaryPath))
+      }
+      await commitTemporaryFile(temporaryPath, filePath)
+    } catch (error) {
+      await fs.remove(temporaryPath)
+      throw error
+    }
+
+    return hashStream.result()
+  }
+
+  async function get (key) {
+    return fs.readFile(locate(key))
+  }
+
+  async function list (prefix) {
+    const keys = []
+    const walk = async (directoryKey) => {
+      let entries = []
+      try {
+        entries = await fs.readdir(locate(directoryKey), { withFileTypes: true })
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+          return
+        }
+        throw error
+      }
+
+      for (const entry of entries) {
+        const key = directoryKey === '' ? entry.name : directoryKey + '/' + entry.name
+        if (entry.isDirectory() && (_.startsWith(key, prefix) || _.startsWith(prefix, key + '/'))) {
+          await walk(key)
+        } else if (entry.isFile() && _.startsWith(key, prefix) && !isTemporaryPath(entry.name)) {
+          keys.push(key)
+        }
+      }
+    }
+
+    await walk(prefix.split('/').slice(0, -1).join('/'))
+    return keys.sort()
+  }
+
+  async function move (key, targetKey) {
+    await fs.move(locate(key), locate(targetKey), { overwrite: true })
+  }
+
+  async function remove (key) {
+    await fs.remove(locate(key))
+  }
+
+  return {
+    backend: 'local',
+    exists: exists,
+    put: put,
+    get: get,
+    list: list,
+    move: move,
+    delete: remove,
+    locate: locate
+  }
+}
+
+/**
+ * createStorage creates the storage backend given by the configuration
+ * (see ./service.js#readConfiguration)
+ * @param  {Object} configuration `backend` ('local' or 's3') and, for S3,
+ *                                `s3` (see ./s3_storage.js#createS3Storage)
+ * @param  {String} basePath      the root directory of the local backend
+ * @return {Object}               the storage
+ */
+function createStorage (configuration, basePath) {
+  const backend = _.get(configuration, 'backend') || 'local'
+  if (backend === 'local') {
+    return createLocalStorage(basePath)
+  }
+
+  if (backend === 's3') {
+    return createS3Storage(configuration.s3)
+  }
+
+  throw new Error('unknown storage backend ' + backend + ' (known backends: ' + BACKENDS.join(', ') + ')')
+}
+
+/**
+ * transferFile moves a file from one storage to another; files are renamed
+ * if both storages are local and copied (and deleted afterwards) otherwise
+ * @param  {Object} source    the storage holding the file
+ * @param  {Object} target    the storage to move the file to
+ * @param  {String} key       the key of the file in the source storage
+ * @param  {String} targetKey optional; the key in the target storage, by
+ *                            default the key in the source storage
+ */
+async function transferFile (source, target, key, targetKey) {
+  targetKey = targetKey || key
+  if (source.backend === 'local' && target.backend === 'local') {
+    await fs.move(source.locate(key), target.locate(targetKey), { overwrite: true })
+    return
+  }
+
+  await target.put(targetKey, await source.get(key))
+  await source.delete(key)
+}
+
+exports.BACKENDS = BACKENDS
+exports.createHashStream = createHashStream
+exports.createLocalStorage = createLocalStorage
+exports.createStorage = createStorage
+exports.transferFile = transferFile
@@ -0,0 +1,108 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const _ = require('lodash')
+const assert = require('assert')
+const { sleep } = require('./lifecycle')
+
+/**
+ * createRateLimiter creates a limiter which spaces calls evenly so that at most
+ * `requestsPerSecond` calls pass per second
+ *
+ * one limiter is meant to be shared by everything talking to the same server
+ * @param  {Number} requestsPerSecond the maximum rate, 0 or nil for no limit
+ * @return {Object}                   the limiter
+ */
+function createRateLimiter (requestsPerSecond) {
+  const interval = (_.isNil(requestsPerSecond) || requestsPerSecond <= 0) ? 0 : 1000 / requestsPerSecond
+  let nextSlot = 0
+
+  /**
+   * acquire resolves as soon as the caller may perform its request
+   * @param  {AbortSignal} signal optional; cancels waiting for the slot
+   */
+  async function acquire (signal) {
+    if (interval === 0) {
+      return
+    }
+
+    const now = Date.now()
+    const slot = Math.max(now, nextSlot)
+    nextSlot = slot + interval
+
+    if (slot > now) {
+      await sleep(slot - now, signal)
+    }
+  }
+
+  return {
+    acquire: acquire
+  }
+}
+
+/**
+ * mapConcurrent asynchronously applies `iteratee` to all items, running at most
+ * `concurrency` invocations at the same time
+ *
+ * if an invocation rejects, no further items are started and the returned
+ * promise rejects once the running invocations have settled; iteratees which
+ * must not abort the whole run need to handle their errors themselves. The
+ * same applies once the optional signal is aborted, rejecting with its reason
+ * @param  {Array} items        the items to process
+ * @param  {Number} concurrency the maximum number of parallel invocations
+ * @param  {Function} iteratee  async function called as `iteratee(item, index)`
+ * @param  {AbortSignal} signal optional; stops starting further items
+ * @return {Array}              the results in the order of `items`
+ */
+async function mapConcurrent (items, concurrency, iteratee, signal) {
+  assert(_.isArray(items))
+  assert(_.isFunction(iteratee))
+  concurrency = Math.max(1, Math.floor(concurrency) || 1)
+
+  const results = new Array(items.length)
+  let nextIndex = 0
+  let failure = null
+
+  async function worker () {
+    while (_.isNil(failure) && nextIndex < items.length) {
+      if (!_.isNil(signal) && signal.aborted) {
+        failure = signal.reason
+        return
+      }
+
+      const index = nextIndex++
+      try {
+        results[index] = await iteratee(items[index], index)
+      } catch (error) {
+        failure = failure || error
+      }
+    }
+  }
+
+  const workers = _.times(Math.min(concurrency, items.length), worker)
+  await Promise.all(workers)
+
+  if (!_.isNil(failure)) {
+    throw failure
+  }
+
+  return results
+}
+
+exports.createRateLimiter = createRateLimiter
+exports.mapConcurrent = mapConcurrent
@@ -1,6 +1,9 @@
 // One-off admin process to apply actions to specific files, e.g.
 // -- delete grib2-files in rotated coordinates
 // -- move oldest files to separate harddisk in order to gain space
+//    (superseded by the retention rules of the crawler, see README.md)
+// The files are read from the storage configured for the crawler (see
+// STORAGE_BACKEND in README.md) and moved to NEW_DIRECTORY_BASE_PATH
 // SPDX-License-Identifier: MIT
 
 'use strict'
@@ -11,6 +14,8 @@ const path = require('path')
 const processenv = require('processenv')
 const bunyan = require('bunyan')
 const moment = require('moment')
+const { readConfiguration } = require('../lib/service')
+const { createLocalStorage, createStorage, transferFile } = require('../lib/storage')
 
 // Load configuration
 const DOWNLOAD_DIRECTORY_BASE_PATH = processenv('DOWNLOAD_DIRECTORY_BASE_PATH')
@@ -55,38 +60,27 @@ async function checkIfConfigIsValid () {
 }
 
 // Define functions
-async function applyActionToAllFilesMatchingCriteria(basePath, criterion, action) {
-  log.debug(`traversing directory ${basePath}`)
+async function applyActionToAllFilesMatchingCriteria (storage, criterion, action) {
+  log.debug(`listing the files of ${storage.locate('')}`)
   let numberOfFilesActedOn = 0
 
-  let dirContents = null
+  let keys = null
   try {
-    dirContents = await fs.readdir(basePath)
+    keys = await storage.list('')
   } catch (error) {
     log.error(error)
-    return
+    return numberOfFilesActedOn
   }
 
-  for (let item of dirContents) {
-    const itemPath = path.join(basePath, item)
-    const itemProperties = await fs.stat(itemPath)
-
-    if (itemProperties.isDirectory()) {
-      numberOfFilesActedOn += await applyActionToAllFilesMatchingCriteria(
-        itemPath,
-        criterion,
-        action
-      )
-    } else {
-      if (await criterion(itemPath)) {
-        try {
-          await action(itemPath)
-        } catch (error) {
-          log.error(error)
-          continue
-        }
-        numberOfFilesActedOn += 1
+  for (const key of keys) {
+    if (await criterion(key)) {
+      try {
+        await action(key)
+      } catch (error) {
+        log.error(error)
+        continue
       }
+      numberOfFilesActedOn += 1
     }
   }
   return numberOfFilesActedOn
@@ -102,9 +96,9 @@ async function createdBeforeDate (filePath, dateStringIso8601) {
 }
 
 async function filePathHasDateBefore (filePath, dateStringIso8601) {
-  const regex = /^201[8-9]{1}[0-1]{1}[0-9]{3,5}$/
+  const regex = /^20[0-9]{2}[0-1]{1}[0-9]{3}([0-9]{2})?$/
   const threshold = moment(dateStringIso8601).utc()
-  const filePathParts = _.split(filePath, path.sep)
+  const filePathParts = _.split(filePath, '/')
   const forecastRun = String(_.find(filePathParts, function (part) {
     return part.match(regex)
   }))
@@ -119,73 +113,48 @@ async function filePathHasDateBefore (filePath, dateStringIso8601) {
 }
 
 // Definition of actions
-async function moveToNewBasedirKeepSubdirs (filePathOld, basePathOld, basePathNew) {
-  const filePathNew = await _.replace(
-    filePathOld,
-    basePathOld,
-    basePathNew
-  )
-
+async function moveToNewBasedirKeepSubdirs (key, storageOld, storageNew) {
   try {
-    await fs.move(filePathOld, filePathNew)
-    log.debug(`moved ${filePathOld} to ${filePathNew}`)
+    await transferFile(storageOld, storageNew, key)
+    log.debug(`moved ${storageOld.locate(key)} to ${storageNew.locate(key)}`)
   } catch (error) {
     log.error(error)
   }
 }
 
-async function moveAllRotatedGrib2Files (basePathOld, basePathNew) {
+async function moveAllRotatedGrib2Files (storageOld, prefixOld, storageNew, prefixNew) {
   // Find all grib2-files that have 'rotated' as part of their filename
-  // and have a 'regular' sibling, then replace its basePath/move it
+  // and have a 'regular' sibling, then move them keeping their subdirectories
   let numberOfFilesMoved = 0
 
   try {
-    const subDirs = await fs.readdir(basePathOld)
-    for (const subDir of subDirs) {
-      const subDirPath = path.join(basePathOld, subDir)
-
-      const subSubDirs = await fs.readdir(subDirPath)
-      for (const subSubDir of subSubDirs) {
-        const subSubDirPath = path.join(subDirPath, subSubDir)
-
-        const files = await fs.readdir(subSubDirPath)
-        for (const file of files) {
-          // Iff there is a 'regular' version,  mark the 'rotated' one for removal
-          const filePath = path.join(subSubDirPath, file)
-          if (
-            (_.includes(file, 'rotated') === true) &&
-            (_.endsWith(file, 'grib2.lz4'))
-          ) {
-            const sibling = await _.replace(file, 'rotated', 'regular')
-            const fileHasSibling = await fs.pathExists(
-              path.join(subSubDirPath, sibling)
-            )
-            if (fileHasSibling === true) {
-              log.debug(`file ${file} has sibling ${sibling}`)
-
-              // Move the rotated file to a separate directory
-              const filePathOld = filePath
-              const filePathNew = await _.replace(
-                filePathOld,
-                basePathOld,
-                basePathNew
-              )
-
-              try {
-                await fs.move(filePathOld, filePathNew)
-                numberOfFilesMoved += 1
-
-                log.debug(`moved ${filePathOld} to ${filePathNew}`)
-              } catch (error) {
-                log.warn(error)
-              }
-            }
+    const keys = await storageOld.list(prefixOld)
+    for (const key of keys) {
+      // Iff there is a 'regular' version,  mark the 'rotated' one for removal
+      const file = path.posix.basename(key)
+      if (
+        (_.includes(file, 'rotated') === true) &&
+        (_.endsWith(file, 'grib2.lz4'))
+      ) {
+        const sibling = _.replace(file, 'rotated', 'regular')
+        const fileHasSibling = _.includes(keys, path.posix.join(path.posix.dirname(key), sibling))
+        if (fileHasSibling === true) {
+          log.debug(`file ${file} has sibling ${sibling}`)
+
+          // Move the rotated file to a separate directory
+          const keyNew = prefixNew + key.slice(prefixOld.length)
+          try {
+            await transferFile(storageOld, storageNew, key, keyNew)
+            numberOfFilesMoved += 1
+
+            log.debug(`moved ${storageOld.locate(key)} to ${storageNew.locate(keyNew)}`)
+          } catch (error) {
+            log.warn(error)
           }
         }
-        log.debug(`analyzed ${files.length} files in ./${subDir}/${subSubDir}`)
       }
-      log.info(`analyzed files in ./${subDir}`)
     }
+    log.info(`analyzed ${keys.length} files in ${storageOld.locate(prefixOld)}`)
   } catch (error) {
     log.fatal(error)
     process.exit(1)
@@ -197,35 +166,27 @@ async function moveAllRotatedGrib2Files (basePathOld, basePathNew) {
 const main = async function () {
   await checkIfConfigIsValid()
 
+  let storageOld = null
+  try {
+    storageOld = createStorage(readConfiguration().storage, DOWNLOAD_DIRECTORY_BASE_PATH)
+  } catch (error) {
+    log.fatal(error)
+    process.exit(1)
+  }
+  const storageNew = createLocalStorage(NEW_DIRECTORY_BASE_PATH)
+
   let totalFilesMoved = 0
 
   // Select criteria for identifying relevant files
   log.info(`attempting to apply action to files according to CRITERION '${CRITERION}'`)
   switch (CRITERION) {
     case 'rotated':
-      const gribFilesBasePath = path.join(
-        DOWNLOAD_DIRECTORY_BASE_PATH,
-        'weather',
-        'cosmo-d2',
-        'grib'
-      )
-      const gribFilesBasePathExists = await fs.pathExists(gribFilesBasePath)
-
-      const rotatedFilesBasePath = path.join(
-        NEW_DIRECTORY_BASE_PATH,
-        'cosmo-d2',
-        'grib'
+      totalFilesMoved = await moveAllRotatedGrib2Files(
+        storageOld,
+        'weather/cosmo-d2/grib/',
+        storageNew,
+        'cosmo-d2/grib/'
       )
-
-      if (gribFilesBasePathExists) {
-        try {
-          await fs.ensureDir(rotatedFilesBasePath)
-          totalFilesMoved = await moveAllRotatedGrib2Files(gribFilesBasePath, rotatedFilesBasePath)
-        } catch (error) {
-          log.fatal(error)
-          process.exit(1)
-        }
-      }
       break
     case 'oldest':
       const olderThanEnvvarThreshold = async (filePath) => {
@@ -243,8 +204,8 @@ const main = async function () {
         try {
           result = await moveToNewBasedirKeepSubdirs(
             filePath,
-            DOWNLOAD_DIRECTORY_BASE_PATH,
-            NEW_DIRECTORY_BASE_PATH
+            storageOld,
+            storageNew
           )
         } catch (error) {
           throw error
@@ -253,7 +214,7 @@ const main = async function () {
       }
 
       totalFilesMoved = await applyActionToAllFilesMatchingCriteria(
-        DOWNLOAD_DIRECTORY_BASE_PATH,
+        storageOld,
         olderThanEnvvarThreshold,
         moveFilesAway
       )
@@ -0,0 +1,171 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs-extra')
+const lz4 = require('lz4js')
+const os = require('os')
+const path = require('path')
+const archiveQuery = require('../lib/archive_query')
+
+const GRIB2_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'cosmo-d2_germany_regular-lat-lon_single-level_2019030109_003_T_2M.grib2')
+const MOSMIX_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'MOSMIX_L_2019030109_10704.kmz')
+
+const REPORT_HEADER = [
+  'surface observations;parameter;dry_bulb_temperature_at_2_meter_above_ground;present_weather',
+  'Parameterbeschreibung;Datum;Temperatur (2m);aktuelles Wetter',
+  'Einheit;Uhrzeit;Grad C;CODE_TABLE'
+]
+
+/**
+ * createArchive fills a directory with the files stored by the crawler for
+ * reports, MOSMIX and COSMO-D2
+ */
+async function createArchive (basePath) {
+  const reports = path.join(basePath, 'weather', 'weather_reports', 'poi')
+  await fs.outputFile(path.join(reports, '20190301', '10704-BEOB.csv'), REPORT_HEADER.concat([
+    '01.03.19;23:00;5,2;---',
+    '01.03.19;22:00;5,6;61'
+  ]).join('\r\n'))
+  await fs.outputFile(path.join(reports, '20190302', '10704-BEOB.csv'), REPORT_HEADER.concat([
+    '02.03.19;01:00;4,8;2',
+    '02.03.19;00:00;---;2'
+  ]).join('\r\n'))
+
+  const mosmix = path.join(basePath, 'weather', 'local_forecasts', 'mos')
+  await fs.copy(MOSMIX_FIXTURE_PATH, path.join(mosmix, '2019030103', '10704-MOSMIX.kmz'))
+  await fs.copy(MOSMIX_FIXTURE_PATH, path.join(mosmix, '2019030109', '10704-MOSMIX.kmz'))
+  await fs.ensureDir(path.join(mosmix, '2019030115'))
+
+  const grib2 = await fs.readFile(GRIB2_FIXTURE_PATH)
+  await fs.outputFile(
+    path.join(basePath, 'weather', 'cosmo-d2', 'grib', '2019030109', 't_2m', path.basename(GRIB2_FIXTURE_PATH) + '.lz4'),
+    Buffer.from(lz4.compress(grib2))
+  )
+}
+
+describe('./lib/archive_query.js', () => {
+  let tmpDir = null
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-archive-query-'))
+    await createArchive(tmpDir)
+  })
+
+  after(async () => {
+    await fs.remove(tmpDir)
+  })
+
+  describe('queryReports()', () => {
+    it('should assemble the time series across day boundaries', async () => {
+      const result = await archiveQuery.queryReports(tmpDir, '10704', { from: '2019-03-01T22:30:00Z', to: '2019-03-02T01:00:00Z' })
+
+      assert.deepStrictEqual(Object.keys(result.timeSeries), ['dry_bulb_temperature_at_2_meter_above_ground', 'present_weather'])
+      assert.deepStrictEqual(result.timeSeries.dry_bulb_temperature_at_2_meter_above_ground, [
+        { timestamp: new Date('2019-03-01T23:00:00Z'), value: 5.2 },
+        { timestamp: new Date('2019-03-02T00:00:00Z'), value: null },
+        { timestamp: new Date('2019-03-02T01:00:00Z'), value: 4.8 }
+      ])
+      assert.deepStrictEqual(result.timeSeries.present_weather.map((item) => item.value), [null, 2, 2])
+    })
+
+    it('should include all versions of the files of a day', async () => {
+      await fs.outputFile(path.join(tmpDir, 'weather', 'weather_reports', 'poi', '20190302', '10704-BEOB.v2.csv'), [
+        'surface observations;parameter;relative_humidity',
+        'Parameterbeschreibung;Datum;relative Feuchte',
+        'Einheit;Uhrzeit;%',
+        '02.03.19;02:00;87'
+      ].join('\r\n'))
+
+      const result = await archiveQuery.queryReports(tmpDir, '10704', { from: '2019-03-02T00:00:00Z', to: '2019-03-02T02:00:00Z' })
+      assert.strictEqual(result.timeSeries.dry_bulb_temperature_at_2_meter_above_ground.length, 2)
+      assert.deepStrictEqual(result.timeSeries.relative_humidity, [{ timestamp: new Date('2019-03-02T02:00:00Z'), value: 87 }])
+    })
+
+    it('should skip malformed rows and files', async () => {
+      const reports = path.join(tmpDir, 'weather', 'weather_reports', 'poi', '20190303')
+      await fs.outputFile(path.join(reports, '10704-BEOB.csv'), REPORT_HEADER.concat([
+        '03.03.19;02:00;4,1',
+        '03.03.19;01:00;4,3;2',
+        '03.03.19;25:00;4,5;2'
+      ]).join('\r\n'))
+      await fs.outputFile(path.join(reports, '10704-BEOB.v2.csv'), 'garbage')
+
+      const result = await archiveQuery.queryReports(tmpDir, '10704', { from: '2019-03-03T00:00:00Z', to: '2019-03-03T03:00:00Z' })
+      assert.deepStrictEqual(result.timeSeries.dry_bulb_temperature_at_2_meter_above_ground, [{ timestamp: new Date('2019-03-03T01:00:00Z'), value: 4.3 }])
+      assert.deepStrictEqual(result.skipped.map((item) => [item.fileName, item.row]), [
+        ['10704-BEOB.csv', 4],
+        ['10704-BEOB.csv', 6],
+        ['10704-BEOB.v2.csv', undefined]
+      ])
+    })
+
+    it('should reject invalid parameters', async () => {
+      await assert.rejects(archiveQuery.queryReports(tmpDir, '../10704', {}), (error) => error.statusCode === 400)
+      await assert.rejects(archiveQuery.queryReports(tmpDir, '10704', { from: 'yesterday' }), (error) => error.statusCode === 400)
+      await assert.rejects(archiveQuery.queryReports(tmpDir, '10704', { from: '2019-03-02', to: '2019-03-01' }), (error) => error.statusCode === 400)
+    })
+
+    it('should answer 404 if no report is stored', async () => {
+      await assert.rejects(archiveQuery.queryReports(tmpDir, '10708', { from: '2019-03-01', to: '2019-03-02' }), (error) => error.statusCode === 404)
+    })
+  })
+
+  describe('queryMosmix()', () => {
+    it('should read the latest run holding a forecast of the station', async () => {
+      const result = await archiveQuery.queryMosmix(tmpDir, '10704', {})
+
+      assert.strictEqual(result.run, '2019030109')
+      assert.deepStrictEqual(result.issueTime, new Date('2019-03-01T09:00:00.000Z'))
+      assert.deepStrictEqual(result.timeSeries.Rad1h.map((item) => item.value), [null, 658, 751, null])
+    })
+
+    it('should read a given run', async () => {
+      assert.strictEqual((await archiveQuery.queryMosmix(tmpDir, '10704', { run: '2019030103' })).run, '2019030103')
+      await assert.rejects(archiveQuery.queryMosmix(tmpDir, '10704', { run: '2019030115' }), (error) => error.statusCode === 404)
+    })
+  })
+
+  describe('queryNwp()', () => {
+    it('should extract the time series at a location from the latest run', async () => {
+      const result = await archiveQuery.queryNwp(tmpDir, 'cosmo-d2', 't_2m', { latitude: '47.5', longitude: '6.5' })
+
+      assert.strictEqual(result.run, '2019030109')
+      assert.deepStrictEqual(result.timeSeries, {
+        temperature_2m_ag: [{ timestamp: new Date('2019-03-01T12:00:00Z'), value: 282.5 }]
+      })
+    })
+
+    it('should reject unknown models and variables and invalid locations', async () => {
+      await assert.rejects(archiveQuery.queryNwp(tmpDir, 'gfs', 't_2m', { latitude: 47.5, longitude: 6.5 }), (error) => error.statusCode === 404)
+      await assert.rejects(archiveQuery.queryNwp(tmpDir, 'cosmo-d2', 'unknown', { latitude: 47.5, longitude: 6.5 }), (error) => error.statusCode === 404)
+      await assert.rejects(archiveQuery.queryNwp(tmpDir, 'cosmo-d2', 't_2m', { longitude: 6.5 }), (error) => error.statusCode === 400)
+    })
+  })
+
+  describe('formatCsv()', () => {
+    it('should render one row per time stamp and one column per label', () => {
+      const csv = archiveQuery.formatCsv({
+        TTT: [{ timestamp: new Date('2019-03-01T10:00:00Z'), value: 279.45 }, { timestamp: new Date('2019-03-01T11:00:00Z'), value: null }],
+        FF: [{ timestamp: new Date('2019-03-01T11:00:00Z'), value: 3.6 }]
+      })
+
+      assert.strictEqual(csv, 'timestamp,TTT,FF\r\n2019-03-01T10:00:00.000Z,279.45,\r\n2019-03-01T11:00:00.000Z,,3.6\r\n')
+    })
+  })
+})
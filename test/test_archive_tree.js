@@ -0,0 +1,71 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const archiveTree = require('../lib/archive_tree')
+
+const GRIB = path.join('weather', 'cosmo-d2', 'grib')
+
+describe('./lib/archive_tree.js', () => {
+  describe('compilePathTemplate()', () => {
+    it('should detect the segment holding the date', () => {
+      const compiled = archiveTree.compilePathTemplate('weather/cosmo-d2/grib/{run}/{variable}/{baseName}.lz4')
+
+      assert.strictEqual(compiled.dateIndex, 3)
+      assert.strictEqual(compiled.dateFormat, 'YYYYMMDDHH')
+      assert(compiled.patterns[5].test('x.grib2.lz4'))
+      assert(!compiled.patterns[5].test('x.grib2'))
+      assert.strictEqual(compiled.parseTime('2019030109').toISOString(), '2019-03-01T09:00:00.000Z')
+      assert.strictEqual(archiveTree.compilePathTemplate('poi/{date}/{fileName}').parseTime('20190301').toISOString(), '2019-03-01T00:00:00.000Z')
+    })
+
+    it('should reject templates without a date', () => {
+      assert.throws(() => archiveTree.compilePathTemplate('poi/{fileName}'), /neither/)
+    })
+  })
+
+  describe('findUnits() and listUnitFiles()', () => {
+    let tmpDir = null
+
+    before(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-archive-tree-'))
+      await fs.outputFile(path.join(tmpDir, GRIB, '2019030100', 't_2m', 'a.grib2.lz4'), 'a')
+      await fs.outputFile(path.join(tmpDir, GRIB, '2019030100', 't_2m', 'b.grib2'), 'b')
+      await fs.outputJson(path.join(tmpDir, GRIB, '2019030100', archiveTree.MANIFEST_FILE_NAME), {})
+      await fs.outputFile(path.join(tmpDir, GRIB, 'latest', 't_2m', 'c.grib2.lz4'), 'c')
+    })
+
+    after(async () => {
+      await fs.remove(tmpDir)
+    })
+
+    it('should list the units and their files including the manifest', async () => {
+      const compiled = archiveTree.compilePathTemplate('weather/cosmo-d2/grib/{run}/{variable}/{baseName}.lz4')
+      const units = await archiveTree.findUnits(tmpDir, compiled)
+
+      assert.deepStrictEqual(units.map((unit) => unit.path), [path.join(GRIB, '2019030100')])
+      assert.deepStrictEqual(await archiveTree.listUnitFiles(tmpDir, compiled, units[0]), [
+        path.join(GRIB, '2019030100', 't_2m', 'a.grib2.lz4'),
+        path.join(GRIB, '2019030100', 'manifest.json')
+      ])
+    })
+  })
+})
@@ -0,0 +1,120 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const atomicFs = require('../lib/atomic_fs')
+
+describe('./lib/atomic_fs.js', () => {
+  let tmpDir = null
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-atomic-fs-'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(tmpDir)
+  })
+
+  describe('getTemporaryPath()', () => {
+    it('should return a unique hidden sibling recognized by isTemporaryPath()', () => {
+      const targetPath = path.join(tmpDir, '10004-BEOB.csv')
+      const temporaryPath = atomicFs.getTemporaryPath(targetPath)
+
+      assert.strictEqual(path.dirname(temporaryPath), tmpDir)
+      assert.notStrictEqual(temporaryPath, atomicFs.getTemporaryPath(targetPath))
+      assert(atomicFs.isTemporaryPath(temporaryPath))
+      assert(!atomicFs.isTemporaryPath(targetPath))
+    })
+  })
+
+  describe('writeFileAtomic()', () => {
+    it('should replace the content without leaving temporary files', async () => {
+      const targetPath = path.join(tmpDir, '10004-BEOB.csv')
+      await fs.writeFile(targetPath, 'old')
+
+      await atomicFs.writeFileAtomic(targetPath, 'new', { encoding: 'utf8' })
+
+      assert.strictEqual(await fs.readFile(targetPath, 'utf8'), 'new')
+      assert.deepStrictEqual(await fs.readdir(tmpDir), ['10004-BEOB.csv'])
+    })
+
+    it('should keep the old content if writing fails', async () => {
+      const targetPath = path.join(tmpDir, '10004-BEOB.csv')
+      await fs.writeFile(targetPath, 'old')
+
+      await assert.rejects(atomicFs.writeFileAtomic(targetPath, 42))
+
+      assert.strictEqual(await fs.readFile(targetPath, 'utf8'), 'old')
+      assert.deepStrictEqual(await fs.readdir(tmpDir), ['10004-BEOB.csv'])
+    })
+  })
+
+  describe('sweepPartialFiles()', () => {
+    it('should quarantine leftovers of interrupted writes', async () => {
+      const basePath = path.join(tmpDir, 'downloads')
+      const quarantinePath = path.join(basePath, '.dwd_data_crawler', 'quarantine')
+      const runPath = path.join(basePath, 'weather', 'cosmo-d2', 'grib', '2020051100', 't_2m')
+      const reportPath = path.join(basePath, 'weather', 'weather_reports', 'poi', '20200511')
+
+      await fs.ensureDir(runPath)
+      await fs.ensureDir(reportPath)
+      await fs.writeFile(path.join(runPath, 'a.grib2.lz4'), '')
+      await fs.writeFile(path.join(runPath, 'b.grib2.bz2'), '')
+      await fs.writeFile(path.join(runPath, 'c.grib2'), '')
+      await fs.writeFile(path.join(runPath, 'd.grib2'), '')
+      await fs.writeFile(path.join(runPath, 'd.grib2.lz4'), '')
+      await fs.writeFile(path.join(reportPath, '10004-BEOB.csv'), '')
+      await fs.writeFile(atomicFs.getTemporaryPath(path.join(reportPath, '10004-BEOB.csv')), '')
+
+      const quarantined = await atomicFs.sweepPartialFiles(basePath, quarantinePath)
+
+      assert.strictEqual(quarantined.length, 5)
+      assert.deepStrictEqual(await fs.readdir(runPath), ['a.grib2.lz4'])
+      assert.deepStrictEqual(await fs.readdir(reportPath), ['10004-BEOB.csv'])
+
+      const sweeps = await fs.readdir(quarantinePath)
+      assert.strictEqual(sweeps.length, 1)
+      assert(await fs.pathExists(path.join(quarantinePath, sweeps[0], 'weather', 'cosmo-d2', 'grib', '2020051100', 't_2m', 'd.grib2.lz4')))
+
+      // a second sweep must not touch the quarantine directory
+      assert.deepStrictEqual(await atomicFs.sweepPartialFiles(basePath, quarantinePath), [])
+    })
+
+    it('should keep complete lz4 siblings of leftover grib2 files', async () => {
+      const basePath = path.join(tmpDir, 'downloads')
+      const quarantinePath = path.join(basePath, '.dwd_data_crawler', 'quarantine')
+      await fs.ensureDir(basePath)
+      await fs.writeFile(path.join(basePath, 'a.grib2'), '')
+      await fs.writeFile(path.join(basePath, 'a.grib2.lz4'), 'complete')
+      await fs.writeFile(path.join(basePath, 'b.grib2'), '')
+      await fs.writeFile(path.join(basePath, 'b.grib2.lz4'), 'truncated')
+
+      const checkFile = async (filePath) => {
+        if (await fs.readFile(filePath, 'utf8') !== 'complete') {
+          throw new Error('lz4 file is truncated')
+        }
+      }
+      const quarantined = await atomicFs.sweepPartialFiles(basePath, quarantinePath, { checkFile: checkFile })
+
+      assert.deepStrictEqual(quarantined.sort(), ['a.grib2', 'b.grib2', 'b.grib2.lz4'])
+      assert(await fs.pathExists(path.join(basePath, 'a.grib2.lz4')))
+    })
+  })
+})
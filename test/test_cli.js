@@ -0,0 +1,168 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs-extra')
+const lz4 = require('lz4js')
+const os = require('os')
+const path = require('path')
+const { Writable } = require('stream')
+const { parseArguments, runCli } = require('../lib/cli')
+const { createCrawlState } = require('../lib/crawl_state')
+const { EXIT_CODES, readConfiguration } = require('../lib/service')
+
+function createOutput () {
+  const output = new Writable({
+    write (chunk, encoding, callback) {
+      output.text = output.text + chunk
+      callback()
+    }
+  })
+  output.text = ''
+  return output
+}
+
+describe('./lib/cli.js', () => {
+  describe('parseArguments()', () => {
+    it('should parse command, repeated and comma separated products and flags', () => {
+      assert.deepStrictEqual(parseArguments(['crawl', '--product', 'reports,mosmix', '--product=cosmo-d2', '--once']), {
+        command: 'crawl',
+        products: ['reports', 'mosmix', 'cosmo-d2'],
+        once: true,
+        stations: null,
+        variables: null,
+        dryRun: false,
+        repair: false,
+        help: false
+      })
+    })
+
+    it('should reject unknown options and missing values', () => {
+      assert.throws(() => parseArguments(['crawl', '--forever']), (error) => error.exitCode === EXIT_CODES.USAGE_ERROR)
+      assert.throws(() => parseArguments(['backfill', '--stations']), /requires a value/)
+    })
+  })
+
+  describe('runCli()', () => {
+    let tmpDir = null
+    let configuration = null
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-cli-'))
+      configuration = readConfiguration()
+      configuration.downloadDirectoryBasePath = tmpDir
+      configuration.stateDirectoryPath = path.join(tmpDir, '.dwd_data_crawler')
+      configuration.crawlStateDirectoryPath = path.join(tmpDir, 'crawl_state')
+    })
+
+    afterEach(async () => {
+      await fs.remove(tmpDir)
+    })
+
+    it('should print the status and exit with 0 only if all products are ready', async () => {
+      const crawlState = createCrawlState(path.join(tmpDir, 'crawl_state', 'reports.json'))
+      await crawlState.startCycle(['https://stub/10704-BEOB.csv'])
+      crawlState.markDone('https://stub/10704-BEOB.csv')
+      await crawlState.endCycle()
+
+      let stdout = createOutput()
+      assert.strictEqual(await runCli(['status', '--product', 'reports'], { configuration: configuration, stdout: stdout, stderr: createOutput() }), 0)
+      const summary = JSON.parse(stdout.text)
+      assert.strictEqual(summary.products[0].ready, true)
+      assert.strictEqual(summary.products[0].lastCompleteCycle.done, 1)
+      assert.strictEqual(summary.products[0].schedule, 'every 30 minutes after the last cycle')
+      assert.strictEqual(Date.parse(summary.products[0].nextCycleAt) - Date.parse(summary.products[0].lastCompleteCycle.endedAt), 30 * 60 * 1000)
+
+      stdout = createOutput()
+      assert.strictEqual(await runCli(['status', '--product', 'reports,mosmix'], { configuration: configuration, stdout: stdout, stderr: createOutput() }), EXIT_CODES.NOT_READY)
+      assert.strictEqual(JSON.parse(stdout.text).products[1].error, 'no mosmix cycle completed yet')
+      assert.strictEqual(JSON.parse(stdout.text).products[1].nextCycleAt, null)
+    })
+
+    it('should exit with a dedicated code if a schedule is invalid', async () => {
+      configuration.products.reports.settings.schedule = '61 * * * *'
+
+      const stderr = createOutput()
+      assert.strictEqual(await runCli(['status', '--product', 'reports'], { configuration: configuration, stdout: createOutput(), stderr: stderr }), EXIT_CODES.SCHEDULE_CONFIGURATION_ERROR)
+      assert(stderr.text.includes('REPORT_SCHEDULE'))
+    })
+
+    it('should answer invalid invocations with the usage', async () => {
+      const stderr = createOutput()
+      assert.strictEqual(await runCli(['backfill', '--product', 'mosmix'], { configuration: configuration, stdout: createOutput(), stderr: stderr }), EXIT_CODES.USAGE_ERROR)
+      assert(stderr.text.startsWith('backfill requires --stations and/or --variables'))
+      assert(stderr.text.includes('Usage: dwd-crawler'))
+    })
+
+    it('should apply the retention rules once', async () => {
+      const runPath = path.join(tmpDir, 'weather', 'cosmo-d2', 'grib', '2019030100', 't_2m', 'sample.grib2.lz4')
+      await fs.outputFile(runPath, 'grib')
+      configuration.retention.rulesFile = path.join(tmpDir, 'retention.json')
+      await fs.writeJson(configuration.retention.rulesFile, [{ product: 'cosmo-d2', action: 'delete', olderThanDays: 30 }])
+
+      let stdout = createOutput()
+      assert.strictEqual(await runCli(['retention', '--dry-run'], { configuration: configuration, stdout: stdout, stderr: createOutput() }), 0)
+      assert.strictEqual(JSON.parse(stdout.text).rules[0].dryRun, true)
+      assert(await fs.pathExists(runPath))
+
+      stdout = createOutput()
+      assert.strictEqual(await runCli(['retention'], { configuration: configuration, stdout: stdout, stderr: createOutput() }), 0)
+      assert.strictEqual(JSON.parse(stdout.text).rules[0].files, 1)
+      assert(!await fs.pathExists(runPath))
+      assert(await fs.pathExists(path.join(tmpDir, '.dwd_data_crawler', 'retention_report.json')))
+    })
+
+    it('should check the archive and exit with 9 if problems were found', async () => {
+      const runPath = path.join(tmpDir, 'weather', 'cosmo-d2', 'grib', '2019030100', 't_2m', 'sample.grib2.lz4')
+      await fs.outputFile(runPath, 'grib')
+
+      let stdout = createOutput()
+      assert.strictEqual(await runCli(['fsck', '--product', 'cosmo-d2'], { configuration: configuration, stdout: stdout, stderr: createOutput() }), EXIT_CODES.ARCHIVE_CHECK_ERROR)
+      assert.strictEqual(JSON.parse(stdout.text).products[0].corrupt[0].error, 'invalid lz4 magic number at byte 0')
+      assert(await fs.pathExists(path.join(tmpDir, '.dwd_data_crawler', 'fsck_report.json')))
+
+      // DWD no longer provides runs of 2019, nothing is requeued
+      stdout = createOutput()
+      assert.strictEqual(await runCli(['fsck', '--product', 'cosmo-d2', '--repair'], { configuration: configuration, stdout: stdout, stderr: createOutput() }), EXIT_CODES.ARCHIVE_CHECK_ERROR)
+      assert.deepStrictEqual(JSON.parse(stdout.text).products[0].requeued, [])
+      assert(await fs.pathExists(runPath))
+
+      await fs.outputFile(runPath, Buffer.from(lz4.compress(Buffer.from('GRIB\u0000\u0000\u0000\u0002\u0000\u0000\u0000\u0000\u0000\u0000\u0000\u00147777', 'latin1'))))
+      assert.strictEqual(await runCli(['fsck', '--product', 'cosmo-d2'], { configuration: configuration, stdout: createOutput(), stderr: createOutput() }), 0)
+    })
+
+    it('should stop single cycles on SIGTERM and exit with 13', async () => {
+      configuration.shutdownTimeoutSeconds = 1
+      configuration.notify.backends = ''
+      const listenerCount = process.listenerCount('SIGTERM')
+
+      const stdout = createOutput()
+      const exitCode = runCli(['crawl', '--once', '--product', 'reports'], { configuration: configuration, stdout: stdout, stderr: createOutput() })
+      process.emit('SIGTERM', 'SIGTERM')
+
+      assert.strictEqual(await exitCode, EXIT_CODES.INTERRUPTED)
+      assert.strictEqual(JSON.parse(stdout.text).products[0].error, 'stopping: SIGTERM')
+      assert.strictEqual(process.listenerCount('SIGTERM'), listenerCount)
+    })
+
+    it('should exit with a usage error for unknown products', async () => {
+      const code = await runCli(['status', '--product', 'gfs'], { configuration: configuration, stdout: createOutput(), stderr: createOutput() })
+      assert.strictEqual(code, EXIT_CODES.USAGE_ERROR)
+    })
+  })
+})
@@ -0,0 +1,236 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const { createCrawlEngine, renderPathTemplate } = require('../lib/crawl_engine')
+const { createCrawlState } = require('../lib/crawl_state')
+const { createLifecycle, sleep } = require('../lib/lifecycle')
+const { createMetricsRegistry } = require('../lib/metrics')
+
+const BASE_URL = 'https://stub/products/'
+
+function createMetrics () {
+  const registry = createMetricsRegistry()
+  return {
+    registry: registry,
+    filesListed: registry.gauge('files_listed', ''),
+    filesDownloaded: registry.counter('files_downloaded_total', ''),
+    filesSkipped: registry.counter('files_skipped_total', ''),
+    filesFailed: registry.counter('files_failed_total', ''),
+    bytesWritten: registry.counter('bytes_written_total', ''),
+    cycleDuration: registry.gauge('cycle_duration_seconds', ''),
+    lastSuccess: registry.gauge('last_success_timestamp_seconds', '')
+  }
+}
+
+function createStubProduct (processed) {
+  return {
+    name: 'stub',
+    baseUrl: BASE_URL,
+    schedule: { cycleWaitMinutes: 1, retryWaitMinutes: 1 },
+    concurrency: 2,
+    list: async (baseUrl) => ['a_new', 'b_unchanged', 'c_broken', 'd_ignored'].map((name) => baseUrl + name),
+    parseUrl: (url) => ({ fileName: path.basename(url), kind: path.basename(url).split('_')[1] }),
+    isAllowed: (file) => file.kind !== 'ignored',
+    pathTemplate: 'stub/{fileName}',
+    processor: {
+      process: async (file, context) => {
+        processed.push(file.fileName)
+        if (file.kind === 'broken') {
+          throw new Error('broken file')
+        }
+
+        if (file.kind === 'unchanged') {
+          return { status: 'unchanged' }
+        }
+
+        return { status: 'new', bytesWritten: 42, files: [{ path: context.storage.locate(context.resolveKey('stub/{fileName}', file)) }] }
+      }
+    }
+  }
+}
+
+describe('./lib/crawl_engine.js', () => {
+  describe('renderPathTemplate()', () => {
+    it('should replace all placeholders', () => {
+      assert.strictEqual(renderPathTemplate('grib/{run}/{variable}/{baseName}.lz4', {
+        run: '2020051100',
+        variable: 't_2m',
+        baseName: 'file.grib2'
+      }), 'grib/2020051100/t_2m/file.grib2.lz4')
+    })
+
+    it('should throw if a value is missing', () => {
+      assert.throws(() => renderPathTemplate('poi/{date}/{fileName}', { fileName: '10704-BEOB.csv' }), /\{date\}/)
+    })
+  })
+
+  describe('createCrawlEngine()', () => {
+    let tmpDir = null
+    let events = null
+    let metrics = null
+    let engine = null
+    let fatalErrors = null
+
+    function createEngine (lifecycle) {
+      return createCrawlEngine({
+        notifier: {
+          notifyFile: async (product, file) => events.push({ type: 'file', product, file }),
+          notifyCycle: async (product, cycle, files) => events.push({ type: 'cycle', product, cycle, files })
+        },
+        metrics: metrics,
+        filters: {},
+        log: { info: () => {}, error: () => {}, debug: () => {}, warn: () => {} },
+        downloadDirectoryBasePath: tmpDir,
+        crawlStateDirectoryPath: path.join(tmpDir, 'crawl_state'),
+        resolveUrl: async (url) => url,
+        lifecycle: lifecycle,
+        onFatalError: (error) => fatalErrors.push(error)
+      })
+    }
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-crawl-engine-'))
+      events = []
+      fatalErrors = []
+      metrics = createMetrics()
+      engine = createEngine()
+    })
+
+    afterEach(async () => {
+      await fs.remove(tmpDir)
+    })
+
+    it('should process all allowed files of a cycle and publish the results', async () => {
+      const processed = []
+      const counts = await engine.runCycle(createStubProduct(processed))
+
+      assert.deepStrictEqual(processed.sort(), ['a_new', 'b_unchanged', 'c_broken'])
+      assert.deepStrictEqual(counts, { unchanged: 1, updated: 0, new: 1, failed: 1 })
+
+      const cycleEvent = events.find((event) => event.type === 'cycle')
+      assert.strictEqual(cycleEvent.product, 'stub')
+      assert.deepStrictEqual(cycleEvent.files, [{ url: BASE_URL + 'a_new', path: path.join(tmpDir, 'stub', 'a_new') }])
+      assert.strictEqual(events.filter((event) => event.type === 'file').length, 1)
+
+      assert.strictEqual(metrics.filesListed.get({ product: 'stub' }), 3)
+      assert.strictEqual(metrics.bytesWritten.get({ product: 'stub' }), 42)
+      assert.strictEqual(metrics.filesFailed.get({ product: 'stub' }), 1)
+
+      const summary = engine.getCrawlState('stub').getSummary()
+      assert.strictEqual(summary.lastCompleteCycle.failed, 1)
+      assert.strictEqual(summary.lastCompleteCycle.done, 2)
+    })
+
+    it('should resume an interrupted cycle without listing again', async () => {
+      const state = createCrawlState(path.join(tmpDir, 'crawl_state', 'stub.json'))
+      await state.startCycle([BASE_URL + 'a_new', BASE_URL + 'b_unchanged'])
+      state.markDone(BASE_URL + 'a_new')
+      await state.save()
+
+      const processed = []
+      const product = createStubProduct(processed)
+      product.list = async () => { throw new Error('listing must not be crawled') }
+      await engine.runCycle(product)
+
+      assert.deepStrictEqual(processed, ['b_unchanged'])
+      assert(!engine.getCrawlState('stub').hasInterruptedCycle())
+    })
+
+    it('should run a single cycle without retrying a failed listing', async () => {
+      const product = createStubProduct([])
+      let prepared = 0
+      product.processor.prepare = async () => { prepared++ }
+
+      const result = await engine.runOnce(product)
+      assert.strictEqual(prepared, 1)
+      assert.strictEqual(result.product, 'stub')
+      assert.deepStrictEqual(result.counts, { unchanged: 1, updated: 0, new: 1, failed: 1 })
+      assert(result.startedAt <= result.endedAt)
+
+      product.list = async () => { throw new Error('listing failed') }
+      await assert.rejects(engine.runOnce(product), /listing failed/)
+    })
+
+    it('should end the cycle and stop the loop at fatal errors', async () => {
+      const product = createStubProduct([])
+      let attempts = 0
+      product.processor.process = async () => {
+        attempts++
+        const error = new Error('disk full')
+        error.fatal = true
+        throw error
+      }
+
+      await assert.rejects(engine.runCycle(product), /disk full/)
+      assert.strictEqual(attempts, 2)
+      assert(engine.getCrawlState('stub').hasInterruptedCycle())
+      assert.strictEqual(fatalErrors.length, 0)
+
+      await engine.runProduct(product)
+      assert.strictEqual(fatalErrors.length, 1)
+      assert.strictEqual(fatalErrors[0].message, 'disk full')
+      assert.strictEqual(events.filter((event) => event.type === 'cycle').length, 0)
+    })
+
+    it('should end the loop once the lifecycle stops', async () => {
+      const lifecycle = createLifecycle({ shutdownTimeoutMilliseconds: 60 * 1000 })
+      engine = createEngine(lifecycle)
+
+      lifecycle.run('stub', () => engine.runProduct(createStubProduct([])))
+      while (events.filter((event) => event.type === 'cycle').length === 0) {
+        await sleep(5)
+      }
+
+      assert.deepStrictEqual(await lifecycle.stop('test'), { aborted: false })
+      assert(engine.getNextRun('stub') > new Date())
+      assert(!engine.getCrawlState('stub').hasInterruptedCycle())
+    })
+
+    it('should keep files cancelled after the shutdown timeout pending', async () => {
+      const lifecycle = createLifecycle({ shutdownTimeoutMilliseconds: 20 })
+      engine = createEngine(lifecycle)
+
+      const product = Object.assign(createStubProduct([]), { concurrency: 1 })
+      const process = product.processor.process
+      let onStarted = null
+      const started = new Promise((resolve) => { onStarted = resolve })
+      product.processor.process = async (file, context) => {
+        if (file.kind === 'new') {
+          onStarted()
+          await sleep(60 * 1000, context.signal)
+        }
+        return process(file, context)
+      }
+
+      const cycle = lifecycle.run('stub', () => engine.runCycle(product))
+      await started
+
+      assert.deepStrictEqual(await lifecycle.stop('test'), { aborted: true })
+      await cycle
+
+      const crawlState = engine.getCrawlState('stub')
+      assert(crawlState.hasInterruptedCycle())
+      assert.deepStrictEqual(crawlState.getUnfinishedUrls(BASE_URL), ['a_new', 'b_unchanged', 'c_broken'].map((name) => BASE_URL + name))
+      assert.strictEqual(metrics.filesFailed.get({ product: 'stub' }), 0)
+    })
+  })
+})
@@ -0,0 +1,100 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const crawlState = require('../lib/crawl_state')
+
+describe('./lib/crawl_state.js', () => {
+  describe('createCrawlState()', () => {
+    const listing = [
+      'https://141.38.2.26/weather/weather_reports/poi/10004-BEOB.csv',
+      'https://141.38.2.26/weather/weather_reports/poi/10007-BEOB.csv',
+      'https://141.38.2.26/weather/weather_reports/poi/10015-BEOB.csv'
+    ]
+    let tmpDir = null
+    let filePath = null
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-crawl-state-'))
+      filePath = path.join(tmpDir, 'crawl_state', 'reports.json')
+    })
+
+    afterEach(async () => {
+      await fs.remove(tmpDir)
+    })
+
+    it('should resume an interrupted cycle with pending and failed files only', async () => {
+      const state = crawlState.createCrawlState(filePath)
+      await state.load()
+      assert(!state.hasInterruptedCycle())
+
+      await state.startCycle(listing)
+      state.markDone(listing[0])
+      state.markFailed(listing[1], new Error('timeout'))
+      await state.save()
+
+      // e.g. after a restart, using a different IP address for opendata.dwd.de
+      const restarted = crawlState.createCrawlState(filePath)
+      await restarted.load()
+
+      assert(restarted.hasInterruptedCycle())
+      assert(restarted.isDone(listing[0]))
+      assert.deepStrictEqual(restarted.getUnfinishedUrls('https://141.38.2.27/weather/weather_reports/poi/'), [
+        'https://141.38.2.27/weather/weather_reports/poi/10007-BEOB.csv',
+        'https://141.38.2.27/weather/weather_reports/poi/10015-BEOB.csv'
+      ])
+
+      const summary = restarted.getSummary()
+      assert.strictEqual(summary.cycle.done, 1)
+      assert.strictEqual(summary.cycle.failed, 1)
+      assert.strictEqual(summary.cycle.pending, 1)
+    })
+
+    it('should count attempts and record the last error', async () => {
+      const state = crawlState.createCrawlState(filePath)
+      await state.startCycle(listing)
+      state.markFailed(listing[1], new Error('timeout'))
+      state.markFailed(listing[1], new Error('reset'))
+      await state.save()
+
+      const persisted = await fs.readJson(filePath)
+      assert.deepStrictEqual(persisted.items['/weather/weather_reports/poi/10007-BEOB.csv'], {
+        status: 'failed',
+        attempts: 2,
+        error: 'Error: reset'
+      })
+    })
+
+    it('should record the start and end of complete cycles', async () => {
+      const state = crawlState.createCrawlState(filePath)
+      await state.startCycle(listing)
+      listing.forEach((url) => state.markDone(url))
+      await state.endCycle()
+
+      const restarted = crawlState.createCrawlState(filePath)
+      await restarted.load()
+      const summary = restarted.getSummary()
+
+      assert(!restarted.hasInterruptedCycle())
+      assert.strictEqual(summary.lastCompleteCycle.done, 3)
+      assert(Date.parse(summary.lastCompleteCycle.endedAt) >= Date.parse(summary.lastCompleteCycle.startedAt))
+    })
+  })
+})
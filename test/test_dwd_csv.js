@@ -18,8 +18,16 @@
 
 const assert = require('assert')
 const _ = require('lodash')
+const fc = require('fast-check')
 const dwd_csv = require('../lib/dwd_csv')
 
+// value rows of a single day with unique points in time and few distinct
+// values, so that different rows for the same point in time are frequent
+const rowsArbitrary = fc.uniqueArray(
+  fc.tuple(fc.integer({ min: 0, max: 23 }), fc.constantFrom('1,0', '2,5', '---')),
+  { selector: (tuple) => tuple[0], maxLength: 24 }
+).map((tuples) => tuples.map(([hour, value]) => ['01.03.19', _.padStart(hour, 2, '0') + ':00', value]))
+
 describe('./lib/dwd_csv.js', () => {
   describe('parseCSV()', () => {
     it('should return an array of array of strings', () => {
@@ -72,4 +80,146 @@ describe('./lib/dwd_csv.js', () => {
       assert(_.isEqual(mergedTable, masterTable))
     })
   })
+
+  describe('mergeRows()', () => {
+    const stored = [['01.03.19', '22:00', '5,6'], ['01.03.19', '21:00', '5,9']]
+    const update = [['01.03.19', '23:00', '5,2'], ['01.03.19', '22:00', '5,7'], ['02.03.19', '00:00', '4,8']]
+
+    it('should key rows by time and let the latest row win by default', () => {
+      const merged = dwd_csv.mergeRows(stored, update, { dateString: '01.03.19' })
+
+      assert.deepStrictEqual(merged.rows, [['01.03.19', '23:00', '5,2'], ['01.03.19', '22:00', '5,7'], ['01.03.19', '21:00', '5,9']])
+      assert.deepStrictEqual(merged.conflicts, [{
+        timestamp: new Date('2019-03-01T22:00:00Z'),
+        storedRow: ['01.03.19', '22:00', '5,6'],
+        newRow: ['01.03.19', '22:00', '5,7'],
+        kept: 'new'
+      }])
+    })
+
+    it('should keep the stored row with the first-wins policy', () => {
+      const merged = dwd_csv.mergeRows(stored, update, { policy: 'first-wins' })
+
+      assert.deepStrictEqual(merged.rows.map((row) => row[2]), ['4,8', '5,2', '5,6', '5,9'])
+      assert.strictEqual(merged.conflicts[0].kept, 'stored')
+    })
+
+    it('should reject unknown policies', () => {
+      assert.throws(() => dwd_csv.mergeRows(stored, update, { policy: 'random' }), /unknown merge policy/)
+    })
+
+    it('should be idempotent', () => {
+      fc.assert(fc.property(rowsArbitrary, rowsArbitrary, fc.constantFrom(...dwd_csv.MERGE_POLICIES), (a, b, policy) => {
+        const merged = dwd_csv.mergeRows(a, b, { policy: policy }).rows
+
+        assert.deepStrictEqual(dwd_csv.mergeRows(merged, b, { policy: policy }).rows, merged)
+        assert.deepStrictEqual(dwd_csv.mergeRows(merged, merged, { policy: policy }), { rows: merged, conflicts: [] })
+      }))
+    })
+
+    it('should not depend on the order of the rows', () => {
+      const permutedArbitrary = fc.tuple(rowsArbitrary, rowsArbitrary).chain(([a, b]) => fc.tuple(
+        fc.constant(a),
+        fc.constant(b),
+        fc.shuffledSubarray(a, { minLength: a.length, maxLength: a.length }),
+        fc.shuffledSubarray(b, { minLength: b.length, maxLength: b.length })
+      ))
+
+      fc.assert(fc.property(permutedArbitrary, fc.constantFrom(...dwd_csv.MERGE_POLICIES), ([a, b, permutedA, permutedB], policy) => {
+        assert.deepStrictEqual(dwd_csv.mergeRows(permutedA, permutedB, { policy: policy }).rows, dwd_csv.mergeRows(a, b, { policy: policy }).rows)
+      }))
+    })
+
+    it('should not depend on the order of the reports except for the policy', () => {
+      fc.assert(fc.property(rowsArbitrary, rowsArbitrary, (a, b) => {
+        assert.deepStrictEqual(dwd_csv.mergeRows(a, b, { policy: 'latest-wins' }).rows, dwd_csv.mergeRows(b, a, { policy: 'first-wins' }).rows)
+
+        const merged = dwd_csv.mergeRows(a, b)
+        if (merged.conflicts.length === 0) {
+          assert.deepStrictEqual(dwd_csv.mergeRows(b, a).rows, merged.rows)
+        }
+      }))
+    })
+
+    it('should be associative', () => {
+      fc.assert(fc.property(rowsArbitrary, rowsArbitrary, rowsArbitrary, (a, b, c) => {
+        const left = dwd_csv.mergeRows(dwd_csv.mergeRows(a, b).rows, c).rows
+        const right = dwd_csv.mergeRows(a, dwd_csv.mergeRows(b, c).rows).rows
+
+        assert.deepStrictEqual(left, right)
+      }))
+    })
+  })
+
+  describe('parseReport()', () => {
+    const REPORT = [
+      'surface observations;parameter;dry_bulb_temperature_at_2_meter_above_ground;present_weather',
+      'Parameterbeschreibung;Datum;Temperatur (2m);aktuelles Wetter',
+      'Einheit;Uhrzeit;Grad C;CODE_TABLE',
+      '01.03.19;23:00;5,2;---',
+      '01.03.19;22:00;-0,4;02',
+      '01.03.19;21:00;10;61',
+      ''
+    ].join('\r\n')
+
+    it('should return the parameters and typed rows', () => {
+      const report = dwd_csv.parseReport(REPORT, { station: '10704' })
+
+      assert.strictEqual(report.station, '10704')
+      assert.deepStrictEqual(report.parameters, [
+        { code: 'dry_bulb_temperature_at_2_meter_above_ground', description: 'Temperatur (2m)', unit: 'Grad C', decimals: 1 },
+        { code: 'present_weather', description: 'aktuelles Wetter', unit: 'CODE_TABLE', decimals: 0 }
+      ])
+      assert.deepStrictEqual(report.rows[0], {
+        timestamp: new Date('2019-03-01T23:00:00Z'),
+        values: { dry_bulb_temperature_at_2_meter_above_ground: 5.2, present_weather: null }
+      })
+      assert.deepStrictEqual(report.rows[1].values, { dry_bulb_temperature_at_2_meter_above_ground: -0.4, present_weather: 2 })
+    })
+
+    it('should reject rows with invalid dates or a wrong number of columns', () => {
+      assert.throws(() => dwd_csv.parseReport(REPORT.replace('01.03.19;23:00', '01.03.19;24:30')), /invalid date/)
+      assert.throws(() => dwd_csv.parseReport(REPORT.replace(';---', '')), /columns/)
+    })
+
+    it('should skip and list malformed rows if lenient', () => {
+      const report = dwd_csv.parseReport(REPORT.replace('01.03.19;23:00', '01.03.19;24:30'), { lenient: true })
+      assert.strictEqual(report.rows.length, dwd_csv.parseReport(REPORT).rows.length - 1)
+      assert.deepStrictEqual(report.skippedRows, [{ row: 4, error: 'row 4 of the report has an invalid date' }])
+    })
+  })
+
+  describe('serializeReport()', () => {
+    it('should reproduce the parsed content byte by byte', () => {
+      const content = [
+        'surface observations;parameter;cloud_cover_total;precipitation_amount_last_hour',
+        'Parameterbeschreibung;Datum;Wolkenbedeckung;Niederschlag',
+        'Einheit;Uhrzeit;%;mm',
+        '02.03.19;01:00;100;0,0',
+        '02.03.19;00:00;---;0,25',
+        '01.03.19;23:00;n/a;-0,0'
+      ].join('\n')
+
+      assert.strictEqual(dwd_csv.serializeReport(dwd_csv.parseReport(content)), content)
+    })
+
+    it('should format changed values using the decimals of the parameter', () => {
+      const report = dwd_csv.parseReport('a;b;t\r\nc;d;T\r\ne;f;Grad C\r\n01.03.19;23:00;10,0')
+      report.rows[0].values.t = 9.25
+
+      assert.strictEqual(dwd_csv.serializeReport(report), 'a;b;t\r\nc;d;T\r\ne;f;Grad C\r\n01.03.19;23:00;9,3')
+    })
+  })
+
+  describe('reportToJsonLines() and reportToCsv()', () => {
+    const report = dwd_csv.parseReport('a;b;t;ww\r\nc;d;T;WW\r\ne;f;Grad C;CODE_TABLE\r\n01.03.19;23:00;5,2;---', { station: '10704' })
+
+    it('should export one JSON object per row', () => {
+      assert.strictEqual(dwd_csv.reportToJsonLines(report), '{"station":"10704","timestamp":"2019-03-01T23:00:00.000Z","values":{"t":5.2,"ww":null}}\n')
+    })
+
+    it('should export comma separated values with ISO 8601 timestamps', () => {
+      assert.strictEqual(dwd_csv.reportToCsv(report), 'station,timestamp,t,ww\r\n10704,2019-03-01T23:00:00.000Z,5.2,\r\n')
+    })
+  })
 })
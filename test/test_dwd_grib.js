@@ -0,0 +1,271 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const _ = require('lodash')
+const fs = require('fs-extra')
+const lz4 = require('lz4js')
+const os = require('os')
+const path = require('path')
+const dwdGrib = require('../lib/dwd_grib')
+const { createHttpClient } = require('../lib/http_client')
+
+// Directory listings as served by opendata.dwd.de, keyed by path
+const LISTINGS = {
+  '/grib/': ['../', '00/', '03/'],
+  '/grib/00/': ['../', 'clct/', 't_2m/'],
+  '/grib/00/clct/': [
+    '../',
+    'cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_CLCT.grib2.bz2'
+  ],
+  '/grib/00/t_2m/': [
+    '../',
+    'cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_T_2M.grib2.bz2',
+    'cosmo-d2_germany_rotated-lat-lon_single-level_2020051100_000_T_2M.grib2.bz2'
+  ],
+  '/grib/03/': ['../', 'COSMODE_single_level_elements_T_2M_2020051103_000.grib2.bz2']
+}
+
+// A grid of 4 x 3 points scanned from south to north as used by DWD, the
+// value increases by 0.5 per column and by 2 per row
+const GRID = { ni: 4, nj: 3, la1: 47, lo1: 6, la2: 48, lo2: 7.5, di: 0.5, dj: 0.5, scanningMode: 0x40 }
+const VALUES = _.flatMap(_.range(3), (row) => _.map(_.range(4), (column) => 280 + row * 2 + column * 0.5))
+
+function writeSigned (buffer, value, offset, length) {
+  const signBit = Math.pow(2, 8 * length - 1)
+  buffer.writeUIntBE(value < 0 ? signBit - value : value, offset, length)
+}
+
+function createSection (number, length) {
+  const section = Buffer.alloc(length)
+  section.writeUInt32BE(length, 0)
+  section.writeUInt8(number, 4)
+  return section
+}
+
+/**
+ * createGrib2Message encodes a GRIB2 message using a regular lat/lon grid
+ * (template 3.0), product template 4.0 and simple packing (template 5.0) with
+ * two decimal digits
+ */
+function createGrib2Message (values, forecastHours) {
+  const section1 = createSection(1, 21)
+  section1.writeUInt16BE(78, 5)
+  section1.writeUInt16BE(2019, 12)
+  section1.writeUInt8(3, 14)
+  section1.writeUInt8(1, 15)
+  section1.writeUInt8(9, 16)
+
+  const section3 = createSection(3, 72)
+  section3.writeUInt32BE(GRID.ni * GRID.nj, 6)
+  section3.writeUInt32BE(GRID.ni, 30)
+  section3.writeUInt32BE(GRID.nj, 34)
+  writeSigned(section3, Math.round(GRID.la1 * 1e6), 46, 4)
+  writeSigned(section3, Math.round(GRID.lo1 * 1e6), 50, 4)
+  writeSigned(section3, Math.round(GRID.la2 * 1e6), 55, 4)
+  writeSigned(section3, Math.round(GRID.lo2 * 1e6), 59, 4)
+  section3.writeUInt32BE(GRID.di * 1e6, 63)
+  section3.writeUInt32BE(GRID.dj * 1e6, 67)
+  section3.writeUInt8(GRID.scanningMode, 71)
+
+  const section4 = createSection(4, 34)
+  section4.writeUInt8(1, 17)
+  section4.writeUInt32BE(forecastHours, 18)
+  section4.writeUInt8(103, 22)
+  section4.writeUInt32BE(2, 24)
+
+  const present = _.reject(values, _.isNil)
+  const scaled = _.map(present, (value) => Math.round(value * 100))
+  const referenceValue = _.min(scaled)
+
+  const section5 = createSection(5, 21)
+  section5.writeUInt32BE(present.length, 5)
+  section5.writeFloatBE(referenceValue, 11)
+  writeSigned(section5, 2, 17, 2)
+  section5.writeUInt8(16, 19)
+
+  const bitmapBytes = _.some(values, _.isNil) ? Math.ceil(values.length / 8) : 0
+  const section6 = createSection(6, 6 + bitmapBytes)
+  section6.writeUInt8(bitmapBytes > 0 ? 0 : 255, 5)
+  _.forEach(values, (value, i) => {
+    if (bitmapBytes > 0 && !_.isNil(value)) {
+      section6[6 + (i >> 3)] |= 0x80 >> (i & 7)
+    }
+  })
+
+  const section7 = createSection(7, 5 + 2 * present.length)
+  _.forEach(scaled, (value, i) => section7.writeUInt16BE(value - referenceValue, 5 + 2 * i))
+
+  const body = Buffer.concat([section1, section3, section4, section5, section6, section7, Buffer.from('7777')])
+  const section0 = Buffer.alloc(16)
+  section0.write('GRIB', 0, 'latin1')
+  section0.writeUInt8(2, 7)
+  section0.writeUInt32BE(16 + body.length, 12)
+
+  return Buffer.concat([section0, body])
+}
+
+function createStubClient (requestedPaths) {
+  return createHttpClient({
+    transport: async (url) => {
+      if (!_.isNil(requestedPaths)) {
+        requestedPaths.push(new URL(url).pathname)
+      }
+
+      const hrefs = LISTINGS[new URL(url).pathname]
+      if (_.isNil(hrefs)) {
+        return { statusCode: 404, headers: {}, body: Buffer.from('') }
+      }
+
+      const html = _.map(hrefs, (href) => '<a href="' + href + '">' + href + '</a>').join('\n')
+      return { statusCode: 200, headers: {}, body: Buffer.from(html) }
+    }
+  })
+}
+
+describe('./lib/dwd_grib.js', () => {
+  describe('crawlListOfFilePaths()', () => {
+    it('should return the complete urls of all listed files', async () => {
+      const files = await dwdGrib.crawlListOfFilePaths('https://stub/grib/', { httpClient: createStubClient() })
+      assert.deepStrictEqual(files, ['https://stub/grib/00/', 'https://stub/grib/03/'])
+    })
+
+    it('should skip files rejected by the filter', async () => {
+      const files = await dwdGrib.crawlListOfFilePaths('https://stub/grib/', {
+        httpClient: createStubClient(),
+        filter: (href) => href !== '03/'
+      })
+      assert.deepStrictEqual(files, ['https://stub/grib/00/'])
+    })
+  })
+
+  describe('crawlListOfGrib2FilePaths()', () => {
+    it('should recursively list single-level files in regular coordinates', async () => {
+      const files = await dwdGrib.crawlListOfGrib2FilePaths('https://stub/grib/', { httpClient: createStubClient() })
+      assert.deepStrictEqual(files, [
+        'https://stub/grib/00/clct/cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_CLCT.grib2.bz2',
+        'https://stub/grib/00/t_2m/cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_T_2M.grib2.bz2'
+      ])
+    })
+
+    it('should not crawl the directories of variables rejected by the filter', async () => {
+      const requestedPaths = []
+      const files = await dwdGrib.crawlListOfGrib2FilePaths('https://stub/grib/', {
+        httpClient: createStubClient(requestedPaths),
+        variableFilter: (variable) => variable === 't_2m'
+      })
+      assert.deepStrictEqual(files, [
+        'https://stub/grib/00/t_2m/cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_T_2M.grib2.bz2'
+      ])
+      assert(!_.includes(requestedPaths, '/grib/00/clct/'))
+    })
+  })
+
+  describe('decodeGrib2()', () => {
+    it('should decode grid, product and values of all messages', () => {
+      const fields = dwdGrib.decodeGrib2(Buffer.concat([createGrib2Message(VALUES, 0), createGrib2Message(VALUES, 3)]))
+      assert.strictEqual(fields.length, 2)
+
+      const field = fields[1]
+      assert.strictEqual(field.centre, 78)
+      assert.deepStrictEqual(field.referenceTime, new Date('2019-03-01T09:00:00Z'))
+      assert.deepStrictEqual(field.product.validTime, new Date('2019-03-01T12:00:00Z'))
+      assert.deepStrictEqual(field.product.firstSurface, { type: 103, value: 2 })
+      assert.deepStrictEqual(_.pick(field.grid, _.keys(GRID)), GRID)
+      assert.deepStrictEqual(Array.from(field.values), VALUES)
+    })
+
+    it('should mark values missing according to the bitmap as NaN', () => {
+      const values = _.concat([null], VALUES.slice(1))
+      const field = dwdGrib.decodeGrib2(createGrib2Message(values, 0))[0]
+
+      assert(_.isNaN(field.values[0]))
+      assert.deepStrictEqual(Array.from(field.values.slice(1)), VALUES.slice(1))
+    })
+
+    it('should reject truncated messages', () => {
+      const message = createGrib2Message(VALUES, 0)
+      assert.throws(() => dwdGrib.decodeGrib2(message.slice(0, message.length - 8)), /truncated/)
+    })
+  })
+
+  describe('checkGrib2Framing()', () => {
+    it('should count consecutive messages', () => {
+      assert.strictEqual(dwdGrib.checkGrib2Framing(Buffer.concat([createGrib2Message(VALUES, 0), createGrib2Message(VALUES, 3)])), 2)
+    })
+
+    it('should reject truncated messages, trailing data and empty data', () => {
+      const message = createGrib2Message(VALUES, 0)
+      assert.throws(() => dwdGrib.checkGrib2Framing(message.slice(0, message.length - 1)), /truncated/)
+      assert.throws(() => dwdGrib.checkGrib2Framing(Buffer.concat([message, Buffer.from('GRIB')])), /no grib2 message starts at byte/)
+      assert.throws(() => dwdGrib.checkGrib2Framing(Buffer.alloc(0)), /do not contain any grib2 message/)
+    })
+  })
+
+  describe('extractValueAtLocation()', () => {
+    const field = dwdGrib.decodeGrib2(createGrib2Message(_.concat(VALUES.slice(0, 11), [null]), 0))[0]
+
+    it('should return the value of the nearest grid point', () => {
+      assert.strictEqual(dwdGrib.extractValueAtLocation(field, 47.6, 7.1), 283)
+      assert.strictEqual(dwdGrib.extractValueAtLocation(field, 47, 6, 'nearest'), 280)
+    })
+
+    it('should interpolate bilinearly between the surrounding grid points', () => {
+      assert.strictEqual(dwdGrib.extractValueAtLocation(field, 47.25, 6.25, 'bilinear'), 281.25)
+      assert.strictEqual(dwdGrib.extractValueAtLocation(field, 47.5, 6.5, 'bilinear'), 282.5)
+    })
+
+    it('should return null outside of the grid and for missing values', () => {
+      assert.strictEqual(dwdGrib.extractValueAtLocation(field, 46.9, 6), null)
+      assert.strictEqual(dwdGrib.extractValueAtLocation(field, 47, 8), null)
+      assert.strictEqual(dwdGrib.extractValueAtLocation(field, 48, 7.5), null)
+    })
+  })
+
+  describe('getDataForLocation()', () => {
+    let tmpDir = null
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-grib-'))
+    })
+
+    afterEach(async () => {
+      await fs.remove(tmpDir)
+    })
+
+    it('should read stored lz4 files and apply the quantity mapping', async () => {
+      const filePath = path.join(tmpDir, '2019030109', 't_2m', 'cosmo-d2_germany_regular-lat-lon_single-level_2019030109_003_T_2M.grib2.lz4')
+      await fs.outputFile(filePath, Buffer.from(lz4.compress(createGrib2Message(VALUES, 3))))
+
+      const mappings = [{ sourceLabel: 't_2m', targetLabel: 'temperature_2m_ag', factor: 1, offset: -273.15 }]
+      const result = await dwdGrib.getDataForLocation(filePath, 47, 6.5, { mappings: mappings })
+      assert.strictEqual(result.length, 1)
+      assert.strictEqual(result[0].label, 'temperature_2m_ag')
+      assert.strictEqual(result[0].sourceLabel, 't_2m')
+      assert.deepStrictEqual(result[0].validTime, new Date('2019-03-01T12:00:00Z'))
+      assert(Math.abs(result[0].value - 7.35) < 1e-9)
+    })
+
+    it('should reject unknown variables', async () => {
+      const filePath = path.join(tmpDir, 'unknown', 'file.grib2')
+      await fs.outputFile(filePath, createGrib2Message(VALUES, 0))
+
+      await assert.rejects(dwdGrib.getDataForLocation(filePath, 47, 6), /unknown COSMO-D2 variable/)
+    })
+  })
+})
@@ -0,0 +1,100 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const path = require('path')
+const dwdMosmix = require('../lib/dwd_mosmix')
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'MOSMIX_L_2019030109_10704.kmz')
+
+function createKml (values) {
+  return [
+    '<kml:kml xmlns:dwd="https://opendata.dwd.de/weather/lib/pointforecast_dwd_extension_V1_0.xsd" xmlns:kml="http://www.opengis.net/kml/2.2">',
+    '<kml:Document><kml:ExtendedData><dwd:ProductDefinition>',
+    '<dwd:IssueTime>2019-03-01T09:00:00.000Z</dwd:IssueTime>',
+    '<dwd:ForecastTimeSteps><dwd:TimeStep>2019-03-01T10:00:00.000Z</dwd:TimeStep><dwd:TimeStep>2019-03-01T11:00:00.000Z</dwd:TimeStep></dwd:ForecastTimeSteps>',
+    '</dwd:ProductDefinition></kml:ExtendedData>',
+    '<kml:Placemark><kml:name>10708</kml:name><kml:description>SAARBRUECKEN</kml:description>',
+    '<kml:ExtendedData><dwd:Forecast dwd:elementName="TTT"><dwd:value>' + values + '</dwd:value></dwd:Forecast></kml:ExtendedData>',
+    '<kml:Point><kml:coordinates>6.97,49.22,190.0</kml:coordinates></kml:Point></kml:Placemark>',
+    '</kml:Document></kml:kml>'
+  ].join('\n')
+}
+
+describe('./lib/dwd_mosmix.js', () => {
+  describe('parseValues()', () => {
+    it('should convert the values to numbers and missing markers to null', () => {
+      assert.deepStrictEqual(dwdMosmix.parseValues('   279.45     -   0.00\n 12 ', '-'), [279.45, null, 0, 12])
+    })
+
+    it('should reject invalid values', () => {
+      assert.throws(() => dwdMosmix.parseValues('279.45 n/a', '-'), /invalid value/)
+    })
+  })
+
+  describe('readMosmixFile()', () => {
+    it('should parse the product definition of a stored KMZ file', async () => {
+      const forecast = await dwdMosmix.readMosmixFile(FIXTURE_PATH)
+
+      assert.strictEqual(forecast.issuer, 'Deutscher Wetterdienst')
+      assert.strictEqual(forecast.productID, 'MOSMIX')
+      assert.deepStrictEqual(forecast.issueTime, new Date('2019-03-01T09:00:00.000Z'))
+      assert.deepStrictEqual(forecast.models, [
+        { name: 'ICON', referenceTime: new Date('2019-03-01T00:00:00Z') },
+        { name: 'ECMWF/IFS', referenceTime: new Date('2019-03-01T00:00:00Z') }
+      ])
+      assert.deepStrictEqual(forecast.timeSteps, [
+        new Date('2019-03-01T10:00:00.000Z'),
+        new Date('2019-03-01T11:00:00.000Z'),
+        new Date('2019-03-01T12:00:00.000Z'),
+        new Date('2019-03-01T13:00:00.000Z')
+      ])
+    })
+
+    it('should parse station metadata and one time series per element', async () => {
+      const forecast = await dwdMosmix.readMosmixFile(FIXTURE_PATH)
+      assert.strictEqual(forecast.stations.length, 1)
+
+      const station = forecast.stations[0]
+      assert.strictEqual(station.id, '10704')
+      assert.strictEqual(station.name, 'SAARBRÜCKEN/ENSH.')
+      assert.deepStrictEqual(station.coordinates, { longitude: 7.12, latitude: 49.22, elevation: 322 })
+      assert.deepStrictEqual(Object.keys(station.forecasts), ['TTT', 'FF', 'Rad1h', 'ww'])
+
+      assert.deepStrictEqual(station.forecasts.TTT[0], { timestamp: new Date('2019-03-01T10:00:00.000Z'), value: 279.45 })
+      assert.deepStrictEqual(station.forecasts.Rad1h.map((item) => item.value), [null, 658, 751, null])
+      assert.deepStrictEqual(station.forecasts.ww.map((item) => item.value), [2, 3, null, 61])
+    })
+  })
+
+  describe('parseMosmixKml()', () => {
+    it('should use the default missing marker if the format is not configured', () => {
+      const forecast = dwdMosmix.parseMosmixKml(createKml('281.15 -'))
+      assert.deepStrictEqual(forecast.stations[0].forecasts.TTT.map((item) => item.value), [281.15, null])
+      assert.deepStrictEqual(forecast.models, [])
+    })
+
+    it('should reject forecasts not matching the time steps', () => {
+      assert.throws(() => dwdMosmix.parseMosmixKml(createKml('281.15')), /does not match the number of time steps/)
+    })
+
+    it('should reject documents without product definition', () => {
+      assert.throws(() => dwdMosmix.parseMosmixKml('<kml:kml></kml:kml>'), /does not contain a product definition/)
+    })
+  })
+})
@@ -0,0 +1,145 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const filters = require('../lib/filters')
+
+const CATALOGUE = [
+  'TABLE OF NWP-MOS-STATIONS',
+  '=========================',
+  '',
+  'ID    ICAO NAME                 LAT    LON     ELEV',
+  '----- ---- -------------------- -----  ------- -----',
+  '01001 ENJA JAN MAYEN             70.56   -8.40    10',
+  '10704 ---- SAARBRUECKEN/ENSH.    49.13    7.07   322',
+  '10708 EDDR SAARBRUECKEN          49.13    7.07   322',
+  'K1174 ---- ST. INGBERT           49.17    7.07   230'
+].join('\n')
+
+describe('./lib/filters.js', () => {
+  describe('parseList()', () => {
+    it('should split lists separated by commas, whitespace and line breaks', () => {
+      assert.deepStrictEqual(filters.parseList('10704, 10708\n# comment\nK1174 # St. Ingbert\n\n10704'), ['10704', '10708', 'K1174'])
+    })
+  })
+
+  describe('parseStationCatalogue()', () => {
+    it('should parse the stations and convert their coordinates', () => {
+      const stations = filters.parseStationCatalogue(CATALOGUE)
+      assert.strictEqual(stations.length, 4)
+      assert.deepStrictEqual(stations[1], {
+        id: '10704',
+        icao: null,
+        name: 'SAARBRUECKEN/ENSH.',
+        latitude: 49 + 13 / 60,
+        longitude: 7 + 7 / 60,
+        elevation: 322
+      })
+      assert.strictEqual(stations[0].longitude, -(8 + 40 / 60))
+      assert.strictEqual(stations[3].name, 'ST. INGBERT')
+    })
+  })
+
+  describe('parseBoundingBox()', () => {
+    it('should parse a valid bounding box', () => {
+      assert.deepStrictEqual(filters.parseBoundingBox('49, 6.5, 49.5, 7.5'), {
+        minLatitude: 49,
+        minLongitude: 6.5,
+        maxLatitude: 49.5,
+        maxLongitude: 7.5
+      })
+    })
+
+    it('should reject invalid bounding boxes', () => {
+      assert.throws(() => filters.parseBoundingBox('49,6.5,49.5'))
+      assert.throws(() => filters.parseBoundingBox('49,6.5,48,7.5'))
+      assert.throws(() => filters.parseBoundingBox('49,east,49.5,7.5'))
+    })
+  })
+
+  describe('selectStationsInBoundingBox()', () => {
+    it('should select the stations within the bounding box', () => {
+      const stations = filters.parseStationCatalogue(CATALOGUE)
+      const selected = filters.selectStationsInBoundingBox(stations, filters.parseBoundingBox('49,6.5,49.5,7.5'))
+      assert.deepStrictEqual(selected, ['10704', '10708', 'K1174'])
+    })
+  })
+
+  describe('resolveVariables()', () => {
+    const mappings = [
+      { sourceLabel: 't_2m', targetLabel: 'temperature_2m_ag' },
+      { sourceLabel: 'clct', targetLabel: 'total_cloud_cover' }
+    ]
+
+    it('should accept source and target labels', () => {
+      assert.deepStrictEqual(filters.resolveVariables(['T_2M', 'total_cloud_cover', 't_2m'], mappings), ['t_2m', 'clct'])
+    })
+
+    it('should reject unknown variables', () => {
+      assert.throws(() => filters.resolveVariables(['pmsl'], mappings), /unknown COSMO-D2 variable: pmsl/)
+    })
+  })
+
+  describe('loadFilters()', () => {
+    let directory = null
+
+    before(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd_filters_'))
+      await fs.writeFile(path.join(directory, 'stations.txt'), '01001\n')
+      await fs.writeFile(path.join(directory, 'catalogue.cfg'), CATALOGUE)
+    })
+
+    after(async () => {
+      await fs.remove(directory)
+    })
+
+    it('should allow everything if nothing is configured', async () => {
+      const result = await filters.loadFilters({})
+      assert.strictEqual(result.stations, null)
+      assert.strictEqual(result.variables, null)
+      assert(result.isStationAllowed('10704'))
+      assert(result.isVariableAllowed('t_2m'))
+    })
+
+    it('should combine listed stations and stations within the bounding box', async () => {
+      const result = await filters.loadFilters({
+        stationIds: 'K1174',
+        stationIdsFile: path.join(directory, 'stations.txt'),
+        boundingBox: '49,6.5,49.2,7.5',
+        stationCatalogue: path.join(directory, 'catalogue.cfg'),
+        variables: 'temperature_2m_ag,clct'
+      })
+
+      assert.deepStrictEqual(result.stations, ['K1174', '01001'])
+      assert(result.isStationAllowed('k1174'))
+      assert(!result.isStationAllowed('10704'))
+      assert.deepStrictEqual(result.variables, ['t_2m', 'clct'])
+      assert(result.isVariableAllowed('clct'))
+      assert(!result.isVariableAllowed('pmsl'))
+    })
+
+    it('should download the catalogue if an url is given', async () => {
+      const httpClient = { getText: async () => CATALOGUE }
+      const result = await filters.loadFilters({ boundingBox: '49,6.5,49.5,7.5', stationCatalogue: 'https://stub/catalogue.cfg' }, httpClient)
+      assert.deepStrictEqual(result.stations, ['10704', '10708', 'K1174'])
+    })
+  })
+})
@@ -0,0 +1,160 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs-extra')
+const lz4 = require('lz4js')
+const os = require('os')
+const path = require('path')
+const fsck = require('../lib/fsck')
+
+const GRIB2_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'cosmo-d2_germany_regular-lat-lon_single-level_2019030109_003_T_2M.grib2')
+const MOSMIX_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'MOSMIX_L_2019030109_10704.kmz')
+
+const REPORTS = path.join('weather', 'weather_reports', 'poi')
+const MOSMIX = path.join('weather', 'local_forecasts', 'mos')
+const GRIB = path.join('weather', 'cosmo-d2', 'grib')
+
+const REPORT_HEADER = [
+  'surface observations;parameter;dry_bulb_temperature_at_2_meter_above_ground',
+  'Parameterbeschreibung;Datum;Temperatur (2m)',
+  'Einheit;Uhrzeit;Grad C'
+]
+
+const COSMO_D2_RUNS = ['2019030100', '2019030103', '2019030106', '2019030109', '2019030112', '2019030115', '2019030118', '2019030121', '2019030200']
+
+function getGrib2Path (run, variable, forecastHour) {
+  return path.join(GRIB, run, variable, 'cosmo-d2_germany_regular-lat-lon_single-level_' + run + '_' + forecastHour + '_' + variable.toUpperCase() + '.grib2.lz4')
+}
+
+/**
+ * createArchive fills a directory with reports, MOSMIX and COSMO-D2 files
+ * containing corrupt files and gaps
+ */
+async function createArchive (basePath) {
+  const writeReport = (day, station, rows) => fs.outputFile(path.join(basePath, REPORTS, day, station + '-BEOB.csv'), REPORT_HEADER.concat(rows).join('\r\n'))
+  await writeReport('20190301', '10704', ['01.03.19;23:00;5,2'])
+  await writeReport('20190301', '10708', ['01.03.19;23:00;5,0'])
+  await writeReport('20190302', '10704', ['02.03.19;23:00;4,8'])
+  await writeReport('20190303', '10704', ['03.03.19;23:00;4,1'])
+  await writeReport('20190303', '10708', ['03.03.19;23:00;4,0', '02.03.19;23:00;4,0'])
+
+  const kmz = await fs.readFile(MOSMIX_FIXTURE_PATH)
+  await fs.outputFile(path.join(basePath, MOSMIX, '2019030103', '10704-MOSMIX.kmz'), kmz)
+  await fs.outputFile(path.join(basePath, MOSMIX, '2019030115', '10704-MOSMIX.kmz'), kmz.slice(0, kmz.length - 10))
+
+  const grib2 = Buffer.from(lz4.compress(await fs.readFile(GRIB2_FIXTURE_PATH)))
+  for (const run of COSMO_D2_RUNS) {
+    await fs.outputFile(path.join(basePath, getGrib2Path(run, 't_2m', '000')), grib2)
+    if (run !== '2019030200') {
+      await fs.outputFile(path.join(basePath, getGrib2Path(run, 't_2m', '001')), grib2)
+    }
+  }
+  await fs.outputFile(path.join(basePath, getGrib2Path('2019030100', 'pmsl', '000')), grib2)
+  await fs.outputFile(path.join(basePath, getGrib2Path('2019030200', 'pmsl', '000')), grib2.slice(0, grib2.length - 10))
+}
+
+describe('./lib/fsck.js', () => {
+  let tmpDir = null
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-fsck-'))
+    await createArchive(path.join(tmpDir, 'archive'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(tmpDir)
+  })
+
+  describe('checkFile()', () => {
+    it('should name the format checked', async () => {
+      const basePath = path.join(tmpDir, 'archive')
+      assert.strictEqual(await fsck.checkFile(path.join(basePath, getGrib2Path('2019030100', 't_2m', '000')), '20190301'), 'grib2.lz4')
+      assert.strictEqual(await fsck.checkFile(path.join(basePath, REPORTS, '20190301', '10704-BEOB.csv'), '20190301'), 'csv')
+      await assert.rejects(fsck.checkFile(path.join(basePath, REPORTS, '20190301', '10704-BEOB.csv'), '20190302'), /do not belong to 20190302/)
+    })
+  })
+
+  describe('checkArchive()', () => {
+    it('should report corrupt files', async () => {
+      const report = await fsck.checkArchive(path.join(tmpDir, 'archive'), { products: ['reports', 'mosmix', 'cosmo-d2'] })
+      const [reports, mosmix, cosmoD2] = report.products
+
+      assert.deepStrictEqual(reports.corrupt, [{
+        path: path.join(REPORTS, '20190303', '10708-BEOB.csv'),
+        unit: '20190303',
+        error: '1 observation(s) do not belong to 20190303, e.g. 2019-03-02T23:00:00.000Z'
+      }])
+      assert.deepStrictEqual(mosmix.corrupt.map((file) => file.path), [path.join(MOSMIX, '2019030115', '10704-MOSMIX.kmz')])
+      assert.deepStrictEqual(cosmoD2.corrupt.map((file) => file.path), [getGrib2Path('2019030200', 'pmsl', '000')])
+      assert.deepStrictEqual(cosmoD2.formats, { 'grib2.lz4': 18, corrupt: 1 })
+      assert.strictEqual(fsck.isArchiveClean(report), false)
+    })
+
+    it('should report missing runs, stations, variables and forecast hours', async () => {
+      const report = await fsck.checkArchive(path.join(tmpDir, 'archive'), { products: ['reports', 'mosmix', 'cosmo-d2'] })
+      const [reports, mosmix, cosmoD2] = report.products
+
+      assert.deepStrictEqual(reports.gaps, {
+        units: [],
+        stations: [{ station: '10708', missing: ['20190302'] }],
+        variables: [],
+        forecastHours: []
+      })
+      assert.deepStrictEqual(mosmix.gaps.units, ['2019030109'])
+      assert.deepStrictEqual(cosmoD2.gaps.units, [])
+      assert.deepStrictEqual(cosmoD2.gaps.variables, [{ variable: 'pmsl', missing: COSMO_D2_RUNS.slice(1, 8) }])
+      assert.deepStrictEqual(cosmoD2.gaps.forecastHours, [{ run: '2019030200', variable: 't_2m', missing: [1] }])
+    })
+
+    it('should check files shared by products once', async () => {
+      const report = await fsck.checkArchive(path.join(tmpDir, 'archive'), { products: ['mosmix', 'mosmix-l-all-stations'] })
+      assert.deepStrictEqual(report.products.map((result) => result.files), [2, 0])
+    })
+  })
+
+  describe('requeueItems()', () => {
+    it('should quarantine corrupt files and drop the validators of items DWD still provides', async () => {
+      const basePath = path.join(tmpDir, 'archive')
+      const stateDirectoryPath = path.join(tmpDir, 'state')
+      await fs.outputJson(path.join(stateDirectoryPath, 'report_validators.json'), {})
+
+      const report = await fsck.checkArchive(basePath, { products: ['reports', 'mosmix', 'cosmo-d2'] })
+      const requeued = await fsck.requeueItems(basePath, report, {
+        quarantinePath: path.join(tmpDir, 'quarantine'),
+        stateDirectoryPath: stateDirectoryPath,
+        now: new Date('2019-03-02T06:00:00Z')
+      })
+
+      assert.deepStrictEqual(requeued, ['reports', 'mosmix', 'cosmo-d2'])
+      assert.deepStrictEqual(report.products[0].requeued, [
+        { type: 'corrupt', unit: '20190303', path: path.join(REPORTS, '20190303', '10708-BEOB.csv') },
+        { type: 'station', unit: '20190302', station: '10708' }
+      ])
+      assert.deepStrictEqual(report.products[1].requeued.map((item) => item.type + ' ' + item.unit), ['corrupt 2019030115', 'unit 2019030109'])
+      assert.deepStrictEqual(report.products[2].requeued.map((item) => item.type + ' ' + item.unit), [
+        'corrupt 2019030200', 'variable 2019030109', 'variable 2019030112', 'variable 2019030115', 'variable 2019030118', 'variable 2019030121', 'forecastHours 2019030200'
+      ])
+
+      const quarantined = path.join(tmpDir, 'quarantine', '20190302T060000')
+      assert(await fs.pathExists(path.join(quarantined, MOSMIX, '2019030115', '10704-MOSMIX.kmz')))
+      assert(!await fs.pathExists(path.join(basePath, MOSMIX, '2019030115', '10704-MOSMIX.kmz')))
+      assert(!await fs.pathExists(path.join(stateDirectoryPath, 'report_validators.json')))
+    })
+  })
+})
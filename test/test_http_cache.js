@@ -0,0 +1,119 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const httpCache = require('../lib/http_cache')
+const { createHttpClient } = require('../lib/http_client')
+
+// Stub transport emulating a server which supports conditional requests
+function createStubClient (file, requests) {
+  return createHttpClient({
+    transport: async (url, options) => {
+      requests.push(options.headers)
+      if (options.headers['If-None-Match'] === file.etag) {
+        return { statusCode: 304, headers: {}, body: Buffer.from('') }
+      }
+
+      return {
+        statusCode: 200,
+        headers: { etag: file.etag, 'content-length': String(file.content.length) },
+        body: Buffer.from(file.content)
+      }
+    }
+  })
+}
+
+describe('./lib/http_cache.js', () => {
+  describe('getCacheKey()', () => {
+    it('should ignore the host of the url', () => {
+      assert.strictEqual(
+        httpCache.getCacheKey('https://141.38.2.26/weather/weather_reports/poi/10004-BEOB.csv'),
+        httpCache.getCacheKey('https://opendata.dwd.de/weather/weather_reports/poi/10004-BEOB.csv')
+      )
+    })
+  })
+
+  describe('downloadFileIfChanged()', () => {
+    const url = 'https://opendata.dwd.de/weather/weather_reports/poi/10004-BEOB.csv'
+    let tmpDir = null
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-http-cache-'))
+    })
+
+    afterEach(async () => {
+      await fs.remove(tmpDir)
+    })
+
+    it('should distinguish new, unchanged and updated files', async () => {
+      const file = { etag: '"a"', content: 'first' }
+      const requests = []
+      const client = createStubClient(file, requests)
+      const cache = httpCache.createValidatorCache(path.join(tmpDir, 'validators.json'))
+      await cache.load()
+
+      let result = await httpCache.downloadFileIfChanged(client, cache, url)
+      assert.strictEqual(result.status, 'new')
+      assert.strictEqual(result.content.toString(), 'first')
+      cache.set(url, result.validators)
+
+      result = await httpCache.downloadFileIfChanged(client, cache, url)
+      assert.strictEqual(result.status, 'unchanged')
+      assert.strictEqual(requests[1]['If-None-Match'], '"a"')
+
+      file.etag = '"b"'
+      file.content = 'second'
+      result = await httpCache.downloadFileIfChanged(client, cache, url)
+      assert.strictEqual(result.status, 'updated')
+      assert.strictEqual(result.content.toString(), 'second')
+    })
+
+    it('should persist the validators', async () => {
+      const filePath = path.join(tmpDir, 'state', 'validators.json')
+      const cache = httpCache.createValidatorCache(filePath)
+      cache.set(url, { etag: '"a"', lastModified: 'Mon, 11 May 2020 10:00:00 GMT' })
+      await cache.save()
+
+      const reloaded = httpCache.createValidatorCache(filePath)
+      await reloaded.load()
+      assert.deepStrictEqual(reloaded.getConditionalHeaders(url), {
+        'If-None-Match': '"a"',
+        'If-Modified-Since': 'Mon, 11 May 2020 10:00:00 GMT'
+      })
+    })
+
+    it('should drop the validators of urls not seen for maxAgeDays', async () => {
+      const filePath = path.join(tmpDir, 'validators.json')
+      const otherUrl = 'https://opendata.dwd.de/weather/weather_reports/poi/10708-BEOB.csv'
+      const cache = httpCache.createValidatorCache(filePath, { maxAgeDays: 2 })
+      cache.set(url, { etag: '"a"' })
+      cache.set(otherUrl, { etag: '"b"' })
+
+      assert.strictEqual(cache.prune(Date.now() + 24 * 60 * 60 * 1000), 0)
+      assert.strictEqual(cache.prune(Date.now() + 3 * 24 * 60 * 60 * 1000), 2)
+      assert.strictEqual(cache.get(url), undefined)
+
+      cache.set(url, { etag: '"a"' })
+      await cache.save()
+      assert.deepStrictEqual(cache.get(url), { etag: '"a"' })
+      assert.deepStrictEqual(Object.keys(await fs.readJson(filePath)), [httpCache.getCacheKey(url)])
+    })
+  })
+})
@@ -0,0 +1,204 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const http = require('http')
+const httpClient = require('../lib/http_client')
+const { createAbortError } = require('../lib/lifecycle')
+
+// Start a local stub server answering each request with the next response of
+// the given list
+function startStubServer (responses) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    requests.push(req)
+    const response = responses[Math.min(requests.length, responses.length) - 1]
+    res.writeHead(response.statusCode, response.headers || {})
+    res.end(response.body || '')
+  })
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: 'http://127.0.0.1:' + server.address().port + '/',
+        requests: requests,
+        close: () => new Promise((resolve) => server.close(resolve))
+      })
+    })
+  })
+}
+
+describe('./lib/http_client.js', () => {
+  describe('parseRetryAfter()', () => {
+    it('should accept seconds and HTTP dates', () => {
+      const now = Date.parse('Mon, 11 May 2020 10:00:00 GMT')
+      assert.strictEqual(httpClient.parseRetryAfter('2', now), 2000)
+      assert.strictEqual(httpClient.parseRetryAfter('Mon, 11 May 2020 10:00:05 GMT', now), 5000)
+      assert.strictEqual(httpClient.parseRetryAfter('soon', now), null)
+    })
+  })
+
+  describe('computeBackoff()', () => {
+    it('should grow exponentially and respect the maximum', () => {
+      const options = { baseDelayMilliseconds: 100, maxDelayMilliseconds: 1000 }
+      const first = httpClient.computeBackoff(1, options)
+      const third = httpClient.computeBackoff(3, options)
+      const tenth = httpClient.computeBackoff(10, options)
+
+      assert(first >= 50 && first <= 100)
+      assert(third >= 200 && third <= 400)
+      assert(tenth >= 500 && tenth <= 1000)
+    })
+  })
+
+  describe('createHttpClient()', () => {
+    it('should retry on server errors and honor Retry-After', async () => {
+      const server = await startStubServer([
+        { statusCode: 500 },
+        { statusCode: 503, headers: { 'Retry-After': '0' } },
+        { statusCode: 200, body: 'content' }
+      ])
+      const client = httpClient.createHttpClient({ attempts: 3, baseDelayMilliseconds: 1 })
+
+      try {
+        const text = await client.getText(server.url)
+        assert.strictEqual(text, 'content')
+        assert.strictEqual(server.requests.length, 3)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('should give up after the configured number of attempts', async () => {
+      const server = await startStubServer([{ statusCode: 502 }])
+      const client = httpClient.createHttpClient({ attempts: 2, baseDelayMilliseconds: 1 })
+
+      try {
+        await assert.rejects(client.getText(server.url), { statusCode: 502 })
+        assert.strictEqual(server.requests.length, 2)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('should not retry on client errors', async () => {
+      const server = await startStubServer([{ statusCode: 404 }])
+      const client = httpClient.createHttpClient({ attempts: 3, baseDelayMilliseconds: 1 })
+
+      try {
+        await assert.rejects(client.getText(server.url), { statusCode: 404 })
+        assert.strictEqual(server.requests.length, 1)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('should provide the body as stream', async () => {
+      const server = await startStubServer([
+        { statusCode: 503 },
+        { statusCode: 200, body: 'streamed content' }
+      ])
+      const client = httpClient.createHttpClient({ attempts: 2, baseDelayMilliseconds: 1 })
+
+      try {
+        const stream = await client.getStream(server.url)
+        const chunks = []
+        for await (const chunk of stream) {
+          chunks.push(chunk)
+        }
+        assert.strictEqual(Buffer.concat(chunks).toString(), 'streamed content')
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('should cancel requests, streamed bodies and waits once the signal is aborted', async () => {
+      // the server sends the first chunk of the body only and then hangs
+      const server = http.createServer((req, res) => {
+        if (req.url === '/retry') {
+          res.writeHead(503)
+          res.end()
+          return
+        }
+
+        res.writeHead(200)
+        res.write('first chunk')
+      })
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+      const url = 'http://127.0.0.1:' + server.address().port + '/'
+
+      try {
+        let controller = new AbortController()
+        let client = httpClient.createHttpClient({ signal: controller.signal })
+        const stream = await client.getStream(url)
+        await assert.rejects((async () => {
+          for await (const chunk of stream) {
+            assert.strictEqual(chunk.toString(), 'first chunk')
+            controller.abort(createAbortError('stopping'))
+          }
+        })(), { name: 'AbortError', message: 'stopping' })
+
+        controller = new AbortController()
+        client = httpClient.createHttpClient({ signal: controller.signal })
+        const pending = client.getText(url)
+        setTimeout(() => controller.abort(createAbortError('stopping')), 50)
+        await assert.rejects(pending, { name: 'AbortError', message: 'stopping' })
+
+        controller = new AbortController()
+        client = httpClient.createHttpClient({ signal: controller.signal, attempts: 2, baseDelayMilliseconds: 60 * 1000 })
+        const waiting = client.getText(url + 'retry')
+        setTimeout(() => controller.abort(createAbortError('stopping')), 50)
+        await assert.rejects(waiting, { name: 'AbortError' })
+      } finally {
+        server.closeAllConnections()
+        await new Promise((resolve) => server.close(resolve))
+      }
+    })
+
+    it('should use an injected transport', async () => {
+      const urls = []
+      const client = httpClient.createHttpClient({
+        transport: async (url) => {
+          urls.push(url)
+          return { statusCode: 200, headers: {}, body: Buffer.from('stub') }
+        }
+      })
+
+      assert.strictEqual(await client.getText('https://example.invalid/'), 'stub')
+      assert.deepStrictEqual(urls, ['https://example.invalid/'])
+    })
+
+    it('should report retries with the labels of the client', async () => {
+      const retries = []
+      let attempts = 0
+      const client = httpClient.createHttpClient({
+        attempts: 2,
+        baseDelayMilliseconds: 1,
+        onRetry: (retry) => retries.push(retry.labels),
+        transport: async () => {
+          attempts++
+          return { statusCode: attempts % 2 === 1 ? 503 : 200, headers: {}, body: Buffer.from('stub') }
+        }
+      })
+
+      await client.getText('https://example.invalid/')
+      await client.withLabels({ product: 'cosmo-d2' }).getText('https://example.invalid/')
+      assert.deepStrictEqual(retries, [{}, { product: 'cosmo-d2' }])
+    })
+  })
+})
@@ -0,0 +1,90 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const lifecycle = require('../lib/lifecycle')
+
+describe('./lib/lifecycle.js', () => {
+  describe('sleep()', () => {
+    it('should wait unless the signal is aborted', async () => {
+      await lifecycle.sleep(1)
+      await lifecycle.sleep(1, new AbortController().signal)
+
+      const controller = new AbortController()
+      const startedAt = Date.now()
+      setTimeout(() => controller.abort(lifecycle.createAbortError('stopping')), 10)
+      await assert.rejects(lifecycle.sleep(60 * 1000, controller.signal), { name: 'AbortError', message: 'stopping' })
+      assert(Date.now() - startedAt < 1000)
+
+      await assert.rejects(lifecycle.sleep(1, controller.signal), { message: 'stopping' })
+    })
+  })
+
+  describe('isAbortError()', () => {
+    it('should recognize errors of cancelled operations', () => {
+      assert.strictEqual(lifecycle.isAbortError(lifecycle.createAbortError()), true)
+      assert.strictEqual(lifecycle.isAbortError(Object.assign(new Error('killed'), { code: 'ABORT_ERR' })), true)
+      assert.strictEqual(lifecycle.isAbortError(new Error('disk full')), false)
+      assert.strictEqual(lifecycle.isAbortError(null), false)
+    })
+  })
+
+  describe('createLifecycle()', () => {
+    it('should let the tasks end by themselves once stopped', async () => {
+      const controller = lifecycle.createLifecycle({ shutdownTimeoutMilliseconds: 1000 })
+      let ended = false
+      controller.run('loop', async () => {
+        while (!controller.isStopping()) {
+          await lifecycle.sleep(60 * 1000, controller.stopSignal).catch(() => {})
+        }
+        ended = true
+      })
+
+      const result = await controller.stop('SIGTERM')
+      assert.deepStrictEqual(result, { aborted: false })
+      assert.strictEqual(ended, true)
+      assert.strictEqual(controller.abortSignal.aborted, false)
+      assert.strictEqual(await controller.stop('SIGINT'), result)
+    })
+
+    it('should cancel the tasks after the shutdown timeout', async () => {
+      const controller = lifecycle.createLifecycle({ shutdownTimeoutMilliseconds: 20 })
+      let error = null
+      controller.run('download', async () => {
+        try {
+          await lifecycle.sleep(60 * 1000, controller.abortSignal)
+        } catch (abortError) {
+          error = abortError
+          throw abortError
+        }
+      })
+
+      assert.deepStrictEqual(await controller.stop('SIGTERM'), { aborted: true })
+      assert.strictEqual(error.message, 'cancelled: SIGTERM')
+    })
+
+    it('should log failing tasks', async () => {
+      const errors = []
+      const controller = lifecycle.createLifecycle({ log: { info: () => {}, error: (error) => errors.push(error) } })
+      await controller.run('failing', async () => { throw new Error('failed') })
+      await controller.stop('test')
+
+      assert.strictEqual(errors.length, 1)
+    })
+  })
+})
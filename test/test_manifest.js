@@ -0,0 +1,238 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const moment = require('moment-timezone')
+const os = require('os')
+const path = require('path')
+const manifest = require('../lib/manifest')
+const { renderPathTemplate } = require('../lib/crawl_engine')
+const { PRODUCT_DEFINITIONS } = require('../lib/products')
+const { createLocalStorage } = require('../lib/storage')
+
+const COSMO_URL = 'https://141.38.2.26/weather/nwp/cosmo-d2/grib/00/t_2m/'
+const GRIB = path.join('weather', 'cosmo-d2', 'grib')
+
+/**
+ * cosmoUrl builds the url of a COSMO-D2 file of the 00 UTC run
+ */
+function cosmoUrl (variable, forecastHour) {
+  return COSMO_URL.replace('t_2m', variable) +
+    'cosmo-d2_germany_regular-lat-lon_single-level_2019030100_' + forecastHour + '_' + variable.toUpperCase() + '.grib2.bz2'
+}
+
+/**
+ * listedFile builds a file as listed in a cycle
+ */
+function listedFile (product, url) {
+  return Object.assign(product.parseUrl(url), { url: url })
+}
+
+describe('./lib/manifest.js', () => {
+  describe('getSourceUrl()', () => {
+    it('should replace the IP address by the public host', () => {
+      assert.strictEqual(
+        manifest.getSourceUrl(cosmoUrl('t_2m', '000'), PRODUCT_DEFINITIONS['cosmo-d2'].baseUrl),
+        'https://opendata.dwd.de/weather/nwp/cosmo-d2/grib/00/t_2m/cosmo-d2_germany_regular-lat-lon_single-level_2019030100_000_T_2M.grib2.bz2'
+      )
+    })
+  })
+
+  describe('isUnitComplete()', () => {
+    const now = moment.utc('2019-03-01T06:00:00Z')
+
+    it('should require the last forecast hour of each variable of a run', () => {
+      const product = PRODUCT_DEFINITIONS['cosmo-d2']
+      const files = [listedFile(product, cosmoUrl('t_2m', '000')), listedFile(product, cosmoUrl('t_2m', '027'))]
+      const unit = { time: moment.utc('2019-03-01T00:00:00Z'), files: files }
+      const stored = { files: files.map((file) => ({ url: file.url })) }
+
+      assert.strictEqual(manifest.isUnitComplete(product, unit, stored, { isComplete: true, files: files }, now), true)
+      assert.strictEqual(manifest.isUnitComplete(product, unit, stored, { isComplete: false, files: files }, now), false)
+      assert.strictEqual(manifest.isUnitComplete(product, unit, { files: stored.files.slice(0, 1) }, { isComplete: true, files: files }, now), false)
+
+      const upcoming = { time: unit.time, files: files.slice(0, 1) }
+      assert.strictEqual(manifest.isUnitComplete(product, upcoming, stored, { isComplete: true, files: files }, now), false)
+    })
+
+    it('should require a file of each listed station for MOSMIX runs', () => {
+      const product = PRODUCT_DEFINITIONS.mosmix
+      const url = (run, station) => 'https://opendata.dwd.de/weather/local_forecasts/mos/MOSMIX_L/single_stations/' + station + '/kml/MOSMIX_L_' + run + '_' + station + '.kmz'
+      const files = [
+        listedFile(product, url('2019030103', '10704')),
+        listedFile(product, url('2019030103', '10708')),
+        listedFile(product, url('2019030109', '10704'))
+      ]
+      const stored = { files: files.map((file) => ({ url: file.url })) }
+      const listing = { isComplete: true, files: files }
+
+      assert.strictEqual(manifest.isUnitComplete(product, { time: moment.utc('2019-03-01T03:00:00Z'), files: files.slice(0, 2) }, stored, listing, now), true)
+      assert.strictEqual(manifest.isUnitComplete(product, { time: moment.utc('2019-03-01T09:00:00Z'), files: files.slice(2) }, stored, listing, now), false)
+    })
+
+    it('should mark days complete once they settled', () => {
+      const product = PRODUCT_DEFINITIONS.reports
+      const unit = { time: moment.utc('2019-03-01T00:00:00Z'), files: [] }
+
+      assert.strictEqual(manifest.isUnitComplete(product, unit, { files: [] }, { isComplete: true, files: [] }, moment.utc('2019-03-02T23:00:00Z')), false)
+      assert.strictEqual(manifest.isUnitComplete(product, unit, { files: [] }, { isComplete: false, files: [] }, moment.utc('2019-03-03T00:00:00Z')), true)
+    })
+  })
+
+  describe('updateManifests()', () => {
+    let tmpDir = null
+    let context = null
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-manifest-'))
+      context = { storage: createLocalStorage(tmpDir), resolveKey: renderPathTemplate }
+    })
+
+    afterEach(async () => {
+      await fs.remove(tmpDir)
+    })
+
+    /**
+     * storeFile stores a file as the processors would and returns it as
+     * collected by the crawl engine
+     */
+    async function storeFile (product, url, content) {
+      const key = context.resolveKey(product.pathTemplate, product.parseUrl(url))
+      const stored = await context.storage.put(key, content)
+      return Object.assign({ url: url, key: key, downloadedAt: new Date('2019-03-01T02:00:00Z'), lastModified: 'Fri, 01 Mar 2019 01:50:00 GMT' }, stored)
+    }
+
+    it('should list the stored files and mark the run complete', async () => {
+      const product = PRODUCT_DEFINITIONS['cosmo-d2']
+      const listed = [cosmoUrl('t_2m', '000'), cosmoUrl('t_2m', '027')]
+      const manifestPath = path.join(tmpDir, GRIB, '2019030100', 'manifest.json')
+
+      const first = await storeFile(product, listed[0], 'first')
+      assert.strictEqual(await manifest.updateManifests(context, product, { listed: listed, stored: [first] }, { now: '2019-03-01T02:00:00Z' }), 1)
+      assert.strictEqual((await fs.readJson(manifestPath)).complete, false)
+
+      const second = await storeFile(product, listed[1], 'second')
+      assert.strictEqual(await manifest.updateManifests(context, product, { listed: listed, stored: [second] }, { now: '2019-03-01T03:00:00Z' }), 1)
+
+      const written = await fs.readJson(manifestPath)
+      assert.strictEqual(written.product, 'cosmo-d2')
+      assert.strictEqual(written.unit, '2019030100')
+      assert.strictEqual(written.complete, true)
+      assert.strictEqual(written.completedAt, '2019-03-01T03:00:00.000Z')
+      assert.deepStrictEqual(written.files[1], {
+        path: 't_2m/cosmo-d2_germany_regular-lat-lon_single-level_2019030100_027_T_2M.grib2.lz4',
+        url: manifest.getSourceUrl(listed[1], product.baseUrl),
+        size: 6,
+        sha256: crypto.createHash('sha256').update('second').digest('hex'),
+        downloadedAt: '2019-03-01T02:00:00.000Z',
+        lastModified: 'Fri, 01 Mar 2019 01:50:00 GMT'
+      })
+
+      // an unchanged cycle does not rewrite the manifest
+      assert.strictEqual(await manifest.updateManifests(context, product, { listed: listed, stored: [] }, { now: '2019-03-01T04:00:00Z' }), 0)
+    })
+
+    it('should add listed files stored before the manifest was written', async () => {
+      const product = PRODUCT_DEFINITIONS['cosmo-d2']
+      const listed = [cosmoUrl('t_2m', '000'), cosmoUrl('t_2m', '027')]
+      const runKey = 'weather/cosmo-d2/grib/2019030100'
+
+      // nothing stored yet, e.g. the run is being published
+      assert.strictEqual(await manifest.updateManifests(context, product, { listed: listed, stored: [] }, { now: '2019-03-01T01:00:00Z' }), 0)
+      assert.strictEqual(await manifest.readManifest(context.storage, runKey), null)
+
+      // the first file was stored by a cycle which crashed before writing the
+      // manifests, the second one by a resumed cycle
+      await storeFile(product, listed[0], 'first')
+      const second = await storeFile(product, listed[1], 'second')
+      await manifest.updateManifests(context, product, { listed: null, stored: [second] }, { now: '2019-03-01T02:00:00Z' })
+      assert.strictEqual((await manifest.readManifest(context.storage, runKey)).files.length, 1)
+
+      // the next complete cycle skips both files as they are already stored
+      assert.strictEqual(await manifest.updateManifests(context, product, { listed: listed, stored: [] }, { now: '2019-03-01T03:00:00Z' }), 1)
+      const written = await manifest.readManifest(context.storage, runKey)
+      assert.strictEqual(written.complete, true)
+      assert.deepStrictEqual(written.files[0], {
+        path: 't_2m/cosmo-d2_germany_regular-lat-lon_single-level_2019030100_000_T_2M.grib2.lz4',
+        url: manifest.getSourceUrl(listed[0], product.baseUrl),
+        size: 5,
+        sha256: crypto.createHash('sha256').update('first').digest('hex'),
+        downloadedAt: null,
+        lastModified: null
+      })
+    })
+
+    it('should limit the bytes read to look up stored files per cycle', async () => {
+      const product = PRODUCT_DEFINITIONS['cosmo-d2']
+      const listed = [cosmoUrl('t_2m', '000'), cosmoUrl('t_2m', '013'), cosmoUrl('t_2m', '027')]
+      const runKey = 'weather/cosmo-d2/grib/2019030100'
+      for (const url of listed) {
+        await storeFile(product, url, 'stored')
+      }
+
+      let reads = 0
+      const get = context.storage.get
+      context.storage.get = async (key) => {
+        reads = key.endsWith('manifest.json') ? reads : reads + 1
+        return get(key)
+      }
+
+      // the first file exhausts the lookup of the cycle
+      await manifest.updateManifests(context, product, { listed: listed, stored: [] }, { now: '2019-03-01T03:00:00Z', maxLookupBytes: 6 })
+      let written = await manifest.readManifest(context.storage, runKey)
+      assert.strictEqual(reads, 1)
+      assert.strictEqual(written.files.length, 1)
+      assert.strictEqual(written.complete, false)
+
+      await manifest.updateManifests(context, product, { listed: listed, stored: [] }, { now: '2019-03-01T04:00:00Z', maxLookupBytes: 12 })
+      written = await manifest.readManifest(context.storage, runKey)
+      assert.strictEqual(reads, 3)
+      assert.strictEqual(written.files.length, 3)
+      assert.strictEqual(written.complete, true)
+    })
+
+    it('should not mark a run complete if the cycle was resumed', async () => {
+      const product = PRODUCT_DEFINITIONS['cosmo-d2']
+      const stored = await storeFile(product, cosmoUrl('t_2m', '027'), 'content')
+      await manifest.updateManifests(context, product, { listed: null, stored: [stored] }, { now: '2019-03-01T02:00:00Z' })
+
+      assert.strictEqual((await manifest.readManifest(context.storage, 'weather/cosmo-d2/grib/2019030100')).complete, false)
+    })
+
+    it('should mark days complete after they settled', async () => {
+      const product = PRODUCT_DEFINITIONS.reports
+      const key = 'weather/weather_reports/poi/20190301/10704-BEOB.csv'
+      const stored = Object.assign({ url: product.baseUrl + '10704-BEOB.csv', key: key, downloadedAt: new Date('2019-03-01T12:00:00Z') }, await context.storage.put(key, 'report'))
+
+      await manifest.updateManifests(context, product, { listed: [stored.url], stored: [stored] }, { now: '2019-03-01T12:00:00Z' })
+      const dayKey = 'weather/weather_reports/poi/20190301'
+      assert.strictEqual((await manifest.readManifest(context.storage, dayKey)).files[0].lastModified, null)
+      assert.strictEqual((await manifest.readManifest(context.storage, dayKey)).complete, false)
+
+      assert.strictEqual(await manifest.updateManifests(context, product, { listed: [stored.url], stored: [] }, { now: '2019-03-03T00:00:00Z' }), 1)
+      assert.strictEqual((await manifest.readManifest(context.storage, dayKey)).complete, true)
+    })
+
+    it('should skip products without runs or days', async () => {
+      const product = { name: 'stub', pathTemplate: 'stub/{fileName}' }
+      assert.strictEqual(await manifest.updateManifests(context, product, { listed: [], stored: [] }), 0)
+    })
+  })
+})
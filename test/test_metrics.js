@@ -0,0 +1,54 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const assert = require('assert')
+const { createMetricsRegistry } = require('../lib/metrics')
+
+describe('./lib/metrics.js', () => {
+  describe('createMetricsRegistry()', () => {
+    it('should render counters and gauges in Prometheus text format', () => {
+      const metrics = createMetricsRegistry()
+      const downloaded = metrics.counter('files_downloaded_total', 'Number of files downloaded')
+      const duration = metrics.gauge('cycle_duration_seconds', 'Duration of the last cycle')
+
+      downloaded.inc({ product: 'reports' })
+      downloaded.inc({ product: 'reports' }, 2)
+      downloaded.inc({ product: 'cosmo-d2' })
+      duration.set({ product: 'reports' }, 12.5)
+      duration.set({ product: 'reports' }, 10)
+
+      assert.strictEqual(downloaded.get({ product: 'reports' }), 3)
+      assert.strictEqual(metrics.render(), [
+        '# HELP files_downloaded_total Number of files downloaded',
+        '# TYPE files_downloaded_total counter',
+        'files_downloaded_total{product="cosmo-d2"} 1',
+        'files_downloaded_total{product="reports"} 3',
+        '# HELP cycle_duration_seconds Duration of the last cycle',
+        '# TYPE cycle_duration_seconds gauge',
+        'cycle_duration_seconds{product="reports"} 10',
+        ''
+      ].join('\n'))
+    })
+
+    it('should not allow decreasing counters', () => {
+      const metrics = createMetricsRegistry()
+      const counter = metrics.counter('retries_total', 'Number of retries')
+
+      assert.throws(() => counter.inc({}, -1))
+    })
+  })
+})
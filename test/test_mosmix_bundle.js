@@ -0,0 +1,102 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const mosmixBundle = require('../lib/mosmix_bundle')
+
+const HEADER = [
+  '<?xml version="1.0" encoding="ISO-8859-1" standalone="no"?>',
+  '<kml:kml xmlns:dwd="https://opendata.dwd.de/weather/lib/pointforecast_dwd_extension_V1_0.xsd" xmlns:kml="http://www.opengis.net/kml/2.2">',
+  '<kml:Document>',
+  '<kml:ExtendedData><dwd:ProductDefinition><dwd:IssueTime>2019-03-01T09:00:00.000Z</dwd:IssueTime></dwd:ProductDefinition></kml:ExtendedData>',
+  ''
+].join('\n')
+
+function createPlacemark (stationID, description) {
+  return [
+    '<kml:Placemark>',
+    '<kml:name>' + stationID + '</kml:name>',
+    '<kml:description>' + description + '</kml:description>',
+    '<kml:ExtendedData><dwd:Forecast dwd:elementName="TTT"><dwd:value>275.15 276.15</dwd:value></dwd:Forecast></kml:ExtendedData>',
+    '<kml:Point><kml:coordinates>7.12,49.22,322.0</kml:coordinates></kml:Point>',
+    '</kml:Placemark>'
+  ].join('\n')
+}
+
+const BUNDLE = HEADER +
+  createPlacemark('10704', 'SAARBRUECKEN/ENSH.') + '\n' +
+  createPlacemark('10708', 'SAARBRÜCKEN') + '\n' +
+  '</kml:Document>\n</kml:kml>\n'
+
+async function readKml (kmzContent) {
+  const { entryName, stream } = await mosmixBundle.openKmlStream(kmzContent)
+  stream.setEncoding('latin1')
+
+  let kml = ''
+  for await (const chunk of stream) {
+    kml = kml + chunk
+  }
+
+  return { entryName, kml }
+}
+
+describe('./lib/mosmix_bundle.js', () => {
+  describe('createKmz()', () => {
+    it('should create a KMZ file holding the KML document', async () => {
+      const kmz = await mosmixBundle.createKmz('MOSMIX_S_2019030109.kml', BUNDLE)
+      assert.deepStrictEqual(await readKml(kmz), { entryName: 'MOSMIX_S_2019030109.kml', kml: BUNDLE })
+    })
+  })
+
+  describe('checkKmz()', () => {
+    it('should accept complete KMZ files', async () => {
+      assert.strictEqual(await mosmixBundle.checkKmz(await mosmixBundle.createKmz('MOSMIX_S_2019030109.kml', BUNDLE)), 1)
+    })
+
+    it('should reject truncated and corrupt zip files and zip files without KML document', async () => {
+      const kmz = await mosmixBundle.createKmz('MOSMIX_S_2019030109.kml', BUNDLE)
+      await assert.rejects(mosmixBundle.checkKmz(kmz.slice(0, kmz.length - 10)), /central directory/)
+
+      const corrupt = Buffer.from(kmz)
+      corrupt[60] = corrupt[60] ^ 0xFF
+      await assert.rejects(mosmixBundle.checkKmz(corrupt))
+
+      await assert.rejects(mosmixBundle.checkKmz(await mosmixBundle.createKmz('README.txt', 'text')), /does not contain a KML document/)
+    })
+  })
+
+  describe('splitMosmixBundle()', () => {
+    it('should split the bundle into one KML document per station', async () => {
+      const kmz = await mosmixBundle.createKmz('MOSMIX_S_2019030109.kml', BUNDLE)
+      const stations = {}
+      const numberOfStations = await mosmixBundle.splitMosmixBundle(kmz, async (stationID, kml) => {
+        stations[stationID] = kml
+      })
+
+      assert.strictEqual(numberOfStations, 2)
+      assert.deepStrictEqual(Object.keys(stations), ['10704', '10708'])
+      assert.strictEqual(stations['10708'], HEADER + createPlacemark('10708', 'SAARBRÜCKEN') + '\n</kml:Document>\n</kml:kml>\n')
+      assert(!stations['10704'].includes('10708'))
+    })
+
+    it('should reject files without placemarks', async () => {
+      const kmz = await mosmixBundle.createKmz('MOSMIX_S_2019030109.kml', HEADER + '</kml:Document>\n</kml:kml>\n')
+      await assert.rejects(mosmixBundle.splitMosmixBundle(kmz, async () => {}), /does not contain any placemark/)
+    })
+  })
+})
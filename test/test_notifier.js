@@ -0,0 +1,280 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const http = require('http')
+const {
+  createBackends,
+  createCycleEvent,
+  createFileEvent,
+  createMqttBackend,
+  createNotifier,
+  createUdpBackend,
+  createWebhookBackend
+} = require('../lib/notifier')
+
+const CYCLE = {
+  startedAt: new Date('2019-03-01T12:00:00Z'),
+  endedAt: new Date('2019-03-01T12:05:00Z'),
+  counts: { new: 2, updated: 1, unchanged: 3 }
+}
+
+const FILES = [
+  { path: '/data/a', url: 'https://example.com/a', run: '2019030112', station: '10704' },
+  { path: '/data/b', url: 'https://example.com/b', run: '2019030112', station: '10708' },
+  { path: '/data/c', url: 'https://example.com/c', run: '2019030109', station: '10704' }
+]
+
+describe('./lib/notifier.js', () => {
+  describe('createFileEvent()', () => {
+    it('should describe a single file', () => {
+      const event = createFileEvent('mosmix', { path: '/data/a', url: 'https://example.com/a', station: '10704', run: undefined })
+      assert.strictEqual(event.version, 1)
+      assert.strictEqual(event.type, 'file')
+      assert.strictEqual(event.product, 'mosmix')
+      assert.deepStrictEqual(event.file, { path: '/data/a', url: 'https://example.com/a', station: '10704' })
+    })
+  })
+
+  describe('createCycleEvent()', () => {
+    it('should summarize runs, stations and counts of a cycle', () => {
+      const event = createCycleEvent('mosmix', CYCLE, FILES)
+      assert.strictEqual(event.type, 'cycle')
+      assert.deepStrictEqual(event.cycle, {
+        startedAt: '2019-03-01T12:00:00.000Z',
+        endedAt: '2019-03-01T12:05:00.000Z',
+        counts: { new: 2, updated: 1, unchanged: 3, failed: 0 }
+      })
+      assert.deepStrictEqual(event.runs, ['2019030109', '2019030112'])
+      assert.deepStrictEqual(event.stations, ['10704', '10708'])
+      assert.deepStrictEqual(event.variables, [])
+      assert.deepStrictEqual(event.paths, ['/data/a', '/data/b', '/data/c'])
+    })
+  })
+
+  describe('createUdpBackend()', () => {
+    it('should keep the fields of the legacy broadcast for cycle events', async () => {
+      const sent = []
+      const backend = createUdpBackend({ port: 4000, send: async (message, port) => sent.push({ message, port }) })
+      await backend.publish(createCycleEvent('cosmo-d2', CYCLE, FILES))
+
+      assert.strictEqual(sent.length, 1)
+      assert.strictEqual(sent[0].port, 4000)
+      assert.strictEqual(sent[0].message.crawled, 'cosmo-d2-forecasts')
+      assert.strictEqual(sent[0].message.count, 3)
+      assert.strictEqual(sent[0].message.unchanged, 3)
+      assert.strictEqual(sent[0].message.type, 'cycle')
+      assert.strictEqual(sent[0].message.paths, undefined)
+    })
+  })
+
+  describe('createWebhookBackend()', () => {
+    let server = null
+    let received = []
+
+    before((done) => {
+      server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', (chunk) => { body += chunk })
+        req.on('end', () => {
+          received.push({ method: req.method, body: JSON.parse(body) })
+          res.end()
+        })
+      })
+      server.listen(0, '127.0.0.1', done)
+    })
+
+    after((done) => {
+      server.close(done)
+    })
+
+    it('should POST the event as JSON', async () => {
+      received = []
+      const backend = createWebhookBackend({ url: 'http://127.0.0.1:' + server.address().port + '/events' })
+      await backend.publish(createFileEvent('reports', FILES[0]))
+
+      assert.strictEqual(received.length, 1)
+      assert.strictEqual(received[0].method, 'POST')
+      assert.strictEqual(received[0].body.file.path, '/data/a')
+    })
+
+    it('should require an url', () => {
+      assert.throws(() => createWebhookBackend({}), /requires an url/)
+    })
+  })
+
+  describe('createMqttBackend()', () => {
+    it('should publish to a topic per product and event type', async () => {
+      const published = []
+      let ended = false
+      const connect = (url) => ({
+        url: url,
+        connected: true,
+        publish: (topic, payload, options, callback) => {
+          published.push({ topic, payload: JSON.parse(payload), options })
+          callback()
+        },
+        end: (force, options, callback) => {
+          ended = true
+          callback()
+        }
+      })
+
+      const backend = createMqttBackend({ url: 'mqtt://localhost', topicPrefix: 'dwd', connect: connect })
+      await backend.publish(createCycleEvent('reports', CYCLE, []))
+      await backend.close()
+
+      assert.strictEqual(published.length, 1)
+      assert.strictEqual(published[0].topic, 'dwd/reports/cycle')
+      assert.strictEqual(published[0].options.qos, 1)
+      assert(ended)
+    })
+
+    it('should fail if the broker rejects the event', async () => {
+      const connect = () => ({
+        connected: true,
+        publish: (topic, payload, options, callback) => callback(new Error('not authorized'))
+      })
+
+      const backend = createMqttBackend({ url: 'mqtt://localhost', topicPrefix: 'dwd', connect: connect })
+      await assert.rejects(backend.publish(createCycleEvent('reports', CYCLE, [])), /not authorized/)
+    })
+
+    it('should fail at once while not connected', async () => {
+      let published = false
+      const connect = () => ({
+        connected: false,
+        publish: () => { published = true }
+      })
+
+      const backend = createMqttBackend({ url: 'mqtt://127.0.0.1:1', topicPrefix: 'dwd', connect: connect })
+      await assert.rejects(backend.publish(createCycleEvent('reports', CYCLE, [])), /not connected to the broker at mqtt:\/\/127.0.0.1:1/)
+      assert.strictEqual(published, false)
+    })
+
+    it('should fail if the broker does not acknowledge the event in time', async () => {
+      const connect = () => ({
+        connected: true,
+        publish: () => {}
+      })
+
+      const backend = createMqttBackend({ url: 'mqtt://localhost', topicPrefix: 'dwd', connect: connect, timeoutMilliseconds: 20 })
+      await assert.rejects(backend.publish(createCycleEvent('reports', CYCLE, [])), /did not acknowledge the event within 20 ms/)
+    })
+  })
+
+  describe('createNotifier()', () => {
+    it('should publish file events only if enabled', async () => {
+      const events = []
+      const backend = { name: 'test', publish: async (event) => events.push(event), close: async () => {} }
+
+      let notifier = createNotifier({ backends: [backend] })
+      await notifier.notifyFile('reports', FILES[0])
+      assert.strictEqual(events.length, 0)
+
+      notifier = createNotifier({ backends: [backend], fileEvents: true })
+      await notifier.notifyFile('reports', FILES[0])
+      await notifier.notifyCycle('reports', CYCLE, FILES)
+      assert.deepStrictEqual(events.map((event) => event.type), ['file', 'cycle'])
+    })
+
+    it('should publish file events in the background before the cycle event', async () => {
+      const events = []
+      const pending = []
+      const backend = {
+        name: 'slow',
+        publish: (event) => new Promise((resolve) => pending.push(() => {
+          events.push(event.type)
+          resolve()
+        })),
+        close: async () => {}
+      }
+
+      const notifier = createNotifier({ backends: [backend], fileEvents: true })
+      notifier.notifyFile('reports', FILES[0])
+      notifier.notifyFile('reports', FILES[1])
+      const notified = notifier.notifyCycle('reports', CYCLE, FILES)
+
+      while (events.length < 3) {
+        await new Promise((resolve) => setImmediate(resolve))
+        pending.splice(0).forEach((acknowledge) => acknowledge())
+      }
+      await notified
+      assert.deepStrictEqual(events, ['file', 'file', 'cycle'])
+    })
+
+    it('should drop file events once the queue is full or the notifier is closed', async () => {
+      const events = []
+      const warnings = []
+      let acknowledge = null
+      const backend = {
+        name: 'stuck',
+        publish: (event) => new Promise((resolve) => {
+          events.push(event)
+          acknowledge = resolve
+        }),
+        close: async () => {}
+      }
+
+      const notifier = createNotifier({ backends: [backend], fileEvents: true, maxQueuedFileEvents: 2, log: { warn: (fields) => warnings.push(fields) } })
+      FILES.forEach((file) => notifier.notifyFile('reports', file))
+      notifier.notifyFile('reports', FILES[0])
+      assert.strictEqual(events.length, 1)
+
+      // the first event is being published, two are queued and one was dropped
+      const closed = notifier.close()
+      acknowledge()
+      await closed
+      notifier.notifyFile('reports', FILES[0])
+
+      assert.strictEqual(events.length, 1)
+      assert.deepStrictEqual(warnings.map((fields) => fields.dropped), [2, 1])
+    })
+
+    it('should not fail if a backend fails', async () => {
+      const events = []
+      const warnings = []
+      const notifier = createNotifier({
+        backends: [
+          { name: 'broken', publish: async () => { throw new Error('connection refused') }, close: async () => {} },
+          { name: 'test', publish: async (event) => events.push(event), close: async () => {} }
+        ],
+        log: { warn: (fields) => warnings.push(fields) }
+      })
+
+      await notifier.notifyCycle('reports', CYCLE, FILES)
+      assert.strictEqual(events.length, 1)
+      assert.strictEqual(warnings.length, 1)
+      assert.strictEqual(warnings[0].backend, 'broken')
+    })
+  })
+
+  describe('createBackends()', () => {
+    it('should create the backends named in a comma separated list', () => {
+      const backends = createBackends('udp, webhook', {
+        udp: { port: 4000, send: async () => {} },
+        webhook: { url: 'http://127.0.0.1/events' }
+      })
+      assert.deepStrictEqual(backends.map((backend) => backend.name), ['udp', 'webhook'])
+    })
+
+    it('should reject unknown backends', () => {
+      assert.throws(() => createBackends('udp,carrier-pigeon', {}), /unknown notification backend/)
+    })
+  })
+})
@@ -0,0 +1,353 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const { Readable } = require('stream')
+const processors = require('../lib/processors')
+const { createKmz, openKmlStream } = require('../lib/mosmix_bundle')
+const { renderPathTemplate } = require('../lib/crawl_engine')
+const { createLocalStorage } = require('../lib/storage')
+
+const REPORT = [
+  'surface observations;parameter',
+  'Datum;Uhrzeit',
+  'date;time',
+  '02.03.19;01:00',
+  '02.03.19;00:00',
+  '01.03.19;23:00'
+].join('\r\n')
+
+function createContext (basePath, httpClient) {
+  return {
+    httpClient: httpClient,
+    filters: { isStationAllowed: (station) => station !== '10708' },
+    log: { debug: () => {}, warn: () => {}, error: () => {} },
+    storage: createLocalStorage(basePath),
+    resolveKey: renderPathTemplate
+  }
+}
+
+// rejectWrites makes writes to keys matching the pattern fail like on a full disk
+function rejectWrites (context, pattern) {
+  const put = context.storage.put
+  context.storage.put = async (key, content) => {
+    if (pattern.test(key)) {
+      throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' })
+    }
+    return put(key, content)
+  }
+  return context
+}
+
+describe('./lib/processors.js', () => {
+  let tmpDir = null
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-processors-'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(tmpDir)
+  })
+
+  describe('extractDates()', () => {
+    it('should return the days of the report', () => {
+      assert.deepStrictEqual(processors.extractDates(REPORT.split('\r\n').map((line) => line.split(';'))), ['20190301', '20190302'])
+    })
+  })
+
+  describe('createStoreProcessor()', () => {
+    const product = { name: 'mosmix', pathTemplate: '{run}/{station}-MOSMIX.{extension}' }
+    const file = { url: 'https://stub/MOSMIX_L_2019030109_10704.kmz', fileName: 'MOSMIX_L_2019030109_10704.kmz', run: '2019030109', station: '10704', extension: 'kmz' }
+
+    it('should store new files and skip existing ones', async () => {
+      let downloads = 0
+      const context = createContext(tmpDir, {
+        request: async () => {
+          downloads++
+          return { statusCode: 200, headers: { 'last-modified': 'Fri, 01 Mar 2019 10:12:00 GMT' }, body: Buffer.from('kmz') }
+        }
+      })
+      const processor = processors.createStoreProcessor()
+
+      const result = await processor.process(file, context, product)
+      const filePath = path.join(tmpDir, '2019030109', '10704-MOSMIX.kmz')
+      assert.deepStrictEqual(result, {
+        status: 'new',
+        bytesWritten: 3,
+        files: [{
+          run: '2019030109',
+          station: '10704',
+          path: filePath,
+          key: '2019030109/10704-MOSMIX.kmz',
+          size: 3,
+          sha256: crypto.createHash('sha256').update('kmz').digest('hex'),
+          lastModified: 'Fri, 01 Mar 2019 10:12:00 GMT'
+        }]
+      })
+      assert.strictEqual(await fs.readFile(filePath, 'utf8'), 'kmz')
+
+      assert.deepStrictEqual(await processor.process(file, context, product), { status: 'unchanged' })
+      assert.strictEqual(downloads, 1)
+    })
+
+    it('should flag failing writes as fatal', async () => {
+      // a file blocking the target directory
+      await fs.writeFile(path.join(tmpDir, '2019030109'), '')
+      const context = createContext(tmpDir, { request: async () => ({ statusCode: 200, headers: {}, body: Buffer.from('kmz') }) })
+
+      await assert.rejects(processors.createStoreProcessor().process(file, context, product), (error) => error.fatal === true)
+    })
+  })
+
+  describe('createRecompressionProcessor()', () => {
+    it('should recompress the stream to an lz4 file', async () => {
+      const product = { name: 'cosmo-d2', pathTemplate: '{run}/{variable}/{baseName}.lz4' }
+      const file = { url: 'https://stub/sample.grib2.bz2', baseName: 'sample.grib2', run: '2020051100', variable: 't_2m' }
+      const fixture = await fs.readFile(path.join(__dirname, 'fixtures', 'sample.grib2.bz2'))
+      const context = createContext(tmpDir, {
+        request: async (url, options) => {
+          assert.strictEqual(options.stream, true)
+          return { statusCode: 200, headers: { 'last-modified': 'Mon, 11 May 2020 01:50:00 GMT' }, body: Readable.from([fixture]) }
+        }
+      })
+
+      const result = await processors.createRecompressionProcessor({ implementation: 'javascript' }).process(file, context, product)
+      const filePath = path.join(tmpDir, '2020051100', 't_2m', 'sample.grib2.lz4')
+      const content = await fs.readFile(filePath)
+      assert.strictEqual(result.status, 'new')
+      assert.deepStrictEqual(result.files, [{
+        run: '2020051100',
+        variable: 't_2m',
+        path: filePath,
+        key: '2020051100/t_2m/sample.grib2.lz4',
+        size: content.length,
+        sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        lastModified: 'Mon, 11 May 2020 01:50:00 GMT'
+      }])
+      assert.strictEqual(result.bytesWritten, content.length)
+    })
+
+    it('should flag failing writes as fatal, but not broken downloads', async () => {
+      const product = { name: 'cosmo-d2', pathTemplate: '{run}/{variable}/{baseName}.lz4' }
+      const file = { url: 'https://stub/sample.grib2.bz2', baseName: 'sample.grib2', run: '2020051100', variable: 't_2m' }
+      const fixture = await fs.readFile(path.join(__dirname, 'fixtures', 'sample.grib2.bz2'))
+      const processor = processors.createRecompressionProcessor({ implementation: 'javascript' })
+
+      let context = rejectWrites(createContext(tmpDir, {
+        request: async () => ({ statusCode: 200, headers: {}, body: Readable.from([fixture]) })
+      }), /lz4$/)
+      await assert.rejects(processor.process(file, context, product), (error) => error.fatal === true)
+
+      context = createContext(tmpDir, {
+        request: async () => ({ statusCode: 200, headers: {}, body: Readable.from([fixture.slice(0, 100)]) })
+      })
+      await assert.rejects(processor.process(file, context, product), (error) => error.fatal !== true)
+    })
+  })
+
+  describe('createReportProcessor()', () => {
+    const product = { name: 'reports', pathTemplate: '{date}/{fileName}' }
+    const file = { url: 'https://stub/poi/10704-BEOB.csv', fileName: '10704-BEOB.csv', station: '10704' }
+
+    it('should split reports by day and skip unchanged reports', async () => {
+      const httpClient = {
+        request: async (url, options) => {
+          if (options.headers['If-None-Match'] === '"v1"') {
+            return { statusCode: 304, headers: {} }
+          }
+
+          return { statusCode: 200, headers: { etag: '"v1"' }, body: Buffer.from(REPORT) }
+        }
+      }
+      const context = createContext(tmpDir, httpClient)
+      const processor = processors.createReportProcessor({ validatorCachePath: path.join(tmpDir, 'validators.json') })
+      await processor.prepare(context, product)
+
+      const result = await processor.process(file, context, product)
+      assert.strictEqual(result.status, 'new')
+      assert.deepStrictEqual(result.files.map((storedFile) => storedFile.date), ['20190301', '20190302'])
+
+      const content = await fs.readFile(path.join(tmpDir, '20190301', '10704-BEOB.csv'), 'utf8')
+      assert(content.includes('01.03.19;23:00'))
+      assert(!content.includes('02.03.19'))
+
+      assert.deepStrictEqual(await processor.process(file, context, product), { status: 'unchanged' })
+
+      await processor.finishCycle(context, product)
+      assert(await fs.pathExists(path.join(tmpDir, 'validators.json')))
+
+      const qualityReport = await fs.readJson(path.join(tmpDir, '20190301', '10704-BEOB.quality.json'))
+      assert.strictEqual(qualityReport.station, '10704')
+      assert.strictEqual(qualityReport.observations, 1)
+      assert.deepStrictEqual(qualityReport.missingHours, [{ from: '2019-03-01T00:00:00.000Z', to: '2019-03-01T22:00:00.000Z', hours: 23 }])
+    })
+
+    it('should store reports with changed columns as new version and flag conflicts', async () => {
+      const report = [
+        'surface observations;parameter;present_weather',
+        'Datum;Uhrzeit;aktuelles Wetter',
+        'date;time;CODE_TABLE',
+        '02.03.19;00:00;2',
+        '01.03.19;23:00;61'
+      ].join('\r\n')
+      let body = report
+      const httpClient = { request: async () => ({ statusCode: 200, headers: {}, body: Buffer.from(body) }) }
+      const context = createContext(tmpDir, httpClient)
+      const processor = processors.createReportProcessor({ validatorCachePath: path.join(tmpDir, 'validators.json') })
+      await processor.prepare(context, product)
+      await processor.process(file, context, product)
+
+      body = report.replace('01.03.19;23:00;61', '01.03.19;23:00;63')
+      await processor.process(file, context, product)
+      const content = await fs.readFile(path.join(tmpDir, '20190301', '10704-BEOB.csv'), 'utf8')
+      assert(content.endsWith('01.03.19;23:00;63'))
+      let qualityReport = await fs.readJson(path.join(tmpDir, '20190301', '10704-BEOB.quality.json'))
+      assert.deepStrictEqual(qualityReport.issues.map((issue) => issue.type), ['conflicting_duplicate'])
+
+      body = report.replace(/\r\n/g, ';x\r\n') + ';x'
+      const result = await processor.process(file, context, product)
+      assert.deepStrictEqual(result.files.map((storedFile) => path.basename(storedFile.path)), ['10704-BEOB.v2.csv', '10704-BEOB.v2.csv'])
+      assert(await fs.pathExists(path.join(tmpDir, '20190301', '10704-BEOB.csv')))
+
+      qualityReport = await fs.readJson(path.join(tmpDir, '20190301', '10704-BEOB.quality.json'))
+      assert.deepStrictEqual(qualityReport.files.map((storedFile) => storedFile.fileName), ['10704-BEOB.csv', '10704-BEOB.v2.csv'])
+      assert.deepStrictEqual(qualityReport.issues.map((issue) => issue.type), ['conflicting_duplicate', 'unknown_parameter'])
+    })
+    it('should keep replaced rows with the keep-history policy', async () => {
+      const report = 'a;b;ww\r\nc;d;WW\r\ne;f;CODE_TABLE\r\n01.03.19;23:00;61'
+      let body = report
+      const httpClient = { request: async () => ({ statusCode: 200, headers: {}, body: Buffer.from(body) }) }
+      const context = createContext(tmpDir, httpClient)
+      const processor = processors.createReportProcessor({ validatorCachePath: path.join(tmpDir, 'validators.json'), mergePolicy: 'keep-history' })
+      await processor.prepare(context, product)
+      await processor.process(file, context, product)
+
+      body = report.replace(';61', ';63')
+      await processor.process(file, context, product)
+      body = report.replace(';61', ';65')
+      await processor.process(file, context, product)
+
+      assert.strictEqual(await fs.readFile(path.join(tmpDir, '20190301', '10704-BEOB.csv'), 'utf8'), report.replace(';61', ';65'))
+      assert.strictEqual(
+        await fs.readFile(path.join(tmpDir, '20190301', '10704-BEOB.history.csv'), 'utf8'),
+        'a;b;ww\r\nc;d;WW\r\ne;f;CODE_TABLE\r\n01.03.19;23:00;61\r\n01.03.19;23:00;63'
+      )
+    })
+
+    it('should flag failing writes of reports, quality reports and histories as fatal', async () => {
+      const httpClient = { request: async () => ({ statusCode: 200, headers: {}, body: Buffer.from(REPORT) }) }
+
+      for (const pattern of [/BEOB\.csv$/, /quality\.json$/]) {
+        const context = rejectWrites(createContext(tmpDir, httpClient), pattern)
+        const processor = processors.createReportProcessor({ validatorCachePath: path.join(tmpDir, 'validators.json') })
+        await processor.prepare(context, product)
+        await assert.rejects(processor.process(file, context, product), (error) => error.fatal === true)
+      }
+
+      const processor = processors.createReportProcessor({ validatorCachePath: path.join(tmpDir, 'validators.json'), mergePolicy: 'keep-history' })
+      const context = createContext(tmpDir, httpClient)
+      await processor.prepare(context, product)
+      await processor.process(file, context, product)
+
+      httpClient.request = async () => ({ statusCode: 200, headers: {}, body: Buffer.from(REPORT.replace('01.03.19;23:00', '01.03.19;23:00;1')) })
+      rejectWrites(context, /history\.csv$/)
+      await assert.rejects(processor.process(file, context, product), (error) => error.fatal === true)
+    })
+
+    it('should reject unknown merge policies', () => {
+      assert.throws(() => processors.createReportProcessor({ validatorCachePath: 'validators.json', mergePolicy: 'random' }), /unknown merge policy/)
+    })
+  })
+
+  describe('createMosmixBundleProcessor()', () => {
+    const product = {
+      name: 'mosmix-s',
+      pathTemplate: '{run}/{fileName}',
+      stationPathTemplate: '{run}/{station}-MOSMIX.kmz'
+    }
+    const file = { url: 'https://stub/MOSMIX_S_2019030109_240.kmz', fileName: 'MOSMIX_S_2019030109_240.kmz', prefix: 'MOSMIX_S', run: '2019030109' }
+    const kml = '<kml:kml><kml:Document>\n' +
+      '<kml:Placemark><kml:name>10704</kml:name></kml:Placemark>\n' +
+      '<kml:Placemark><kml:name>10708</kml:name></kml:Placemark>\n' +
+      '<kml:Placemark><kml:name>K1174</kml:name></kml:Placemark>\n' +
+      '</kml:Document></kml:kml>'
+
+    let bundle = null
+    let httpClient = null
+
+    before(async () => {
+      bundle = await createKmz('MOSMIX_S_2019030109_240.kml', kml)
+      httpClient = {
+        request: async (url, options) => {
+          if (options.headers['If-None-Match'] === '"v1"') {
+            return { statusCode: 304, headers: {} }
+          }
+
+          return { statusCode: 200, headers: { etag: '"v1"', 'last-modified': 'Fri, 01 Mar 2019 10:30:00 GMT' }, body: bundle }
+        }
+      }
+    })
+
+    it('should split bundles into the files of the allowed stations', async () => {
+      const context = createContext(tmpDir, httpClient)
+      const processor = processors.createMosmixBundleProcessor({ validatorCachePath: path.join(tmpDir, 'validators.json'), split: true })
+      await processor.prepare(context, product)
+
+      const result = await processor.process(file, context, product)
+      assert.strictEqual(result.status, 'new')
+      assert.deepStrictEqual(result.files.map((storedFile) => storedFile.station), ['10704', 'K1174'])
+      assert(!(await fs.pathExists(path.join(tmpDir, '2019030109', '10708-MOSMIX.kmz'))))
+
+      const { entryName } = await openKmlStream(await fs.readFile(path.join(tmpDir, '2019030109', 'K1174-MOSMIX.kmz')))
+      assert.strictEqual(entryName, 'MOSMIX_S_2019030109_K1174.kml')
+
+      assert.deepStrictEqual(await processor.process(file, context, product), { status: 'unchanged' })
+    })
+
+    it('should store bundles as they are unless splitting is enabled', async () => {
+      const context = createContext(tmpDir, httpClient)
+      const processor = processors.createMosmixBundleProcessor({ validatorCachePath: path.join(tmpDir, 'validators.json'), split: false })
+      await processor.prepare(context, product)
+
+      const result = await processor.process(file, context, product)
+      assert.deepStrictEqual(result.files, [{
+        path: path.join(tmpDir, '2019030109', 'MOSMIX_S_2019030109_240.kmz'),
+        key: '2019030109/MOSMIX_S_2019030109_240.kmz',
+        size: bundle.length,
+        sha256: crypto.createHash('sha256').update(bundle).digest('hex'),
+        run: '2019030109',
+        lastModified: 'Fri, 01 Mar 2019 10:30:00 GMT'
+      }])
+      assert(bundle.equals(await fs.readFile(result.files[0].path)))
+    })
+
+    it('should flag failing writes as fatal', async () => {
+      for (const split of [true, false]) {
+        const context = rejectWrites(createContext(tmpDir, httpClient), /\.kmz$/)
+        const processor = processors.createMosmixBundleProcessor({ validatorCachePath: path.join(tmpDir, 'validators.json'), split: split })
+        await processor.prepare(context, product)
+        await assert.rejects(processor.process(file, context, product), (error) => error.fatal === true)
+      }
+    })
+  })
+})
@@ -0,0 +1,229 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const _ = require('lodash')
+const products = require('../lib/products')
+const { createHttpClient } = require('../lib/http_client')
+
+// Directory listings of MOSMIX_L as served by opendata.dwd.de, keyed by path
+const LISTINGS = {
+  '/mos/': ['../', '10704/', '10708/', 'K1174/'],
+  '/mos/10704/kml/': ['../', 'MOSMIX_L_2019030109_10704.kmz', 'MOSMIX_L_LATEST_10704.kmz'],
+  '/mos/10708/kml/': ['../', 'MOSMIX_L_2019030109_10708.kmz'],
+  '/icon-d2/': ['../', '00/'],
+  '/icon-d2/00/': ['../', 't/', 't_2m/'],
+  '/icon-d2/00/t/': [
+    '../',
+    'icon-d2_germany_icosahedral_model-level_2021010100_000_10_t.grib2.bz2',
+    'icon-d2_germany_regular-lat-lon_pressure-level_2021010100_000_500_t.grib2.bz2'
+  ],
+  '/icon-d2/00/t_2m/': [
+    '../',
+    'icon-d2_germany_icosahedral_single-level_2021010100_000_2d_t_2m.grib2.bz2',
+    'icon-d2_germany_regular-lat-lon_single-level_2021010100_000_2d_t_2m.grib2.bz2'
+  ]
+}
+
+function createStubClient (requestedPaths) {
+  return createHttpClient({
+    transport: async (url) => {
+      requestedPaths.push(new URL(url).pathname)
+      const hrefs = LISTINGS[new URL(url).pathname]
+      if (_.isNil(hrefs)) {
+        return { statusCode: 404, headers: {}, body: Buffer.from('') }
+      }
+
+      const html = _.map(hrefs, (href) => '<a href="' + href + '">' + href + '</a>').join('\n')
+      return { statusCode: 200, headers: {}, body: Buffer.from(html) }
+    }
+  })
+}
+
+describe('./lib/products.js', () => {
+  describe('parseReportUrl()', () => {
+    it('should extract the station', () => {
+      assert.deepStrictEqual(products.parseReportUrl('https://stub/poi/10704-BEOB.csv'), {
+        fileName: '10704-BEOB.csv',
+        station: '10704'
+      })
+    })
+  })
+
+  describe('parseMosmixUrl()', () => {
+    it('should extract run, station and extension', () => {
+      assert.deepStrictEqual(products.parseMosmixUrl('https://stub/mos/10704/kml/MOSMIX_L_2019030109_10704.kmz'), {
+        fileName: 'MOSMIX_L_2019030109_10704.kmz',
+        run: '2019030109',
+        station: '10704',
+        extension: 'kmz'
+      })
+    })
+
+    it('should reject unexpected file names', () => {
+      assert.throws(() => products.parseMosmixUrl('https://stub/mos/10704/kml/index.html'), /file name is invalid/)
+    })
+  })
+
+  describe('parseMosmixBundleUrl()', () => {
+    it('should extract prefix and run of MOSMIX_S and MOSMIX_L files', () => {
+      assert.deepStrictEqual(products.parseMosmixBundleUrl('https://stub/MOSMIX_S/all_stations/kml/MOSMIX_S_2019030109_240.kmz'), {
+        fileName: 'MOSMIX_S_2019030109_240.kmz',
+        prefix: 'MOSMIX_S',
+        run: '2019030109'
+      })
+      assert.strictEqual(products.parseMosmixBundleUrl('https://stub/MOSMIX_L/all_stations/kml/MOSMIX_L_2019030103.kmz').prefix, 'MOSMIX_L')
+    })
+  })
+
+  describe('parseCosmoD2Url()', () => {
+    it('should extract run and variable', () => {
+      const url = 'https://stub/grib/00/t_2m/cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_T_2M.grib2.bz2'
+      assert.deepStrictEqual(products.parseCosmoD2Url(url), {
+        fileName: 'cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_T_2M.grib2.bz2',
+        baseName: 'cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_T_2M.grib2',
+        run: '2020051100',
+        variable: 't_2m'
+      })
+    })
+
+    it('should reject unexpected file names', () => {
+      assert.throws(() => products.parseCosmoD2Url('https://stub/grib/00/t_2m/T_2M.grib2.bz2'), /file name is invalid/)
+    })
+  })
+
+  describe('parseIconFileName()', () => {
+    it('should parse single-level files of ICON-D2', () => {
+      assert.deepStrictEqual(products.parseIconFileName('icon-d2_germany_regular-lat-lon_single-level_2021010100_000_2d_t_2m.grib2.bz2'), {
+        model: 'icon-d2',
+        domain: 'germany',
+        grid: 'regular-lat-lon',
+        levelType: 'single-level',
+        run: '2021010100',
+        step: '000',
+        level: '2d',
+        fileVariable: 't_2m'
+      })
+    })
+
+    it('should parse model-level and pressure-level files on both grids', () => {
+      const modelLevel = products.parseIconFileName('icon-eu_europe_regular-lat-lon_model-level_2021010100_012_10_T.grib2.bz2')
+      assert.deepStrictEqual(_.pick(modelLevel, ['model', 'levelType', 'step', 'level', 'fileVariable']), {
+        model: 'icon-eu',
+        levelType: 'model-level',
+        step: '012',
+        level: '10',
+        fileVariable: 'T'
+      })
+
+      const pressureLevel = products.parseIconFileName('icon-d2_germany_icosahedral_pressure-level_2021010100_000_500_fi.grib2.bz2')
+      assert.strictEqual(pressureLevel.grid, 'icosahedral')
+      assert.strictEqual(pressureLevel.level, '500')
+    })
+
+    it('should parse single-level files of ICON-EU and time-invariant files', () => {
+      const singleLevel = products.parseIconFileName('icon-eu_europe_regular-lat-lon_single-level_2021010100_000_TOT_PREC.grib2.bz2')
+      assert.strictEqual(singleLevel.level, null)
+      assert.strictEqual(singleLevel.fileVariable, 'TOT_PREC')
+
+      const timeInvariant = products.parseIconFileName('icon-eu_europe_regular-lat-lon_time-invariant_2021010100_HSURF.grib2.bz2')
+      assert.strictEqual(timeInvariant.levelType, 'time-invariant')
+      assert.strictEqual(timeInvariant.step, null)
+      assert.strictEqual(timeInvariant.fileVariable, 'HSURF')
+    })
+
+    it('should return null for other file names', () => {
+      assert.strictEqual(products.parseIconFileName('cosmo-d2_germany_regular-lat-lon_single-level_2020051100_000_T_2M.grib2.bz2'), null)
+    })
+  })
+
+  describe('parseIconUrl()', () => {
+    it('should add the variable of the directory and the base name', () => {
+      const file = products.parseIconUrl('https://stub/icon-d2/00/t_2m/icon-d2_germany_regular-lat-lon_single-level_2021010100_000_2d_t_2m.grib2.bz2')
+      assert.strictEqual(file.variable, 't_2m')
+      assert.strictEqual(file.run, '2021010100')
+      assert.strictEqual(file.baseName, 'icon-d2_germany_regular-lat-lon_single-level_2021010100_000_2d_t_2m.grib2')
+    })
+
+    it('should reject unexpected file names', () => {
+      assert.throws(() => products.parseIconUrl('https://stub/icon-d2/00/t_2m/t_2m.grib2.bz2'), /file name is invalid/)
+    })
+  })
+
+  describe('listIconGrib2Tree()', () => {
+    it('should list the files on the selected grids and level types', async () => {
+      const context = {
+        httpClient: createStubClient([]),
+        filters: { isVariableAllowed: () => true }
+      }
+      const product = products.createProduct(products.PRODUCT_DEFINITIONS['icon-d2'], {
+        grids: 'regular-lat-lon, icosahedral',
+        levelTypes: 'single-level,pressure-level'
+      })
+
+      const files = await products.listIconGrib2Tree('https://stub/icon-d2/', context, product)
+      assert.deepStrictEqual(files, [
+        'https://stub/icon-d2/00/t/icon-d2_germany_regular-lat-lon_pressure-level_2021010100_000_500_t.grib2.bz2',
+        'https://stub/icon-d2/00/t_2m/icon-d2_germany_icosahedral_single-level_2021010100_000_2d_t_2m.grib2.bz2',
+        'https://stub/icon-d2/00/t_2m/icon-d2_germany_regular-lat-lon_single-level_2021010100_000_2d_t_2m.grib2.bz2'
+      ])
+    })
+
+    it('should list single-level files in regular coordinates by default', async () => {
+      const context = {
+        httpClient: createStubClient([]),
+        filters: { isVariableAllowed: () => true }
+      }
+      const product = products.createProduct(products.PRODUCT_DEFINITIONS['icon-d2'], {})
+
+      const files = await products.listIconGrib2Tree('https://stub/icon-d2/', context, product)
+      assert.deepStrictEqual(files, [
+        'https://stub/icon-d2/00/t_2m/icon-d2_germany_regular-lat-lon_single-level_2021010100_000_2d_t_2m.grib2.bz2'
+      ])
+    })
+  })
+
+  describe('listStationDirectories()', () => {
+    it('should list the files of the allowed stations only', async () => {
+      const requestedPaths = []
+      const context = {
+        httpClient: createStubClient(requestedPaths),
+        filters: { isStationAllowed: (station) => station !== '10708' },
+        log: { info: _.noop, error: _.noop }
+      }
+
+      const files = await products.listStationDirectories('https://stub/mos/', context, { name: 'mosmix', concurrency: 2 })
+      assert.deepStrictEqual(files, ['https://stub/mos/10704/kml/MOSMIX_L_2019030109_10704.kmz'])
+      assert(!_.includes(requestedPaths, '/mos/10708/kml/'))
+    })
+  })
+
+  describe('createProduct()', () => {
+    it('should override the defaults of the definition by the settings', () => {
+      const product = products.createProduct(products.PRODUCT_DEFINITIONS.mosmix, {
+        cycleWaitMinutes: 60,
+        retryWaitMinutes: undefined,
+        concurrency: 8
+      })
+
+      assert.deepStrictEqual(product.schedule, { cycleWaitMinutes: 60, retryWaitMinutes: 1 })
+      assert.strictEqual(product.concurrency, 8)
+      assert(_.isFunction(product.processor.process))
+    })
+  })
+})
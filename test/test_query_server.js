@@ -0,0 +1,95 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs-extra')
+const got = require('got')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { createQueryServer } = require('../lib/query_server')
+
+// Request a path as is; got rejects paths holding malformed escapes itself
+function requestRawPath (baseUrl, rawPath) {
+  return new Promise((resolve, reject) => {
+    http.get(baseUrl + rawPath, (res) => {
+      let body = ''
+      res.on('data', (chunk) => { body = body + chunk })
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }))
+    }).on('error', reject)
+  })
+}
+
+describe('./lib/query_server.js', () => {
+  describe('createQueryServer()', () => {
+    let server = null
+    let baseUrl = null
+    let tmpDir = null
+
+    before(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-query-server-'))
+      await fs.copy(
+        path.join(__dirname, 'fixtures', 'MOSMIX_L_2019030109_10704.kmz'),
+        path.join(tmpDir, 'weather', 'local_forecasts', 'mos', '2019030109', '10704-MOSMIX.kmz')
+      )
+
+      server = createQueryServer({ basePath: tmpDir })
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+      baseUrl = 'http://127.0.0.1:' + server.address().port
+    })
+
+    after(async () => {
+      await new Promise((resolve) => server.close(resolve))
+      await fs.remove(tmpDir)
+    })
+
+    it('should answer queries as JSON', async () => {
+      const response = await got(baseUrl + '/mosmix/10704?run=latest', { responseType: 'json' })
+      assert.strictEqual(response.body.run, '2019030109')
+      assert.deepStrictEqual(response.body.timeSeries.TTT[0], { timestamp: '2019-03-01T10:00:00.000Z', value: 279.45 })
+    })
+
+    it('should answer queries as CSV if requested', async () => {
+      const response = await got(baseUrl + '/mosmix/10704?format=csv')
+      assert.strictEqual(response.headers['content-type'], 'text/csv; charset=utf-8')
+      assert.strictEqual(response.body.split('\r\n')[0], 'timestamp,TTT,FF,Rad1h,ww')
+      assert.strictEqual(response.body.split('\r\n')[1], '2019-03-01T10:00:00.000Z,279.45,3.09,,2')
+    })
+
+    it('should answer invalid queries with the status code of the error', async () => {
+      let response = await got(baseUrl + '/mosmix/10708', { throwHttpErrors: false, responseType: 'json' })
+      assert.strictEqual(response.statusCode, 404)
+      assert.strictEqual(response.body.error, 'no data found')
+
+      response = await got(baseUrl + '/nwp/cosmo-d2/t_2m?lat=north', { throwHttpErrors: false, responseType: 'json' })
+      assert.strictEqual(response.statusCode, 400)
+
+      response = await requestRawPath(baseUrl, '/reports/%E0')
+      assert.strictEqual(response.statusCode, 400)
+      assert.strictEqual(response.body.error, 'invalid path segment: %E0')
+
+      response = await got(baseUrl + '/unknown', { throwHttpErrors: false })
+      assert.strictEqual(response.statusCode, 404)
+    })
+
+    it('should serve the OpenAPI documentation', async () => {
+      const response = await got(baseUrl + '/openapi.json', { responseType: 'json' })
+      assert.deepStrictEqual(Object.keys(response.body.paths), ['/reports/{station}', '/mosmix/{station}', '/nwp/{model}/{variable}', '/openapi.json'])
+    })
+  })
+})
@@ -0,0 +1,152 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const lz4 = require('lz4js')
+const xxh32 = require('lz4js/xxh32')
+const { Readable } = require('stream')
+const recompression = require('../lib/recompression')
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'sample.grib2.bz2')
+
+// the uncompressed content of the fixture
+function expectedContent () {
+  const body = Buffer.alloc(256 * 40)
+  for (let i = 0; i < body.length; i++) {
+    body[i] = i % 256
+  }
+  return Buffer.concat([Buffer.from('GRIB'), body, Buffer.from('7777')])
+}
+
+describe('./lib/recompression.js', () => {
+  describe('recompressBz2ToLz4()', () => {
+    let tmpDir = null
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-recompression-'))
+    })
+
+    afterEach(async () => {
+      await fs.remove(tmpDir)
+    })
+
+    it('should recompress using plain JavaScript', async () => {
+      const targetPath = path.join(tmpDir, 'sample.grib2.lz4')
+      const used = await recompression.recompressBz2ToLz4(fs.createReadStream(FIXTURE_PATH), targetPath, { implementation: 'javascript' })
+
+      assert.strictEqual(used, 'javascript')
+      const content = Buffer.from(lz4.decompress(await fs.readFile(targetPath)))
+      assert(content.equals(expectedContent()))
+      assert.deepStrictEqual(await fs.readdir(tmpDir), ['sample.grib2.lz4'])
+    })
+
+    it('should recompress using the bzip2 and lz4 commands if available', async function () {
+      if (!(await recompression.hasNativeTools())) {
+        this.skip()
+      }
+
+      const targetPath = path.join(tmpDir, 'sample.grib2.lz4')
+      await recompression.recompressBz2ToLz4(fs.createReadStream(FIXTURE_PATH), targetPath, { implementation: 'native' })
+
+      const content = Buffer.from(lz4.decompress(await fs.readFile(targetPath)))
+      assert(content.equals(expectedContent()))
+      assert.deepStrictEqual(await fs.readdir(tmpDir), ['sample.grib2.lz4'])
+    })
+
+    it('should leave neither target nor temporary file behind on errors', async () => {
+      const targetPath = path.join(tmpDir, 'broken.grib2.lz4')
+      const source = Readable.from([Buffer.from('this is not bzip2 compressed')])
+
+      await assert.rejects(recompression.recompressBz2ToLz4(source, targetPath, { implementation: 'javascript' }))
+      assert.deepStrictEqual(await fs.readdir(tmpDir), [])
+    })
+  })
+
+  describe('pipeBz2ToLz4()', () => {
+    it('should fail the output if the native commands fail', async function () {
+      if (!(await recompression.hasNativeTools())) {
+        this.skip()
+      }
+
+      let consumed = false
+      const source = Readable.from([Buffer.from('this is not bzip2 compressed')])
+      await assert.rejects(recompression.pipeBz2ToLz4(source, async (output) => {
+        for await (const chunk of output) {
+          assert(chunk)
+        }
+        consumed = true
+      }, { implementation: 'native' }), /bzip2 exited/)
+      assert.strictEqual(consumed, false)
+    })
+  })
+
+  describe('decompressLz4Checked()', () => {
+    it('should decompress frames written by lz4js', () => {
+      const compressed = Buffer.from(lz4.compress(expectedContent()))
+      assert(recompression.decompressLz4Checked(compressed).equals(expectedContent()))
+      assert(recompression.decompressLz4Checked(Buffer.concat([compressed, compressed])).equals(Buffer.concat([expectedContent(), expectedContent()])))
+    })
+
+    it('should verify the checksums of frames written by the lz4 command', async function () {
+      if (!(await recompression.hasNativeTools())) {
+        this.skip()
+      }
+
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-recompression-'))
+      try {
+        const targetPath = path.join(tmpDir, 'sample.grib2.lz4')
+        await recompression.recompressBz2ToLz4(fs.createReadStream(FIXTURE_PATH), targetPath, { implementation: 'native' })
+        const compressed = await fs.readFile(targetPath)
+        assert(recompression.decompressLz4Checked(compressed).equals(expectedContent()))
+
+        const corrupt = Buffer.from(compressed)
+        corrupt[compressed.length - 1] = corrupt[compressed.length - 1] ^ 0xFF
+        assert.throws(() => recompression.decompressLz4Checked(corrupt), /content checksum mismatch/)
+      } finally {
+        await fs.remove(tmpDir)
+      }
+    })
+
+    it('should reject truncated frames, invalid headers and trailing data', () => {
+      const compressed = Buffer.from(lz4.compress(expectedContent()))
+      assert.throws(() => recompression.decompressLz4Checked(compressed.slice(0, compressed.length - 10)), /truncated/)
+      assert.throws(() => recompression.decompressLz4Checked(Buffer.concat([compressed, Buffer.from('x')])), /truncated within a magic number/)
+      assert.throws(() => recompression.decompressLz4Checked(Buffer.from('this is not lz4 compressed')), /invalid lz4 magic number/)
+      assert.throws(() => recompression.decompressLz4Checked(Buffer.alloc(0)), /empty/)
+
+      const corrupt = Buffer.from(compressed)
+      corrupt[5] = corrupt[5] ^ 0x01
+      assert.throws(() => recompression.decompressLz4Checked(corrupt), /descriptor checksum mismatch/)
+    })
+
+    it('should not trust the content size of the frame descriptor for allocating memory', () => {
+      // an empty frame claiming to hold 1 TB
+      const descriptor = Buffer.from([0x68, 0x40, 0, 0, 0, 0, 0, 1, 0, 0])
+      const frame = Buffer.concat([
+        Buffer.from([0x04, 0x22, 0x4D, 0x18]),
+        descriptor,
+        Buffer.from([(xxh32.hash(0, descriptor, 0, descriptor.length) >>> 8) & 0xFF]),
+        Buffer.alloc(4)
+      ])
+
+      assert.throws(() => recompression.decompressLz4Checked(frame), /holds 0 bytes instead of 1099511627776/)
+    })
+  })
+})
@@ -0,0 +1,186 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const dwdCsv = require('../lib/dwd_csv')
+const reportQuality = require('../lib/report_quality')
+
+const PARAMETERS = [
+  { name: 'dry_bulb_temperature_at_2_meter_above_ground', unit: 'Grad C', type: 'number' },
+  { name: 'present_weather', unit: 'CODE_TABLE', type: 'code' }
+]
+
+const HEADER = [
+  'surface observations;parameter;dry_bulb_temperature_at_2_meter_above_ground;present_weather',
+  'Parameterbeschreibung;Datum;Temperatur (2m);aktuelles Wetter',
+  'Einheit;Uhrzeit;Grad C;CODE_TABLE'
+]
+
+function createTable (rows, header) {
+  return dwdCsv.parseCSV((header || HEADER).concat(rows).join('\r\n'))
+}
+
+describe('./lib/report_quality.js', () => {
+  describe('loadReportParameters()', () => {
+    it('should load the catalogue shipped with the crawler', async () => {
+      const parameters = await reportQuality.loadReportParameters()
+      assert(parameters.length > 0)
+      assert(parameters.every((parameter) => parameter.type === 'number' || parameter.type === 'code'))
+    })
+  })
+
+  describe('getVersionedFileName()', () => {
+    it('should keep the file name for version 1 and append the version otherwise', () => {
+      assert.strictEqual(reportQuality.getVersionedFileName('10704-BEOB.csv', 1), '10704-BEOB.csv')
+      assert.strictEqual(reportQuality.getVersionedFileName('10704-BEOB.csv', 2), '10704-BEOB.v2.csv')
+      assert.strictEqual(reportQuality.getQualityReportFileName('10704-BEOB.csv'), '10704-BEOB.quality.json')
+    })
+  })
+
+  describe('parseReportHeader()', () => {
+    it('should parse the parameters and flag unknown parameters and units', () => {
+      const header = reportQuality.parseReportHeader(createTable([], [
+        HEADER[0] + ';new_parameter',
+        HEADER[1] + ';Neu',
+        'Einheit;Uhrzeit;K;CODE_TABLE;m'
+      ]), PARAMETERS)
+
+      assert.deepStrictEqual(header.columns[0], {
+        name: 'dry_bulb_temperature_at_2_meter_above_ground',
+        description: 'Temperatur (2m)',
+        unit: 'K',
+        known: true,
+        type: 'number'
+      })
+      assert.deepStrictEqual(header.issues, [
+        { type: 'unexpected_unit', column: 'dry_bulb_temperature_at_2_meter_above_ground', unit: 'K', expectedUnit: 'Grad C' },
+        { type: 'unknown_parameter', column: 'new_parameter' }
+      ])
+    })
+  })
+
+  describe('validateReportRows()', () => {
+    it('should flag invalid dates, incomplete rows and invalid values', () => {
+      const table = createTable([
+        '01.03.19;23:00;5,2;---',
+        '01.03.19;22:00;n/a;6,1',
+        '01.03.19;21:00;5,8',
+        '01.03.19;25:00;5,8;2'
+      ])
+      const header = reportQuality.parseReportHeader(table, PARAMETERS)
+
+      assert.deepStrictEqual(reportQuality.validateReportRows(table, header.columns), [
+        { type: 'invalid_value', timestamp: '2019-03-01T22:00:00.000Z', column: 'dry_bulb_temperature_at_2_meter_above_ground', value: 'n/a' },
+        { type: 'invalid_value', timestamp: '2019-03-01T22:00:00.000Z', column: 'present_weather', value: '6,1' },
+        { type: 'incomplete_row', timestamp: '2019-03-01T21:00:00.000Z', columns: 1 },
+        { type: 'invalid_date', row: '01.03.19;25:00;5,8;2' }
+      ])
+    })
+  })
+
+  describe('mergeReportTables()', () => {
+    it('should add new rows, drop other days and flag conflicting duplicates', () => {
+      const stored = createTable([
+        '01.03.19;22:00;5,6;61',
+        '01.03.19;21:00;5,9;61'
+      ])
+      const report = createTable([
+        '02.03.19;00:00;4,8;2',
+        '01.03.19;23:00;5,2;---',
+        '01.03.19;22:00;5,7;61',
+        'garbage'
+      ])
+
+      const merged = reportQuality.mergeReportTables(stored, report, '01.03.19')
+      assert.deepStrictEqual(dwdCsv.generateCSV(merged.table), HEADER.concat([
+        '01.03.19;23:00;5,2;---',
+        '01.03.19;22:00;5,7;61',
+        '01.03.19;21:00;5,9;61'
+      ]).join('\r\n'))
+      assert.deepStrictEqual(merged.conflicts, [{
+        type: 'conflicting_duplicate',
+        timestamp: '2019-03-01T22:00:00.000Z',
+        storedRow: '01.03.19;22:00;5,6;61',
+        newRow: '01.03.19;22:00;5,7;61',
+        kept: 'new'
+      }])
+    })
+
+    it('should reject reports with a different header', () => {
+      const stored = createTable([])
+      const report = createTable([], [HEADER[0] + ';x', HEADER[1] + ';x', HEADER[2] + ';x'])
+      assert(!reportQuality.hasSameHeader(stored, report))
+      assert.throws(() => reportQuality.mergeReportTables(stored, report, '01.03.19'), /different table headings/)
+    })
+  })
+
+  describe('findMissingHours()', () => {
+    it('should group missing hours into gaps', () => {
+      const gaps = reportQuality.findMissingHours(
+        [new Date('2019-03-01T00:00Z'), new Date('2019-03-01T03:00Z'), new Date('2019-03-01T04:10Z')],
+        new Date('2019-03-01T00:00Z'),
+        new Date('2019-03-01T07:00Z')
+      )
+
+      assert.deepStrictEqual(gaps, [
+        { from: new Date('2019-03-01T01:00Z'), to: new Date('2019-03-01T02:00Z'), hours: 2 },
+        { from: new Date('2019-03-01T05:00Z'), to: new Date('2019-03-01T07:00Z'), hours: 3 }
+      ])
+    })
+  })
+
+  describe('createQualityReport()', () => {
+    it('should summarize all versions of a day up to the current hour', () => {
+      const qualityReport = reportQuality.createQualityReport({
+        station: '10704',
+        date: '20190301',
+        now: new Date('2019-03-01T04:30Z'),
+        parameters: PARAMETERS,
+        files: [{
+          fileName: '10704-BEOB.csv',
+          version: 1,
+          table: createTable(['01.03.19;01:00;5,6;61', '01.03.19;00:00;5,9;61'])
+        }, {
+          fileName: '10704-BEOB.v2.csv',
+          version: 2,
+          table: createTable(['01.03.19;04:00;5,2;2;1'], [HEADER[0] + ';x', HEADER[1] + ';x', HEADER[2] + ';x'])
+        }]
+      })
+
+      assert.strictEqual(qualityReport.expectedObservations, 5)
+      assert.strictEqual(qualityReport.observations, 3)
+      assert.deepStrictEqual(qualityReport.files.map((file) => file.observations), [2, 1])
+      assert.deepStrictEqual(qualityReport.missingHours, [
+        { from: new Date('2019-03-01T02:00Z'), to: new Date('2019-03-01T03:00Z'), hours: 2 }
+      ])
+      assert.deepStrictEqual(qualityReport.issues, [{ fileName: '10704-BEOB.v2.csv', type: 'unknown_parameter', column: 'x' }])
+    })
+  })
+
+  describe('checkStoredReport()', () => {
+    it('should count the observations of the day', () => {
+      assert.strictEqual(reportQuality.checkStoredReport(HEADER.concat(['01.03.19;23:00;5,2;---', '01.03.19;22:00;5,6;61']).join('\r\n'), '20190301'), 2)
+    })
+
+    it('should reject malformed files and observations of other days', () => {
+      assert.throws(() => reportQuality.checkStoredReport(HEADER.concat(['01.03.19;23:00;5,2']).join('\r\n'), '20190301'), /has 3 instead of 4 columns/)
+      assert.throws(() => reportQuality.checkStoredReport(HEADER.join('\r\n'), '20190301'), /does not contain any observation/)
+      assert.throws(() => reportQuality.checkStoredReport(HEADER.concat(['02.03.19;00:00;5,2;---']).join('\r\n'), '20190301'), /1 observation\(s\) do not belong to 20190301/)
+    })
+  })
+})
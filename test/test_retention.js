@@ -0,0 +1,113 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const tar = require('tar')
+const retention = require('../lib/retention')
+
+const NOW = new Date('2019-04-15T00:00:00Z')
+const GRIB = path.join('weather', 'cosmo-d2', 'grib')
+const REPORTS = path.join('weather', 'weather_reports', 'poi')
+
+/**
+ * createArchive fills a directory with COSMO-D2 runs and reports of March
+ * and April 2019
+ */
+async function createArchive (basePath) {
+  for (const run of ['2019030100', '2019033121', '2019041000', '2019041421']) {
+    await fs.outputFile(path.join(basePath, GRIB, run, 't_2m', 'cosmo-d2_' + run + '_T_2M.grib2.lz4'), run)
+  }
+  await fs.outputFile(path.join(basePath, GRIB, 'latest', 't_2m', 'unexpected.grib2.lz4'), 'latest')
+  await fs.outputFile(path.join(basePath, REPORTS, '20190301', '10704-BEOB.csv'), 'report')
+  await fs.outputFile(path.join(basePath, REPORTS, '20190414', '10704-BEOB.csv'), 'report')
+}
+
+describe('./lib/retention.js', () => {
+  let tmpDir = null
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-retention-'))
+    await createArchive(path.join(tmpDir, 'hot'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(tmpDir)
+  })
+
+  describe('validateRule()', () => {
+    it('should fill in the defaults and reject invalid rules', () => {
+      assert.strictEqual(retention.validateRule({ product: 'reports', action: 'delete', olderThanDays: 30 }).name, 'reports-delete-30d')
+      assert.throws(() => retention.validateRule({ product: 'unknown', action: 'delete', olderThanDays: 30 }), /unknown product/)
+      assert.throws(() => retention.validateRule({ product: 'reports', action: 'shred', olderThanDays: 30 }), /unknown action/)
+      assert.throws(() => retention.validateRule({ product: 'reports', action: 'delete' }), /olderThanDays/)
+      assert.throws(() => retention.validateRule({ product: 'reports', action: 'move', olderThanDays: 30 }), /targetBasePath/)
+    })
+  })
+
+  describe('applyRetentionRule()', () => {
+    it('should only report what would be done in a dry run', async () => {
+      const rule = retention.validateRule({ product: 'cosmo-d2', action: 'delete', olderThanDays: 7 })
+      const report = await retention.applyRetentionRule(rule, { basePath: path.join(tmpDir, 'hot'), now: NOW, dryRun: true })
+
+      assert.deepStrictEqual(report.units, [path.join(GRIB, '2019030100'), path.join(GRIB, '2019033121')])
+      assert.strictEqual(report.files, 2)
+      assert.strictEqual(report.bytes, 20)
+      assert(await fs.pathExists(path.join(tmpDir, 'hot', GRIB, '2019030100')))
+    })
+
+    it('should move expired files to the target base path and delete them there', async () => {
+      const rules = [
+        retention.validateRule({ product: 'cosmo-d2', action: 'move', olderThanDays: 7, targetBasePath: path.join(tmpDir, 'cold') }),
+        retention.validateRule({ product: 'cosmo-d2', action: 'delete', olderThanDays: 30, basePath: path.join(tmpDir, 'cold') })
+      ]
+      const reports = await retention.applyRetentionRules(rules, { basePath: path.join(tmpDir, 'hot'), now: NOW })
+
+      assert.deepStrictEqual(reports.map((report) => report.files), [2, 1])
+      assert.deepStrictEqual(await fs.readdir(path.join(tmpDir, 'hot', GRIB)), ['2019041000', '2019041421', 'latest'])
+      assert.deepStrictEqual(await fs.readdir(path.join(tmpDir, 'cold', GRIB)), ['2019033121'])
+      assert.deepStrictEqual(reports[0].errors, [])
+    })
+
+    it('should move the manifest along with its run', async () => {
+      await fs.outputJson(path.join(tmpDir, 'hot', GRIB, '2019033121', 'manifest.json'), { complete: true })
+      const rule = retention.validateRule({ product: 'cosmo-d2', action: 'move', olderThanDays: 7, targetBasePath: path.join(tmpDir, 'cold') })
+      const report = await retention.applyRetentionRule(rule, { basePath: path.join(tmpDir, 'hot'), now: NOW })
+
+      assert.strictEqual(report.files, 3)
+      assert.deepStrictEqual(await fs.readJson(path.join(tmpDir, 'cold', GRIB, '2019033121', 'manifest.json')), { complete: true })
+      assert(!await fs.pathExists(path.join(tmpDir, 'hot', GRIB, '2019033121')))
+    })
+
+    it('should pack complete months into a single archive', async () => {
+      const rule = retention.validateRule({ product: 'reports', action: 'archive', olderThanDays: 7 })
+      const report = await retention.applyRetentionRule(rule, { basePath: path.join(tmpDir, 'hot'), now: NOW })
+
+      const archivePath = path.join(tmpDir, 'hot', REPORTS, '201903.tar.gz')
+      assert.deepStrictEqual(report.units, ['201903'])
+      assert.deepStrictEqual(report.archives, [archivePath])
+      assert.deepStrictEqual(await fs.readdir(path.join(tmpDir, 'hot', REPORTS)), ['201903.tar.gz', '20190414'])
+
+      const entries = []
+      await tar.t({ file: archivePath, onentry: (entry) => entries.push(entry.path) })
+      assert.deepStrictEqual(entries, ['20190301/10704-BEOB.csv'])
+    })
+  })
+})
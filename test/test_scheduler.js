@@ -0,0 +1,135 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const _ = require('lodash')
+const scheduler = require('../lib/scheduler')
+const { PRODUCT_DEFINITIONS, createProduct } = require('../lib/products')
+
+const COSMO_D2_RULE = { latencyMinutes: 105, windowMinutes: 60, pollMinutes: 5, idleMinutes: 60 }
+const COSMO_D2_RUN_HOURS = _.range(0, 24, 3)
+
+/**
+ * next determines the next time after the given ISO time as ISO string
+ */
+function next (getNextRun, time) {
+  return getNextRun(new Date(time)).toISOString()
+}
+
+describe('./lib/scheduler.js', () => {
+  describe('parseCronExpression()', () => {
+    it('should expand values, ranges, steps and lists', () => {
+      const cron = scheduler.parseCronExpression(' 45  1-22/3 * * 1,3,5-7 ')
+
+      assert.strictEqual(cron.expression, '45 1-22/3 * * 1,3,5-7')
+      assert.deepStrictEqual(cron.minute, [45])
+      assert.deepStrictEqual(cron.hour, [1, 4, 7, 10, 13, 16, 19, 22])
+      assert.strictEqual(cron.dayOfMonth.length, 31)
+      assert.deepStrictEqual(cron.dayOfWeek, [0, 1, 3, 5, 6])
+      assert.strictEqual(cron.dayOfMonthRestricted, false)
+      assert.strictEqual(cron.dayOfWeekRestricted, true)
+      assert.deepStrictEqual(scheduler.parseCronExpression('*/20 0/12 * * *').hour, [0, 12])
+    })
+
+    it('should reject invalid expressions', () => {
+      assert.throws(() => scheduler.parseCronExpression('* * * *'), /expected 5 fields/)
+      assert.throws(() => scheduler.parseCronExpression('60 * * * *'), /invalid minute 60/)
+      assert.throws(() => scheduler.parseCronExpression('* 5-2 * * *'), /invalid hour 5-2/)
+      assert.throws(() => scheduler.parseCronExpression('* * * JAN *'), /invalid month JAN/)
+      assert.throws(() => scheduler.parseCronExpression('*/0 * * * *'), /invalid minute/)
+    })
+  })
+
+  describe('getNextCronTime()', () => {
+    it('should find the next matching minute', () => {
+      const getNextRun = (after) => scheduler.getNextCronTime(scheduler.parseCronExpression('45 1-22/3 * * *'), after)
+
+      assert.strictEqual(next(getNextRun, '2019-03-01T01:44:59Z'), '2019-03-01T01:45:00.000Z')
+      assert.strictEqual(next(getNextRun, '2019-03-01T01:45:00Z'), '2019-03-01T04:45:00.000Z')
+      assert.strictEqual(next(getNextRun, '2019-03-01T22:50:00Z'), '2019-03-02T01:45:00.000Z')
+    })
+
+    it('should match either the day of month or the day of week if both are restricted', () => {
+      // 2019-03-01 is a Friday
+      const getNextRun = (after) => scheduler.getNextCronTime(scheduler.parseCronExpression('0 0 15 * 1'), after)
+
+      assert.strictEqual(next(getNextRun, '2019-03-01T00:00:00Z'), '2019-03-04T00:00:00.000Z')
+      assert.strictEqual(next(getNextRun, '2019-03-12T00:00:00Z'), '2019-03-15T00:00:00.000Z')
+      assert.strictEqual(next(getNextRun, '2019-12-31T12:00:00Z'), '2020-01-06T00:00:00.000Z')
+    })
+
+    it('should fail for expressions never matching', () => {
+      assert.throws(() => scheduler.getNextCronTime(scheduler.parseCronExpression('0 0 30 2 *'), new Date()), /never matches/)
+    })
+  })
+
+  describe('getNextPublicationPoll()', () => {
+    const getNextRun = (after) => scheduler.getNextPublicationPoll(COSMO_D2_RULE, COSMO_D2_RUN_HOURS, after)
+
+    it('should poll every pollMinutes within the window of a run', () => {
+      assert.strictEqual(next(getNextRun, '2019-03-01T01:45:00Z'), '2019-03-01T01:50:00.000Z')
+      assert.strictEqual(next(getNextRun, '2019-03-01T02:42:10Z'), '2019-03-01T02:47:10.000Z')
+    })
+
+    it('should wait for the next window, but at most idleMinutes', () => {
+      assert.strictEqual(next(getNextRun, '2019-03-01T02:45:00Z'), '2019-03-01T03:45:00.000Z')
+      assert.strictEqual(next(getNextRun, '2019-03-01T03:50:00Z'), '2019-03-01T04:45:00.000Z')
+      assert.strictEqual(next(getNextRun, '2019-03-01T23:50:00Z'), '2019-03-02T00:50:00.000Z')
+      assert.strictEqual(next(getNextRun, '2019-03-02T00:50:00Z'), '2019-03-02T01:45:00.000Z')
+    })
+
+    it('should handle windows reaching into the next day', () => {
+      const rule = { latencyMinutes: 150, windowMinutes: 90, pollMinutes: 10 }
+
+      assert.strictEqual(scheduler.getNextPublicationPoll(rule, [21], new Date('2019-03-01T23:40:00Z')).toISOString(), '2019-03-01T23:50:00.000Z')
+      assert.strictEqual(scheduler.getNextPublicationPoll(rule, [21], new Date('2019-03-02T01:00:00Z')).toISOString(), '2019-03-02T23:30:00.000Z')
+    })
+  })
+
+  describe('createSchedule()', () => {
+    it('should follow the publication rule of products defining one by default', () => {
+      const schedule = scheduler.createSchedule(createProduct(PRODUCT_DEFINITIONS['cosmo-d2'], { latencyMinutes: 105 }))
+
+      assert.strictEqual(schedule.rule, 'publication')
+      assert.strictEqual(schedule.description, 'every 5 minutes from 105 to 165 minutes after the runs at 00, 03, 06, 09, 12, 15, 18, 21 UTC')
+      assert.strictEqual(next(schedule.getNextRun, '2019-03-01T02:45:00Z'), '2019-03-01T03:45:00.000Z')
+    })
+
+    it('should use the interval for products without publication rule', () => {
+      const schedule = scheduler.createSchedule(createProduct(PRODUCT_DEFINITIONS.reports, { cycleWaitMinutes: 15, stateDirectoryPath: '/tmp' }))
+
+      assert.strictEqual(schedule.rule, 'interval')
+      assert.strictEqual(next(schedule.getNextRun, '2019-03-01T02:45:00Z'), '2019-03-01T03:00:00.000Z')
+    })
+
+    it('should use the rule given by the settings', () => {
+      let schedule = scheduler.createSchedule(createProduct(PRODUCT_DEFINITIONS.mosmix, { schedule: '0 5,11,17,23 * * *' }))
+      assert.strictEqual(schedule.description, 'at 0 5,11,17,23 * * * (UTC)')
+      assert.strictEqual(next(schedule.getNextRun, '2019-03-01T05:00:00Z'), '2019-03-01T11:00:00.000Z')
+
+      schedule = scheduler.createSchedule(createProduct(PRODUCT_DEFINITIONS['cosmo-d2'], { schedule: 'interval' }))
+      assert.strictEqual(next(schedule.getNextRun, '2019-03-01T02:45:00Z'), '2019-03-01T02:55:00.000Z')
+    })
+
+    it('should reject invalid rules', () => {
+      assert.throws(() => scheduler.createSchedule(createProduct(PRODUCT_DEFINITIONS.reports, { schedule: 'publication', stateDirectoryPath: '/tmp' })), /has no publication rule/)
+      assert.throws(() => scheduler.createSchedule(createProduct(PRODUCT_DEFINITIONS.mosmix, { pollMinutes: 0 })), /pollMinutes is 0/)
+      assert.throws(() => scheduler.createSchedule(createProduct(PRODUCT_DEFINITIONS.mosmix, { schedule: 'hourly' })), /invalid cron expression/)
+    })
+  })
+})
@@ -0,0 +1,79 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const assert = require('assert')
+const got = require('got')
+const { createMetricsRegistry } = require('../lib/metrics')
+const { createStatusServer } = require('../lib/status_server')
+
+describe('./lib/status_server.js', () => {
+  describe('createStatusServer()', () => {
+    let server = null
+    let baseUrl = null
+    let reportsReady = true
+
+    before((done) => {
+      const metrics = createMetricsRegistry()
+      metrics.counter('files_downloaded_total', 'Number of files downloaded').inc({ product: 'reports' })
+
+      server = createStatusServer({
+        metrics: metrics,
+        readinessChecks: {
+          reportsCycle: async () => {
+            if (!reportsReady) {
+              throw new Error('no reports cycle completed yet')
+            }
+          }
+        }
+      })
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = 'http://127.0.0.1:' + server.address().port
+        done()
+      })
+    })
+
+    after((done) => {
+      server.close(done)
+    })
+
+    it('should answer /healthz', async () => {
+      const response = await got(baseUrl + '/healthz')
+      assert.strictEqual(response.statusCode, 200)
+    })
+
+    it('should answer /readyz depending on the readiness checks', async () => {
+      reportsReady = true
+      let response = await got(baseUrl + '/readyz', { responseType: 'json' })
+      assert.deepStrictEqual(response.body, { ready: true, checks: { reportsCycle: { ok: true } } })
+
+      reportsReady = false
+      response = await got(baseUrl + '/readyz', { responseType: 'json', throwHttpErrors: false, retry: 0 })
+      assert.strictEqual(response.statusCode, 503)
+      assert.strictEqual(response.body.checks.reportsCycle.error, 'no reports cycle completed yet')
+    })
+
+    it('should expose the metrics at /metrics', async () => {
+      const response = await got(baseUrl + '/metrics')
+      assert(response.body.includes('files_downloaded_total{product="reports"} 1'))
+    })
+
+    it('should answer unknown paths with 404', async () => {
+      const response = await got(baseUrl + '/unknown', { throwHttpErrors: false })
+      assert.strictEqual(response.statusCode, 404)
+    })
+  })
+})
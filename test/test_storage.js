@@ -0,0 +1,106 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { Readable } = require('stream')
+const storage = require('../lib/storage')
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex')
+
+describe('./lib/storage.js', () => {
+  let tmpDir = null
+  let local = null
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dwd-storage-'))
+    local = storage.createLocalStorage(path.join(tmpDir, 'archive'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(tmpDir)
+  })
+
+  describe('createLocalStorage()', () => {
+    it('should store buffers, strings and streams below the base path', async () => {
+      assert.deepStrictEqual(await local.put('weather/a/1.csv', 'report'), { size: 6, sha256: sha256('report') })
+      assert.deepStrictEqual(await local.put('weather/a/2.kmz', Buffer.from('kmz')), { size: 3, sha256: sha256('kmz') })
+      assert.deepStrictEqual(await local.put('weather/b/3.lz4', Readable.from([Buffer.from('lz'), Buffer.from('4')])), { size: 3, sha256: sha256('lz4') })
+
+      assert.strictEqual(local.locate('weather/a/1.csv'), path.join(tmpDir, 'archive', 'weather', 'a', '1.csv'))
+      assert.strictEqual(await fs.readFile(local.locate('weather/b/3.lz4'), 'utf8'), 'lz4')
+      assert.strictEqual((await local.get('weather/a/2.kmz')).toString(), 'kmz')
+      assert(await local.exists('weather/a/1.csv'))
+      assert(!await local.exists('weather/a/4.csv'))
+      await assert.rejects(local.get('weather/a/4.csv'), (error) => error.code === 'ENOENT')
+    })
+
+    it('should keep the old content if a stream fails', async () => {
+      await local.put('weather/a/1.csv', 'old')
+      const failing = new Readable({ read () { this.destroy(new Error('connection reset')) } })
+
+      await assert.rejects(local.put('weather/a/1.csv', failing), /connection reset/)
+      assert.strictEqual((await local.get('weather/a/1.csv')).toString(), 'old')
+      assert.deepStrictEqual(await fs.readdir(path.join(tmpDir, 'archive', 'weather', 'a')), ['1.csv'])
+    })
+
+    it('should list, move and delete files', async () => {
+      await local.put('weather/a/1.csv', '1')
+      await local.put('weather/ab/2.csv', '2')
+      await local.put('weather/b/3.csv', '3')
+      await fs.writeFile(path.join(tmpDir, 'archive', 'weather', 'a', '.1.csv.0123456789ab.tmp'), '')
+
+      assert.deepStrictEqual(await local.list(''), ['weather/a/1.csv', 'weather/ab/2.csv', 'weather/b/3.csv'])
+      assert.deepStrictEqual(await local.list('weather/a'), ['weather/a/1.csv', 'weather/ab/2.csv'])
+      assert.deepStrictEqual(await local.list('weather/a/'), ['weather/a/1.csv'])
+      assert.deepStrictEqual(await local.list('other/'), [])
+
+      await local.move('weather/a/1.csv', 'weather/b/3.csv')
+      assert.strictEqual((await local.get('weather/b/3.csv')).toString(), '1')
+      await local.delete('weather/b/3.csv')
+      await local.delete('weather/b/3.csv')
+      assert.deepStrictEqual(await local.list('weather/'), ['weather/ab/2.csv'])
+    })
+  })
+
+  describe('createStorage()', () => {
+    it('should create the configured backend', () => {
+      assert.strictEqual(storage.createStorage({ backend: 'local' }, tmpDir).backend, 'local')
+      assert.strictEqual(storage.createStorage({
+        backend: 's3',
+        s3: { endpoint: 'http://localhost:9000', bucket: 'dwd', accessKeyId: 'key', secretAccessKey: 'secret' }
+      }, tmpDir).backend, 's3')
+      assert.throws(() => storage.createStorage({ backend: 's3', s3: { endpoint: 'http://localhost:9000' } }, tmpDir), /requires bucket/)
+      assert.throws(() => storage.createStorage({ backend: 'ftp' }, tmpDir), /unknown storage backend ftp/)
+    })
+  })
+
+  describe('transferFile()', () => {
+    it('should move files between storages keeping their keys', async () => {
+      const target = storage.createLocalStorage(path.join(tmpDir, 'cold'))
+      await local.put('weather/a/1.csv', '1')
+
+      await storage.transferFile(local, target, 'weather/a/1.csv')
+      assert(!await local.exists('weather/a/1.csv'))
+      assert.strictEqual((await target.get('weather/a/1.csv')).toString(), '1')
+    })
+  })
+})
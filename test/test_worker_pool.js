@@ -0,0 +1,101 @@
+// dwd_data_crawler
+//
+// Copyright 2018 The dwd_data_crawler Developers. See the LICENSE file at
+// the top-level directory of this distribution and at
+// https://github.com/UdSAES/dwd_data_crawler/LICENSE
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+//
+// dwd_data_crawler may be freely used and distributed under the MIT license
+
+'use strict'
+const assert = require('assert')
+const delay = require('delay')
+const workerPool = require('../lib/worker_pool')
+
+describe('./lib/worker_pool.js', () => {
+  describe('mapConcurrent()', () => {
+    it('should never run more than `concurrency` invocations at a time', async () => {
+      let running = 0
+      let maxRunning = 0
+
+      const results = await workerPool.mapConcurrent([5, 1, 4, 2, 3, 1, 2], 3, async (item) => {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        await delay(item)
+        running--
+        return item * 2
+      })
+
+      assert.strictEqual(maxRunning, 3)
+      assert.deepStrictEqual(results, [10, 2, 8, 4, 6, 2, 4])
+    })
+
+    it('should stop starting new items once an invocation failed', async () => {
+      const started = []
+
+      await assert.rejects(workerPool.mapConcurrent([1, 2, 3, 4], 1, async (item) => {
+        started.push(item)
+        if (item === 2) {
+          throw new Error('failed')
+        }
+      }), /failed/)
+
+      assert.deepStrictEqual(started, [1, 2])
+    })
+
+    it('should stop starting new items once the signal is aborted', async () => {
+      const controller = new AbortController()
+      const started = []
+
+      await assert.rejects(workerPool.mapConcurrent([1, 2, 3, 4], 2, async (item) => {
+        started.push(item)
+        if (item === 2) {
+          controller.abort(new Error('stopping'))
+        }
+        await delay(1)
+      }, controller.signal), /stopping/)
+
+      assert.deepStrictEqual(started, [1, 2])
+    })
+  })
+
+  describe('createRateLimiter()', () => {
+    it('should space calls according to the rate', async () => {
+      const limiter = workerPool.createRateLimiter(100)
+      const start = Date.now()
+
+      for (let i = 0; i < 6; i++) {
+        await limiter.acquire()
+      }
+
+      assert(Date.now() - start >= 45)
+    })
+
+    it('should stop waiting for a slot once the signal is aborted', async () => {
+      const limiter = workerPool.createRateLimiter(0.01)
+      const controller = new AbortController()
+      await limiter.acquire(controller.signal)
+
+      setTimeout(() => controller.abort(new Error('stopping')), 10)
+      await assert.rejects(limiter.acquire(controller.signal), /stopping/)
+    })
+
+    it('should not limit if no rate is given', async () => {
+      const limiter = workerPool.createRateLimiter(0)
+      const start = Date.now()
+
+      for (let i = 0; i < 100; i++) {
+        await limiter.acquire()
+      }
+
+      assert(Date.now() - start < 45)
+    })
+  })
+})